@@ -1,13 +1,9 @@
-import { readFile, rm, mkdir, access, appendFile, readdir } from 'fs/promises'
-import { WritableStream } from 'node:stream/web'
-import { constants as fsConstants } from 'node:fs'
 import { equal, notEqual } from 'node:assert'
-import crypto from 'crypto'
 import { sep } from 'path'
 
-import { parse as parseHTML } from 'node-html-parser'
-
-import { BaseExtractor } from './BaseExtractor.js'
+import { BaseExtractor, WARCReference } from './BaseExtractor.js'
+import { HttpClient } from './HttpClient.js'
+import { ApiError, AuthError } from './errors.js'
 import * as CONSTANTS from './constants.js'
 
 /**
@@ -30,6 +26,29 @@ export class ArchiveItExtractor extends BaseExtractor {
   /** @type {?number} */
   collectionId = null
 
+  /** @type {string} */
+  platform = 'archive-it'
+
+  /**
+   * Seeds of the collection and their metadata (keyed by Dublin Core element), keyed by seed id.
+   * Populated by `fetchSeedsMetadata()`.
+   * @type {Object<number, {id: number, url: ?string, metadata: Object<string, string[]>}>}
+   */
+  seeds = {}
+
+  /**
+   * Only package WARCs, and list pages, for these seeds: seed ids, or url patterns ("*" and "?" wildcards).
+   * Applied once crawl and seed information was pulled (see `applySeedFilters()`).
+   * @type {string[]}
+   */
+  seedFilters = []
+
+  /**
+   * If `false`, `MISSING_URLS_PATCH` files (captures added to a collection after the fact by Archive-It's patch crawls) are left out.
+   * @type {boolean}
+   */
+  includeMissingUrlsPatch = true
+
   /**
    * Urls of WARCs to pull from Archive-It.
    * @type {ArchiveItWARCReference[]}
@@ -41,6 +60,8 @@ export class ArchiveItExtractor extends BaseExtractor {
    * @param {string} options.username - Archive-It API username.
    * @param {string} options.password - Archive-It API password.
    * @param {number} options.collectionId - Id of the Archive-It collection to prepare.
+   * @param {string|string[]} [options.seed] - Only package WARCs, and list pages, for these seeds: seed ids, or url patterns ("*" and "?" wildcards).
+   * @param {boolean} [options.missingUrlsPatch=true] - If `false`, `MISSING_URLS_PATCH` files will be left out.
    */
   constructor (options) {
     super(options)
@@ -69,135 +90,305 @@ export class ArchiveItExtractor extends BaseExtractor {
       this.log.trace(err)
       throw new Error('"collectionId" must be provided')
     }
+
+    if (options?.seed) {
+      this.seedFilters = (Array.isArray(options.seed) ? options.seed : [options.seed])
+        .map(value => `${value}`.trim())
+        .filter(value => value.length > 0)
+    }
+
+    if (options?.missingUrlsPatch === false) {
+      this.includeMissingUrlsPatch = false
+    }
+  }
+
+  /**
+   * Lists the collections a given Archive-It account has access to.
+   * @param {object} options
+   * @param {string} options.username - Archive-It API username.
+   * @param {string} options.password - Archive-It API password.
+   * @param {?HttpClient} [options.http] - HTTP layer to use. A new one is created if not provided.
+   * @returns {Promise<{id: number, title: ?string}[]>} - Sorted by id.
+   */
+  static listCollections = async ({ username, password, http = new HttpClient() }) => {
+    const baseUrl = `${CONSTANTS.ARCHIVE_IT_API_URL}/api/collection`
+    const params = new URLSearchParams()
+    params.append('limit', -1)
+
+    const payload = Buffer.from(`${username}:${password}`).toString('base64')
+
+    /** @type {?Response} */
+    let response = null
+
+    try {
+      response = await http.fetch(`${baseUrl}?${params}`, { headers: { Authorization: `Basic ${payload}` } })
+    } catch (err) {
+      throw new ApiError('Archive-It API could not be reached', { url: baseUrl, cause: err })
+    }
+
+    if (response.status !== 200) {
+      throw ApiError.fromResponse(response, 'Archive-It API')
+    }
+
+    const parsed = await response.json()
+
+    return parsed
+      .map(collection => ({
+        id: collection.id,
+        title: collection?.metadata?.Title?.[0]?.value || collection?.name || null
+      }))
+      .sort((a, b) => a.id - b.id)
   }
 
   /**
-   * Goes through the entire preparation process.
-   * Will stop and return if a step fails.
-   * @returns {Promise<boolean>}
+   * Runs the steps of the preparation process, in order. Called by `process()`.
+   * Will stop and throw if a step fails (see errors.js).
+   * @returns {Promise<RunReport>} - See `buildReport()`.
    */
-  process = async () => {
+  runPipeline = async () => {
     const log = this.log
 
     // Check credentials
     try {
       log.info('Checking credentials combination')
-      await this.checkCredentials()
+      await this.runStep('checkCredentials', this.checkCredentials)
     } catch (err) {
       log.trace(err)
-      log.error('Invalid credentials combination, or the Archive-It API could not be reached')
-      return false
+      log.error(`Invalid credentials combination, or the Archive-It API could not be reached (${err.message})`)
+      throw err
     }
 
     // Create collection-specific folder
     try {
       log.info('Creating local collection folder (if not already present)')
-      await this.createCollectionFolder()
+      await this.runStep('createCollectionFolder', this.createCollectionFolder)
     } catch (err) {
       log.trace(err)
-      log.error('Collections folder could not be accessed or created')
-      return false
+      log.error(`Collections folder could not be accessed, created or locked (${err.message})`)
+      throw err
+    }
+
+    // Load state from previous run, if any
+    try {
+      await this.runStep('loadJobState', this.loadJobState)
+    } catch (err) {
+      log.trace(err)
+      log.error('Job state could not be loaded')
+      throw err
     }
 
     // Grab collection info
     try {
       log.info(`Pulling collection information for ${this.collectionId}`)
-      await this.fetchCollectionInfo()
+      await this.runStep('fetchCollectionInfo', this.fetchCollectionInfo)
+      await this.saveJobState('fetchCollectionInfo')
     } catch (err) {
       log.trace(err)
       log.error('An error occurred while pulling collection information')
-      return false
+      throw err
     }
 
     // List WARCs
     try {
       log.info(`Listing WARC files from collection ${this.collectionId}`)
-      await this.fetchWARCsList()
+      await this.runStep('fetchWARCsList', this.fetchWARCsList)
       log.info(`${this.WARCs.length} entries found in total`)
+
+      if (this.sync) {
+        const merged = await this.mergeWARCsFromJobState(data => Object.assign(new ArchiveItWARCReference(), data))
+        log.info(`${merged} entries kept from previous runs (sync)`)
+      }
+
+      this.restoreWARCsFromJobState()
+
+      const filteredOut = this.filterWARCs(ref => this.matchesWARCFilters(ref) && this.matchesMissingUrlsPatchFilter(ref))
+
+      if (filteredOut) {
+        log.info(`${filteredOut} entries left out by filters`)
+      }
+
+      await this.saveJobState('fetchWARCsList')
     } catch (err) {
       log.trace(err)
       log.error('An error occurred while listing WARC files from collection')
-      return false
+      throw err
+    }
+
+    // Dry run: report what would be downloaded, and stop
+    if (this.dryRun) {
+      // Seed filters rely on crawl and seed information
+      if (this.seedFilters.length) {
+        try {
+          log.info('Pulling crawl and seed information for each entry, to apply seed filters')
+          await this.runStep('fetchWARCsCrawlInfo', this.fetchWARCsCrawlInfo)
+          this.applySeedFilters()
+        } catch (err) {
+          log.trace(err)
+          log.error('An error occurred while pulling crawl and seed information')
+          throw err
+        }
+      }
+
+      try {
+        log.info('Comparing collection with local collection folder')
+        await this.runStep('planDownloads', this.planDownloads)
+      } catch (err) {
+        log.trace(err)
+        log.error('An error occurred while comparing collection with local collection folder')
+        throw err
+      }
+
+      this.printPlan()
+      return this.buildReport()
     }
 
     // Pull crawl / seed infos
     try {
       log.info('Pulling crawl and seed information for each entry')
-      await this.fetchWARCsCrawlInfo()
+      await this.runStep('fetchWARCsCrawlInfo', this.fetchWARCsCrawlInfo)
+      this.applySeedFilters()
+      await this.saveJobState('fetchWARCsCrawlInfo')
     } catch (err) {
       log.error('An error occurred while listing WARC files from collection')
       log.trace(err)
-      return false
+      throw err
     }
 
-    // Pull page titles
+    // Pull seeds metadata
     try {
-      log.info('Pulling page titles for each entry')
-      await this.fetchCrawledUrlsTitle()
+      log.info('Pulling seeds metadata')
+      await this.runStep('fetchSeedsMetadata', this.fetchSeedsMetadata)
     } catch (err) { // Non-blocking
       log.trace(err)
-      log.error('An error occurred while pulling page titles')
+      log.error('An error occurred while pulling seeds metadata')
     }
 
-    // Delete WARCs that may be already present in collection folder,
-    // but are not (or no longer) part of the collection.
+    // Handle WARCs that may be already present in collection folder,
+    // but are not (or no longer) part of the collection (removed only if "prune" is set).
     try {
-      log.info('Deleting "loose" .warc.gz files (present in folder, but not referenced in collection)')
-      await this.deleteLooseWARCs()
+      log.info('Checking for "loose" WARC files (present in folder, but not referenced in collection)')
+      await this.runStep('deleteLooseWARCs', this.deleteLooseWARCs)
     } catch (err) {
-      log.error('An error occurred while deleting loose WARC files')
+      log.error('An error occurred while handling loose WARC files')
       log.trace(err)
-      return false
+      throw err
     }
 
     // Checksum [1]
     try {
       log.info('Checking hashes of WARCs that may already be present in collection folder')
-      await this.checkWARCsHashes()
+      await this.runStep('checkWARCsHashes', this.checkWARCsHashes)
+      await this.saveJobState()
     } catch (err) {
       log.error(err)
-      return false
+      throw err
     }
 
     // Pull WARCs that aren't already present
     try {
       log.info('Downloading WARCs')
-      await this.fetchWARCs()
+      await this.runStep('fetchWARCs', this.fetchWARCs)
     } catch (err) {
       log.error(err)
-      return false
+      throw err
     }
 
     // Checksum [2]
     try {
       log.info('Checking hashes on downloaded WARC collection')
-      await this.checkWARCsHashes()
+      await this.runStep('verifyWARCsHashes', this.checkWARCsHashes)
+      await this.saveJobState('fetchWARCs')
     } catch (err) {
       log.error(err)
-      return false
+      throw err
+    }
+
+    // Strict mode: incomplete collections are not packaged
+    if (this.strict) {
+      const error = this.getCollectionError()
+
+      if (error) {
+        log.error(`${error.message} -- WACZ file will not be generated (strict mode)`)
+        this.emitError(error)
+        throw error
+      }
+    }
+
+    // Extract page titles from the WARCs
+    try {
+      log.info('Extracting page titles from WARCs')
+      await this.runStep('extractCrawledUrlsTitle', this.extractCrawledUrlsTitle)
+      await this.saveJobState()
+    } catch (err) { // Non-blocking
+      log.trace(err)
+      log.error('An error occurred while extracting page titles from WARCs')
+    }
+
+    // Pull page titles that could not be found in the WARCs
+    try {
+      log.info('Pulling missing page titles')
+      await this.runStep('fetchCrawledUrlsTitle', this.fetchCrawledUrlsTitle)
+      await this.saveJobState('fetchCrawledUrlsTitle')
+    } catch (err) { // Non-blocking
+      log.trace(err)
+      log.error('An error occurred while pulling page titles')
     }
 
     // List pages
     try {
-      log.info('Building pages list')
-      await this.generatePagesList()
+      log.info(`Building pages list (${this.pagesMode})`)
+      await this.runStep('generatePagesList', this.generatePagesList)
+      await this.runStep('detectPages', this.detectPages)
     } catch (err) {
       log.error(err)
-      return false
+      throw err
+    }
+
+    // Extract text from pages, for full-text search
+    if (this.extractText) {
+      try {
+        log.info('Extracting text from pages')
+        await this.runStep('extractPagesText', this.extractPagesText)
+      } catch (err) { // Non-blocking
+        log.trace(err)
+        log.error('An error occurred while extracting text from pages')
+      }
     }
 
     // Prepare WACZ
     try {
       log.info('Preparing WACZ file')
-      await this.generateWACZ()
+
+      // WARCs left out by filters may be present in the collection folder: only the ones that were selected are packaged
+      if (this.shouldSplitWACZ()) {
+        await this.runStep('generateWACZ', this.generateWACZParts)
+      } else {
+        await this.runStep('generateWACZ', () => this.generateWACZ(null, this.WARCs.filter(ref => ref.downloaded).map(ref => this.getWARCPath(ref))))
+      }
     } catch (err) {
       log.error('An error occurred while preparing WACZ file')
       log.trace(err)
-      return false
+      throw err
     }
 
+    await this.recordPackage()
+
     // Report
     this.printReport()
+    const report = await this.buildReport()
+
+    // Incomplete collections are packaged, but reported as such unless explicitly allowed
+    if (!this.allowPartial) {
+      const error = this.getCollectionError()
+
+      if (error) {
+        log.error(`${error.message} -- WACZ file was generated, but is incomplete`)
+        this.emitError(error)
+        throw error
+      }
+    }
+
+    return report
   }
 
   /**
@@ -211,96 +402,173 @@ export class ArchiveItExtractor extends BaseExtractor {
     params.append('limit', 1)
     params.append('id', this.collectionId)
 
-    const response = await fetch(`${baseUrl}?${params}`, {
-      method: 'HEAD',
-      headers: this.getAuthorizationHeader()
-    })
+    /** @type {?Response} */
+    let response = null
+
+    try {
+      response = await this.http.fetch(`${baseUrl}?${params}`, {
+        method: 'HEAD',
+        headers: this.getAuthorizationHeader()
+      })
+    } catch (err) {
+      throw new ApiError('Archive-It API could not be reached', { url: baseUrl, cause: err })
+    }
 
     if (response.status !== 200) {
-      throw new Error(`Archive-It API responded with ${response.status}`)
+      throw ApiError.fromResponse(response, 'Archive-It API')
     }
   }
 
   /**
-   * Creates collection-specific folder if needed.
+   * Pulls information about the current collection from the Archive-It API.
+   * Populates `this.collectionTitle`, `this.collectionDescription`, `this.collectionMetadata` and `this.WACZPath`.
+   * Pulled on every run, so changes made upstream are picked up: information from job state is only used if the request fails
+   * (unless credentials were rejected).
    * @returns {Promise<void>}
    */
-  createCollectionFolder = async () => {
-    this.collectionPath = `${this.outputPath}${sep}${this.collectionId}${sep}`
+  fetchCollectionInfo = async () => {
+    this.WACZPath = `${this.outputPath}${sep}${this.collectionId}.wacz`
+
+    const baseUrl = `${CONSTANTS.ARCHIVE_IT_API_URL}/api/collection`
+    const params = new URLSearchParams()
+    params.append('limit', 1)
+    params.append('id', this.collectionId)
+
+    /** @type {?object} */
+    let collection = null
 
-    let exists = false
     try {
-      await access(this.collectionPath, fsConstants.W_OK)
-      exists = true
-      this.log.info(`Collection folder ${this.collectionPath} already exists`)
+      const response = await this.http.fetch(`${baseUrl}?${params}`, { headers: this.getAuthorizationHeader() })
+
+      if (response.status !== 200) {
+        throw ApiError.fromResponse(response, 'Archive-It API')
+      }
+
+      collection = (await response.json())[0]
     } catch (err) {
-      this.log.info(`Collection folder ${this.collectionPath} needs to be created`)
+      if (err instanceof AuthError || !this.state?.isStepDone('fetchCollectionInfo')) {
+        throw err
+      }
+
+      this.log.trace(err)
+      this.log.warn(`Collection information could not be pulled (${err.message}) -- using information from a previous run`)
+      this.collectionTitle = this.state.data.collection.title
+      this.collectionDescription = this.state.data.collection.description
+      this.collectionMetadata = this.state.data.collection.metadata || {}
+      return
+    }
+
+    if (collection?.metadata?.Title) {
+      this.collectionTitle = collection.metadata.Title[0].value
+    }
+
+    if (collection?.metadata?.Description) {
+      this.collectionDescription = collection.metadata.Description[0].value
     }
 
-    if (!exists) {
-      await mkdir(this.collectionPath)
-      await access(this.collectionPath, fsConstants.W_OK)
+    this.collectionMetadata = mapMetadata(collection?.metadata)
+
+    if (this.state) {
+      this.state.data.collection.title = this.collectionTitle
+      this.state.data.collection.description = this.collectionDescription
+      this.state.data.collection.metadata = this.collectionMetadata
     }
   }
 
   /**
-   * Pulls information about the current collection from the Archive-It API.
-   * Populates `this.collectionTitle`, `this.collectionDescription` and `this.WACZPath`.
+   * Pulls the list of seeds of the current collection, alongside their metadata.
+   * Populates `this.seeds`.
    * @returns {Promise<void>}
    */
-  fetchCollectionInfo = async () => {
-    const baseUrl = `${CONSTANTS.ARCHIVE_IT_API_URL}/api/collection`
+  fetchSeedsMetadata = async () => {
     const params = new URLSearchParams()
-    params.append('limit', 1)
-    params.append('id', this.collectionId)
+    params.append('collection', this.collectionId)
+    params.append('limit', -1)
 
-    const response = await fetch(`${baseUrl}?${params}`, { headers: this.getAuthorizationHeader() })
+    const response = await this.http.fetch(
+      `${CONSTANTS.ARCHIVE_IT_API_URL}/api/seed?${params}`,
+      { headers: this.getAuthorizationHeader() }
+    )
 
     if (response.status !== 200) {
-      throw new Error(`Archive-It API responded with ${response.status}`)
+      throw ApiError.fromResponse(response, 'Archive-It API')
     }
 
-    const parsed = await response.json()
-    const collection = parsed[0]
+    this.seeds = {}
 
-    if (collection?.metadata?.Title) {
-      this.collectionTitle = collection.metadata.Title[0].value
+    for (const seed of await response.json()) {
+      this.seeds[seed?.id] = {
+        id: seed?.id,
+        url: seed?.url || null,
+        metadata: mapMetadata(seed?.metadata)
+      }
     }
+  }
 
-    if (collection?.metadata?.Description) {
-      this.collectionDescription = collection.metadata.Description[0].value
+  /**
+   * Adds seeds metadata to the custom fields of datapackage.json (see `BaseExtractor.getDatapackageExtras()`).
+   * @returns {object}
+   */
+  getExtraDatapackageFields = () => {
+    const extras = {}
+
+    const seeds = Object.values(this.seeds)
+      .filter(seed => Object.keys(seed.metadata).length && this.matchesSeedFilters({ seedId: seed.id, url: seed.url }))
+
+    if (seeds.length) {
+      extras.seeds = seeds
     }
 
-    this.WACZPath = `${this.outputPath}${sep}${this.collectionId}.wacz`
+    return extras
   }
 
   /**
    * Pulls a list of all the WARC files of the current collection.
-   * Populates `this.WARCs`.
+   * In "sync" mode, only lists files crawled after the high-water mark of the previous package (see `getSyncHighWaterMark()`).
+   * Populates `this.WARCs`. Files that are already listed are skipped.
+   * @param {object} [options]
+   * @param {boolean} [options.full=false] - If `true`, lists all files, even in "sync" mode.
    * @returns {Promise<void>}
    */
-  fetchWARCsList = async () => {
+  fetchWARCsList = async (options = {}) => {
     const baseUrl = `${CONSTANTS.ARCHIVE_IT_API_URL}/wasapi/v1/webdata`
     const params = new URLSearchParams()
     params.append('page', 1)
     params.append('page_size', 500)
     params.append('collection', this.collectionId)
 
+    const highWaterMark = options?.full ? null : this.getSyncHighWaterMark()
+    const listed = new Set(this.WARCs.map(ref => ref.filename))
+
+    if (highWaterMark) {
+      this.log.info(`Sync: only listing files crawled after ${highWaterMark}`)
+      params.append('crawl-time-after', highWaterMark)
+    }
+
     while (true) {
-      const response = await fetch(`${baseUrl}?${params}`, { headers: this.getAuthorizationHeader() })
+      const response = await this.http.fetch(`${baseUrl}?${params}`, { headers: this.getAuthorizationHeader() })
 
       if (response.status !== 200) {
-        throw new Error(`Archive-It API responded with ${response.status}`)
+        throw ApiError.fromResponse(response, 'Archive-It API')
       }
 
       const parsed = await response.json()
 
       for (const entry of parsed.files) {
+        if (listed.has(entry?.filename)) {
+          continue
+        }
+
+        listed.add(entry?.filename)
+
         const ref = new ArchiveItWARCReference()
         ref.downloadUrl = entry?.locations ? entry.locations[0] : null
         ref.filename = entry?.filename
-        ref.remoteSHA1Hash = entry?.checksums?.sha1
+        ref.size = entry?.size
+        ref.remoteChecksums = this.parseChecksums(entry?.checksums)
+        ref.remoteSHA1Hash = ref.remoteChecksums.sha1 || null
         ref.crawlId = entry?.crawl
+        ref.crawlTime = entry?.['crawl-time']
         this.WARCs.push(ref)
       }
 
@@ -313,32 +581,125 @@ export class ArchiveItExtractor extends BaseExtractor {
     }
   }
 
+  /**
+   * Restores crawl, seed and title information pulled by a previous run for entries of `this.WARCs`.
+   * Entries are only restored if their remote SHA-1 hash hasn't changed.
+   * @returns {void}
+   */
+  restoreWARCsFromJobState = () => {
+    if (!this.state) {
+      return
+    }
+
+    let restored = 0
+
+    for (const ref of this.WARCs) {
+      const cached = this.state.getWARC(ref.filename)
+
+      if (!cached || cached.remoteSHA1Hash !== ref.remoteSHA1Hash) {
+        continue
+      }
+
+      ref.crawlInfoFetched = Boolean(cached.crawlInfoFetched)
+      ref.crawledUrls = (cached.crawledUrls || []).map(crawl => Object.assign(new ArchiveItCrawledUrl(), crawl))
+      restored += 1
+    }
+
+    if (restored) {
+      this.log.info(`${restored} entries restored from previous run`)
+    }
+  }
+
+  /**
+   * Lists the WARCs of the collection that would be packaged with the current options: crawl, date, filename, MISSING_URLS_PATCH and seed filters are applied.
+   * Populates `this.WARCs`.
+   * @returns {Promise<void>}
+   */
+  listSourceWARCs = async () => {
+    this.WARCs = []
+    await this.fetchWARCsList()
+    this.filterWARCs(ref => this.matchesWARCFilters(ref) && this.matchesMissingUrlsPatchFilter(ref))
+
+    // Seed filters rely on crawl and seed information
+    if (this.seedFilters.length) {
+      await this.fetchWARCsCrawlInfo()
+      this.applySeedFilters()
+    }
+  }
+
+  /**
+   * Checks a WARC against `this.includeMissingUrlsPatch`.
+   * @param {ArchiveItWARCReference} ref
+   * @returns {boolean}
+   */
+  matchesMissingUrlsPatchFilter = (ref) => {
+    return this.includeMissingUrlsPatch || !ref.filename.includes('MISSING_URLS_PATCH')
+  }
+
+  /**
+   * Checks a crawled url against `this.seedFilters`.
+   * @param {ArchiveItCrawledUrl} crawl
+   * @returns {boolean}
+   */
+  matchesSeedFilters = (crawl) => {
+    if (!this.seedFilters.length) {
+      return true
+    }
+
+    return this.seedFilters.some(filter => {
+      return /^\d+$/.test(filter) ? `${crawl.seedId}` === filter : this.matchesPatterns([filter], crawl.url)
+    })
+  }
+
+  /**
+   * Leaves out the WARCs of `this.WARCs` from crawls that did not capture any of the seeds of `this.seedFilters` (see `filterWARCs()`).
+   * `MISSING_URLS_PATCH` files, which are not tied to specific seeds, are kept unless `this.includeMissingUrlsPatch` is `false`.
+   * Must be called after `fetchWARCsCrawlInfo()`.
+   * @returns {void}
+   */
+  applySeedFilters = () => {
+    if (!this.seedFilters.length) {
+      return
+    }
+
+    const filteredOut = this.filterWARCs(ref => {
+      return ref.filename.includes('MISSING_URLS_PATCH') || ref.crawledUrls.some(this.matchesSeedFilters)
+    })
+
+    this.log.info(`${filteredOut} entries left out by seed filters`)
+  }
+
   /**
    * Fetches crawl / seed information for each entry in `this.WARCs`.
    * Uses `this.WARCs`, populates `this.WARCs[].crawledUrls`.
-   * Runs up to `this.concurrency` requests in parallel.
+   * Runs up to `this.concurrency` requests in parallel (see `this.metadataQueue`).
+   * Skips entries for which that information was already pulled.
    *
    * @throws
    * @returns {Promise<void>}
    */
   fetchWARCsCrawlInfo = async () => {
     const { log, concurrency } = this
-    const group = []
+    let completed = 0
 
     /**
      * @param {ArchiveItWARCReference} ref
      * @returns {Promise<void>}
      */
     const fetchOne = async (ref) => {
+      if (ref.crawlInfoFetched) {
+        return
+      }
+
       log.info(`${ref.filename}: pulling crawl info`)
 
-      const response = await fetch(
+      const response = await this.http.fetch(
         `${CONSTANTS.ARCHIVE_IT_API_URL}/api/reports/seed/${ref.crawlId}`,
         { headers: this.getAuthorizationHeader() }
       )
 
       if (response.status !== 200) {
-        throw new Error(`Archive-It API responded with ${response.status} for crawl ID ${ref.crawlId}`)
+        throw ApiError.fromResponse(response, `Archive-It API (crawl ID ${ref.crawlId})`)
       }
 
       const parsed = await response.json()
@@ -351,65 +712,150 @@ export class ArchiveItExtractor extends BaseExtractor {
 
         ref.crawledUrls.push(crawledUrl)
       }
+
+      ref.crawlInfoFetched = true
     }
 
-    for (let i = 0; i < this.WARCs.length; i++) {
-      // Make groups of X files for which we need crawl info.
-      if (group.length < concurrency) {
-        group.push(this.WARCs[i])
+    await this.metadataQueue.map(this.WARCs, async (ref) => {
+      try {
+        await fetchOne(ref)
+      } catch (err) {
+        log.trace(err)
+        log.warn(`${ref.filename}: request to pull crawl info failed -- skipping`)
       }
 
-      // Pull crawl info in parallel for X files.
-      if (group.length >= concurrency || i === this.WARCs.length - 1) {
-        const results = await Promise.allSettled(group.map(ref => fetchOne(ref)))
+      // Persist progress every X completed requests
+      if (++completed % concurrency === 0) {
+        await this.saveJobState()
+      }
+    })
 
-        for (const result of results) {
-          if (result.status === 'rejected') {
-            log.trace(result.reason)
-            log.warn('A request to pull crawl info failed -- skipping')
-          }
+    await this.saveJobState()
+  }
+
+  /**
+   * Extracts page titles for all entries in `this.WARCs[].crawledUrls` from the WARCs that were downloaded (see `extractTitlesFromWARC()`).
+   * Seeds are looked up in the WARCs of the crawl they were captured in.
+   *
+   * Uses `this.WARCs`.
+   * Reads up to `this.downloadConcurrency` crawls in parallel (see `this.downloadQueue`).
+   * Skips entries for which a title lookup was already completed.
+   * Entries for which no title was found are left for `fetchCrawledUrlsTitle()`.
+   *
+   * @returns {Promise<void>}
+   */
+  extractCrawledUrlsTitle = async () => {
+    const { log } = this
+
+    /**
+     * WARCs on disk and CrawledUrls without a title, by crawl ID.
+     * @type {Map<number, {WARCs: ArchiveItWARCReference[], crawls: ArchiveItCrawledUrl[]}>}
+     */
+    const crawlIds = new Map()
+
+    for (const ref of this.WARCs) {
+      if (!crawlIds.has(ref.crawlId)) {
+        crawlIds.set(ref.crawlId, { WARCs: [], crawls: [] })
+      }
+
+      const entry = crawlIds.get(ref.crawlId)
+
+      if (ref.downloaded) {
+        entry.WARCs.push(ref)
+      }
+
+      // Skip if this is a `MISSING_URLS_PATCH` batch
+      if (!ref.filename.includes('MISSING_URLS_PATCH')) {
+        entry.crawls.push(...ref.crawledUrls.filter(crawl => !crawl.titleChecked && this.matchesSeedFilters(crawl)))
+      }
+    }
+
+    /**
+     * @param {{WARCs: ArchiveItWARCReference[], crawls: ArchiveItCrawledUrl[]}} entry
+     * @returns {Promise<void>}
+     */
+    const extractOne = async ({ WARCs, crawls }) => {
+      for (const ref of WARCs) {
+        if (!crawls.length) {
+          return
+        }
+
+        let titles = {}
+
+        try {
+          titles = await this.extractTitlesFromWARC(this.getWARCPath(ref), crawls.map(crawl => crawl.url))
+        } catch (err) {
+          log.trace(err)
+          log.warn(`${ref.filename}: could not be read to extract page titles -- skipping`)
+          continue
         }
 
-        group.length = 0
+        for (const crawl of [...crawls]) {
+          if (!titles[crawl.url]) {
+            continue
+          }
+
+          crawl.title = titles[crawl.url]
+          crawl.titleSource = 'warc'
+          crawl.titleChecked = true
+          crawls.splice(crawls.indexOf(crawl), 1)
+          this.emit('title:resolved', { url: crawl.url, title: crawl.title, source: crawl.titleSource })
+        }
       }
     }
+
+    await this.downloadQueue.map([...crawlIds.values()], extractOne)
   }
 
   /**
-   * Fetches page titles for all entries in `this.WARCs[].crawledUrls`.
+   * Fetches page titles for all entries in `this.WARCs[].crawledUrls` that could not be found in the WARCs (see `extractCrawledUrlsTitle()`).
    * Will first try to grab that information from Archive-It's meta data if available.
    * Will attempt to scrape the Wayback Machine for that information otherwise.
    *
    * Uses `this.WARCs`.
-   * Runs up to `this.concurrency` requests in parallel.
+   * Runs up to `this.concurrency` lookups in parallel (see `this.metadataQueue`).
+   * Skips entries for which a title lookup was already completed.
    *
    * @throws
    * @returns {Promise<void>}
    */
   fetchCrawledUrlsTitle = async () => {
     const { log, concurrency } = this
-    const group = []
+    const crawls = []
+    let completed = 0
 
     /**
      * Tries to pull the page title of a given CrawledUrl object.
      * @param {ArchiveItCrawledUrl} crawl
      */
     const fetchOne = async (crawl) => {
+      if (crawl.titleChecked) {
+        return
+      }
+
       /** @type {?string} */
       let title = null
 
-      // First attempt: fetch from meta data
-      if (crawl.seedId) {
+      /** @type {boolean} */
+      let failed = false
+
+      // First attempt: seed meta data (from the list of seeds, if available)
+      if (this.seeds[crawl.seedId]) {
+        title = this.seeds[crawl.seedId].metadata?.title?.[0] || null
+        crawl.titleSource = title ? 'metadata' : null
+      } else if (crawl.seedId) {
         try {
-          const response = await fetch(`${CONSTANTS.ARCHIVE_IT_API_URL}/api/seed/${crawl.seedId}`)
+          const response = await this.http.fetch(`${CONSTANTS.ARCHIVE_IT_API_URL}/api/seed/${crawl.seedId}`)
           const parsed = await response.json()
 
           if (parsed?.metadata && parsed.metadata?.Title && parsed.metadata.Title.length > 0) {
             title = parsed.metadata.Title[0].value
+            crawl.titleSource = 'metadata'
           }
         } catch (err) {
           log.trace(err)
           log.warn(`An error occurred while trying to pull seed information for ${crawl.seedId}`)
+          failed = true
         }
       }
 
@@ -421,183 +867,62 @@ export class ArchiveItExtractor extends BaseExtractor {
         waybackUrl += `/${encodeURIComponent(crawl.url)}`
 
         try {
-          const response = await fetch(waybackUrl)
+          const response = await this.http.fetch(waybackUrl)
 
-          if (response.status === 200 && response.headers.get('content-type').startsWith('text/html')) {
-            const html = parseHTML(await response.text())
-            title = title === 'Archive-it Wayback' ? null : html.querySelector('title').textContent
+          if (response.status === 200 && `${response.headers.get('content-type')}`.startsWith('text/html')) {
+            const waybackTitle = this.getTitleFromHTML(await response.text())
+            title = waybackTitle === 'Archive-it Wayback' ? null : waybackTitle // Wayback's own page title: capture not found
+            crawl.titleSource = title ? 'wayback' : null
           }
         } catch (err) {
           log.trace(err)
           log.warn(`An error occurred while trying to retrieve the archived page title from ${waybackUrl}`)
+          failed = true
         }
       }
 
+      // Lookups that failed will be re-attempted on the next run
+      crawl.titleChecked = Boolean(title) || !failed
+
       if (title) {
         // log.info(`Title found for ${crawl.url}: ${title}`)
         crawl.title = title
       } else {
         this.log.warn(`No title found for ${crawl.url}`)
       }
-    }
 
-    // Make groups of X CrawledUrls objects for which we need to pull page title.
-    for (let i = 0; i < this.WARCs.length; i++) {
-      const ref = this.WARCs[i]
+      this.emit('title:resolved', { url: crawl.url, title: crawl.title, source: crawl.title ? crawl.titleSource : 'none' })
+    }
 
+    // List CrawledUrls objects for which we need to pull page title.
+    for (const ref of this.WARCs) {
       // Skip if this is a `MISSING_URLS_PATCH` batch
       if (ref.filename.includes('MISSING_URLS_PATCH')) {
         continue
       }
 
-      for (let ii = 0; ii < ref.crawledUrls.length; ii++) {
-        if (group.length < concurrency) {
-          group.push(ref.crawledUrls[ii])
-        }
-
-        if (group.length >= concurrency) {
-          break
-        }
-      }
-
-      // Pull page titles in parallel for up to X entries
-      if (group.length >= concurrency || i >= this.WARCs.length) {
-        const results = await Promise.allSettled(group.map(crawl => fetchOne(crawl)))
-
-        for (const result of results) {
-          if (result.status === 'rejected') {
-            log.trace(result.reason)
-          }
-        }
-
-        group.length = 0
-      }
-    }
-  }
-
-  /**
-   * Removes WARC files from collection directory that are not referenced in the collection.
-   * This comparison is based on filenames.
-   * @returns {Promise<void>}
-   */
-  deleteLooseWARCs = async () => {
-    const log = this.log
-    const inCollection = {}
-
-    for (const entry of this.WARCs) {
-      inCollection[entry.filename] = true
-    }
-
-    for (const filename of await readdir(this.collectionPath)) {
-      if (filename.endsWith('.warc.gz') && filename in inCollection) {
-        continue
-      }
-
-      log.info(`${filename}: present on disk but not in collection, will be deleted`)
-      await rm(`${this.collectionPath}${filename}`)
+      crawls.push(...ref.crawledUrls.filter(this.matchesSeedFilters))
     }
-  }
-
-  /**
-   * For each entry in `this.WARCs`:
-   * - Check if file exists locally and check local SHA-1 hash against remote reference
-   * - Mark WARC as "downloaded" true / false based on results.
-   * - Will delete local files that have a hash mismatch.
-   * @returns {Promise<void>}
-   */
-  checkWARCsHashes = async () => {
-    for (const entry of this.WARCs) {
-      const log = this.log
-      const filepath = `${this.collectionPath}${entry.filename}`
-      entry.downloaded = true
 
+    await this.metadataQueue.map(crawls, async (crawl) => {
       try {
-        await access(filepath)
-      } catch (_err) {
-        entry.downloaded = false
-        continue
-      }
-
-      try {
-        log.info(`${entry.filename}: present on disk, checking hash`)
-        entry.localSHA1Hash = crypto.createHash('sha1').update(await readFile(filepath)).digest('hex')
+        await fetchOne(crawl)
       } catch (err) {
         log.trace(err)
-        log.error(`${entry.filename}: error occurred while calculating SHA-1 hash`)
-        entry.downloaded = false
-      }
-
-      if (entry.localSHA1Hash && entry.localSHA1Hash !== entry.remoteSHA1Hash) {
-        log.error(`${entry.filename}: remote and local SHA-1 hash mismatch -- deleting local copy`)
-        await rm(filepath)
-        entry.downloaded = false
-      }
-    }
-  }
-
-  /**
-   * Downloads files from `this.WARCs` in parallel.
-   * Streams to disk. Downloads up to `this.concurrency` WARCs in parallel.
-   * @returns {Promise<void>}
-   */
-  fetchWARCs = async () => {
-    const { log, concurrency } = this
-    const group = []
-
-    /**
-     * Pulls a WARC and streams it to disk.
-     * @param {WARCReference} ref
-     * @returns {Promise<void>}
-     */
-    const fetchOne = async (ref) => {
-      log.info(`${ref.filename}: downloading ...`)
-      const filepath = `${this.collectionPath}${ref.filename}`
-      const response = await fetch(ref.downloadUrl, { headers: this.getAuthorizationHeader() })
-
-      if (response.status !== 200) {
-        throw new Error(`Archive-It API responded with ${response.status} for ${ref.downloadUrl}`)
-      }
-
-      try {
-        const dest = new WritableStream({
-          async write (chunk) {
-            await appendFile(filepath, chunk)
-          }
-        })
-        await response.body.pipeTo(dest)
-      } catch (err) {
-        throw new Error(`Failed to write ${ref.filename} to disk.\n${err}`)
       }
-    }
 
-    for (let i = 0; i < this.WARCs.length; i++) {
-      const ref = this.WARCs[i]
-
-      // Make groups of X files that need to be downloaded
-      if (group.length < concurrency) {
-        if (ref.downloaded === false) {
-          group.push(ref)
-        }
+      // Persist progress every X completed lookups
+      if (++completed % concurrency === 0) {
+        await this.saveJobState()
       }
+    })
 
-      // Pull files in parallel
-      if (group.length >= concurrency || i === this.WARCs.length - 1) {
-        const results = await Promise.allSettled(group.map(ref => fetchOne(ref)))
-
-        for (const result of results) {
-          if (result.status === 'rejected') {
-            log.trace(result.reason)
-          }
-        }
-
-        group.length = 0
-      }
-    }
+    await this.saveJobState()
   }
 
   /**
    * Generates a pages list (entry points) to be used to generate by pages.jsonl.
-   * Skips WARCS that were marked as `MISSING_URLS_PATCH`.
+   * Skips WARCS that were marked as `MISSING_URLS_PATCH`, and seeds left out by `this.seedFilters`.
    * Updates `this.pages`.
    *
    * See: https://specs.webrecorder.net/wacz/1.1.1/#pages-jsonl
@@ -632,19 +957,68 @@ export class ArchiveItExtractor extends BaseExtractor {
         continue
       }
 
-      for (const crawl of entry.crawledUrls) {
-        // Skip if entry doesn't have a title
-        if (!crawl.title) {
+      for (const crawl of entry.crawledUrls.filter(this.matchesSeedFilters)) {
+        // Entries without a title use their url instead
+        const metadata = this.seeds[crawl.seedId]?.metadata
+
+        this.pages.push({
+          url: crawl.url,
+          title: crawl.title || crawl.url,
+          ts: formatTimestamp(crawl.timestamp),
+          titleSource: crawl.title ? crawl.titleSource : 'url',
+          metadata: metadata && Object.keys(metadata).length ? metadata : null,
+          crawlId: entry.crawlId
+        })
+      }
+    }
+  }
+
+  /**
+   * Lists pages for `buildReport()`, followed by the crawled urls that were left out of the pages list (i.e: "all-html" mode).
+   * @returns {RunReportPage[]}
+   */
+  getReportPages = () => {
+    const inPages = new Set(this.pages.map(page => page.url))
+
+    const pages = this.pages.map(page => ({
+      url: page.url,
+      ts: page.ts || null,
+      title: page.title || null,
+      titleSource: page.titleSource || 'none',
+      inPages: true
+    }))
+
+    for (const entry of this.WARCs) {
+      if (entry.filename.includes('MISSING_URLS_PATCH') || !entry.crawledUrls) {
+        continue
+      }
+
+      for (const crawl of entry.crawledUrls.filter(this.matchesSeedFilters)) {
+        if (inPages.has(crawl.url)) {
           continue
         }
 
-        this.pages.push({
+        pages.push({
           url: crawl.url,
+          ts: crawl.timestamp,
           title: crawl.title,
-          ts: formatTimestamp(crawl.timestamp)
+          titleSource: crawl.title ? crawl.titleSource || 'none' : 'none',
+          inPages: false
         })
       }
     }
+
+    return pages
+  }
+
+  /**
+   * Returns the ids of the seeds crawled alongside a given WARC, sorted. Used to split collections by seed (see `WACZSplitter.getWARCGroup()`).
+   * @param {ArchiveItWARCReference} ref
+   * @returns {number[]}
+   */
+  getWARCSeeds = (ref) => {
+    const seeds = new Set((ref.crawledUrls || []).map(crawl => crawl.seedId ?? null).filter(seedId => seedId !== null))
+    return [...seeds].sort((a, b) => a - b)
   }
 
   /**
@@ -666,10 +1040,12 @@ export class ArchiveItExtractor extends BaseExtractor {
     }
 
     if (notDownloaded) {
-      log.warn(`${this.notDownloaded} of ${this.WARCs.length} WARC files have not been downloaded`)
+      log.warn(`${notDownloaded} of ${this.WARCs.length} WARC files have not been downloaded`)
     }
 
-    log.info(`WACZ file can be found here: ${this.WACZPath}`)
+    this.printWACZReport()
+
+    this.printPackageDiff()
   }
 
   /**
@@ -682,44 +1058,51 @@ export class ArchiveItExtractor extends BaseExtractor {
 }
 
 /**
- * Reference to a WARC file to be downloaded from Archive-It.
+ * Maps Archive-It metadata (i.e: `{Subject: [{value: 'News'}]}`) to Dublin Core elements (i.e: `{subject: ['News']}`).
+ * Fields that are not Dublin Core elements are kept under their original name.
+ * @param {?object} metadata
+ * @returns {Object<string, string[]>}
  */
-export class ArchiveItWARCReference {
-  /**
-   * URL that can be used to download the WARC file.
-   * @type {boolean}
-   */
-  downloadUrl = null
+function mapMetadata (metadata) {
+  const mapped = {}
 
-  /**
-   * Was this WARC downloaded?
-   * @type {boolean}
-   */
-  downloaded = false
+  for (const [key, entries] of Object.entries(metadata || {})) {
+    const element = CONSTANTS.DUBLIN_CORE_ELEMENTS.find(element => element === key.toLowerCase())
 
-  /**
-   * WARC filename.
-   * @type {?string}
-   */
-  filename = null
+    const values = (Array.isArray(entries) ? entries : [entries])
+      .map(entry => entry?.value ?? entry)
+      .filter(value => value !== null && value !== undefined && value !== '')
+      .map(value => `${value}`)
 
+    if (values.length) {
+      mapped[element || key] = values
+    }
+  }
+
+  return mapped
+}
+
+/**
+ * Reference to a WARC file to be downloaded from Archive-It.
+ */
+export class ArchiveItWARCReference extends WARCReference {
   /**
-   * SHA1 hash for that file, as provided by the Archive-It API.
-   * @type {?string}
+   * Identifier used to pull crawl and seed information for a given WARC.
+   * @type {?number}
    */
-  remoteSHA1Hash = null
+  crawlId = null
 
   /**
-   * SHA1 hash for that file, as computed locally.
+   * Time at which this file was crawled, as provided by the WASAPI endpoint.
    * @type {?string}
    */
-  localSHA1Hash = null
+  crawlTime = null
 
   /**
-   * Identifier used to pull crawl and seed information for a given WARC.
-   * @type {?number}
+   * Was crawl and seed information pulled for this WARC?
+   * @type {boolean}
    */
-  crawlId = null
+  crawlInfoFetched = false
 
   /** @type {ArchiveItCrawledUrl[]} */
   crawledUrls = []
@@ -740,4 +1123,16 @@ export class ArchiveItCrawledUrl {
 
   /** @type {?string} */
   title = null
+
+  /**
+   * Where the title was found: the downloaded WARCs, seed metadata, or the archived page itself (Wayback).
+   * @type {?('warc'|'metadata'|'wayback')}
+   */
+  titleSource = null
+
+  /**
+   * Was a title lookup completed for this url?
+   * @type {boolean}
+   */
+  titleChecked = false
 }
@@ -0,0 +1,231 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { ArchiveItExtractor } from './ArchiveItExtractor.js'
+import { JobState } from './JobState.js'
+import { AuthError } from './errors.js'
+import { createLogger, createTempFolder, removeTempFolder, startArchiveItServer, redirectArchiveIt, createWARC } from './fixtures/index.js'
+
+describe('ArchiveItExtractor', () => {
+  let outputPath = null
+
+  before(async () => {
+    outputPath = await createTempFolder()
+  })
+
+  after(async () => {
+    await removeTempFolder(outputPath)
+  })
+
+  /**
+   * @param {object} [options]
+   * @returns {ArchiveItExtractor}
+   */
+  const createExtractor = (options = {}) => {
+    return new ArchiveItExtractor({ username: 'user', password: 'pass', collectionId: 1, outputPath, retries: 0, log: createLogger(), ...options })
+  }
+
+  describe('fetchCollectionInfo()', () => {
+    /**
+     * Creates an extractor with collection information pulled by a previous run.
+     * @returns {ArchiveItExtractor}
+     */
+    const createResumedExtractor = () => {
+      const extractor = createExtractor()
+      extractor.state = new JobState(outputPath)
+      extractor.state.markStepDone('fetchCollectionInfo')
+      extractor.state.data.collection = { title: 'Old title', description: 'Old description', metadata: {} }
+      return extractor
+    }
+
+    it('pulls collection information again if it was pulled by a previous run', async (t) => {
+      const server = await startArchiveItServer({ id: 1, title: 'New title', description: 'New description', files: [] })
+      redirectArchiveIt(t, server.url)
+
+      try {
+        const extractor = createResumedExtractor()
+        await extractor.fetchCollectionInfo()
+
+        assert.equal(extractor.collectionTitle, 'New title')
+        assert.equal(extractor.collectionDescription, 'New description')
+        assert.deepEqual(extractor.collectionMetadata.title, ['New title'])
+        assert.equal(extractor.state.data.collection.title, 'New title')
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('uses information from a previous run if the request fails', async (t) => {
+      const server = await startArchiveItServer({ id: 1, files: [], failures: { '/api/collection': 500 } })
+      redirectArchiveIt(t, server.url)
+
+      try {
+        const extractor = createResumedExtractor()
+        await extractor.fetchCollectionInfo()
+
+        assert.equal(extractor.collectionTitle, 'Old title')
+        assert.equal(extractor.collectionDescription, 'Old description')
+        assert.ok(extractor.log.messages.warn.some(message => message.includes('using information from a previous run')))
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('throws if the request fails and there is no previous run, or if credentials are rejected', async (t) => {
+      const server = await startArchiveItServer({ id: 1, files: [], failures: { '/api/collection': 500 } })
+      redirectArchiveIt(t, server.url)
+
+      try {
+        await assert.rejects(createExtractor().fetchCollectionInfo())
+
+        server.collection.failures['/api/collection'] = 401
+        await assert.rejects(createResumedExtractor().fetchCollectionInfo(), AuthError)
+      } finally {
+        await server.close()
+      }
+    })
+  })
+
+  describe('page titles', () => {
+    const seeds = {
+      title: { id: 11, url: 'https://example.com/' },
+      ogTitle: { id: 12, url: 'https://example.org/' },
+      redirect: { id: 13, url: 'https://example.net/' },
+      wayback: { id: 14, url: 'https://example.edu/' },
+      missing: { id: 15, url: 'https://example.info/' }
+    }
+
+    /**
+     * Packages a crawl whose WARC holds captures for some of the seeds, and returns the titles listed in the run report.
+     * @param {import('node:test').TestContext} t
+     * @returns {Promise<{titles: Object<string, {title: string, titleSource: string}>, waybackRequests: string[]}>}
+     */
+    const packageCrawl = async (t) => {
+      const data = await createWARC([
+        { url: seeds.title.url, body: '<html><head><title>Title</title><meta property="og:title" content="OG title"></head></html>' },
+        { url: seeds.ogTitle.url, body: '<html><head><title> </title><meta property="og:title" content="OG title"></head></html>' },
+        { url: seeds.redirect.url, location: '/home' },
+        { url: `${seeds.redirect.url}home`, title: 'Redirect target' }
+      ])
+
+      const server = await startArchiveItServer({
+        id: 1,
+        title: 'Test',
+        files: [{ filename: 'ARCHIVEIT-1-CRAWL-100-a.warc.gz', crawl: 100, crawlTime: '2021-04-30T20:04:57Z', seeds: Object.values(seeds), data }],
+        wayback: { [seeds.wayback.url]: '<html><head><title>From Wayback</title></head></html>' }
+      })
+
+      redirectArchiveIt(t, server.url)
+      const titlesPath = await createTempFolder()
+
+      try {
+        const report = await createExtractor({ outputPath: titlesPath }).process()
+
+        return {
+          titles: Object.fromEntries(report.pages.map(page => [page.url, { title: page.title, titleSource: page.titleSource }])),
+          waybackRequests: server.requests.filter(url => url.pathname.startsWith('/wayback/')).map(url => decodeURIComponent(url.pathname.split('/').pop()))
+        }
+      } finally {
+        await server.close()
+        await removeTempFolder(titlesPath)
+      }
+    }
+
+    it('reads titles from the WARCs: <title> first, og:title if empty, following captured redirects', async (t) => {
+      const { titles } = await packageCrawl(t)
+
+      assert.deepEqual(titles[seeds.title.url], { title: 'Title', titleSource: 'warc' })
+      assert.deepEqual(titles[seeds.ogTitle.url], { title: 'OG title', titleSource: 'warc' })
+      assert.deepEqual(titles[seeds.redirect.url], { title: 'Redirect target', titleSource: 'warc' })
+    })
+
+    it('only looks up titles that are not in the WARCs on Wayback, and falls back to the url', async (t) => {
+      const { titles, waybackRequests } = await packageCrawl(t)
+
+      assert.deepEqual(waybackRequests.sort(), [seeds.wayback.url, seeds.missing.url].sort())
+      assert.deepEqual(titles[seeds.wayback.url], { title: 'From Wayback', titleSource: 'wayback' })
+      assert.deepEqual(titles[seeds.missing.url], { title: seeds.missing.url, titleSource: 'url' })
+    })
+  })
+
+  describe('getDatapackageExtras()', () => {
+    it('adds the metadata of the seeds that were packaged to provenance and collection metadata', () => {
+      const extractor = createExtractor({ seed: 'https://example.com/*' })
+      extractor.collectionMetadata = { title: ['Test'] }
+      extractor.seeds = {
+        11: { id: 11, url: 'https://example.com/', metadata: { subject: ['News'] } },
+        12: { id: 12, url: 'https://example.org/', metadata: { subject: ['Other'] } },
+        13: { id: 13, url: 'https://example.com/blog', metadata: {} }
+      }
+
+      const extras = extractor.getDatapackageExtras()
+
+      assert.deepEqual(Object.keys(extras), ['provenance', 'metadata', 'seeds'])
+      assert.equal(extras.provenance.platform, 'archive-it')
+      assert.equal(extras.provenance.collectionId, 1)
+      assert.deepEqual(extras.metadata, { title: ['Test'] })
+      assert.deepEqual(extras.seeds, [extractor.seeds[11]])
+    })
+  })
+
+  describe('"sync" mode', () => {
+    /**
+     * @param {string} filename
+     * @param {number} crawl
+     * @param {string} crawlTime
+     * @param {{id: number, url: string}} seed
+     * @returns {Promise<object>} - File entry for `startArchiveItServer()`.
+     */
+    const createFile = async (filename, crawl, crawlTime, seed) => {
+      return { filename, crawl, crawlTime, seeds: [seed], data: await createWARC([{ url: seed.url, title: filename }]) }
+    }
+
+    it('pulls new files, including those of the last crawl, and reports files removed from the collection', async (t) => {
+      const com = { id: 11, url: 'https://example.com/' }
+      const org = { id: 12, url: 'https://example.org/' }
+      const net = { id: 13, url: 'https://example.net/' }
+
+      const server = await startArchiveItServer({
+        id: 1,
+        title: 'Test',
+        files: [
+          await createFile('ARCHIVEIT-1-CRAWL-100-a.warc.gz', 100, '2020-01-01T00:00:00Z', com),
+          await createFile('ARCHIVEIT-1-CRAWL-200-b.warc.gz', 200, '2021-06-01T00:00:00Z', org)
+        ]
+      })
+
+      redirectArchiveIt(t, server.url)
+      const syncPath = await createTempFolder()
+
+      try {
+        await createExtractor({ outputPath: syncPath, sync: true }).process()
+
+        // Upstream: "a" was removed, "c" was written later by the last packaged crawl (same crawl time), "d" is from a new crawl.
+        server.collection.files.shift()
+        server.collection.files.push(await createFile('ARCHIVEIT-1-CRAWL-200-c.warc.gz', 200, '2021-06-01T00:00:00.000Z', org))
+        server.collection.files.push(await createFile('ARCHIVEIT-1-CRAWL-300-d.warc.gz', 300, '2022-01-01T00:00:00.000Z', net))
+        server.requests.length = 0
+
+        const extractor = createExtractor({ outputPath: syncPath, sync: true })
+        const report = await extractor.process()
+
+        const listings = server.requests.filter(url => url.pathname === '/wasapi/v1/webdata')
+        assert.ok(listings.some(url => new Date(url.searchParams.get('crawl-time-after')) < new Date('2021-06-01T00:00:00Z')))
+        assert.ok(listings.some(url => !url.searchParams.has('crawl-time-after')))
+
+        const downloads = server.requests.filter(url => url.pathname.startsWith('/files/')).map(url => url.pathname)
+        assert.deepEqual(downloads.sort(), ['/files/ARCHIVEIT-1-CRAWL-200-c.warc.gz', '/files/ARCHIVEIT-1-CRAWL-300-d.warc.gz'])
+
+        assert.deepEqual(report.packageDiff.addedWARCs.sort(), ['ARCHIVEIT-1-CRAWL-200-c.warc.gz', 'ARCHIVEIT-1-CRAWL-300-d.warc.gz'])
+        assert.deepEqual(report.packageDiff.removedWARCs, ['ARCHIVEIT-1-CRAWL-100-a.warc.gz'])
+        assert.deepEqual(report.packageDiff.addedPages, [net.url])
+        assert.deepEqual(report.packageDiff.removedPages, [com.url])
+        assert.deepEqual(extractor.WARCs.map(ref => ref.filename).sort(), ['ARCHIVEIT-1-CRAWL-200-b.warc.gz', 'ARCHIVEIT-1-CRAWL-200-c.warc.gz', 'ARCHIVEIT-1-CRAWL-300-d.warc.gz'])
+        assert.equal(extractor.state.data.highWaterMark, '2022-01-01T00:00:00.000Z')
+      } finally {
+        await server.close()
+        await removeTempFolder(syncPath)
+      }
+    })
+  })
+})
@@ -1,22 +1,54 @@
-import { rm, access } from 'fs/promises'
-import { accessSync, lstatSync } from 'fs'
+import { rm, mkdir, access, readdir, stat, rename, copyFile, statfs } from 'fs/promises'
+import { accessSync, lstatSync, createWriteStream, createReadStream } from 'fs'
+import { Readable, Transform } from 'node:stream'
+import { EventEmitter } from 'node:events'
+import { pipeline } from 'node:stream/promises'
 import { constants as fsConstants } from 'node:fs'
 import { equal } from 'node:assert'
+import crypto from 'crypto'
 import { sep } from 'path'
 
 import { WACZ } from '@harvard-lil/js-wacz'
+import { WARCParser } from 'warcio'
+import { parse as parseHTML } from 'node-html-parser'
+import { assertValidWACZSignatureFormat } from '@harvard-lil/js-wacz/utils/assertions.js'
 
+import { HttpClient } from './HttpClient.js'
+import { JobState } from './JobState.js'
+import { WorkQueue } from './WorkQueue.js'
+import { WACZSplitter } from './WACZSplitter.js'
+import { Deduplicator } from './Deduplicator.js'
+import { CollectionFolder, isWARCFilename } from './CollectionFolder.js'
+import { ApiError, IntegrityError, PartialCollectionError, WACZBuildError } from './errors.js'
 import * as CONSTANTS from './constants.js'
 
 /**
  * Base class for all wacz-preparator extractors.
  * Inheriting class _must_ implement:
- * - `async process()`
+ * - `async runPipeline()`
  * - `printReport()`
  *
- * Example: ArchiveItExtractor.
+ * Inheriting classes that need to download WARCs should populate `this.WARCs` and can rely on:
+ * - `createCollectionFolder()`
+ * - `deleteLooseWARCs()`
+ * - `checkWARCsHashes()`
+ * - `fetchWARCs()`
+ *
+ * Examples: ArchiveItExtractor, WasapiExtractor.
+ *
+ * Extractors are event emitters, which allows for following progress:
+ * - `step:start` / `step:end`: Pipeline steps (see `runStep()`).
+ * - `warc:progress` / `warc:done`: WARC downloads.
+ * - `title:resolved`: Page titles (ArchiveItExtractor).
+ * - `wacz:progress`: WACZ file generation.
+ * - `error`: Pipeline step failures. Only emitted if there are listeners for it.
+ *
+ * Usage:
+ * ```
+ * collection.on('warc:progress', ({ filename, bytes, total }) => console.log(filename, bytes, total))
+ * ```
  */
-export class BaseExtractor {
+export class BaseExtractor extends EventEmitter {
   /** @type {Console} */
   log = console
 
@@ -26,12 +58,32 @@ export class BaseExtractor {
    */
   WACZPath = null
 
+  /**
+   * Identifier of the collection being processed.
+   * Used to name the collection folder.
+   * @type {?(number|string)}
+   */
+  collectionId = null
+
   /** @type {?string} */
   collectionTitle = null
 
   /** @type {?string} */
   collectionDescription = null
 
+  /**
+   * Descriptive metadata of the collection, keyed by Dublin Core element (i.e: `{subject: ['News', 'Politics']}`).
+   * Added to datapackage.json (see `getDatapackageExtras()`).
+   * @type {Object<string, string[]>}
+   */
+  collectionMetadata = {}
+
+  /**
+   * Name of the platform WARCs are pulled from (i.e: "archive-it"). Used for provenance (see `getProvenance()`).
+   * @type {?string}
+   */
+  platform = null
+
   /**
    * Folder in which wacz-preparator should operate.
    * @type {string}
@@ -44,29 +96,290 @@ export class BaseExtractor {
    */
   collectionPath = null
 
-  /** @type {number} */
+  /**
+   * Maximum number of API requests (metadata, crawl info, page titles ...) that can be run in parallel.
+   * Also limits how many local WARCs are hashed in parallel (see `checkWARCsHashes()`).
+   * @type {number}
+   */
   concurrency = CONSTANTS.DEFAULT_CONCURRENCY
 
+  /**
+   * Maximum number of WARCs that can be downloaded (or read, i.e: to detect pages) in parallel.
+   * @type {number}
+   */
+  downloadConcurrency = CONSTANTS.DEFAULT_DOWNLOAD_CONCURRENCY
+
+  /**
+   * Work queue for API requests. Limited by `this.concurrency`.
+   * Can be shared with other extractors, so they run under a common budget (see `Batch`).
+   * @type {?WorkQueue}
+   */
+  metadataQueue = null
+
+  /**
+   * Work queue for WARC downloads and hash checks. Limited by `this.downloadConcurrency`.
+   * Can be shared with other extractors (see `metadataQueue`).
+   * @type {?WorkQueue}
+   */
+  downloadQueue = null
+
+  /**
+   * HTTP layer used for all outgoing requests (retries, backoff, rate limits).
+   * @type {HttpClient}
+   */
+  http = null
+
   /** @type {?string} */
   signingUrl = null
 
   /** @type {?string} */
   signingToken = null
 
+  /**
+   * If `true`, a WACZ that could not be signed will be kept, unsigned, instead of failing.
+   * @type {boolean}
+   */
+  allowUnsigned = false
+
+  /**
+   * Signature data returned by the signing server, if the WACZ was signed.
+   * See: https://specs.webrecorder.net/wacz-auth/0.1.0/#signature-data-format
+   * @type {?object}
+   */
+  signedData = null
+
+  /**
+   * If `false`, state persisted by a previous run in the collection folder will be ignored.
+   * @type {boolean}
+   */
+  resume = true
+
+  /**
+   * If `true`, only files crawled after the latest crawl time of the previous package will be listed and downloaded.
+   * Files from previous runs are kept and packaged alongside new ones.
+   * @type {boolean}
+   */
+  sync = false
+
+  /**
+   * If `true`, a WACZ file will not be generated if some of the WARCs of the collection could not be downloaded or verified.
+   * @type {boolean}
+   */
+  strict = false
+
+  /**
+   * If `true`, collections for which some of the WARCs could not be downloaded or verified are packaged and considered complete.
+   * By default, they are packaged, but `process()` throws a `PartialCollectionError` or `IntegrityError` afterwards.
+   * @type {boolean}
+   */
+  allowPartial = false
+
+  /**
+   * If `true`, extractors stop after listing WARCs and report what would be downloaded instead (see `planDownloads()`).
+   * Nothing is downloaded, deleted or written to disk.
+   * @type {boolean}
+   */
+  dryRun = false
+
+  /**
+   * If `true`, WARC files present in the collection folder but not referenced in the collection ("loose" files) are removed.
+   * By default, they are kept and reported. Other files are never removed. See `deleteLooseWARCs()`.
+   * @type {boolean}
+   */
+  prune = false
+
+  /**
+   * If set, loose WARC files are moved to this folder when pruned, instead of being deleted.
+   * @type {?string}
+   */
+  quarantinePath = null
+
+  /**
+   * If `true`, an existing collection folder that was not created by wacz-preparator is marked as such, so files can be removed from it
+   * ("prune", `clear()`). See `isManagedFolder()`.
+   * @type {boolean}
+   */
+  adoptFolder = false
+
+  /**
+   * Collection folder of the current run, which holds the lock taken on it if any. See `getCollectionFolder()`.
+   * @type {?CollectionFolder}
+   */
+  collectionFolder = null
+
+  /**
+   * What would be downloaded and how much disk space would be needed. Populated by `planDownloads()`.
+   * @type {?DownloadPlan}
+   */
+  plan = null
+
+  /**
+   * Differences between the package that was just generated and the previous one.
+   * Populated by `recordPackage()`.
+   * @type {?PackageDiff}
+   */
+  packageDiff = null
+
+  /**
+   * Timings and outcome of each pipeline step of the current run, keyed by step name. See `runStep()`.
+   * @type {Object<string, StepTiming>}
+   */
+  timings = {}
+
+  /**
+   * Time at which the current run started (ISO date).
+   * @type {?string}
+   */
+  startedAt = null
+
+  /**
+   * Machine-readable report of the last run. Populated by `buildReport()`.
+   * @type {?RunReport}
+   */
+  report = null
+
+  /**
+   * Persistent state of the current job. Loaded by `loadJobState()`.
+   * @type {?JobState}
+   */
+  state = null
+
   /**
    * Used to identify entry points for pages.jsonl
    * @type {WACZPage[]}
    */
   pages = []
 
+  /**
+   * How pages.jsonl is populated (see `detectPages()`):
+   * - "seeds": entry points only (i.e: Archive-It seeds, or the pages file of the local extractor).
+   * - "seeds+html": entry points, followed by every other HTML page captured in the WARCs.
+   * - "all-html": every HTML page captured in the WARCs.
+   * @type {('seeds'|'seeds+html'|'all-html')}
+   */
+  pagesMode = CONSTANTS.DEFAULT_PAGES_MODE
+
+  /**
+   * If `true`, the text of each page is extracted from the WARCs and added to pages.jsonl, for full-text search (see `extractPagesText()`).
+   * @type {boolean}
+   */
+  extractText = false
+
+  /**
+   * Maximum number of characters of text extracted per page.
+   * @type {number}
+   */
+  maxTextLength = CONSTANTS.DEFAULT_MAX_TEXT_LENGTH
+
+  /**
+   * If set, WARCs are grouped into several WACZ files, tied together by a multi-WACZ manifest (see `WACZSplitter`):
+   * - "crawl": one WACZ file per crawl.
+   * - "year": one WACZ file per year of crawl.
+   * - "seed": one WACZ file per seed, or group of seeds crawled together (see `getWARCSeeds()`).
+   * @type {?('crawl'|'year'|'seed')}
+   */
+  splitBy = null
+
+  /**
+   * If set, WARCs are spread across as many WACZ files as needed to stay under that size, in bytes. 0 means "no limit".
+   * Can be combined with `this.splitBy`.
+   * @type {number}
+   */
+  maxWACZSize = CONSTANTS.DEFAULT_MAX_WACZ_SIZE
+
+  /**
+   * If `true`, payloads captured more than once across the WARCs of a WACZ file are only stored once:
+   * duplicates are turned into `revisit` records pointing at the first capture (see `Deduplicator`).
+   * Downloaded WARCs are left untouched: deduplicated copies are packaged instead.
+   * @type {boolean}
+   */
+  dedup = false
+
+  /**
+   * Outcome of the deduplication of each WACZ file that was generated, if `this.dedup` is `true`. Populated by `generateWACZ()`.
+   * @type {DedupSummary[]}
+   */
+  dedupSummaries = []
+
+  /**
+   * WACZ files generated when splitting is enabled. Populated by `generateWACZParts()`.
+   * @type {WACZPart[]}
+   */
+  WACZParts = []
+
+  /**
+   * Path of the multi-WACZ manifest tying `this.WACZParts` together. Populated by `generateWACZParts()`.
+   * @type {?string}
+   */
+  manifestPath = null
+
+  /**
+   * Which WARCs of the collection should be pulled and packaged (see `matchesWARCFilters()`):
+   * - `crawls`: crawl ids.
+   * - `crawlTimeAfter` / `crawlTimeBefore`: crawl date range (ISO dates, inclusive).
+   * - `include` / `exclude`: filename patterns ("*" and "?" wildcards).
+   * @type {WARCFilters}
+   */
+  WARCFilters = {
+    crawls: [],
+    crawlTimeAfter: null,
+    crawlTimeBefore: null,
+    include: [],
+    exclude: []
+  }
+
+  /**
+   * WARCs of the collection that were left out by filters (see `filterWARCs()`).
+   * They are neither downloaded nor packaged, but copies already on disk and information kept in job state are preserved.
+   * @type {WARCReference[]}
+   */
+  filteredOutWARCs = []
+
+  /**
+   * WARC files to pull and package.
+   * @type {WARCReference[]}
+   */
+  WARCs = []
+
   /**
    * @param {number} [options.outputPath=null] - Path to output (collection temporary files, final WACZ). Will default to current folder.
-   * @param {number} [options.concurrency=50] - Maximum number of requests that can be run in parallel. Defaults to 50.
+   * @param {number} [options.concurrency=50] - Maximum number of API requests, and of local WARCs being hashed, that can be run in parallel. Defaults to 50.
+   * @param {number} [options.downloadConcurrency=10] - Maximum number of WARCs that can be downloaded in parallel. Defaults to 10.
    * @param {string} [options.signingUrl=null] - If set, will be used to try and sign the resulting archive. Must be an authsign-compatible API endpoint (https://github.com/webrecorder/authsign).
-   * @param {string} [options.signingToken=null] - Access token to be used in combination with `signingUrl`.
+   * @param {string} [options.signingToken=null] - Access token to be used in combination with `signingUrl`. Sent as "bearer <token>" unless it already contains an authorization scheme.
+   * @param {boolean} [options.sync=false] - If `true`, only files crawled since the previous package will be listed and downloaded. Requires state from a previous run.
+   * @param {boolean} [options.strict=false] - If `true`, will not generate a WACZ file if some of the WARCs could not be downloaded or verified.
+   * @param {boolean} [options.allowPartial=false] - If `true`, collections for which some of the WARCs could not be downloaded or verified will be considered complete.
+   * @param {string} [options.pagesMode="seeds"] - How pages.jsonl is populated: "seeds", "seeds+html" or "all-html". See `detectPages()`.
+   * @param {boolean} [options.extractText=false] - If `true`, the text of each page will be extracted from the WARCs and added to pages.jsonl, for full-text search.
+   * @param {number} [options.maxTextLength=50000] - Maximum number of characters of text extracted per page.
+   * @param {string} [options.splitBy=null] - If set, WARCs are grouped into several WACZ files: "crawl", "year" or "seed". See `WACZSplitter.planParts()`.
+   * @param {number} [options.maxWACZSize=0] - If set, WARCs are spread across several WACZ files of up to that size, in bytes.
+   * @param {boolean} [options.dedup=false] - If `true`, duplicate payloads across the WARCs of a WACZ file are turned into `revisit` records. See `Deduplicator`.
+   * @param {string|string[]} [options.crawl] - Only pull and package WARCs from these crawls.
+   * @param {string} [options.crawlTimeAfter] - Only pull and package WARCs crawled on or after this date. Must be parsable by Date().
+   * @param {string} [options.crawlTimeBefore] - Only pull and package WARCs crawled on or before this date. Must be parsable by Date(). Dates without a time (YYYY-MM-DD) include that whole day (UTC).
+   * @param {string|string[]} [options.include] - Only pull and package WARCs whose filename matches one of these patterns ("*" and "?" wildcards).
+   * @param {string|string[]} [options.exclude] - Do not pull nor package WARCs whose filename matches one of these patterns.
+   * @param {boolean} [options.dryRun=false] - If `true`, will only report what would be downloaded. Nothing is downloaded, deleted or written to disk.
+   * @param {boolean} [options.prune=false] - If `true`, WARC files present in the collection folder but not referenced in the collection will be removed.
+   * @param {string} [options.quarantinePath=null] - If set, pruned WARC files will be moved to this folder instead of being deleted.
+   * @param {boolean} [options.adoptFolder=false] - If `true`, an existing collection folder that was not created by wacz-preparator will be marked as such. See `isManagedFolder()`.
+   * @param {boolean} [options.resume=true] - If `false`, state persisted by a previous run in the collection folder will be ignored.
+   * @param {boolean} [options.allowUnsigned=false] - If `true`, will keep the WACZ unsigned, with a warning, if the signing server could not sign it.
+   * @param {number} [options.retries=3] - How many times failed requests should be retried.
+   * @param {number} [options.retryDelay=1000] - Base delay between retries, in milliseconds. Doubled on each attempt.
+   * @param {number} [options.maxRetryDelay=60000] - Upper bound for the delay between retries, in milliseconds.
+   * @param {number} [options.rateLimit=0] - Maximum number of requests per second, per host. 0 means "no limit".
+   * @param {number} [options.maxBandwidth=0] - Maximum download speed, in bytes per second, across all downloads. 0 means "no limit".
    * @param {?Console} [options.log=null] - Will be used instead of the Console API for logging, if compatible (i.e: loglevel). Defaults to globalThis.console.
+   * @param {?HttpClient} [options.http=null] - HTTP layer to use instead of a new one, i.e: to share rate limits and bandwidth cap with other extractors. Retry, rate limit and bandwidth options are ignored if set.
+   * @param {?WorkQueue} [options.metadataQueue=null] - Work queue for API requests to use instead of a new one, i.e: to share it with other extractors. "concurrency" is ignored if set.
+   * @param {?WorkQueue} [options.downloadQueue=null] - Work queue for downloads to use instead of a new one. "downloadConcurrency" is ignored if set.
    */
   constructor (options) {
+    super()
+
     if (options?.log) {
       this.log = options.log
 
@@ -79,6 +392,19 @@ export class BaseExtractor {
       }
     }
 
+    if (options?.http instanceof HttpClient) {
+      this.http = options.http
+    } else {
+      this.http = new HttpClient({
+        retries: options?.retries,
+        retryDelay: options?.retryDelay,
+        maxRetryDelay: options?.maxRetryDelay,
+        rateLimit: options?.rateLimit,
+        maxBandwidth: options?.maxBandwidth,
+        log: this.log
+      })
+    }
+
     if (options?.outputPath) {
       try {
         accessSync(options.outputPath, fsConstants.W_OK)
@@ -102,6 +428,97 @@ export class BaseExtractor {
       }
     }
 
+    if (options?.downloadConcurrency) {
+      try {
+        const downloadConcurrency = Number(options.downloadConcurrency)
+        equal(isNaN(downloadConcurrency), false)
+        equal(downloadConcurrency > 0, true)
+        this.downloadConcurrency = downloadConcurrency
+      } catch (err) {
+        this.log.trace(err)
+        this.log.warn(`"downloadConcurrency" must be a positive number. Using ${this.downloadConcurrency} instead`)
+      }
+    }
+
+    if (options?.pagesMode) {
+      try {
+        equal(CONSTANTS.PAGES_MODES.includes(options.pagesMode), true)
+        this.pagesMode = options.pagesMode
+      } catch (err) {
+        this.log.trace(err)
+        this.log.warn(`"pagesMode" must be one of: ${CONSTANTS.PAGES_MODES.join(', ')}. Using ${this.pagesMode} instead`)
+      }
+    }
+
+    if (options?.extractText === true) {
+      this.extractText = true
+    }
+
+    if (options?.maxTextLength) {
+      try {
+        const maxTextLength = Number(options.maxTextLength)
+        equal(isNaN(maxTextLength), false)
+        equal(maxTextLength > 0, true)
+        this.maxTextLength = maxTextLength
+      } catch (err) {
+        this.log.trace(err)
+        this.log.warn(`"maxTextLength" must be a positive number. Using ${this.maxTextLength} instead`)
+      }
+    }
+
+    if (options?.splitBy) {
+      try {
+        equal(CONSTANTS.SPLIT_MODES.includes(options.splitBy), true)
+        this.splitBy = options.splitBy
+      } catch (err) {
+        this.log.trace(err)
+        this.log.warn(`"splitBy" must be one of: ${CONSTANTS.SPLIT_MODES.join(', ')} -- skipping`)
+      }
+    }
+
+    if (options?.maxWACZSize) {
+      try {
+        const maxWACZSize = Number(options.maxWACZSize)
+        equal(isNaN(maxWACZSize), false)
+        equal(maxWACZSize > 0, true)
+        this.maxWACZSize = maxWACZSize
+      } catch (err) {
+        this.log.trace(err)
+        this.log.warn('"maxWACZSize" must be a positive number -- skipping')
+      }
+    }
+
+    if (options?.dedup === true) {
+      this.dedup = true
+    }
+
+    for (const [key, filter] of [['crawl', 'crawls'], ['include', 'include'], ['exclude', 'exclude']]) {
+      if (options?.[key]) {
+        this.WARCFilters[filter] = (Array.isArray(options[key]) ? options[key] : [options[key]])
+          .map(value => `${value}`.trim())
+          .filter(value => value.length > 0)
+      }
+    }
+
+    for (const key of ['crawlTimeAfter', 'crawlTimeBefore']) {
+      if (options?.[key]) {
+        try {
+          this.WARCFilters[key] = new Date(options[key]).toISOString()
+
+          // Date only: the upper bound includes that whole day
+          if (key === 'crawlTimeBefore' && /^\d{4}-\d{2}-\d{2}$/.test(`${options[key]}`.trim())) {
+            this.WARCFilters[key] = `${this.WARCFilters[key].substring(0, 10)}T23:59:59.999Z`
+          }
+        } catch (err) {
+          this.log.trace(err)
+          throw new Error(`"${key}" must be a valid date`)
+        }
+      }
+    }
+
+    this.metadataQueue = options?.metadataQueue instanceof WorkQueue ? options.metadataQueue : new WorkQueue(this.concurrency)
+    this.downloadQueue = options?.downloadQueue instanceof WorkQueue ? options.downloadQueue : new WorkQueue(this.downloadConcurrency)
+
     if (options?.signingUrl) {
       try {
         this.signingUrl = new URL(options.signingUrl).href
@@ -114,65 +531,2086 @@ export class BaseExtractor {
     if (this.signingUrl && options?.signingToken) {
       this.signingToken = `${options.signingToken}`
     }
+
+    if (options?.allowUnsigned === true) {
+      this.allowUnsigned = true
+    }
+
+    if (options?.resume === false) {
+      this.resume = false
+    }
+
+    if (options?.strict === true && options?.allowPartial === true) {
+      throw new Error('"strict" and "allowPartial" cannot be used together')
+    }
+
+    if (options?.strict === true) {
+      this.strict = true
+    }
+
+    if (options?.allowPartial === true) {
+      this.allowPartial = true
+    }
+
+    if (options?.dryRun === true) {
+      this.dryRun = true
+    }
+
+    if (options?.prune === true) {
+      this.prune = true
+    }
+
+    if (options?.quarantinePath) {
+      this.quarantinePath = `${options.quarantinePath}`.trim()
+
+      if (!this.prune) {
+        this.log.warn('"quarantinePath" has no effect unless "prune" is true')
+      }
+    }
+
+    if (options?.adoptFolder === true) {
+      this.adoptFolder = true
+    }
+
+    if (options?.sync === true) {
+      this.sync = true
+
+      if (!this.resume) {
+        throw new Error('"sync" cannot be used when "resume" is false')
+      }
+    }
   }
 
   /**
-   * Calls js-wacz to generate a WACZ out of the .warc / .warc.gz files that were downloaded.
-   * Note: Sets `this.WACZPath` to "archive.wacz" if not set.
-   * @throws
-   * @param {string} [inputFormat="warc.gz"]
-   * @returns {Promise<void>}
+   * Runs a given pipeline step, and keeps track of its timing and outcome in `this.timings`.
+   * Errors are re-thrown.
+   * @param {string} step - Name of the step.
+   * @param {function(): Promise<any>} fn
+   * @returns {Promise<any>}
    */
-  generateWACZ = async (inputFormat = 'warc.gz') => {
-    if (['warc', 'warc.gz'].includes(inputFormat) === false) {
-      throw new Error('"inputFormat" must be either ".warc" or ".warc.gz".')
+  runStep = async (step, fn) => {
+    const start = Date.now()
+
+    /** @type {StepTiming} */
+    const timing = { status: 'running', startedAt: new Date(start).toISOString(), endedAt: null, durationMs: null, error: null }
+
+    this.startedAt = this.startedAt || timing.startedAt
+    this.timings[step] = timing
+    this.emit('step:start', { step })
+
+    try {
+      const result = await fn()
+      timing.status = 'done'
+      return result
+    } catch (err) {
+      timing.status = 'failed'
+      timing.error = `${err?.message || err}`
+      this.emitError(err, step)
+      throw err
+    } finally {
+      timing.endedAt = new Date().toISOString()
+      timing.durationMs = Date.now() - start
+      this.emit('step:end', { step, ...timing })
     }
+  }
 
-    if (!this.WACZPath) {
-      this.WACZPath = `${this.outputPath}${sep}archive.wacz`
+  /**
+   * Emits an `error` event, if there are listeners for it.
+   * (Emitting `error` without listeners would throw.)
+   * @param {Error} error
+   * @param {?string} [step=null] - Pipeline step during which the error occurred.
+   * @returns {void}
+   */
+  emitError = (error, step = null) => {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', { step, error })
     }
+  }
 
-    const archive = new WACZ({
-      input: `${this.collectionPath}*.${inputFormat}`,
-      output: this.WACZPath,
-      log: this.log,
-      title: this.collectionTitle,
-      description: this.collectionDescription
-    })
+  /**
+   * Checks whether all the WARCs of `this.WARCs` are available locally.
+   * @returns {?(IntegrityError|PartialCollectionError)} - `IntegrityError` if some WARCs failed integrity checks, `PartialCollectionError` if some are missing, `null` otherwise.
+   */
+  getCollectionError = () => {
+    const total = this.WARCs.length
+    const missing = this.WARCs.filter(ref => !ref.downloaded)
+    const mismatched = missing.filter(ref => ref.status === 'mismatch')
 
-    // Add pages
-    for (const page of this.pages) {
-      archive.addPage(page.url, page.title, page.ts)
+    if (mismatched.length) {
+      return new IntegrityError(
+        `${mismatched.length} of ${total} WARC files failed integrity checks (checksum or size mismatch)`,
+        { filenames: mismatched.map(ref => ref.filename) }
+      )
     }
 
-    // Process archive
-    await archive.process()
+    if (missing.length) {
+      return new PartialCollectionError(
+        `${missing.length} of ${total} WARC files could not be downloaded`,
+        { filenames: missing.map(ref => ref.filename) }
+      )
+    }
 
-    // Check that file is there
-    await access(this.WACZPath)
+    return null
   }
 
   /**
-   * Need method needs to be implemented by inheriting classes.
+   * Builds a machine-readable report of the current run, based on `this.timings`, `this.WARCs` and `this.pages`.
+   * Computes the size and SHA-256 hash of the WACZ file, if it was generated during this run.
+   * If the collection was split into several WACZ files, describes them instead (see `generateWACZParts()`).
+   * Populates and returns `this.report`.
+   * @returns {Promise<RunReport>}
    */
-  process = async () => {
-    throw new Error('Not implemented.')
+  buildReport = async () => {
+    const endedAt = new Date()
+    const generated = this.timings.generateWACZ?.status === 'done'
+
+    /** @type {?RunReportWACZ} */
+    let WACZ = null
+
+    /** @type {RunReportWACZPart[]} */
+    let WACZParts = []
+
+    if (generated && this.WACZParts.length) {
+      WACZParts = this.WACZParts.map(part => ({
+        path: part.path,
+        size: part.size,
+        sha256: part.sha256,
+        signedBy: part.signedBy,
+        WARCs: part.WARCs.map(ref => ref.filename),
+        pages: part.pages.length
+      }))
+    } else if (generated) {
+      try {
+        WACZ = {
+          path: this.WACZPath,
+          size: (await stat(this.WACZPath)).size,
+          sha256: (await this.computeChecksums(this.WACZPath, ['sha256'])).sha256,
+          signedBy: this.signedData ? this.getSignerIdentity() : null
+        }
+      } catch (err) {
+        this.log.trace(err)
+        this.log.warn('WACZ file could not be read -- it will not be described in the report')
+      }
+    }
+
+    this.report = {
+      extractor: this.constructor.name,
+      version: CONSTANTS.PACKAGE_INFO.version,
+      collection: {
+        id: this.collectionId,
+        title: this.collectionTitle,
+        description: this.collectionDescription,
+        metadata: this.collectionMetadata
+      },
+      success: this.dryRun ? this.plan !== null : WACZ !== null || WACZParts.length > 0,
+      complete: this.getCollectionError() === null,
+      dryRun: this.dryRun,
+      sync: this.sync,
+      startedAt: this.startedAt,
+      endedAt: endedAt.toISOString(),
+      durationMs: this.startedAt ? endedAt.getTime() - new Date(this.startedAt).getTime() : null,
+      steps: this.timings,
+      filteredOutWARCs: this.filteredOutWARCs.map(ref => ref.filename),
+      WARCs: this.WARCs.map(ref => ({
+        filename: ref.filename,
+        size: ref.size,
+        status: ref.status,
+        error: ref.error,
+        remoteChecksums: ref.remoteChecksums,
+        localChecksums: ref.localChecksums
+      })),
+      pages: this.getReportPages(),
+      WACZ,
+      WACZParts,
+      manifest: WACZParts.length ? this.manifestPath : null,
+      packageDiff: this.packageDiff,
+      deduplication: this.dedupSummaries,
+      plan: this.plan
+    }
+
+    return this.report
   }
 
   /**
-   * Need method needs to be implemented by inheriting classes.
+   * Lists pages for `buildReport()`, alongside where their title comes from.
+   * Can be overridden by inheriting classes.
+   * @returns {RunReportPage[]}
    */
-  printReport = () => {
-    throw new Error('Not implemented.')
+  getReportPages = () => {
+    return this.pages.map(page => ({
+      url: page.url,
+      ts: page.ts || null,
+      title: page.title || null,
+      titleSource: page.titleSource || 'none',
+      inPages: true
+    }))
   }
 
   /**
-   * Deletes the collection folder and its contents.
-   * @returns {Promise<void>}
+   * Custom fields added to datapackage.json, under "extras": provenance and collection metadata,
+   * followed by extractor-specific fields (see `getExtraDatapackageFields()`).
+   * @returns {object}
    */
-  clear = async () => {
-    if (this.collectionPath) {
-      await rm(this.collectionPath, { force: true, recursive: true })
+  getDatapackageExtras = () => {
+    const extras = { provenance: this.getProvenance() }
+
+    if (Object.keys(this.collectionMetadata).length) {
+      extras.metadata = this.collectionMetadata
+    }
+
+    return { ...extras, ...this.getExtraDatapackageFields() }
+  }
+
+  /**
+   * Extractor-specific fields to add to the "extras" of datapackage.json (see `getDatapackageExtras()`).
+   * Can be overridden by inheriting classes.
+   * @returns {object}
+   */
+  getExtraDatapackageFields = () => {
+    return {}
+  }
+
+  /**
+   * Where the contents of the WACZ come from, and when and how they were pulled.
+   * @returns {{platform: ?string, collectionId: ?(number|string), software: string, fetchedAt: string}}
+   */
+  getProvenance = () => {
+    return {
+      platform: this.platform,
+      collectionId: this.collectionId,
+      software: `${CONSTANTS.PACKAGE_INFO.name} ${CONSTANTS.PACKAGE_INFO.version}`,
+      fetchedAt: this.state?.data.steps.fetchWARCsList || this.startedAt || new Date().toISOString()
     }
   }
+
+  /**
+   * Calls js-wacz to generate a WACZ out of the .warc / .warc.gz files that were downloaded.
+   * If `this.dedup` is `true`, deduplicated copies of the files listed in `input` are packaged instead (see `Deduplicator`).
+   * Note: Sets `this.WACZPath` to "archive.wacz" if not set.
+   * @throws {WACZBuildError}
+   * @param {string} [inputFormat="warc.gz"]
+   * @param {?string[]} [input=null] - Paths of the files to package. Defaults to all the `inputFormat` files in `this.collectionPath`.
+   * @param {object} [options]
+   * @param {?string} [options.output=null] - Path of the WACZ file. Defaults to `this.WACZPath`.
+   * @param {?WACZPage[]} [options.pages=null] - Pages to list. Defaults to `this.pages`.
+   * @param {?string} [options.title=null] - Defaults to `this.collectionTitle`.
+   * @param {?WACZPartInfo} [options.part=null] - If set, stored as `part` in the extras of datapackage.json.
+   * @returns {Promise<void>}
+   */
+  generateWACZ = async (inputFormat = 'warc.gz', input = null, options = {}) => {
+    if (!input && ['warc', 'warc.gz'].includes(inputFormat) === false) {
+      throw new Error('"inputFormat" must be either ".warc" or ".warc.gz".')
+    }
+
+    if (!this.WACZPath) {
+      this.WACZPath = `${this.outputPath}${sep}archive.wacz`
+    }
+
+    const output = options?.output || this.WACZPath
+    const pages = options?.pages || this.pages
+    const datapackageExtras = this.getDatapackageExtras()
+
+    if (options?.part) {
+      datapackageExtras.part = options.part
+    }
+
+    // Deduplicated copies are kept next to the WACZ file until it is generated
+    const dedupPath = `${output}${CONSTANTS.DEDUP_FOLDER_SUFFIX}${sep}`
+
+    if (this.dedup && input) {
+      try {
+        const { paths, summary } = await new Deduplicator(this).dedupWARCs(input, dedupPath)
+        input = paths
+        datapackageExtras.deduplication = summary
+        this.dedupSummaries.push(summary)
+        this.log.info(`${summary.revisits} duplicate records were turned into revisit records, in ${summary.WARCs.length} WARCs (${formatBytes(summary.savedBytes)} saved)`)
+      } catch (err) {
+        await rm(dedupPath, { recursive: true, force: true })
+        throw new WACZBuildError(`WARCs could not be deduplicated: ${err?.message}`, { cause: err })
+      }
+    }
+
+    /** @type {?WACZ} */
+    let archive = null
+
+    try {
+      archive = new WACZ({
+        input: input || `${this.collectionPath}*.${inputFormat}`,
+        output,
+        log: this.log,
+        title: options?.title || this.collectionTitle,
+        description: this.collectionDescription,
+        signingUrl: this.signingUrl,
+        signingToken: this.signingToken,
+        detectPages: false, // See `detectPages()`
+        datapackageExtras
+      })
+
+      // Signing, pages and hashes are handled by replacing js-wacz internals (see below), hence the exact version in package.json
+      const missing = ['requestSignature', 'writePagesToZip', 'sha256'].filter(method => typeof archive[method] !== 'function')
+
+      if (missing.length) {
+        throw new Error(`unsupported version of js-wacz (${missing.join(', ')} not found)`)
+      }
+    } catch (err) {
+      await rm(dedupPath, { recursive: true, force: true })
+      throw new WACZBuildError(`WACZ file could not be initialized: ${err?.message}`, { cause: err })
+    }
+
+    // Signature requests go through `this.requestSignature()` for clearer error reporting
+    this.signedData = null
+    archive.requestSignature = async () => this.requestSignature(archive)
+
+    // Pages are split between pages.jsonl and extraPages.jsonl (see `writePagesToZip()`)
+    archive.writePagesToZip = async () => this.writePagesToZip(archive)
+
+    // js-wacz feeds files read from disk to the hash function twice, which results in wrong hashes for WARCs in datapackage.json
+    archive.sha256 = async (file) => {
+      if (file instanceof Uint8Array) {
+        return `sha256:${crypto.createHash('sha256').update(file).digest('hex')}`
+      }
+
+      return `sha256:${(await this.computeChecksums(file, ['sha256'])).sha256}`
+    }
+
+    // Add pages, alongside optional fields allowed by the spec
+    for (const page of pages) {
+      const entry = archive.addPage(page.url, page.title, page.ts)
+
+      for (const field of ['size', 'status', 'mime', 'text', 'metadata']) {
+        if (page[field] !== undefined && page[field] !== null) {
+          entry[field] = page[field]
+        }
+      }
+    }
+
+    this.trackWACZProgress(archive)
+
+    // Process archive. Incomplete files are not kept around.
+    try {
+      await archive.process()
+    } catch (err) {
+      await rm(output, { force: true })
+      throw new WACZBuildError(`WACZ file could not be generated: ${err?.message}`, { cause: err })
+    } finally {
+      await rm(dedupPath, { recursive: true, force: true })
+    }
+
+    // Check that file is there
+    await access(output)
+
+    // A single WACZ file replaces the parts of a previous run that split the collection
+    if (!options?.output) {
+      await new WACZSplitter(this).removeStaleFiles([output])
+    }
+  }
+
+  /**
+   * Should the collection be split into several WACZ files? (see `generateWACZParts()`)
+   * @returns {boolean}
+   */
+  shouldSplitWACZ = () => {
+    return Boolean(this.splitBy || this.maxWACZSize)
+  }
+
+  /**
+   * Generates one WACZ file per group of WARCs, and a multi-WACZ manifest tying them together (see `WACZSplitter`).
+   * Populates `this.WACZParts` and `this.manifestPath`.
+   * @throws {WACZBuildError}
+   * @returns {Promise<void>}
+   */
+  generateWACZParts = async () => {
+    await new WACZSplitter(this).generateParts()
+  }
+
+  /**
+   * Returns the ids of the seeds captured in a given WARC, sorted. Used to split collections by seed (see `WACZSplitter.getWARCGroup()`).
+   * Can be overridden by inheriting classes: none by default.
+   * @param {WARCReference} ref
+   * @returns {Array<number|string>}
+   */
+  getWARCSeeds = (ref) => {
+    return []
+  }
+
+  /**
+   * Wraps the processing stages of a js-wacz instance so they emit `wacz:progress` events.
+   * Indexing and writing WARCs to the archive also emit an event for each WARC.
+   *
+   * Relies on js-wacz internals (hence the exact version in package.json): methods that are missing are left as-is,
+   * in which case the matching events are not emitted, but the WACZ file is still generated.
+   *
+   * @param {WACZ} archive
+   * @returns {void}
+   */
+  trackWACZProgress = (archive) => {
+    const total = archive.WARCs.length
+    let indexed = 0
+    let written = 0
+
+    for (const stage of ['indexWARCs', 'writeIndexesToZip', 'writePagesToZip', 'copyPagesFilesToZip', 'writeWARCsToZip', 'writeDatapackageToZip', 'writeDatapackageDigestToZip', 'finalize']) {
+      wrapMethod(archive, stage, run => async (...args) => {
+        this.emit('wacz:progress', { stage, done: null, total: null })
+        return run(...args)
+      })
+    }
+
+    wrapMethod(archive, 'initWorkerPool', initWorkerPool => (...args) => {
+      const result = initWorkerPool(...args)
+
+      wrapMethod(archive.indexWARCPool, 'run', run => async (...args) => {
+        const result = await run(...args)
+        indexed += 1
+        this.emit('wacz:progress', { stage: 'indexWARCs', done: indexed, total })
+        return result
+      })
+
+      return result
+    })
+
+    wrapMethod(archive, 'addFileToZip', addFileToZip => async (file, destination, ...args) => {
+      const resource = await addFileToZip(file, destination, ...args)
+
+      if (`${destination}`.startsWith('archive/')) {
+        written += 1
+        this.emit('wacz:progress', { stage: 'writeWARCsToZip', done: written, total })
+      }
+
+      return resource
+    })
+  }
+
+  /**
+   * Requests a signature for the datapackage of a WACZ being generated from `this.signingUrl`.
+   * Expects the remote server to be authsign-compatible (https://github.com/webrecorder/authsign).
+   * Populates `this.signedData`.
+   *
+   * If the signature could not be obtained:
+   * - Throws, unless `this.allowUnsigned` is `true`.
+   * - Returns `undefined` otherwise, which results in an unsigned WACZ.
+   *
+   * @param {WACZ} archive - js-wacz instance for which the datapackage needs to be signed.
+   * @returns {Promise<?object>} - Signature data to be appended to the datapackage digest.
+   */
+  requestSignature = async (archive) => {
+    const { log, signingUrl, signingToken } = this
+    const datapackageHash = archive.resources.find(entry => entry.name === 'datapackage.json')?.hash
+
+    try {
+      if (!archive.datapackageDate || !datapackageHash) {
+        throw new Error('No datapackage to sign')
+      }
+
+      const headers = { 'Content-Type': 'application/json' }
+
+      if (signingToken) {
+        headers.Authorization = signingToken.includes(' ') ? signingToken : `bearer ${signingToken}`
+      }
+
+      /** @type {?Response} */
+      let response = null
+
+      try {
+        response = await this.http.fetch(signingUrl, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ hash: datapackageHash, created: archive.datapackageDate })
+        })
+      } catch (err) {
+        log.trace(err)
+        throw new Error(`Signing server ${signingUrl} could not be reached`)
+      }
+
+      if ([401, 403].includes(response.status)) {
+        throw new Error(`Signing server rejected the request (HTTP ${response.status}): "signingToken" is missing or invalid`)
+      }
+
+      if (response.status !== 200) {
+        const body = (await response.text()).substring(0, 200)
+        throw new Error(`Signing server rejected the request (HTTP ${response.status}): ${body}`)
+      }
+
+      const signedData = await response.json()
+
+      try {
+        assertValidWACZSignatureFormat(signedData)
+      } catch (err) {
+        log.trace(err)
+        throw new Error('Signing server returned an invalid WACZ signature')
+      }
+
+      if (signedData.hash !== datapackageHash) {
+        throw new Error('Signing server returned a signature for a different hash')
+      }
+
+      this.signedData = signedData
+      return signedData
+    } catch (err) {
+      if (!this.allowUnsigned) {
+        log.error(err.message)
+        throw err
+      }
+
+      log.warn(`${err.message} -- WACZ will NOT be signed`)
+      return undefined
+    }
+  }
+
+  /**
+   * Returns a human-readable description of who signed the WACZ, if it was signed.
+   * @returns {?string}
+   */
+  getSignerIdentity = () => {
+    const { signedData } = this
+
+    if (!signedData) {
+      return null
+    }
+
+    if (signedData.domain) {
+      return `${signedData.domain} (domain signature, ${signedData.software})`
+    }
+
+    const fingerprint = crypto.createHash('sha256')
+      .update(Buffer.from(signedData.publicKey, 'base64'))
+      .digest('hex')
+      .substring(0, 16)
+
+    return `anonymous key ${fingerprint} (${signedData.software})`
+  }
+
+  /**
+   * Goes through the entire preparation process (see `runPipeline()`).
+   * The lock taken on the collection folder, if any, is released once done, even if a step failed.
+   * @returns {Promise<RunReport>} - See `buildReport()`.
+   */
+  process = async () => {
+    try {
+      return await this.runPipeline()
+    } finally {
+      await this.collectionFolder?.releaseLock()
+    }
+  }
+
+  /**
+   * Need method needs to be implemented by inheriting classes.
+   */
+  runPipeline = async () => {
+    throw new Error('Not implemented.')
+  }
+
+  /**
+   * Need method needs to be implemented by inheriting classes.
+   */
+  printReport = () => {
+    throw new Error('Not implemented.')
+  }
+
+  /**
+   * Lists the WARCs of the remote collection that would be packaged with the current options (filters applied), without downloading anything.
+   * Populates `this.WARCs`. Used to check a WACZ file against its source collection (see `Verifier`).
+   * Need method needs to be implemented by inheriting classes pulling WARCs from a remote source.
+   * @returns {Promise<void>}
+   */
+  listSourceWARCs = async () => {
+    throw new Error('Not implemented.')
+  }
+
+  /**
+   * Creates collection-specific folder if needed, and takes a lock on it (see `CollectionFolder.acquireLock()`).
+   * Uses `this.collectionId` to name it.
+   * Folders created by wacz-preparator are marked as such (see `isManagedFolder()`), and so are existing folders if `this.adoptFolder` is `true`.
+   * @returns {Promise<void>}
+   */
+  createCollectionFolder = async () => {
+    this.collectionPath = `${this.outputPath}${sep}${this.collectionId}${sep}`
+    const folder = this.getCollectionFolder()
+    const exists = await folder.exists()
+
+    if (exists) {
+      this.log.info(`Collection folder ${this.collectionPath} already exists`)
+    } else {
+      this.log.info(`Collection folder ${this.collectionPath} needs to be created`)
+    }
+
+    if (!exists && this.dryRun) {
+      this.log.info('Dry run: collection folder will not be created')
+      return
+    }
+
+    if (!exists) {
+      await folder.create()
+    }
+
+    if (exists && this.adoptFolder && !this.dryRun && !(await folder.isManaged())) {
+      this.log.info(`Collection folder ${this.collectionPath} was not created by wacz-preparator -- marking it as managed ("adoptFolder")`)
+      await folder.markAsManaged(true)
+    }
+
+    if (!this.dryRun) {
+      await folder.acquireLock()
+    }
+  }
+
+  /**
+   * Returns the collection folder at `this.collectionPath`, creating a new instance if that path changed.
+   * @returns {CollectionFolder}
+   */
+  getCollectionFolder = () => {
+    if (this.collectionFolder?.path !== this.collectionPath) {
+      this.collectionFolder = new CollectionFolder(this.collectionPath, { collectionId: this.collectionId, log: this.log })
+    }
+
+    return this.collectionFolder
+  }
+
+  /**
+   * Checks whether the collection folder was created by wacz-preparator (see `CollectionFolder.isManaged()`).
+   * Nothing is ever removed from folders that were not, unless they were adopted (see `adoptFolder`).
+   * @returns {Promise<boolean>}
+   */
+  isManagedFolder = async () => {
+    return this.getCollectionFolder().isManaged()
+  }
+
+  /**
+   * Loads the job state persisted in the collection folder by a previous run, if any and if `this.resume` is `true`.
+   * Must be called after `createCollectionFolder()`.
+   * Populates `this.state`.
+   * @returns {Promise<void>}
+   */
+  loadJobState = async () => {
+    if (this.resume) {
+      this.state = await JobState.load(this.collectionPath, this.log)
+    } else {
+      this.state = new JobState(this.collectionPath)
+    }
+
+    const completed = Object.keys(this.state.data.steps)
+
+    if (completed.length) {
+      this.log.info(`Resuming from previous run. Steps already completed: ${completed.join(', ')}`)
+    }
+  }
+
+  /**
+   * Persists `this.WARCs` into job state and writes it to disk.
+   * Does nothing if `loadJobState()` was not called.
+   * @param {?string} [step=null] - If provided, will be marked as completed.
+   * @returns {Promise<void>}
+   */
+  saveJobState = async (step = null) => {
+    const { state } = this
+
+    if (!state || this.dryRun) {
+      return
+    }
+
+    if (step) {
+      state.markStepDone(step)
+    }
+
+    // Keep WARCs from previous run until they have been listed again.
+    // WARCs left out by filters are kept as well, so they do not have to be pulled again if filters change.
+    if (this.WARCs.length || this.filteredOutWARCs.length) {
+      state.setWARCs([...this.WARCs, ...this.filteredOutWARCs])
+    }
+
+    await state.save()
+  }
+
+  /**
+   * Returns the crawl time after which files should be listed, if running in "sync" mode.
+   * The high-water mark is the latest crawl time of the WARCs that were packaged, and WARCs written later by the same crawl share that crawl time:
+   * as WASAPI's `crawl-time-after` filter is exclusive, it is moved one second back. Files listed again are de-duplicated by filename.
+   * @returns {?string} - ISO date, or `null` if all files should be listed.
+   */
+  getSyncHighWaterMark = () => {
+    const highWaterMark = this.sync ? parseTime(this.state?.data?.highWaterMark) : null
+
+    if (highWaterMark === null) {
+      return null
+    }
+
+    return new Date(highWaterMark - 1000).toISOString()
+  }
+
+  /**
+   * Removes the WARCs that do not pass a given check from `this.WARCs`, and moves them to `this.filteredOutWARCs`.
+   * @param {function(WARCReference): boolean} [keep] - Defaults to `matchesWARCFilters()`.
+   * @returns {number} - How many WARCs were left out.
+   */
+  filterWARCs = (keep = this.matchesWARCFilters) => {
+    const kept = []
+
+    for (const ref of this.WARCs) {
+      if (keep(ref)) {
+        kept.push(ref)
+      } else {
+        this.filteredOutWARCs.push(ref)
+      }
+    }
+
+    const filteredOut = this.WARCs.length - kept.length
+    this.WARCs = kept
+    return filteredOut
+  }
+
+  /**
+   * Checks a WARC against `this.WARCFilters`.
+   * WARCs with no known crawl id or crawl time are left out by crawl and date filters.
+   * @param {WARCReference} ref
+   * @returns {boolean}
+   */
+  matchesWARCFilters = (ref) => {
+    const { crawls, crawlTimeAfter, crawlTimeBefore, include, exclude } = this.WARCFilters
+
+    if (crawls.length && !crawls.includes(`${ref.crawlId}`)) {
+      return false
+    }
+
+    if (crawlTimeAfter || crawlTimeBefore) {
+      const crawlTime = ref.crawlTime ? new Date(ref.crawlTime) : null
+
+      if (!crawlTime || isNaN(crawlTime.getTime())) {
+        return false
+      }
+
+      if ((crawlTimeAfter && crawlTime.toISOString() < crawlTimeAfter) ||
+          (crawlTimeBefore && crawlTime.toISOString() > crawlTimeBefore)
+      ) {
+        return false
+      }
+    }
+
+    if (include.length && !this.matchesPatterns(include, ref.filename)) {
+      return false
+    }
+
+    return !this.matchesPatterns(exclude, ref.filename)
+  }
+
+  /**
+   * Checks a value (i.e: a filename or url) against a list of patterns, in which "*" matches any sequence of characters and "?" any single character.
+   * @param {string[]} patterns
+   * @param {?string} value
+   * @returns {boolean} - `true` if at least one pattern matches.
+   */
+  matchesPatterns = (patterns, value) => {
+    return patterns.some(pattern => patternToRegExp(pattern).test(`${value}`))
+  }
+
+  /**
+   * In "sync" mode: adds WARCs known from previous runs that are not part of `this.WARCs` back to it, so they are kept and packaged.
+   * The whole collection is listed first (see `listCollectionFilenames()`): WARCs that are no longer part of it are not added back,
+   * and will be reported as removed (see `recordPackage()`).
+   * @param {function(object): WARCReference} createReference - Turns a serialized WARC reference into an instance.
+   * @returns {Promise<number>} - How many WARCs were added back.
+   */
+  mergeWARCsFromJobState = async (createReference) => {
+    const { log } = this
+
+    if (!this.sync || !this.state) {
+      return 0
+    }
+
+    const listed = new Set(this.WARCs.map(ref => ref.filename))
+
+    // Without a high-water mark, the whole collection was listed already
+    const upstream = this.getSyncHighWaterMark() ? await this.listCollectionFilenames() : listed
+    let merged = 0
+    let removed = 0
+
+    for (const [filename, data] of Object.entries(this.state.data.WARCs)) {
+      if (listed.has(filename)) {
+        continue
+      }
+
+      if (!upstream.has(filename)) {
+        log.info(`${filename}: no longer part of the collection (sync)`)
+        removed += 1
+        continue
+      }
+
+      const ref = createReference(data)
+      ref.downloaded = false
+      ref.status = 'pending'
+      ref.error = null
+      this.WARCs.push(ref)
+      merged += 1
+    }
+
+    if (removed) {
+      log.info(`${removed} entries from previous runs are no longer part of the collection`)
+    }
+
+    // Files added after the fact with an older crawl time (i.e: patch crawls) are not covered by the high-water mark
+    const skipped = [...upstream].filter(filename => !listed.has(filename) && !(filename in this.state.data.WARCs))
+
+    if (skipped.length) {
+      log.warn(`${skipped.length} files were added to the collection with a crawl time older than the previous package, and will only be pulled by a full run (without "sync"): ${skipped.join(', ')}`)
+    }
+
+    return merged
+  }
+
+  /**
+   * Lists the filenames of all the files of the collection, regardless of the "sync" high-water mark. Nothing is downloaded.
+   * Relies on `fetchWARCsList({ full: true })`: `this.WARCs` is left untouched.
+   * @returns {Promise<Set<string>>}
+   */
+  listCollectionFilenames = async () => {
+    const { WARCs } = this
+
+    try {
+      this.WARCs = []
+      await this.fetchWARCsList({ full: true })
+      return new Set(this.WARCs.map(ref => ref.filename))
+    } finally {
+      this.WARCs = WARCs
+    }
+  }
+
+  /**
+   * Compares the package that was just generated with the previous one, and records its contents in job state.
+   * Also moves the "sync" high-water mark to the latest crawl time of the WARCs that were packaged.
+   * Populates `this.packageDiff`.
+   * @returns {Promise<void>}
+   */
+  recordPackage = async () => {
+    const { state } = this
+
+    if (!state) {
+      return
+    }
+
+    const WARCs = this.WARCs.filter(ref => ref.downloaded).map(ref => ref.filename)
+    const pages = [...new Set(this.pages.map(page => page.url))]
+    const previous = state.data.lastPackage
+
+    if (previous) {
+      const previousWARCs = new Set(previous.WARCs)
+      const previousPages = new Set(previous.pages)
+      const currentWARCs = new Set(WARCs)
+      const currentPages = new Set(pages)
+
+      this.packageDiff = {
+        previousCreatedAt: previous.createdAt,
+        addedWARCs: WARCs.filter(filename => !previousWARCs.has(filename)),
+        removedWARCs: previous.WARCs.filter(filename => !currentWARCs.has(filename)),
+        addedPages: pages.filter(url => !previousPages.has(url)),
+        removedPages: previous.pages.filter(url => !currentPages.has(url))
+      }
+    }
+
+    state.data.lastPackage = { createdAt: new Date().toISOString(), WARCs, pages }
+
+    for (const ref of this.WARCs) {
+      const crawlTime = parseTime(ref.crawlTime)
+
+      if (ref.downloaded && crawlTime !== null && crawlTime > (parseTime(state.data.highWaterMark) ?? -Infinity)) {
+        state.data.highWaterMark = new Date(crawlTime).toISOString()
+      }
+    }
+
+    await this.saveJobState('generateWACZ')
+  }
+
+  /**
+   * Logs `this.packageDiff`, if available.
+   * @returns {void}
+   */
+  printPackageDiff = () => {
+    const { log, packageDiff } = this
+
+    if (!packageDiff) {
+      return
+    }
+
+    log.info(`Changes since previous package (${packageDiff.previousCreatedAt}):`)
+
+    for (const [label, list] of [
+      ['WARCs added', packageDiff.addedWARCs],
+      ['WARCs removed', packageDiff.removedWARCs],
+      ['Pages added', packageDiff.addedPages],
+      ['Pages removed', packageDiff.removedPages]
+    ]) {
+      log.info(`- ${label}: ${list.length}`)
+
+      for (const entry of list) {
+        log.info(`  - ${entry}`)
+      }
+    }
+  }
+
+  /**
+   * Logs where the WACZ file(s) can be found, and whether they were signed.
+   * @returns {void}
+   */
+  printWACZReport = () => {
+    const { log } = this
+
+    if (!this.WACZParts.length) {
+      log.info(`WACZ file can be found here: ${this.WACZPath}`)
+
+      if (this.signedData) {
+        log.info(`WACZ file was signed by: ${this.getSignerIdentity()}`)
+      } else if (this.signingUrl) {
+        log.warn('WACZ file was NOT signed')
+      }
+
+      return
+    }
+
+    log.info(`${this.WACZParts.length} WACZ files were generated. Multi-WACZ manifest can be found here: ${this.manifestPath}`)
+
+    for (const part of this.WACZParts) {
+      log.info(`- ${part.path} (${part.WARCs.length} WARCs, ${part.pages.length} pages)`)
+
+      if (part.signedBy) {
+        log.info(`  Signed by: ${part.signedBy}`)
+      } else if (this.signingUrl) {
+        log.warn(`  ${part.name} was NOT signed`)
+      }
+    }
+  }
+
+  /**
+   * Handles WARC files from collection directory that are not referenced in the collection ("loose" files, see `listLooseFiles()`).
+   * Loose files are only removed if `this.prune` is `true`, and if the folder was created by wacz-preparator (see `isManagedFolder()`).
+   * They are moved to `this.quarantinePath` if set, and deleted otherwise.
+   * @returns {Promise<void>}
+   */
+  deleteLooseWARCs = async () => {
+    const { log, collectionPath, quarantinePath } = this
+    const looseFiles = await this.listLooseFiles()
+
+    if (!looseFiles.length) {
+      return
+    }
+
+    if (!this.prune) {
+      for (const filename of looseFiles) {
+        log.warn(`${filename}: present on disk but not in collection -- keeping it (see "prune")`)
+      }
+
+      return
+    }
+
+    if (!(await this.isManagedFolder())) {
+      log.warn(`${collectionPath} was not created by wacz-preparator (no ${CONSTANTS.COLLECTION_MARKER_FILENAME} file): ${looseFiles.length} loose files will not be removed (see "adoptFolder")`)
+      return
+    }
+
+    /** @type {?string} */
+    let destination = null
+
+    if (quarantinePath) {
+      destination = `${quarantinePath}${sep}${this.collectionId}${sep}`
+      await mkdir(destination, { recursive: true })
+    }
+
+    for (const filename of looseFiles) {
+      const filepath = `${collectionPath}${filename}`
+
+      if (!destination) {
+        log.info(`${filename}: present on disk but not in collection, will be deleted`)
+        await rm(filepath)
+        continue
+      }
+
+      let target = `${destination}${filename}`
+
+      // Never overwrite previously quarantined files
+      try {
+        await access(target)
+        target = `${destination}${Date.now()}-${filename}`
+      } catch (_err) {}
+
+      log.info(`${filename}: present on disk but not in collection, will be moved to ${target}`)
+
+      try {
+        await rename(filepath, target)
+      } catch (err) {
+        if (err.code !== 'EXDEV') {
+          throw err
+        }
+
+        // Quarantine folder is on another device
+        await copyFile(filepath, target)
+        await rm(filepath)
+      }
+    }
+  }
+
+  /**
+   * Lists WARC files (and interrupted downloads) from collection directory that are not referenced in the collection.
+   * WARCs left out by filters (see `filterWARCs()`) are not considered loose, and files that are not WARCs are ignored.
+   * See `deleteLooseWARCs()`.
+   * @returns {Promise<string[]>} - Filenames
+   */
+  listLooseFiles = async () => {
+    const inCollection = {}
+
+    // WARCs left out by filters are still part of the collection
+    for (const entry of [...this.WARCs, ...this.filteredOutWARCs]) {
+      inCollection[entry.filename] = true
+      inCollection[`${entry.filename}.part`] = true // Interrupted downloads
+    }
+
+    return (await readdir(this.collectionPath)).filter(filename => isWARCFilename(filename) && !(filename in inCollection))
+  }
+
+  /**
+   * Compares `this.WARCs` with what is already present in `this.collectionPath`, without downloading or deleting anything.
+   * Files are considered "valid" if their checksums were cached in job state and match, and "present" if their size matches but they haven't been hashed yet.
+   * Populates `this.plan`.
+   * @returns {Promise<void>}
+   */
+  planDownloads = async () => {
+    /** @type {DownloadPlan} */
+    const plan = {
+      WARCs: this.WARCs.length,
+      totalBytes: 0,
+      unknownSizes: 0,
+      valid: 0,
+      present: 0,
+      invalid: 0,
+      missing: 0,
+      partialBytes: 0,
+      bytesToDownload: 0,
+      looseFiles: [],
+      looseBytes: 0,
+      estimatedWACZBytes: 0,
+      dedupBytes: 0,
+      diskSpaceNeeded: 0,
+      diskSpaceAvailable: null
+    }
+
+    let folderExists = true
+
+    try {
+      await access(this.collectionPath)
+    } catch (_err) {
+      folderExists = false
+    }
+
+    for (const ref of this.WARCs) {
+      const filepath = this.getWARCPath(ref)
+
+      if (ref.size) {
+        plan.totalBytes += ref.size
+      } else {
+        plan.unknownSizes += 1
+      }
+
+      /** @type {?import('fs').Stats} */
+      let stats = null
+
+      try {
+        stats = await stat(filepath)
+      } catch (_err) {}
+
+      if (stats) {
+        const cached = this.state?.getChecksums(ref.filename, stats, this.getChecksumAlgorithms(ref))
+        const mismatches = cached ? this.getChecksumMismatches({ ...ref, localChecksums: cached }) : []
+
+        if (mismatches.length || (ref.size && stats.size !== ref.size)) {
+          plan.invalid += 1
+          plan.bytesToDownload += ref.size || 0
+        } else if (cached) {
+          plan.valid += 1
+        } else {
+          plan.present += 1
+        }
+
+        continue
+      }
+
+      plan.missing += 1
+      let partialBytes = 0
+
+      try {
+        partialBytes = (await stat(`${filepath}.part`)).size
+      } catch (_err) {}
+
+      plan.partialBytes += partialBytes
+      plan.bytesToDownload += Math.max((ref.size || 0) - partialBytes, 0)
+    }
+
+    if (folderExists) {
+      for (const filename of await this.listLooseFiles()) {
+        const { size } = await stat(`${this.collectionPath}${filename}`)
+        plan.looseFiles.push(filename)
+        plan.looseBytes += size
+      }
+    }
+
+    // WARCs are stored as-is in the WACZ file, which will replace the previous one if any.
+    plan.estimatedWACZBytes = plan.totalBytes
+    let existingWACZBytes = 0
+
+    try {
+      existingWACZBytes = (await stat(this.WACZPath)).size
+    } catch (_err) {}
+
+    // Deduplicated copies of the WARCs of a WACZ file are kept next to it until it is generated (see `Deduplicator`)
+    if (this.dedup) {
+      const largest = Math.max(0, ...this.WARCs.map(ref => ref.size || 0))
+      plan.dedupBytes = this.maxWACZSize ? Math.min(plan.totalBytes, Math.max(this.maxWACZSize, largest)) : plan.totalBytes
+    }
+
+    // Loose files only free up space if they are deleted
+    const freedBytes = this.prune && !this.quarantinePath ? plan.looseBytes : 0
+    plan.diskSpaceNeeded = Math.max(plan.bytesToDownload + plan.estimatedWACZBytes + plan.dedupBytes - freedBytes - existingWACZBytes, 0)
+
+    try {
+      const fsStats = await statfs(this.outputPath)
+      plan.diskSpaceAvailable = fsStats.bavail * fsStats.bsize
+    } catch (err) {
+      this.log.trace(err)
+      this.log.warn('Available disk space could not be determined')
+    }
+
+    this.plan = plan
+  }
+
+  /**
+   * Prints `this.plan`.
+   * @returns {void}
+   */
+  printPlan = () => {
+    const { log, plan } = this
+
+    if (!plan) {
+      return
+    }
+
+    log.info('📋 Dry run: nothing was downloaded or deleted')
+    log.info(`WARC files: ${plan.WARCs} (${formatBytes(plan.totalBytes)})`)
+
+    if (plan.unknownSizes) {
+      log.warn(`${plan.unknownSizes} WARC files have no known size: estimates below are incomplete`)
+    }
+
+    log.info(`- Already present and valid: ${plan.valid}`)
+    log.info(`- Already present, to be verified: ${plan.present}`)
+    log.info(`- Present but invalid, to be downloaded again: ${plan.invalid}`)
+    log.info(`- Missing, to be downloaded: ${plan.missing} (${formatBytes(plan.partialBytes)} already partially downloaded)`)
+    log.info(`To download: ${formatBytes(plan.bytesToDownload)}`)
+    if (!this.prune) {
+      log.info(`Loose files, to be kept: ${plan.looseFiles.length} (${formatBytes(plan.looseBytes)})`)
+    } else if (this.quarantinePath) {
+      log.info(`Loose files to be moved to ${this.quarantinePath}: ${plan.looseFiles.length} (${formatBytes(plan.looseBytes)})`)
+    } else {
+      log.info(`Loose files to be deleted: ${plan.looseFiles.length} (${formatBytes(plan.looseBytes)})`)
+    }
+
+    for (const filename of plan.looseFiles) {
+      log.info(`- ${filename}`)
+    }
+
+    log.info(`Estimated WACZ size: ${formatBytes(plan.estimatedWACZBytes)}`)
+
+    if (this.dedup) {
+      log.info(`Deduplicated copies of WARCs, while packaging: up to ${formatBytes(plan.dedupBytes)}`)
+    }
+
+    log.info(`Estimated free disk space needed: ${formatBytes(plan.diskSpaceNeeded)}`)
+
+    if (plan.diskSpaceAvailable !== null) {
+      log.info(`Free disk space available in ${this.outputPath}: ${formatBytes(plan.diskSpaceAvailable)}`)
+
+      if (plan.diskSpaceAvailable < plan.diskSpaceNeeded) {
+        log.warn('There is not enough free disk space to process this collection')
+      }
+    }
+  }
+
+  /**
+   * For each entry in `this.WARCs`:
+   * - Check if file exists locally and check local checksums against the ones provided by the remote source (SHA-1, SHA-256 and / or MD5).
+   * - Mark WARC as "downloaded" true / false based on results.
+   * - Will delete local files that have a checksum (or size, if no checksum was provided) mismatch.
+   *
+   * Files are hashed as streams, up to `this.concurrency` in parallel.
+   * Checksums cached in job state are re-used for files that haven't changed since they were hashed.
+   * @returns {Promise<void>}
+   */
+  checkWARCsHashes = async () => {
+    const { log } = this
+
+    /**
+     * @param {WARCReference} entry
+     * @returns {Promise<void>}
+     */
+    const checkOne = async (entry) => {
+      const filepath = this.getWARCPath(entry)
+      const algorithms = this.getChecksumAlgorithms(entry)
+      entry.downloaded = true
+
+      /** @type {?import('fs').Stats} */
+      let stats = null
+
+      try {
+        stats = await stat(filepath)
+      } catch (_err) {
+        entry.downloaded = false
+        return
+      }
+
+      try {
+        entry.localChecksums = this.state?.getChecksums(entry.filename, stats, algorithms) || {}
+
+        if (Object.keys(entry.localChecksums).length) {
+          log.info(`${entry.filename}: present on disk, unchanged since last hash check`)
+        } else {
+          log.info(`${entry.filename}: present on disk, checking ${algorithms.join(', ')}`)
+          entry.localChecksums = await this.computeChecksums(filepath, algorithms)
+          this.state?.setChecksums(entry.filename, stats, entry.localChecksums)
+        }
+
+        entry.localSHA1Hash = entry.localChecksums.sha1 || null
+      } catch (err) {
+        log.trace(err)
+        log.error(`${entry.filename}: error occurred while calculating checksums`)
+        entry.downloaded = false
+        entry.status = 'failed'
+        entry.error = `Checksums could not be calculated: ${err?.message || err}`
+        return
+      }
+
+      const mismatches = this.getChecksumMismatches(entry)
+
+      if (mismatches.length) {
+        log.error(`${entry.filename}: remote and local ${mismatches.join(', ')} mismatch -- deleting local copy`)
+        await rm(filepath)
+        entry.downloaded = false
+        entry.status = 'mismatch'
+        entry.error = `Remote and local ${mismatches.join(', ')} mismatch`
+        return
+      }
+
+      if (!Object.keys(entry.remoteChecksums).length) {
+        if (entry.size && stats.size !== entry.size) {
+          log.error(`${entry.filename}: remote and local size mismatch -- deleting local copy`)
+          await rm(filepath)
+          entry.downloaded = false
+          entry.status = 'mismatch'
+          entry.error = 'Remote and local size mismatch'
+          return
+        }
+
+        log.warn(`${entry.filename}: no checksum provided by remote source -- could not be verified`)
+      }
+
+      // Files downloaded during this run keep their status
+      if (entry.status !== 'downloaded') {
+        entry.status = 'present'
+        entry.error = null
+      }
+    }
+
+    const results = await new WorkQueue(this.concurrency).map(this.WARCs, checkOne)
+
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        throw result.reason
+      }
+    }
+  }
+
+  /**
+   * Downloads files from `this.WARCs` in parallel.
+   * Downloads up to `this.downloadConcurrency` WARCs in parallel (see `this.downloadQueue`): a new download starts as soon as another one completes.
+   * Total download speed is capped by `this.http.maxBandwidth`, if set.
+   *
+   * Each file is streamed to a `.part` file first, which is:
+   * - Resumed using HTTP Range requests on the next run if the download was interrupted (and if the server supports it).
+   *   Downloads start over if the server sends back a range that does not start where the `.part` file ends.
+   * - Hashed as it is being written, so no second read pass is needed (except for the existing part of resumed downloads).
+   * - Only renamed into place once its checksums (or size, if no checksum was provided) were verified.
+   *
+   * @returns {Promise<void>}
+   */
+  fetchWARCs = async () => {
+    const { log, http } = this
+    const queued = []
+
+    /**
+     * Pulls a WARC and streams it to disk.
+     * @param {WARCReference} ref
+     * @returns {Promise<void>}
+     */
+    const fetchOne = async (ref) => {
+      const filepath = this.getWARCPath(ref)
+      const partPath = `${filepath}.part`
+      const headers = { ...this.getAuthorizationHeader() }
+      const algorithms = this.getChecksumAlgorithms(ref)
+      ref.status = 'pending'
+      ref.error = null
+
+      // Resume from existing .part file, if any.
+      let offset = 0
+
+      try {
+        offset = (await stat(partPath)).size
+      } catch (_err) {}
+
+      if (offset > 0) {
+        log.info(`${ref.filename}: resuming download from byte ${offset} ...`)
+        headers.Range = `bytes=${offset}-`
+      } else {
+        log.info(`${ref.filename}: downloading ...`)
+      }
+
+      let response = await this.http.fetch(ref.downloadUrl, { headers })
+
+      // Resumed download: bytes are only appended if they start right where the .part file ends.
+      if (response.status === 206 && offset > 0 && getContentRangeStart(response.headers.get('Content-Range')) !== offset) {
+        log.info(`${ref.filename}: server did not resume download from byte ${offset}, starting over`)
+        await response.body?.cancel()
+        await rm(partPath, { force: true })
+
+        offset = 0
+        delete headers.Range
+        response = await this.http.fetch(ref.downloadUrl, { headers })
+      }
+
+      const hashes = this.createHashes(algorithms)
+      let bytes = 0
+
+      // 416: Range not satisfiable. The .part file may already be complete.
+      if (response.status === 416 && offset > 0) {
+        await response.body?.cancel()
+        await this.updateHashesFromFile(hashes, partPath)
+      } else {
+        let flags = 'a'
+
+        if (response.status === 200) {
+          if (offset > 0) {
+            log.info(`${ref.filename}: server does not support resuming downloads, starting over`)
+          }
+
+          flags = 'w'
+        } else if (response.status !== 206 || offset === 0) {
+          throw ApiError.fromResponse(response, `Server (${ref.downloadUrl})`)
+        }
+
+        // Resumed download: the part that is already on disk needs to be hashed first.
+        if (flags === 'a') {
+          await this.updateHashesFromFile(hashes, partPath)
+          bytes = offset
+        }
+
+        // Chunks are small and frequent: events are spaced by at least `CONSTANTS.WARC_PROGRESS_INTERVAL` ms, except for the first and last ones.
+        let lastProgress = 0
+
+        const emitProgress = (force = false) => {
+          if (!force && Date.now() - lastProgress < CONSTANTS.WARC_PROGRESS_INTERVAL) {
+            return
+          }
+
+          lastProgress = Date.now()
+          this.emit('warc:progress', { filename: ref.filename, bytes, total: ref.size })
+        }
+
+        emitProgress(true)
+
+        // Interrupted transfers can be retried: they will resume from the .part file.
+        try {
+          await pipeline(
+            Readable.fromWeb(response.body),
+            new Transform({
+              transform (chunk, _encoding, callback) {
+                for (const hash of Object.values(hashes)) {
+                  hash.update(chunk)
+                }
+
+                bytes += chunk.length
+                emitProgress()
+                http.throttle(chunk.length).then(() => callback(null, chunk), callback)
+              }
+            }),
+            createWriteStream(partPath, { flags })
+          )
+
+          emitProgress(true)
+        } catch (err) {
+          const error = new Error(`Failed to write ${ref.filename} to disk.\n${err}`)
+          error.retryable = true
+          throw error
+        }
+      }
+
+      // Verify and rename into place
+      ref.localChecksums = this.digestHashes(hashes)
+      ref.localSHA1Hash = ref.localChecksums.sha1 || null
+      const mismatches = this.getChecksumMismatches(ref)
+
+      if (mismatches.length) {
+        await rm(partPath, { force: true })
+        ref.status = 'mismatch'
+        throw new IntegrityError(`${ref.filename}: remote and local ${mismatches.join(', ')} mismatch after download -- partial download deleted`, { filenames: [ref.filename] })
+      }
+
+      if (!Object.keys(ref.remoteChecksums).length && ref.size && (await stat(partPath)).size !== ref.size) {
+        await rm(partPath, { force: true })
+        ref.status = 'mismatch'
+        throw new IntegrityError(`${ref.filename}: remote and local size mismatch after download -- partial download deleted`, { filenames: [ref.filename] })
+      }
+
+      await rename(partPath, filepath)
+      ref.downloaded = true
+      ref.status = 'downloaded'
+      this.emit('warc:done', { filename: ref.filename, status: ref.status, error: null })
+
+      this.state?.setChecksums(ref.filename, await stat(filepath), ref.localChecksums)
+      await this.saveJobState()
+    }
+
+    for (const ref of this.WARCs) {
+      if (ref.downloaded !== false) {
+        continue
+      }
+
+      if (ref.downloadUrl) {
+        queued.push(ref)
+      } else {
+        log.warn(`${ref.filename}: no download location provided -- skipping`)
+        ref.status = 'skipped'
+        ref.error = 'No download location provided by remote source'
+        this.emit('warc:done', { filename: ref.filename, status: ref.status, error: ref.error })
+      }
+    }
+
+    await this.downloadQueue.map(queued, async (ref) => {
+      try {
+        await http.retry(() => fetchOne(ref), `${ref.filename}: download`)
+      } catch (err) {
+        ref.status = ref.status === 'mismatch' ? 'mismatch' : 'failed'
+        ref.error = `${err?.message || err}`
+        log.trace(err)
+        log.warn(`${ref.filename}: could not be downloaded (${ref.error}) -- skipping`)
+        this.emit('warc:done', { filename: ref.filename, status: ref.status, error: ref.error })
+      }
+    })
+  }
+
+  /**
+   * Computes checksums of a given file, reading it as a stream.
+   * @param {string} filepath
+   * @param {string[]} [algorithms=["sha1"]]
+   * @returns {Promise<Object<string, string>>} - Hex digests, keyed by algorithm.
+   */
+  computeChecksums = async (filepath, algorithms = ['sha1']) => {
+    const hashes = this.createHashes(algorithms)
+    await this.updateHashesFromFile(hashes, filepath)
+    return this.digestHashes(hashes)
+  }
+
+  /**
+   * @param {string[]} algorithms
+   * @returns {Object<string, crypto.Hash>}
+   */
+  createHashes = (algorithms) => {
+    const hashes = {}
+
+    for (const algorithm of algorithms) {
+      hashes[algorithm] = crypto.createHash(algorithm)
+    }
+
+    return hashes
+  }
+
+  /**
+   * Feeds the contents of a file into a set of hashes, as a stream.
+   * @param {Object<string, crypto.Hash>} hashes
+   * @param {string} filepath
+   * @returns {Promise<void>}
+   */
+  updateHashesFromFile = async (hashes, filepath) => {
+    for await (const chunk of createReadStream(filepath)) {
+      for (const hash of Object.values(hashes)) {
+        hash.update(chunk)
+      }
+    }
+  }
+
+  /**
+   * @param {Object<string, crypto.Hash>} hashes
+   * @returns {Object<string, string>} - Hex digests, keyed by algorithm.
+   */
+  digestHashes = (hashes) => {
+    const digests = {}
+
+    for (const [algorithm, hash] of Object.entries(hashes)) {
+      digests[algorithm] = hash.digest('hex')
+    }
+
+    return digests
+  }
+
+  /**
+   * Filters and normalizes a WASAPI `checksums` object (i.e: `{"sha1": "...", "md5": "..."}`).
+   * Only keeps algorithms listed in `CONSTANTS.SUPPORTED_CHECKSUM_ALGORITHMS`.
+   * @param {?object} checksums
+   * @returns {Object<string, string>}
+   */
+  parseChecksums = (checksums) => {
+    const parsed = {}
+
+    for (const [algorithm, value] of Object.entries(checksums || {})) {
+      const key = algorithm.toLowerCase().replace('-', '')
+
+      if (CONSTANTS.SUPPORTED_CHECKSUM_ALGORITHMS.includes(key) && typeof value === 'string' && /^[0-9a-f]+$/i.test(value)) {
+        parsed[key] = value.toLowerCase()
+      }
+    }
+
+    return parsed
+  }
+
+  /**
+   * Returns the algorithms that should be used to hash a given WARC: SHA-1, plus any other checksum provided by the remote source.
+   * @param {WARCReference} ref
+   * @returns {string[]}
+   */
+  getChecksumAlgorithms = (ref) => {
+    return [...new Set(['sha1', ...Object.keys(ref.remoteChecksums || {})])]
+  }
+
+  /**
+   * Returns the algorithms for which remote and local checksums of a given WARC differ.
+   * @param {WARCReference} ref
+   * @returns {string[]}
+   */
+  getChecksumMismatches = (ref) => {
+    return Object.keys(ref.remoteChecksums || {})
+      .filter(algorithm => ref.localChecksums?.[algorithm] !== ref.remoteChecksums[algorithm])
+  }
+
+  /**
+   * Reads a WARC file and extracts the page title of a given list of URLs from their `response` records.
+   * See `readCapturesFromWARC()` and `getTitleFromHTML()`.
+   *
+   * @param {string} filepath
+   * @param {string[]} urls
+   * @returns {Promise<Object<string, string>>} - Titles that could be found, keyed by URL (as provided).
+   */
+  extractTitlesFromWARC = async (filepath, urls) => {
+    return this.readCapturesFromWARC(filepath, urls, this.getTitleFromHTML)
+  }
+
+  /**
+   * Reads a WARC file and runs the HTML captures of a given list of URLs through a parsing function.
+   * Only successful HTML responses of up to `CONSTANTS.MAX_HTML_SIZE` bytes are parsed. Redirects captured for one of these URLs are followed.
+   * The first capture of a given URL for which `parse` returns a value wins.
+   *
+   * @param {string} filepath
+   * @param {string[]} urls
+   * @param {function(string): ?string} parse - Receives the HTML of a capture.
+   * @returns {Promise<Object<string, string>>} - Values returned by `parse`, keyed by URL (as provided).
+   */
+  readCapturesFromWARC = async (filepath, urls, parse) => {
+    /** @type {Object<string, string>} */
+    const results = {}
+
+    /**
+     * URLs to look for, normalized, mapped to the provided URLs they resolve.
+     * @type {Map<string, string[]>}
+     */
+    const wanted = new Map()
+
+    for (const url of urls) {
+      const key = normalizeURL(url)
+      wanted.set(key, [...(wanted.get(key) || []), url])
+    }
+
+    const stream = createReadStream(filepath)
+
+    try {
+      for await (const record of WARCParser.iterRecords(stream)) {
+        if (record.warcType !== 'response' || !record.httpHeaders) {
+          continue
+        }
+
+        const key = normalizeURL(record.warcTargetURI)
+        const origins = wanted.get(key)
+
+        if (!origins) {
+          continue
+        }
+
+        const status = Number(record.httpHeaders.statusCode)
+
+        // Redirect: look for its target instead
+        if (status >= 300 && status < 400) {
+          const location = record.httpHeaders.headers.get('location')
+
+          if (location) {
+            const target = normalizeURL(location, record.warcTargetURI)
+            wanted.set(target, [...(wanted.get(target) || []), ...origins])
+          }
+
+          wanted.delete(key)
+          continue
+        }
+
+        if (status !== 200 ||
+            !`${record.httpHeaders.headers.get('content-type')}`.startsWith('text/html') ||
+            record.warcContentLength > CONSTANTS.MAX_HTML_SIZE
+        ) {
+          continue
+        }
+
+        const value = parse(await record.contentText())
+
+        if (!value) {
+          continue
+        }
+
+        for (const url of origins) {
+          results[url] = results[url] || value
+        }
+
+        wanted.delete(key)
+
+        if (!wanted.size) {
+          break
+        }
+      }
+    } finally {
+      stream.destroy()
+    }
+
+    return results
+  }
+
+  /**
+   * Completes `this.pages` with the HTML pages captured in the WARCs, based on `this.pagesMode` (see `readPagesFromWARC()`).
+   * If `this.pages` is empty (i.e: the extractor has no entry points to work with), every HTML page is listed regardless of mode.
+   * Entry points are completed with the size, status and MIME type of their capture, if found.
+   * Pages keep track of the WARC their capture was found in (`page.WARC`), so they can be listed in the right WACZ file when splitting (see `WACZSplitter.planParts()`).
+   *
+   * Uses `this.WARCs`.
+   * Reads up to `this.downloadConcurrency` WARCs in parallel (see `this.downloadQueue`).
+   * @returns {Promise<void>}
+   */
+  detectPages = async () => {
+    const { log } = this
+    const mode = this.pages.length ? this.pagesMode : 'all-html'
+
+    if (mode === 'seeds') {
+      return
+    }
+
+    const WARCs = this.WARCs.filter(ref => ref.downloaded)
+    const results = await this.downloadQueue.map(WARCs, ref => this.readPagesFromWARC(this.getWARCPath(ref)))
+
+    /** @type {Map<string, WACZPage>} */
+    const pages = new Map()
+
+    // Entry points come first
+    if (mode === 'seeds+html') {
+      for (const page of this.pages) {
+        pages.set(normalizeURL(page.url), page)
+      }
+    }
+
+    for (let i = 0; i < results.length; i++) {
+      if (results[i].status === 'rejected') {
+        log.trace(results[i].reason)
+        log.warn(`${WARCs[i].filename}: could not be read to detect pages -- skipping`)
+        continue
+      }
+
+      for (const page of results[i].value) {
+        const existing = pages.get(normalizeURL(page.url))
+        page.WARC = WARCs[i].filename
+
+        if (!existing) {
+          page.extra = mode === 'seeds+html' // Not an entry point: goes to extraPages.jsonl
+          pages.set(normalizeURL(page.url), page)
+          continue
+        }
+
+        for (const field of ['size', 'status', 'mime', 'WARC']) {
+          existing[field] = existing[field] ?? page[field]
+        }
+      }
+    }
+
+    this.pages = [...pages.values()]
+    log.info(`${this.pages.length} pages listed (${mode})`)
+  }
+
+  /**
+   * Lists the HTML pages captured in a WARC file: `response` records with a 200 status and a non-empty `text/html` payload.
+   * Pages without a title are listed with their URL as title.
+   * Only payloads of up to `CONSTANTS.MAX_HTML_SIZE` bytes are read to look for a title.
+   * @param {string} filepath
+   * @returns {Promise<WACZPage[]>}
+   */
+  readPagesFromWARC = async (filepath) => {
+    /** @type {WACZPage[]} */
+    const pages = []
+    const seen = new Set()
+    const stream = createReadStream(filepath)
+
+    try {
+      for await (const record of WARCParser.iterRecords(stream)) {
+        if (record.warcType !== 'response' || !record.httpHeaders || !record.warcTargetURI || !record.warcDate) {
+          continue
+        }
+
+        const url = record.warcTargetURI
+        const status = Number(record.httpHeaders.statusCode)
+        const mime = `${record.httpHeaders.headers.get('content-type') || ''}`.split(';')[0].trim().toLowerCase()
+
+        if (status !== 200 || mime !== 'text/html' || seen.has(url)) {
+          continue
+        }
+
+        const size = getPayloadLength(record)
+
+        if (!size) {
+          continue
+        }
+
+        // Payloads over the size limit are skipped without being read
+        const title = size <= CONSTANTS.MAX_HTML_SIZE ? this.getTitleFromHTML(await record.contentText()) : null
+        seen.add(url)
+
+        pages.push({
+          url,
+          title: title || url,
+          ts: record.warcDate,
+          titleSource: title ? 'warc' : 'url',
+          size,
+          status,
+          mime
+        })
+      }
+    } finally {
+      stream.destroy()
+    }
+
+    return pages
+  }
+
+  /**
+   * Extracts a page title from an HTML document: uses `<title>`, and `og:title` if the former is missing or blank.
+   * @param {string} html
+   * @returns {?string}
+   */
+  getTitleFromHTML = (html) => {
+    const document = parseHTML(html)
+    const clean = (text) => `${text || ''}`.replaceAll(/\s+/g, ' ').trim()
+
+    return clean(document.querySelector('title')?.textContent) ||
+      clean(document.querySelector('meta[property="og:title"]')?.getAttribute('content')) ||
+      null
+  }
+
+  /**
+   * Extracts the text of an HTML document, for full-text search.
+   * Scripts, styles and other non-rendered elements are left out, whitespace is collapsed, and the result is truncated to `this.maxTextLength` characters.
+   * @param {string} html
+   * @returns {?string}
+   */
+  getTextFromHTML = (html) => {
+    const document = parseHTML(html)
+
+    for (const element of document.querySelectorAll('script, style, noscript, template, svg')) {
+      element.remove()
+    }
+
+    let text = (document.querySelector('body') || document).structuredText
+      .replaceAll(/\s+/gu, ' ')
+      .trim()
+
+    if (text.length > this.maxTextLength) {
+      text = text.substring(0, this.maxTextLength)
+
+      // Do not cut a surrogate pair in half
+      if (/[\uD800-\uDBFF]$/.test(text)) {
+        text = text.substring(0, text.length - 1)
+      }
+
+      text = text.trimEnd()
+    }
+
+    return text || null
+  }
+
+  /**
+   * Extracts the text of every entry in `this.pages` from the WARCs, for full-text search (see `getTextFromHTML()`).
+   * Pages that already have text (i.e: from a pages file) are skipped.
+   *
+   * Uses `this.WARCs`.
+   * Reads up to `this.downloadConcurrency` WARCs in parallel (see `this.downloadQueue`).
+   * @returns {Promise<void>}
+   */
+  extractPagesText = async () => {
+    const { log } = this
+    const pages = this.pages.filter(page => !page.text)
+    const urls = pages.map(page => page.url)
+
+    if (!urls.length) {
+      return
+    }
+
+    const WARCs = this.WARCs.filter(ref => ref.downloaded)
+    const results = await this.downloadQueue.map(WARCs, ref => this.readCapturesFromWARC(this.getWARCPath(ref), urls, this.getTextFromHTML))
+    let found = 0
+
+    for (let i = 0; i < results.length; i++) {
+      if (results[i].status === 'rejected') {
+        log.trace(results[i].reason)
+        log.warn(`${WARCs[i].filename}: could not be read to extract text -- skipping`)
+        continue
+      }
+
+      for (const page of pages) {
+        if (!page.text && results[i].value[page.url]) {
+          page.text = results[i].value[page.url]
+          found += 1
+        }
+      }
+    }
+
+    log.info(`Text extracted for ${found} of ${pages.length} pages`)
+  }
+
+  /**
+   * Writes the pages of a WACZ being generated: entry points go to pages/pages.jsonl, other pages (see `detectPages()`) to pages/extraPages.jsonl.
+   * Replaces `WACZ.writePagesToZip()`.
+   * @param {WACZ} archive
+   * @returns {Promise<void>}
+   */
+  writePagesToZip = async (archive) => {
+    const extraURLs = new Set(this.pages.filter(page => page.extra).map(page => page.url))
+
+    const header = (id, title) => {
+      const entry = { format: 'json-pages-1.0', id, title }
+
+      if (this.extractText) {
+        entry.hasText = true
+      }
+
+      return `${JSON.stringify(entry)}\n`
+    }
+
+    let pagesJSONL = header('pages', 'All Pages')
+    let extraPagesJSONL = header('extra-pages', 'Extra Pages')
+    let extraPages = 0
+
+    for (const page of archive.pagesArray) {
+      if (extraURLs.has(page.url)) {
+        extraPagesJSONL += `${JSON.stringify(page)}\n`
+        extraPages += 1
+      } else {
+        pagesJSONL += `${JSON.stringify(page)}\n`
+      }
+    }
+
+    await archive.addFileToZip(Buffer.from(pagesJSONL), 'pages/pages.jsonl')
+
+    if (extraPages) {
+      await archive.addFileToZip(Buffer.from(extraPagesJSONL), 'pages/extraPages.jsonl')
+    }
+  }
+
+  /**
+   * Returns the local path of a given WARC.
+   * Can be overridden by inheriting classes.
+   * @param {WARCReference} ref
+   * @returns {string}
+   */
+  getWARCPath = (ref) => {
+    return `${this.collectionPath}${ref.filename}`
+  }
+
+  /**
+   * Headers to be sent alongside requests made to download WARCs.
+   * Can be overridden by inheriting classes.
+   * @return {object}
+   */
+  getAuthorizationHeader = () => {
+    return {}
+  }
+
+  /**
+   * Deletes the collection folder and its contents (see `CollectionFolder.clear()`).
+   * Only WARC files and files created by wacz-preparator are removed, and only from folders created by wacz-preparator (see `isManagedFolder()`).
+   * @throws {Error} - If the folder was not created by wacz-preparator.
+   * @returns {Promise<void>}
+   */
+  clear = async () => {
+    if (!this.collectionPath) {
+      return
+    }
+
+    await this.getCollectionFolder().clear()
+  }
+}
+
+/**
+ * Formats a number of bytes for display (i.e: "1.50 GB"). Shared with the CLI.
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes (bytes) {
+  const units = ['bytes', 'KB', 'MB', 'GB', 'TB']
+  let i = 0
+
+  while (bytes >= 1000 && i < units.length - 1) {
+    bytes /= 1000
+    i += 1
+  }
+
+  return i === 0 ? `${bytes} bytes` : `${bytes.toFixed(2)} ${units[i]}`
+}
+
+/**
+ * Replaces a method of an object with a wrapper around it, if that method exists.
+ * @param {?object} object
+ * @param {string} name
+ * @param {function(function): function} wrap - Receives the original method (bound to `object`), returns its replacement.
+ * @returns {boolean} - `false` if there was no such method.
+ */
+function wrapMethod (object, name, wrap) {
+  if (typeof object?.[name] !== 'function') {
+    return false
+  }
+
+  object[name] = wrap(object[name].bind(object))
+  return true
+}
+
+/**
+ * Parses a date (i.e: a crawl time), so dates in different formats can be compared ("2021-01-01T00:00:00Z" and "2021-01-01T00:00:00.000Z").
+ * @param {?string} value
+ * @returns {?number} - Timestamp (ms), or `null` if missing or invalid.
+ */
+function parseTime (value) {
+  const time = value ? new Date(value).getTime() : NaN
+  return isNaN(time) ? null : time
+}
+
+/**
+ * Returns the position of the first byte of a "Content-Range" header (i.e: "bytes 100-199/200" -> 100).
+ * @param {?string} header
+ * @returns {?number} - `null` if the header is missing or invalid.
+ */
+function getContentRangeStart (header) {
+  const match = /^bytes\s+(\d+)-\d+\/(\d+|\*)$/i.exec(`${header || ''}`.trim())
+  return match ? Number(match[1]) : null
+}
+
+/**
+ * Turns a pattern with "*" and "?" wildcards into an anchored regular expression.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function patternToRegExp (pattern) {
+  const source = `${pattern}`
+    .replaceAll(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replaceAll('*', '.*')
+    .replaceAll('?', '.')
+
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Normalizes a URL so captures can be matched against seeds (i.e: "HTTP://Example.com#top" -> "http://example.com/").
+ * @param {?string} url
+ * @param {?string} [base] - Used to resolve relative URLs (i.e: "Location" headers).
+ * @returns {string}
+ */
+function normalizeURL (url, base = undefined) {
+  try {
+    const parsed = new URL(url, base)
+    parsed.hash = ''
+    return parsed.href
+  } catch (_err) {
+    return `${url}`
+  }
+}
+
+/**
+ * Returns the length of a record's payload (i.e: without its HTTP headers), as stored in the WARC, without reading it.
+ * Must be called before the payload is read.
+ * @param {WARCRecord} record
+ * @returns {number}
+ */
+function getPayloadLength (record) {
+  return record.reader?.limit ?? record.warcContentLength
+}
+
+/**
+ * Reference to a remote WARC file to be downloaded.
+ */
+export class WARCReference {
+  /**
+   * URL that can be used to download the WARC file.
+   * @type {?string}
+   */
+  downloadUrl = null
+
+  /**
+   * Was this WARC downloaded?
+   * @type {boolean}
+   */
+  downloaded = false
+
+  /**
+   * WARC filename.
+   * @type {?string}
+   */
+  filename = null
+
+  /**
+   * Size of the file in bytes, as provided by the remote source.
+   * @type {?number}
+   */
+  size = null
+
+  /**
+   * SHA1 hash for that file, as provided by the remote source.
+   * @type {?string}
+   */
+  remoteSHA1Hash = null
+
+  /**
+   * SHA1 hash for that file, as computed locally.
+   * @type {?string}
+   */
+  localSHA1Hash = null
+
+  /**
+   * Checksums for that file, as provided by the remote source, keyed by algorithm ("sha1", "sha256" or "md5").
+   * @type {Object<string, string>}
+   */
+  remoteChecksums = {}
+
+  /**
+   * Checksums for that file, as computed locally, keyed by algorithm.
+   * @type {Object<string, string>}
+   */
+  localChecksums = {}
+
+  /**
+   * Outcome of the current run for that file:
+   * "present" (already on disk and valid), "downloaded", "skipped" (no download location), "mismatch" (checksum or size) or "failed".
+   * @type {('pending'|'present'|'downloaded'|'skipped'|'mismatch'|'failed')}
+   */
+  status = 'pending'
+
+  /**
+   * Why that file could not be downloaded or verified, if applicable.
+   * @type {?string}
+   */
+  error = null
 }
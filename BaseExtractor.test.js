@@ -0,0 +1,705 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { access, mkdir, readdir, readFile, writeFile, rm } from 'fs/promises'
+import { Readable } from 'node:stream'
+import { gzipSync } from 'zlib'
+import crypto from 'crypto'
+
+import { WARCParser } from 'warcio'
+
+import { BaseExtractor, WARCReference } from './BaseExtractor.js'
+import { LocalExtractor } from './LocalExtractor.js'
+import { WACZBuildError } from './errors.js'
+import * as CONSTANTS from './constants.js'
+import { createLogger, createTempFolder, removeTempFolder, startServer, startAuthsignServer, createWARC, writeWARC, readFromWACZ } from './fixtures/index.js'
+
+/**
+ * Packages the WARCs of a folder with LocalExtractor.
+ * @param {string} input
+ * @param {string} outputPath
+ * @param {object} [options]
+ * @returns {{extractor: LocalExtractor, log: object, WACZPath: string, run: function(): Promise<RunReport>}}
+ */
+function createLocalExtractor (input, outputPath, options = {}) {
+  const log = createLogger()
+  const extractor = new LocalExtractor({ input, outputPath, name: 'test', log, ...options })
+
+  return {
+    extractor,
+    log,
+    WACZPath: `${outputPath}test.wacz`,
+    run: () => extractor.process()
+  }
+}
+
+describe('BaseExtractor', () => {
+  let input = null
+
+  before(async () => {
+    input = await createTempFolder()
+    await writeWARC(`${input}a.warc.gz`, [
+      { url: 'https://example.com/', title: 'Home' },
+      { url: 'https://example.com/about', title: 'About' }
+    ])
+  })
+
+  after(async () => {
+    await removeTempFolder(input)
+  })
+
+  describe('requestSignature()', () => {
+    let outputPath = null
+
+    before(async () => {
+      outputPath = await createTempFolder()
+    })
+
+    after(async () => {
+      await removeTempFolder(outputPath)
+    })
+
+    it('signs the datapackage, sending the token as "bearer <token>"', async () => {
+      const authsign = await startAuthsignServer()
+
+      try {
+        const { extractor, WACZPath, run } = createLocalExtractor(input, outputPath, { signingUrl: `${authsign.url}/sign`, signingToken: 'secret' })
+        const report = await run()
+
+        assert.equal(authsign.requests.length, 1)
+        assert.equal(authsign.requests[0].authorization, 'bearer secret')
+
+        const digest = JSON.parse(await readFromWACZ(WACZPath, 'datapackage-digest.json'))
+        const datapackage = await readFromWACZ(WACZPath, 'datapackage.json')
+        assert.equal(digest.hash, `sha256:${crypto.createHash('sha256').update(datapackage).digest('hex')}`)
+        assert.equal(digest.signedData.hash, digest.hash)
+        assert.equal(digest.signedData.publicKey, authsign.publicKey)
+
+        const fingerprint = crypto.createHash('sha256').update(Buffer.from(authsign.publicKey, 'base64')).digest('hex').substring(0, 16)
+        assert.equal(extractor.getSignerIdentity(), `anonymous key ${fingerprint} (authsign 0.5.2)`)
+        assert.equal(report.WACZ.signedBy, extractor.getSignerIdentity())
+      } finally {
+        await authsign.close()
+      }
+    })
+
+    it('sends tokens that already contain an authorization scheme as-is', async () => {
+      const authsign = await startAuthsignServer({ token: null })
+
+      try {
+        const { run } = createLocalExtractor(input, outputPath, { signingUrl: `${authsign.url}/sign`, signingToken: 'Token abc' })
+        await run()
+        assert.equal(authsign.requests[0].authorization, 'Token abc')
+      } finally {
+        await authsign.close()
+      }
+    })
+
+    for (const [label, options] of [
+      ['the token is rejected', { token: 'other' }],
+      ['the signature is for another hash', { tamper: signedData => ({ ...signedData, hash: `sha256:${'0'.repeat(64)}` }) }],
+      ['the signature has an invalid format', { tamper: signedData => ({ ...signedData, signature: undefined }) }]
+    ]) {
+      it(`fails the build and removes the partial WACZ file if ${label}`, async () => {
+        const authsign = await startAuthsignServer(options)
+
+        try {
+          const { extractor, WACZPath, run } = createLocalExtractor(input, outputPath, { signingUrl: `${authsign.url}/sign`, signingToken: 'secret' })
+
+          await assert.rejects(run(), WACZBuildError)
+          await assert.rejects(access(WACZPath))
+          assert.equal(extractor.signedData, null)
+          assert.equal(extractor.getSignerIdentity(), null)
+        } finally {
+          await authsign.close()
+        }
+      })
+
+      it(`keeps the WACZ file unsigned, with a warning, if ${label} and "allowUnsigned" is set`, async () => {
+        const authsign = await startAuthsignServer(options)
+
+        try {
+          const { extractor, log, WACZPath, run } = createLocalExtractor(input, outputPath, { signingUrl: `${authsign.url}/sign`, signingToken: 'secret', allowUnsigned: true })
+          const report = await run()
+
+          const digest = JSON.parse(await readFromWACZ(WACZPath, 'datapackage-digest.json'))
+          assert.equal(digest.signedData, undefined)
+          assert.equal(report.WACZ.signedBy, null)
+          assert.equal(extractor.getSignerIdentity(), null)
+          assert.ok(log.messages.warn.some(message => message.includes('WACZ will NOT be signed')))
+        } finally {
+          await authsign.close()
+        }
+      })
+    }
+  })
+
+  describe('matchesWARCFilters()', () => {
+    /**
+     * @param {string} crawlTime
+     * @returns {WARCReference}
+     */
+    const createRef = (crawlTime) => {
+      const ref = new WARCReference()
+      ref.filename = 'a.warc.gz'
+      ref.crawlTime = crawlTime
+      return ref
+    }
+
+    it('includes the whole day given to "crawlTimeBefore" if it has no time', () => {
+      const extractor = new BaseExtractor({ log: createLogger(), crawlTimeAfter: '2020-01-01', crawlTimeBefore: '2020-12-31' })
+
+      assert.equal(extractor.WARCFilters.crawlTimeBefore, '2020-12-31T23:59:59.999Z')
+      assert.equal(extractor.matchesWARCFilters(createRef('2020-01-01T00:00:00Z')), true)
+      assert.equal(extractor.matchesWARCFilters(createRef('2020-12-31T18:30:00Z')), true)
+      assert.equal(extractor.matchesWARCFilters(createRef('2021-01-01T00:00:00Z')), false)
+      assert.equal(extractor.matchesWARCFilters(createRef('2019-12-31T23:59:59Z')), false)
+    })
+
+    it('uses dates with a time as-is', () => {
+      const extractor = new BaseExtractor({ log: createLogger(), crawlTimeBefore: '2020-12-31T12:00:00Z' })
+
+      assert.equal(extractor.matchesWARCFilters(createRef('2020-12-31T12:00:00Z')), true)
+      assert.equal(extractor.matchesWARCFilters(createRef('2020-12-31T12:00:01Z')), false)
+    })
+  })
+
+  describe('checkWARCsHashes()', () => {
+    it('hashes up to "concurrency" WARCs in parallel, regardless of "downloadConcurrency"', async (t) => {
+      const collectionPath = await createTempFolder()
+
+      try {
+        const extractor = new BaseExtractor({ log: createLogger(), concurrency: 3, downloadConcurrency: 1 })
+        extractor.collectionPath = collectionPath
+        extractor.WARCs = []
+
+        for (let i = 0; i < 8; i++) {
+          const ref = new WARCReference()
+          ref.filename = `${i}.warc.gz`
+          ref.remoteChecksums = { sha1: 'abc' }
+          await writeFile(`${collectionPath}${ref.filename}`, 'WARC')
+          extractor.WARCs.push(ref)
+        }
+
+        let running = 0
+        let peak = 0
+
+        t.mock.method(extractor, 'computeChecksums', async () => {
+          running += 1
+          peak = Math.max(peak, running)
+          await new Promise(resolve => setTimeout(resolve, 5))
+          running -= 1
+          return { sha1: 'abc' }
+        })
+
+        await extractor.checkWARCsHashes()
+
+        assert.equal(peak, 3)
+        assert.deepEqual(extractor.WARCs.map(ref => ref.status), Array(8).fill('present'))
+      } finally {
+        await removeTempFolder(collectionPath)
+      }
+    })
+  })
+
+  describe('fetchWARCs()', () => {
+    const contents = crypto.randomBytes(64 * 1024)
+    let collectionPath = null
+
+    before(async () => {
+      collectionPath = await createTempFolder()
+    })
+
+    after(async () => {
+      await removeTempFolder(collectionPath)
+    })
+
+    /**
+     * Downloads `contents` from a server answering Range requests from a given position, starting from an existing .part file.
+     * @param {function(number): number} getRangeStart - Position the server actually starts from, given the requested one.
+     * @returns {Promise<{ref: WARCReference, ranges: ?string[], data: Buffer}>}
+     */
+    const resume = async (getRangeStart) => {
+      const ranges = []
+
+      const server = await startServer((request, response) => {
+        ranges.push(request.headers.range ?? null)
+        const requested = Number(/^bytes=(\d+)-$/.exec(request.headers.range ?? '')?.[1] ?? 0)
+
+        if (!requested) {
+          response.writeHead(200, { 'Content-Length': contents.length })
+          return response.end(contents)
+        }
+
+        const start = getRangeStart(requested)
+        response.writeHead(206, { 'Content-Range': `bytes ${start}-${contents.length - 1}/${contents.length}` })
+        response.end(contents.subarray(start))
+      })
+
+      try {
+        const extractor = new BaseExtractor({ log: createLogger(), retries: 0 })
+        extractor.collectionPath = collectionPath
+
+        const ref = new WARCReference()
+        ref.filename = `${crypto.randomUUID()}.warc.gz`
+        ref.downloadUrl = `${server.url}/${ref.filename}`
+        ref.size = contents.length
+        ref.remoteChecksums = { sha1: crypto.createHash('sha1').update(contents).digest('hex') }
+        extractor.WARCs = [ref]
+
+        await writeFile(`${collectionPath}${ref.filename}.part`, contents.subarray(0, 1000))
+        await extractor.fetchWARCs()
+
+        return { ref, ranges, data: ref.status === 'downloaded' ? await readFile(`${collectionPath}${ref.filename}`) : null }
+      } finally {
+        await server.close()
+      }
+    }
+
+    it('resumes interrupted downloads from the .part file', async () => {
+      const { ref, ranges, data } = await resume(requested => requested)
+
+      assert.equal(ref.status, 'downloaded')
+      assert.deepEqual(ranges, ['bytes=1000-'])
+      assert.ok(data.equals(contents))
+    })
+
+    it('starts over if the server resumes from another position', async () => {
+      const { ref, ranges, data } = await resume(() => 0)
+
+      assert.equal(ref.status, 'downloaded')
+      assert.deepEqual(ranges, ['bytes=1000-', null])
+      assert.ok(data.equals(contents))
+    })
+
+    it('spaces "warc:progress" events, and emits one once the download is complete', async () => {
+      const large = crypto.randomBytes(2 * 1024 * 1024)
+
+      // Sends the file in small chunks, over ~300ms
+      const server = await startServer(async (_request, response) => {
+        response.writeHead(200, { 'Content-Length': large.length })
+
+        for (let i = 0; i < large.length; i += 16 * 1024) {
+          response.write(large.subarray(i, i + 16 * 1024))
+          await new Promise(resolve => setTimeout(resolve, 2))
+        }
+
+        response.end()
+      })
+
+      try {
+        const extractor = new BaseExtractor({ log: createLogger(), retries: 0 })
+        extractor.collectionPath = collectionPath
+
+        const ref = new WARCReference()
+        ref.filename = `${crypto.randomUUID()}.warc.gz`
+        ref.downloadUrl = `${server.url}/${ref.filename}`
+        ref.size = large.length
+        extractor.WARCs = [ref]
+
+        const events = []
+        extractor.on('warc:progress', event => events.push({ ...event, time: Date.now() }))
+
+        const start = Date.now()
+        await extractor.fetchWARCs()
+
+        assert.equal(ref.status, 'downloaded')
+        assert.equal(events[0].bytes, 0)
+        assert.equal(events.at(-1).bytes, large.length)
+        assert.ok(events.length <= Math.ceil((Date.now() - start) / CONSTANTS.WARC_PROGRESS_INTERVAL) + 2)
+      } finally {
+        await server.close()
+      }
+    })
+  })
+
+  describe('detectPages()', () => {
+    const seed = { url: 'https://example.com/', title: 'Home' }
+    const other = { url: 'https://example.com/about', title: 'About' }
+    const untitled = { url: 'https://example.com/untitled', body: '<html><body><p>No title</p></body></html>' }
+
+    /**
+     * Packages a WARC of 3 pages, with the first one as entry point, and returns the pages listed in the WACZ file.
+     * @param {?string} pagesMode
+     * @param {boolean} [withSeeds=true] - If `false`, no pages file is provided.
+     * @returns {Promise<{extractor: LocalExtractor, pages: object[], extraPages: ?object[]}>}
+     */
+    const detect = async (pagesMode, withSeeds = true) => {
+      const input = await createTempFolder()
+      const outputPath = await createTempFolder()
+
+      try {
+        await writeWARC(`${input}a.warc.gz`, [seed, other, untitled])
+        await writeFile(`${outputPath}pages.jsonl`, `${JSON.stringify({ url: seed.url, title: 'Home (seed)' })}\n`)
+
+        const options = { pagesMode }
+
+        if (withSeeds) {
+          options.pagesFile = `${outputPath}pages.jsonl`
+        }
+
+        const { extractor, WACZPath, run } = createLocalExtractor(input, outputPath, options)
+        await run()
+
+        const readPages = async (filename) => {
+          const lines = (await readFromWACZ(WACZPath, filename)).trim().split('\n').map(line => JSON.parse(line))
+          return lines.filter(line => !line.format)
+        }
+
+        const pages = await readPages('pages/pages.jsonl')
+        const extraPages = await readPages('pages/extraPages.jsonl').catch(() => null)
+
+        return { extractor, pages, extraPages }
+      } finally {
+        await removeTempFolder(input)
+        await removeTempFolder(outputPath)
+      }
+    }
+
+    it('only lists entry points in "seeds" mode', async () => {
+      const { extractor, pages, extraPages } = await detect('seeds')
+
+      assert.deepEqual(pages.map(page => [page.url, page.title]), [[seed.url, 'Home (seed)']])
+      assert.equal(extraPages, null)
+      assert.equal(extractor.pages[0].size, null)
+    })
+
+    it('completes entry points and lists other HTML pages as extra pages in "seeds+html" mode', async () => {
+      const { extractor, pages, extraPages } = await detect('seeds+html')
+
+      assert.deepEqual(pages.map(page => [page.url, page.title]), [[seed.url, 'Home (seed)']])
+      assert.equal(pages[0].status, 200)
+      assert.equal(pages[0].mime, 'text/html')
+      assert.equal(pages[0].size, Buffer.byteLength(`<html><head><title>${seed.title}</title></head><body><p>${seed.title}</p></body></html>`))
+
+      assert.deepEqual(extraPages.map(page => [page.url, page.title]), [[other.url, 'About'], [untitled.url, untitled.url]])
+      assert.deepEqual(extractor.pages.map(page => [page.extra ?? false, page.titleSource, page.WARC]), [
+        [false, 'pages-file', 'a.warc.gz'],
+        [true, 'warc', 'a.warc.gz'],
+        [true, 'url', 'a.warc.gz']
+      ])
+    })
+
+    it('lists every HTML page as an entry point in "all-html" mode', async () => {
+      const { pages, extraPages } = await detect('all-html')
+
+      assert.deepEqual(pages.map(page => [page.url, page.title]), [[seed.url, 'Home'], [other.url, 'About'], [untitled.url, untitled.url]])
+      assert.equal(extraPages, null)
+    })
+
+    it('lists every HTML page as an entry point if there are none, regardless of mode', async () => {
+      const { pages, extraPages } = await detect('seeds', false)
+
+      assert.deepEqual(pages.map(page => page.url), [seed.url, other.url, untitled.url])
+      assert.equal(extraPages, null)
+    })
+  })
+
+  describe('getTextFromHTML()', () => {
+    it('leaves out markup and elements that are not rendered, and collapses whitespace', () => {
+      const extractor = new BaseExtractor({ log: createLogger() })
+      const html = `<html>
+        <head><title>Ignored</title><style>p { color: red }</style></head>
+        <body>
+          <script>var ignored = true</script>
+          <h1>Heading</h1>
+          <p>First   paragraph,
+            with <b>bold</b> text.</p>
+          <noscript>Ignored</noscript><template><p>Ignored</p></template><svg><text>Ignored</text></svg>
+          <ul><li>One</li><li>Two</li></ul>
+        </body>
+      </html>`
+
+      assert.equal(extractor.getTextFromHTML(html), 'Heading First paragraph, with bold text. One Two')
+      assert.equal(extractor.getTextFromHTML('<html><body><script>var ignored = true</script></body></html>'), null)
+    })
+
+    it('truncates text to "maxTextLength" characters, without cutting a surrogate pair in half', () => {
+      const extractor = new BaseExtractor({ log: createLogger(), maxTextLength: 10 })
+
+      assert.equal(extractor.getTextFromHTML(`<p>${'a'.repeat(20)}</p>`), 'a'.repeat(10))
+      assert.equal(extractor.getTextFromHTML('<p>Lorem ipsum dolor</p>'), 'Lorem ipsu')
+      assert.equal(extractor.getTextFromHTML('<p>Lorem ips dolor</p>'), 'Lorem ips')
+      assert.equal(extractor.getTextFromHTML(`<p>${'a'.repeat(9)}😀</p>`), 'a'.repeat(9))
+    })
+  })
+
+  describe('extractPagesText()', () => {
+    it('adds the text of entry points to pages.jsonl, and the text of other pages to extraPages.jsonl', async () => {
+      const input = await createTempFolder()
+      const outputPath = await createTempFolder()
+
+      try {
+        await writeWARC(`${input}a.warc.gz`, [
+          { url: 'https://example.com/', body: '<html><head><title>Home</title></head><body><p>Home  text</p></body></html>' },
+          { url: 'https://example.com/about', body: '<html><head><title>About</title></head><body><p>About text</p></body></html>' }
+        ])
+        await writeFile(`${outputPath}pages.jsonl`, `${JSON.stringify({ url: 'https://example.com/' })}\n`)
+
+        const { WACZPath, run } = createLocalExtractor(input, outputPath, { pagesFile: `${outputPath}pages.jsonl`, pagesMode: 'seeds+html', extractText: true })
+        await run()
+
+        for (const [filename, id, url, text] of [
+          ['pages/pages.jsonl', 'pages', 'https://example.com/', 'Home text'],
+          ['pages/extraPages.jsonl', 'extra-pages', 'https://example.com/about', 'About text']
+        ]) {
+          const [header, ...pages] = (await readFromWACZ(WACZPath, filename)).trim().split('\n').map(line => JSON.parse(line))
+
+          assert.equal(header.id, id)
+          assert.equal(header.hasText, true)
+          assert.deepEqual(pages.map(page => [page.url, page.text]), [[url, text]])
+        }
+      } finally {
+        await removeTempFolder(input)
+        await removeTempFolder(outputPath)
+      }
+    })
+
+    it('keeps text provided by a pages file', async () => {
+      const outputPath = await createTempFolder()
+
+      try {
+        await writeFile(`${outputPath}pages.jsonl`, `${JSON.stringify({ url: 'https://example.com/', text: 'Provided text' })}\n`)
+
+        const { WACZPath, run } = createLocalExtractor(input, outputPath, { pagesFile: `${outputPath}pages.jsonl`, extractText: true })
+        await run()
+
+        const pages = (await readFromWACZ(WACZPath, 'pages/pages.jsonl')).trim().split('\n').map(line => JSON.parse(line))
+        assert.equal(pages[1].text, 'Provided text')
+      } finally {
+        await removeTempFolder(outputPath)
+      }
+    })
+  })
+
+  describe('generateWACZ()', () => {
+    it('emits "wacz:progress" events for each stage, and for each WARC indexed and written', async () => {
+      const outputPath = await createTempFolder()
+
+      try {
+        await writeWARC(`${input}b.warc`, [{ url: 'https://example.org/', title: 'Other' }], { gzip: false })
+
+        const { extractor, run } = createLocalExtractor(input, outputPath)
+        const events = []
+        extractor.on('wacz:progress', event => events.push(event))
+        await run()
+
+        const stages = [...new Set(events.map(event => event.stage))]
+        assert.deepEqual(stages, ['indexWARCs', 'writeIndexesToZip', 'writePagesToZip', 'writeWARCsToZip', 'writeDatapackageToZip', 'writeDatapackageDigestToZip', 'finalize'])
+
+        for (const stage of ['indexWARCs', 'writeWARCsToZip']) {
+          assert.deepEqual(events.filter(event => event.stage === stage && event.done !== null).map(event => event.done), [1, 2])
+        }
+      } finally {
+        await rm(`${input}b.warc`, { force: true })
+        await removeTempFolder(outputPath)
+      }
+    })
+  })
+
+  describe('generateWACZParts()', () => {
+    let splitInput = null
+
+    before(async () => {
+      splitInput = await createTempFolder()
+      await writeWARC(`${splitInput}a.warc.gz`, [{ url: 'https://example.com/', title: 'Home' }])
+      await writeWARC(`${splitInput}b.warc.gz`, [{ url: 'https://example.org/', title: 'Other' }])
+    })
+
+    after(async () => {
+      await removeTempFolder(splitInput)
+    })
+
+    it('falls back to the collection id for the title of each part', async () => {
+      const outputPath = await createTempFolder()
+
+      try {
+        const { extractor, run } = createLocalExtractor(splitInput, outputPath, { maxWACZSize: 1 })
+        extractor.collectionTitle = null
+        await run()
+
+        const datapackage = JSON.parse(await readFromWACZ(`${outputPath}test-1.wacz`, 'datapackage.json'))
+        assert.equal(datapackage.title, 'test (1)')
+      } finally {
+        await removeTempFolder(outputPath)
+      }
+    })
+
+    it('removes WACZ files left by a previous run with different split settings', async () => {
+      const outputPath = await createTempFolder()
+      const manifestPath = `${outputPath}test${CONSTANTS.MULTI_WACZ_MANIFEST_SUFFIX}`
+
+      try {
+        await createLocalExtractor(splitInput, outputPath).run()
+        await access(`${outputPath}test.wacz`)
+
+        // Single WACZ -> parts
+        await createLocalExtractor(splitInput, outputPath, { maxWACZSize: 1 }).run()
+        await assert.rejects(access(`${outputPath}test.wacz`))
+        assert.deepEqual((await readdir(outputPath)).filter(name => name.endsWith('.wacz')).sort(), ['test-1.wacz', 'test-2.wacz'])
+
+        // Parts -> fewer parts
+        await rm(`${splitInput}b.warc.gz`)
+        await createLocalExtractor(splitInput, outputPath, { maxWACZSize: 1 }).run()
+        assert.deepEqual((await readdir(outputPath)).filter(name => name.endsWith('.wacz')), ['test.wacz'])
+        assert.deepEqual(JSON.parse(await readFile(manifestPath, 'utf-8')).resources.map(resource => resource.name), ['test.wacz'])
+
+        // Parts -> single WACZ
+        await writeWARC(`${splitInput}b.warc.gz`, [{ url: 'https://example.org/', title: 'Other' }])
+        await createLocalExtractor(splitInput, outputPath, { maxWACZSize: 1 }).run()
+        await createLocalExtractor(splitInput, outputPath).run()
+        assert.deepEqual((await readdir(outputPath)).filter(name => name.endsWith('.wacz')), ['test.wacz'])
+        await assert.rejects(access(manifestPath))
+      } finally {
+        await removeTempFolder(outputPath)
+      }
+    })
+  })
+
+  describe('clear()', () => {
+    it('only deletes collection folders created or adopted by wacz-preparator', async () => {
+      const outputPath = await createTempFolder()
+      const collectionPath = `${outputPath}test/`
+
+      try {
+        // Folder created by an earlier version: no marker
+        await mkdir(collectionPath)
+        const { extractor, run } = createLocalExtractor(input, outputPath, { transfer: 'copy' })
+        await run()
+
+        await assert.rejects(extractor.clear(), /adoptFolder/)
+        await access(collectionPath)
+
+        const adopted = createLocalExtractor(input, outputPath, { transfer: 'copy', adoptFolder: true })
+        await adopted.run()
+
+        const marker = JSON.parse(await readFile(`${collectionPath}${CONSTANTS.COLLECTION_MARKER_FILENAME}`, 'utf-8'))
+        assert.equal(marker.adopted, true)
+
+        await adopted.extractor.clear()
+        await assert.rejects(access(collectionPath))
+      } finally {
+        await removeTempFolder(outputPath)
+      }
+    })
+  })
+
+  describe('generateWACZ() with "dedup"', () => {
+    // Same payload, captured twice: the second capture becomes a revisit record
+    const body = `<html><head><title>Home</title></head><body>${'Lorem ipsum. '.repeat(200)}</body></html>`
+    const first = { url: 'https://example.com/', body, date: '2021-04-30T20:04:57Z' }
+    const second = { url: 'https://example.com/?utm=1', body, date: '2022-01-01T00:00:00Z' }
+
+    /**
+     * @param {Buffer} data - Contents of a WARC file.
+     * @returns {Promise<WARCRecord[]>}
+     */
+    const readRecords = async (data) => {
+      const records = []
+
+      for await (const record of new WARCParser(Readable.from([data]))) {
+        await record.readFully()
+        records.push(record)
+      }
+
+      return records
+    }
+
+    /**
+     * Packages `a.warc.gz` (first capture) and a given second file with "dedup" set, and reads the second file back from the WACZ file.
+     * @param {string} filename - Of the second file.
+     * @param {Buffer} data - Of the second file.
+     * @returns {Promise<{log: object, datapackage: object, packaged: Buffer, records: WARCRecord[]}>}
+     */
+    const dedup = async (filename, data) => {
+      const input = await createTempFolder()
+      const outputPath = await createTempFolder()
+
+      try {
+        await writeWARC(`${input}a.warc.gz`, [first])
+        await writeFile(`${input}${filename}`, data)
+
+        const { log, WACZPath, run } = createLocalExtractor(input, outputPath, { dedup: true })
+        await run()
+
+        const datapackage = JSON.parse(await readFromWACZ(WACZPath, 'datapackage.json'))
+        const packaged = await readFromWACZ(WACZPath, `archive/${filename}`, null)
+        const records = await readRecords(packaged)
+
+        await access(`${WACZPath}${CONSTANTS.DEDUP_FOLDER_SUFFIX}`).then(() => assert.fail('Deduplicated copies were not removed'), () => {})
+        return { log, datapackage, packaged, records }
+      } finally {
+        await removeTempFolder(input)
+        await removeTempFolder(outputPath)
+      }
+    }
+
+    for (const gzip of [true, false]) {
+      it(`replaces payloads that were already captured with revisit records (${gzip ? 'gzip' : 'uncompressed'})`, async () => {
+        const filename = gzip ? 'b.warc.gz' : 'b.warc'
+        const data = await createWARC([second, { url: 'https://example.com/other', title: 'Other' }], { gzip })
+        const { datapackage, packaged, records } = await dedup(filename, data)
+
+        assert.deepEqual(records.map(record => record.warcType), ['revisit', 'response'])
+
+        const [revisit, other] = records
+        assert.equal(revisit.warcTargetURI, second.url)
+        assert.equal(revisit.warcDate, second.date)
+        assert.equal(revisit.warcHeader('WARC-Profile'), 'http://netpreserve.org/warc/1.1/revisit/identical-payload-digest')
+        assert.equal(revisit.warcHeader('WARC-Refers-To-Target-URI'), first.url)
+        assert.equal(revisit.warcHeader('WARC-Refers-To-Date'), first.date)
+        assert.equal(revisit.warcPayloadDigest, (await readRecords(data))[0].warcPayloadDigest)
+        assert.equal(revisit.httpHeaders.statusline, 'HTTP/1.1 200 OK')
+        assert.equal(revisit.payload.length, 0)
+        assert.equal(other.warcTargetURI, 'https://example.com/other')
+        assert.match(new TextDecoder().decode(other.payload), /Other/)
+
+        // Size and hashes of the original file, alongside those of the rewritten one
+        const [entry] = datapackage.extras.deduplication.WARCs
+        assert.equal(datapackage.extras.deduplication.revisits, 1)
+        assert.equal(entry.filename, filename)
+        assert.equal(entry.size, packaged.length)
+        assert.ok(packaged.length < data.length)
+        assert.deepEqual(entry.original, {
+          size: data.length,
+          sha1: crypto.createHash('sha1').update(data).digest('hex'),
+          sha256: crypto.createHash('sha256').update(data).digest('hex')
+        })
+
+        const resource = datapackage.resources.find(resource => resource.path === `archive/${filename}`)
+        assert.equal(resource.hash, `sha256:${crypto.createHash('sha256').update(packaged).digest('hex')}`)
+      })
+    }
+
+    it('packages files compressed as a single gzip stream as-is', async () => {
+      const data = gzipSync(await createWARC([second, { url: 'https://example.com/other', title: 'Other' }], { gzip: false }))
+      const { log, datapackage, packaged, records } = await dedup('b.warc.gz', data)
+
+      assert.ok(packaged.equals(data))
+      assert.deepEqual(records.map(record => record.warcType), ['response', 'response'])
+      assert.equal(datapackage.extras.deduplication.revisits, 0)
+      assert.ok(log.messages.warn.some(message => message.includes('b.warc.gz: not compressed record by record')))
+    })
+  })
+
+  describe('planDownloads()', () => {
+    it('counts deduplicated copies of WARCs in the disk space needed', async () => {
+      const collectionPath = await createTempFolder()
+
+      try {
+        const sizes = [600, 700, 1500]
+
+        for (const [dedup, expected] of [[false, 0], [true, 1500]]) {
+          const extractor = new BaseExtractor({ log: createLogger(), dedup, maxWACZSize: 1000 })
+          extractor.collectionPath = collectionPath
+          extractor.WARCs = sizes.map((size, i) => Object.assign(new WARCReference(), { filename: `${i}.warc.gz`, size }))
+
+          await extractor.planDownloads()
+          assert.equal(extractor.plan.dedupBytes, expected)
+          assert.equal(extractor.plan.diskSpaceNeeded, 2 * 2800 + expected)
+        }
+      } finally {
+        await removeTempFolder(collectionPath)
+      }
+    })
+  })
+})
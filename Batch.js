@@ -0,0 +1,265 @@
+import { EventEmitter } from 'node:events'
+import { equal } from 'node:assert'
+
+import { ArchiveItExtractor } from './ArchiveItExtractor.js'
+import { HttpClient } from './HttpClient.js'
+import { WorkQueue } from './WorkQueue.js'
+import * as CONSTANTS from './constants.js'
+
+/**
+ * Packages several collections in one go, with one extractor per collection.
+ * Collections are processed one after the other, or up to `this.parallel` at a time.
+ * Either way, extractors share a single budget: API requests, downloads, rate limits and bandwidth cap apply across all collections.
+ * A collection failing does not stop the others.
+ *
+ * Batches are event emitters:
+ * - `collection:start`: `{ collectionId, extractor }`, once the extractor of a collection was created.
+ * - `collection:end`: `{ collectionId, result }` (see `BatchCollectionResult`).
+ *
+ * Usage:
+ * ```
+ * const batch = new Batch({ collectionIds: [123, 456], parallel: 2, username, password })
+ * const report = await batch.run()
+ * ```
+ */
+export class Batch extends EventEmitter {
+  /** @type {Console} */
+  log = console
+
+  /**
+   * Ids of the collections to process, in order.
+   * @type {Array<number|string>}
+   */
+  collectionIds = []
+
+  /**
+   * Maximum number of collections processed at the same time.
+   * @type {number}
+   */
+  parallel = CONSTANTS.DEFAULT_PARALLEL_COLLECTIONS
+
+  /**
+   * Options passed to the extractor of each collection.
+   * @type {object}
+   */
+  options = {}
+
+  /**
+   * Creates the extractor of a given collection. Defaults to an `ArchiveItExtractor`.
+   * @type {function(object): BaseExtractor}
+   */
+  createExtractor = (options) => new ArchiveItExtractor(options)
+
+  /**
+   * HTTP layer shared by all extractors (retries, rate limits, bandwidth cap).
+   * Each extractor gets a view of it logging to the extractor's own prefixed logger (see `HttpClient.withLog()`).
+   * @type {?HttpClient}
+   */
+  http = null
+
+  /**
+   * Work queue for API requests, shared by all extractors. Limited by the "concurrency" option.
+   * @type {?WorkQueue}
+   */
+  metadataQueue = null
+
+  /**
+   * Work queue for downloads and hash checks, shared by all extractors. Limited by the "downloadConcurrency" option.
+   * @type {?WorkQueue}
+   */
+  downloadQueue = null
+
+  /**
+   * Extractor of each collection, keyed by collection id. Populated by `processCollection()`.
+   * @type {Object<string, BaseExtractor>}
+   */
+  extractors = {}
+
+  /**
+   * Error that stopped the processing of each collection that failed, keyed by collection id.
+   * @type {Object<string, Error>}
+   */
+  errors = {}
+
+  /**
+   * Report of the last run. Populated by `run()`.
+   * @type {?BatchReport}
+   */
+  report = null
+
+  /**
+   * @param {object} options - Also passed to the extractor of each collection (see `BaseExtractor` and `ArchiveItExtractor`).
+   * @param {Array<number|string>} options.collectionIds - Ids of the collections to process.
+   * @param {number} [options.parallel=1] - Maximum number of collections processed at the same time.
+   * @param {function(object): BaseExtractor} [options.createExtractor] - Creates the extractor of a given collection, from options. Defaults to `new ArchiveItExtractor(options)`.
+   * @param {?Console} [options.log=null] - Will be used instead of the Console API for logging, if compatible (i.e: loglevel). Lines logged by extractors are prefixed with the id of their collection.
+   */
+  constructor (options) {
+    super()
+
+    const { collectionIds, parallel, createExtractor, log, ...extractorOptions } = options || {}
+
+    if (log) {
+      this.log = log
+    }
+
+    try {
+      this.collectionIds = [...new Set(collectionIds.map(id => `${id}`.trim()).filter(id => id.length > 0))]
+      equal(this.collectionIds.length > 0, true)
+    } catch (err) {
+      this.log.trace(err)
+      throw new Error('"collectionIds" must be provided')
+    }
+
+    if (parallel) {
+      try {
+        const value = Number(parallel)
+        equal(Number.isInteger(value), true)
+        equal(value > 0, true)
+        this.parallel = value
+      } catch (err) {
+        this.log.trace(err)
+        this.log.warn(`"parallel" must be a positive integer. Using ${this.parallel} instead`)
+      }
+    }
+
+    if (typeof createExtractor === 'function') {
+      this.createExtractor = createExtractor
+    }
+
+    this.options = extractorOptions
+
+    this.http = new HttpClient({
+      retries: extractorOptions?.retries,
+      retryDelay: extractorOptions?.retryDelay,
+      maxRetryDelay: extractorOptions?.maxRetryDelay,
+      rateLimit: extractorOptions?.rateLimit,
+      maxBandwidth: extractorOptions?.maxBandwidth,
+      log: this.log
+    })
+
+    this.metadataQueue = new WorkQueue(Number(extractorOptions?.concurrency) || CONSTANTS.DEFAULT_CONCURRENCY)
+    this.downloadQueue = new WorkQueue(Number(extractorOptions?.downloadConcurrency) || CONSTANTS.DEFAULT_DOWNLOAD_CONCURRENCY)
+  }
+
+  /**
+   * Processes every collection of `this.collectionIds`, up to `this.parallel` at a time.
+   * Never throws because of a collection failing: failures are listed in the report.
+   * @returns {Promise<BatchReport>}
+   */
+  run = async () => {
+    const startedAt = new Date()
+    const queue = new WorkQueue(this.parallel)
+
+    const results = await queue.map(this.collectionIds, this.processCollection)
+    const collections = results.map(result => result.value)
+    const succeeded = collections.filter(result => result.success).length
+
+    this.report = {
+      version: CONSTANTS.PACKAGE_INFO.version,
+      success: succeeded === collections.length,
+      succeeded,
+      failed: collections.length - succeeded,
+      startedAt: startedAt.toISOString(),
+      endedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      collections
+    }
+
+    return this.report
+  }
+
+  /**
+   * Creates the extractor of a given collection and runs it.
+   * Errors are caught and recorded in `this.errors`.
+   * @param {number|string} collectionId
+   * @returns {Promise<BatchCollectionResult>}
+   */
+  processCollection = async (collectionId) => {
+    const { log } = this
+
+    /** @type {BatchCollectionResult} */
+    const result = { collectionId, success: false, error: null, report: null }
+
+    /** @type {?BaseExtractor} */
+    let extractor = null
+
+    try {
+      const collectionLog = this.getCollectionLog(collectionId)
+
+      extractor = this.createExtractor({
+        ...this.options,
+        collectionId,
+        log: collectionLog,
+        http: this.http.withLog(collectionLog),
+        metadataQueue: this.metadataQueue,
+        downloadQueue: this.downloadQueue
+      })
+
+      this.extractors[collectionId] = extractor
+      this.emit('collection:start', { collectionId, extractor })
+
+      log.info(`Processing collection ${collectionId}`)
+      result.report = await extractor.process()
+      result.success = true
+    } catch (err) {
+      log.trace(err)
+      log.error(`Collection ${collectionId} could not be processed (${err.message})`)
+      this.errors[collectionId] = err
+      result.error = { name: err.name, message: err.message }
+
+      try {
+        result.report = extractor ? extractor.report || await extractor.buildReport() : null
+      } catch (err) {
+        log.trace(err)
+      }
+    }
+
+    this.emit('collection:end', { collectionId, result })
+    return result
+  }
+
+  /**
+   * Returns a logger that prefixes every line with the id of a given collection, so lines logged by parallel runs can be told apart.
+   * @param {number|string} collectionId
+   * @returns {Console}
+   */
+  getCollectionLog = (collectionId) => {
+    const prefixed = {}
+
+    for (const level of ['trace', 'debug', 'info', 'warn', 'error']) {
+      prefixed[level] = (...args) => this.log[level](`[${collectionId}]`, ...args)
+    }
+
+    return prefixed
+  }
+
+  /**
+   * Prints a summary of `this.report`: outcome of each collection.
+   * @returns {void}
+   */
+  printReport = () => {
+    const { log, report } = this
+
+    if (!report) {
+      return
+    }
+
+    log.info(`📚 ${report.succeeded} of ${report.collections.length} collections were processed successfully`)
+
+    for (const result of report.collections) {
+      if (!result.success) {
+        log.error(`- ${result.collectionId}: failed (${result.error?.name}: ${result.error?.message})`)
+        continue
+      }
+
+      const output = result.report?.manifest || result.report?.WACZ?.path
+
+      if (output) {
+        log.info(`- ${result.collectionId}: ${output}`)
+      } else {
+        log.info(`- ${result.collectionId}: done`)
+      }
+    }
+  }
+}
@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'node:timers/promises'
+
+import { Batch } from './Batch.js'
+import { createLogger, startServer } from './fixtures/index.js'
+
+/**
+ * Creates a batch whose extractors are stubs: `process()` runs `run(options)`, given the options of the extractor.
+ * @param {object} options - Batch options.
+ * @param {function(object): Promise<object>} run - Returns the report of the collection, or throws.
+ * @returns {{batch: Batch, extractorOptions: object[]}} - `extractorOptions`: options each extractor was created with.
+ */
+function createBatch (options, run) {
+  const extractorOptions = []
+
+  const batch = new Batch({
+    log: createLogger(),
+    ...options,
+    createExtractor: (options) => {
+      extractorOptions.push(options)
+
+      return {
+        report: null,
+        process: () => run(options),
+        buildReport: async () => ({ collectionId: options.collectionId })
+      }
+    }
+  })
+
+  return { batch, extractorOptions }
+}
+
+describe('Batch', () => {
+  describe('run()', () => {
+    it('keeps processing other collections when one fails', async () => {
+      const { batch } = createBatch({ collectionIds: [1, 2, 3] }, async ({ collectionId }) => {
+        if (collectionId === '2') {
+          throw new Error('Collection not found')
+        }
+
+        return { collectionId }
+      })
+
+      const report = await batch.run()
+
+      assert.equal(report.success, false)
+      assert.equal(report.succeeded, 2)
+      assert.equal(report.failed, 1)
+      assert.deepEqual(report.collections.map(result => [result.collectionId, result.success]), [['1', true], ['2', false], ['3', true]])
+      assert.deepEqual(report.collections[1].error, { name: 'Error', message: 'Collection not found' })
+      assert.deepEqual(report.collections[1].report, { collectionId: '2' })
+      assert.equal(batch.errors['2'].message, 'Collection not found')
+      assert.deepEqual(Object.keys(batch.errors), ['2'])
+    })
+
+    for (const parallel of [1, 3]) {
+      it(`processes up to "parallel" collections at a time (${parallel})`, async () => {
+        let running = 0
+        let peak = 0
+
+        const { batch } = createBatch({ collectionIds: [1, 2, 3, 4, 5, 6], parallel }, async ({ collectionId }) => {
+          running++
+          peak = Math.max(peak, running)
+          await sleep(20)
+          running--
+          return { collectionId }
+        })
+
+        const report = await batch.run()
+
+        assert.equal(report.succeeded, 6)
+        assert.equal(peak, parallel)
+      })
+    }
+
+    it('emits "collection:start" and "collection:end" for each collection', async () => {
+      const { batch } = createBatch({ collectionIds: [1, 2] }, async ({ collectionId }) => {
+        if (collectionId === '2') {
+          throw new Error('Collection not found')
+        }
+
+        return { collectionId }
+      })
+
+      const events = []
+      batch.on('collection:start', ({ collectionId, extractor }) => events.push(['start', collectionId, extractor === batch.extractors[collectionId]]))
+      batch.on('collection:end', ({ collectionId, result }) => events.push(['end', collectionId, result.success]))
+
+      await batch.run()
+
+      assert.deepEqual(events, [['start', '1', true], ['end', '1', true], ['start', '2', true], ['end', '2', false]])
+    })
+  })
+
+  describe('processCollection()', () => {
+    it('gives every extractor the same work queues, rate limits and bandwidth cap', async () => {
+      const { batch, extractorOptions } = createBatch({ collectionIds: [1, 2], rateLimit: 5, maxBandwidth: 1000 }, async () => ({}))
+      await batch.run()
+
+      assert.equal(extractorOptions.length, 2)
+
+      for (const options of extractorOptions) {
+        assert.equal(options.metadataQueue, batch.metadataQueue)
+        assert.equal(options.downloadQueue, batch.downloadQueue)
+        assert.equal(options.http.rateLimit, 5)
+        assert.equal(options.http.maxBandwidth, 1000)
+        assert.equal(options.http.waitForSlot, batch.http.waitForSlot)
+        assert.equal(options.http.throttle, batch.http.throttle)
+      }
+    })
+
+    it('prefixes lines logged by extractors, including HTTP retries, with the id of their collection', async () => {
+      let requests = 0
+
+      const server = await startServer((_request, response) => {
+        requests++
+        response.writeHead(requests === 1 ? 503 : 200)
+        response.end()
+      })
+
+      try {
+        const { batch } = createBatch({ collectionIds: [12345], retries: 1, retryDelay: 10 }, async ({ log, http }) => {
+          log.info('Listing WARCs')
+          await http.fetch(server.url)
+          return {}
+        })
+
+        await batch.run()
+
+        assert.ok(batch.log.messages.info.includes('[12345] Listing WARCs'))
+        assert.equal(batch.log.messages.warn.length, 1)
+        assert.match(batch.log.messages.warn[0], /^\[12345\] .* responded with 503 -- retrying/)
+      } finally {
+        await server.close()
+      }
+    })
+  })
+})
@@ -0,0 +1,248 @@
+import { access, mkdir, readdir, readFile, rm, rmdir, writeFile } from 'fs/promises'
+import { constants as fsConstants } from 'node:fs'
+import { hostname } from 'os'
+
+import { CollectionLockedError } from './errors.js'
+import * as CONSTANTS from './constants.js'
+
+/**
+ * Folder in which the WARCs and job state of a collection are stored.
+ * - Folders created by wacz-preparator carry a marker file (see `markAsManaged()`): nothing is ever removed from other folders (see `isManaged()`).
+ * - A lockfile prevents two runs from working on the same folder at the same time (see `acquireLock()`).
+ *
+ * Usage:
+ * ```
+ * const folder = new CollectionFolder('/archives/12345/', { collectionId: 12345 })
+ * await folder.create()
+ * await folder.acquireLock()
+ * // ...
+ * await folder.releaseLock()
+ * ```
+ */
+export class CollectionFolder {
+  /** @type {Console} */
+  log = console
+
+  /**
+   * Path of the folder, with a trailing separator.
+   * @type {?string}
+   */
+  path = null
+
+  /**
+   * Id of the collection stored in the folder. Recorded in the marker file.
+   * @type {?(number|string)}
+   */
+  collectionId = null
+
+  /**
+   * Path to the lockfile held by the current run, if any. See `acquireLock()`.
+   * @type {?string}
+   */
+  lockPath = null
+
+  /**
+   * @param {string} path - With a trailing separator.
+   * @param {object} [options]
+   * @param {?(number|string)} [options.collectionId=null]
+   * @param {?Console} [options.log=null] - Will be used instead of the Console API for logging, if compatible (i.e: loglevel).
+   */
+  constructor (path, options = {}) {
+    this.path = path
+
+    if (options?.collectionId) {
+      this.collectionId = options.collectionId
+    }
+
+    if (options?.log) {
+      this.log = options.log
+    }
+  }
+
+  /**
+   * Checks whether the folder exists and can be written to.
+   * @returns {Promise<boolean>}
+   */
+  exists = async () => {
+    try {
+      await access(this.path, fsConstants.W_OK)
+      return true
+    } catch (_err) {
+      return false
+    }
+  }
+
+  /**
+   * Creates the folder, and marks it as created by wacz-preparator (see `markAsManaged()`).
+   * @returns {Promise<void>}
+   */
+  create = async () => {
+    await mkdir(this.path)
+    await access(this.path, fsConstants.W_OK)
+    await this.markAsManaged(false)
+  }
+
+  /**
+   * Checks whether the folder was created by wacz-preparator, based on the marker file written by `markAsManaged()`.
+   * Nothing is ever removed from folders that were not, unless they were adopted.
+   * @returns {Promise<boolean>}
+   */
+  isManaged = async () => {
+    try {
+      await access(`${this.path}${CONSTANTS.COLLECTION_MARKER_FILENAME}`)
+      return true
+    } catch (_err) {
+      return false
+    }
+  }
+
+  /**
+   * Writes the marker file identifying folders created by wacz-preparator.
+   * @param {boolean} adopted - `true` if the folder already existed (see "adoptFolder").
+   * @returns {Promise<void>}
+   */
+  markAsManaged = async (adopted) => {
+    const marker = {
+      software: `${CONSTANTS.PACKAGE_INFO.name} ${CONSTANTS.PACKAGE_INFO.version}`,
+      collectionId: this.collectionId,
+      createdAt: new Date().toISOString(),
+      adopted
+    }
+
+    await writeFile(`${this.path}${CONSTANTS.COLLECTION_MARKER_FILENAME}`, JSON.stringify(marker, null, 2))
+  }
+
+  /**
+   * Creates a lockfile in the folder, so two runs cannot work on the same collection at the same time.
+   * Locks left behind by runs that are no longer active on this machine are replaced.
+   * @returns {Promise<void>}
+   * @throws {CollectionLockedError}
+   */
+  acquireLock = async () => {
+    const lockPath = `${this.path}${CONSTANTS.LOCK_FILENAME}`
+
+    const lock = {
+      pid: process.pid,
+      hostname: hostname(),
+      startedAt: new Date().toISOString()
+    }
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await writeFile(lockPath, JSON.stringify(lock, null, 2), { flag: 'wx' })
+        this.lockPath = lockPath
+        return
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw err
+        }
+      }
+
+      /** @type {?object} */
+      let existing = null
+
+      try {
+        existing = JSON.parse(await readFile(lockPath, 'utf-8'))
+      } catch (err) {
+        this.log.trace(err)
+      }
+
+      if (attempt > 0 || existing?.hostname !== lock.hostname || isProcessRunning(existing?.pid)) {
+        const holder = existing ? ` (pid ${existing.pid} on ${existing.hostname}, since ${existing.startedAt})` : ''
+
+        throw new CollectionLockedError(
+          `${this.path} is being used by another run${holder}. Delete ${lockPath} if that run is no longer active`,
+          { lockPath }
+        )
+      }
+
+      this.log.warn(`${lockPath}: left behind by a run that is no longer active (pid ${existing.pid}) -- replacing it`)
+      await rm(lockPath, { force: true })
+    }
+  }
+
+  /**
+   * Removes the lockfile created by `acquireLock()`, if any.
+   * @returns {Promise<void>}
+   */
+  releaseLock = async () => {
+    if (!this.lockPath) {
+      return
+    }
+
+    try {
+      await rm(this.lockPath, { force: true })
+    } catch (err) {
+      this.log.trace(err)
+      this.log.warn(`${this.lockPath} could not be removed`)
+    }
+
+    this.lockPath = null
+  }
+
+  /**
+   * Deletes the folder and its contents.
+   * Only WARC files and files created by wacz-preparator are removed, and only from folders created by wacz-preparator (see `isManaged()`).
+   * The folder itself is kept if anything else is left in it.
+   * @throws {Error} - If the folder was not created by wacz-preparator.
+   * @returns {Promise<void>}
+   */
+  clear = async () => {
+    const { log, path } = this
+
+    if (!(await this.isManaged())) {
+      throw new Error(`${path} was not created by wacz-preparator (no ${CONSTANTS.COLLECTION_MARKER_FILENAME} file) -- it will not be deleted (see "adoptFolder")`)
+    }
+
+    const managed = [
+      CONSTANTS.COLLECTION_MARKER_FILENAME,
+      CONSTANTS.JOB_STATE_FILENAME,
+      `${CONSTANTS.JOB_STATE_FILENAME}.tmp`,
+      CONSTANTS.LOCK_FILENAME
+    ]
+
+    const kept = []
+
+    for (const filename of await readdir(path)) {
+      if (isWARCFilename(filename) || managed.includes(filename)) {
+        await rm(`${path}${filename}`, { force: true })
+      } else {
+        kept.push(filename)
+      }
+    }
+
+    if (kept.length) {
+      log.warn(`${path} was not deleted: it contains files that were not created by wacz-preparator (${kept.join(', ')})`)
+      return
+    }
+
+    await rmdir(path)
+  }
+}
+
+/**
+ * Checks whether a process is running on this machine. Signal 0 only checks that the process exists.
+ * @param {?number} pid
+ * @returns {boolean}
+ */
+function isProcessRunning (pid) {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return false
+  }
+
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (err) {
+    return err.code === 'EPERM' // Exists, but belongs to another user
+  }
+}
+
+/**
+ * Checks whether a filename is that of a WARC file, or of an interrupted WARC download (i.e: "file.warc.gz.part").
+ * @param {string} filename
+ * @returns {boolean}
+ */
+export function isWARCFilename (filename) {
+  return /\.warc(\.gz)?(\.part)?$/i.test(filename)
+}
@@ -0,0 +1,112 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawnSync } from 'child_process'
+import { access, mkdir, readdir, readFile, rm, writeFile } from 'fs/promises'
+import { hostname } from 'os'
+
+import { CollectionFolder } from './CollectionFolder.js'
+import { CollectionLockedError } from './errors.js'
+import * as CONSTANTS from './constants.js'
+import { createLogger, createTempFolder, removeTempFolder } from './fixtures/index.js'
+
+describe('CollectionFolder', () => {
+  let outputPath = null
+  let folder = null
+
+  beforeEach(async () => {
+    outputPath = await createTempFolder()
+    folder = new CollectionFolder(`${outputPath}12345/`, { collectionId: 12345, log: createLogger() })
+  })
+
+  afterEach(async () => {
+    await removeTempFolder(outputPath)
+  })
+
+  /**
+   * Writes a lockfile, as if it was held by another run.
+   * @param {object} lock
+   * @returns {Promise<void>}
+   */
+  const writeLock = async (lock) => {
+    await writeFile(`${folder.path}${CONSTANTS.LOCK_FILENAME}`, JSON.stringify({ startedAt: new Date().toISOString(), ...lock }))
+  }
+
+  describe('create()', () => {
+    it('creates the folder and marks it as created by wacz-preparator', async () => {
+      assert.equal(await folder.exists(), false)
+      await folder.create()
+
+      assert.equal(await folder.exists(), true)
+      assert.equal(await folder.isManaged(), true)
+
+      const marker = JSON.parse(await readFile(`${folder.path}${CONSTANTS.COLLECTION_MARKER_FILENAME}`, 'utf-8'))
+      assert.equal(marker.collectionId, 12345)
+      assert.equal(marker.adopted, false)
+    })
+  })
+
+  describe('acquireLock()', () => {
+    it('creates a lockfile, removed by releaseLock()', async () => {
+      await folder.create()
+      await folder.acquireLock()
+
+      const lock = JSON.parse(await readFile(folder.lockPath, 'utf-8'))
+      assert.equal(lock.pid, process.pid)
+      assert.equal(lock.hostname, hostname())
+
+      const lockPath = folder.lockPath
+      await folder.releaseLock()
+      await assert.rejects(access(lockPath))
+      assert.equal(folder.lockPath, null)
+    })
+
+    it('fails if the lock is held by a running process, or by another machine', async () => {
+      await folder.create()
+
+      for (const lock of [{ pid: process.pid, hostname: hostname() }, { pid: 1, hostname: 'elsewhere' }]) {
+        await writeLock(lock)
+        await assert.rejects(folder.acquireLock(), (err) => err instanceof CollectionLockedError && err.lockPath === `${folder.path}${CONSTANTS.LOCK_FILENAME}`)
+        assert.equal(folder.lockPath, null)
+      }
+    })
+
+    it('replaces locks left behind by processes that are no longer running on this machine', async () => {
+      await folder.create()
+      const { pid } = spawnSync(process.execPath, ['-e', ''])
+      await writeLock({ pid, hostname: hostname() })
+
+      await folder.acquireLock()
+
+      assert.equal(JSON.parse(await readFile(folder.lockPath, 'utf-8')).pid, process.pid)
+      assert.deepEqual(folder.log.messages.warn, [`${folder.lockPath}: left behind by a run that is no longer active (pid ${pid}) -- replacing it`])
+    })
+  })
+
+  describe('clear()', () => {
+    it('removes WARCs and files created by wacz-preparator, and the folder if nothing else is left', async () => {
+      await folder.create()
+      await folder.acquireLock()
+
+      for (const filename of ['a.warc.gz', 'b.warc', 'c.warc.gz.part', CONSTANTS.JOB_STATE_FILENAME, 'notes.txt']) {
+        await writeFile(`${folder.path}${filename}`, '')
+      }
+
+      await folder.clear()
+      assert.deepEqual(await readdir(folder.path), ['notes.txt'])
+      assert.equal(folder.log.messages.warn.length, 1)
+
+      await rm(`${folder.path}notes.txt`)
+      await folder.markAsManaged(false)
+      await folder.clear()
+      await assert.rejects(access(folder.path))
+    })
+
+    it('refuses to clear folders that were not created by wacz-preparator', async () => {
+      await mkdir(folder.path)
+      await writeFile(`${folder.path}a.warc.gz`, '')
+
+      await assert.rejects(folder.clear(), /was not created by wacz-preparator/)
+      await access(`${folder.path}a.warc.gz`)
+    })
+  })
+})
@@ -0,0 +1,212 @@
+import { readFile, access, stat } from 'fs/promises'
+import { homedir } from 'os'
+import { dirname, join, resolve } from 'path'
+
+import yaml from 'js-yaml'
+
+import * as CONSTANTS from './constants.js'
+
+/**
+ * Settings read from a wacz-preparator config file (JSON or YAML).
+ * Top-level settings are shared by all profiles, and can be overridden by the profile being loaded:
+ * ```yaml
+ * outputPath: ./archives
+ * concurrency: 20
+ * profiles:
+ *   my-partner:
+ *     extractor: archive-it
+ *     username: foo
+ *     passwordFile: ~/.config/wacz-preparator/password
+ *     collectionId: 12345
+ * ```
+ *
+ * Settings use the same names as the extractors' constructor options, so they can be passed as-is.
+ *
+ * Usage:
+ * ```
+ * const config = await Config.load('./wacz-preparator.yaml', 'my-partner')
+ * const collection = new ArchiveItExtractor(config.options)
+ * ```
+ */
+export class Config {
+  /**
+   * Path of the config file.
+   * @type {?string}
+   */
+  filepath = null
+
+  /**
+   * Name of the profile that was loaded, if any.
+   * @type {?string}
+   */
+  profile = null
+
+  /**
+   * Names of the profiles available in the config file.
+   * @type {string[]}
+   */
+  profiles = []
+
+  /**
+   * Resolved settings: shared settings, overridden by those of the profile.
+   * Paths are absolute, and `passwordFile` is replaced by the `password` it contains.
+   * @type {object}
+   */
+  options = {}
+
+  /**
+   * @param {string} filepath - Path of the config file.
+   */
+  constructor (filepath) {
+    this.filepath = resolve(filepath)
+  }
+
+  /**
+   * Looks for a config file in a given folder (see `CONSTANTS.CONFIG_FILENAMES`).
+   * @param {string} [folder=process.cwd()]
+   * @returns {Promise<?string>} - Path of the config file, or `null` if there is none.
+   */
+  static find = async (folder = process.cwd()) => {
+    for (const filename of CONSTANTS.CONFIG_FILENAMES) {
+      const filepath = join(folder, filename)
+
+      try {
+        await access(filepath)
+        return filepath
+      } catch (_err) {}
+    }
+
+    return null
+  }
+
+  /**
+   * Reads and resolves a config file.
+   * @param {string} filepath - Path to a .json, .yaml or .yml file.
+   * @param {?string} [profile=null] - Name of the profile to load, if any.
+   * @param {?Console} [log=console]
+   * @returns {Promise<Config>}
+   */
+  static load = async (filepath, profile = null, log = console) => {
+    const config = new Config(filepath)
+    const raw = await readFile(config.filepath, 'utf-8')
+
+    /** @type {?object} */
+    let data = null
+
+    try {
+      data = /\.ya?ml$/i.test(config.filepath) ? yaml.load(raw) : JSON.parse(raw)
+    } catch (err) {
+      log.trace(err)
+      throw new Error(`${config.filepath} could not be parsed (${err.message})`)
+    }
+
+    data = data ?? {} // Empty file
+
+    if (!isPlainObject(data)) {
+      throw new Error(`${config.filepath} must contain an object`)
+    }
+
+    const { profiles = {}, ...shared } = data
+
+    if (!isPlainObject(profiles)) {
+      throw new Error(`"profiles" must be an object in ${config.filepath}`)
+    }
+
+    config.profiles = Object.keys(profiles)
+    const layers = [shared]
+
+    if (profile) {
+      if (!isPlainObject(profiles[profile])) {
+        const available = config.profiles.length ? config.profiles.join(', ') : 'none'
+        throw new Error(`No profile named "${profile}" in ${config.filepath} (available: ${available})`)
+      }
+
+      config.profile = profile
+      layers.push(profiles[profile])
+    }
+
+    for (const layer of layers) {
+      config.options = { ...config.options, ...await config.resolveLayer(layer) }
+    }
+
+    await config.checkPermissions(data, log)
+    return config
+  }
+
+  /**
+   * Resolves the paths of a set of settings relative to the config file, and reads `passwordFile` if present.
+   * @param {object} layer
+   * @returns {Promise<object>}
+   */
+  resolveLayer = async (layer) => {
+    const resolved = { ...layer }
+    const base = dirname(this.filepath)
+
+    for (const key of CONSTANTS.CONFIG_PATH_OPTIONS) {
+      if (typeof resolved[key] === 'string') {
+        resolved[key] = resolvePath(base, resolved[key])
+      } else if (Array.isArray(resolved[key])) {
+        resolved[key] = resolved[key].map(value => resolvePath(base, `${value}`))
+      }
+    }
+
+    if (resolved.passwordFile) {
+      try {
+        resolved.password = (await readFile(resolved.passwordFile, 'utf-8')).trim()
+      } catch (err) {
+        throw new Error(`"passwordFile" could not be read: ${resolved.passwordFile}`, { cause: err })
+      }
+
+      delete resolved.passwordFile
+    }
+
+    return resolved
+  }
+
+  /**
+   * Warns if the config file contains credentials but can be read by other users.
+   * @param {object} data - Raw contents of the config file.
+   * @param {?Console} [log=console]
+   * @returns {Promise<void>}
+   */
+  checkPermissions = async (data, log = console) => {
+    if (process.platform === 'win32') {
+      return
+    }
+
+    const layers = [data, ...Object.values(data?.profiles || {})]
+    const hasSecrets = layers.some(layer => CONSTANTS.CONFIG_SECRET_OPTIONS.some(key => layer?.[key]))
+
+    if (!hasSecrets) {
+      return
+    }
+
+    const { mode } = await stat(this.filepath)
+
+    if (mode & 0o077) {
+      log.warn(`${this.filepath} contains credentials but can be read by other users (see: chmod 600)`)
+    }
+  }
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject (value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Resolves a path relative to a given folder. Supports "~" for the user's home folder.
+ * @param {string} base
+ * @param {string} path
+ * @returns {string}
+ */
+function resolvePath (base, path) {
+  if (path === '~' || path.startsWith('~/')) {
+    return join(homedir(), path.slice(1))
+  }
+
+  return resolve(base, path)
+}
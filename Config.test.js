@@ -0,0 +1,107 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { writeFile, chmod } from 'fs/promises'
+import { homedir } from 'os'
+import { join } from 'path'
+
+import { Config } from './Config.js'
+import { createLogger, createTempFolder, removeTempFolder } from './fixtures/index.js'
+
+describe('Config', () => {
+  let folder = null
+
+  before(async () => {
+    folder = await createTempFolder()
+    await writeFile(`${folder}password`, 'from-file\n')
+  })
+
+  after(async () => {
+    await removeTempFolder(folder)
+  })
+
+  describe('load()', () => {
+    const yaml = [
+      'outputPath: ./archives',
+      'concurrency: 20',
+      'username: shared',
+      'profiles:',
+      '  partner:',
+      '    username: partner',
+      '    passwordFile: ./password',
+      '    collectionId: 12345',
+      '  other:',
+      '    concurrency: 5',
+      '    report: ~/report.json'
+    ].join('\n')
+
+    before(async () => {
+      await writeFile(`${folder}wacz-preparator.yaml`, yaml)
+    })
+
+    it('uses shared settings only if no profile is selected', async () => {
+      const config = await Config.load(`${folder}wacz-preparator.yaml`)
+
+      assert.equal(config.profile, null)
+      assert.deepEqual(config.profiles, ['partner', 'other'])
+      assert.deepEqual(config.options, { outputPath: `${folder}archives`, concurrency: 20, username: 'shared' })
+    })
+
+    it('overrides shared settings with those of the selected profile, and reads "passwordFile"', async () => {
+      const config = await Config.load(`${folder}wacz-preparator.yaml`, 'partner')
+
+      assert.equal(config.profile, 'partner')
+      assert.deepEqual(config.options, { outputPath: `${folder}archives`, concurrency: 20, username: 'partner', password: 'from-file', collectionId: 12345 })
+    })
+
+    it('resolves paths relative to the config file, and "~" to the home folder', async () => {
+      const config = await Config.load(`${folder}wacz-preparator.yaml`, 'other')
+
+      assert.equal(config.options.concurrency, 5)
+      assert.equal(config.options.outputPath, `${folder}archives`)
+      assert.equal(config.options.report, join(homedir(), 'report.json'))
+    })
+
+    it('throws if the profile does not exist, listing those that do', async () => {
+      await assert.rejects(Config.load(`${folder}wacz-preparator.yaml`, 'missing'), /No profile named "missing" .* \(available: partner, other\)/)
+    })
+
+    it('reads JSON files, and throws if they cannot be parsed or do not contain an object', async () => {
+      await writeFile(`${folder}valid.json`, JSON.stringify({ retries: 5 }))
+      assert.deepEqual((await Config.load(`${folder}valid.json`)).options, { retries: 5 })
+
+      await writeFile(`${folder}invalid.json`, '{ retries: 5')
+      await assert.rejects(Config.load(`${folder}invalid.json`, null, createLogger()), /could not be parsed/)
+
+      await writeFile(`${folder}array.json`, '[]')
+      await assert.rejects(Config.load(`${folder}array.json`), /must contain an object/)
+    })
+
+    it('warns if a config file holding credentials can be read by other users', async () => {
+      const log = createLogger()
+      await writeFile(`${folder}secret.json`, JSON.stringify({ profiles: { partner: { password: 'secret' } } }))
+
+      await chmod(`${folder}secret.json`, 0o644)
+      await Config.load(`${folder}secret.json`, null, log)
+      assert.equal(log.messages.warn.length, 1)
+
+      await chmod(`${folder}secret.json`, 0o600)
+      await Config.load(`${folder}secret.json`, null, log)
+      assert.equal(log.messages.warn.length, 1)
+    })
+  })
+
+  describe('find()', () => {
+    it('looks for a config file in a given folder', async () => {
+      const empty = await createTempFolder()
+
+      try {
+        assert.equal(await Config.find(empty), null)
+
+        await writeFile(`${empty}wacz-preparator.yml`, '')
+        assert.equal(await Config.find(empty), join(empty, 'wacz-preparator.yml'))
+      } finally {
+        await removeTempFolder(empty)
+      }
+    })
+  })
+})
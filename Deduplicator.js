@@ -0,0 +1,212 @@
+import { mkdir, rm, stat } from 'fs/promises'
+import { createReadStream, createWriteStream } from 'fs'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { basename } from 'path'
+
+import { WARCParser, WARCRecord, WARCSerializer } from 'warcio'
+
+/**
+ * Deduplicates the WARCs of a WACZ file: payloads that were already captured (same `WARC-Payload-Digest`) are replaced by `revisit` records
+ * pointing at their first capture ("identical-payload-digest" profile). WARCs are left untouched: deduplicated copies are written instead.
+ * Used by extractors when "dedup" is set (see `BaseExtractor.generateWACZ()`).
+ *
+ * Captures are tracked across calls: one instance per WACZ file.
+ *
+ * Usage:
+ * ```
+ * const { paths, summary } = await new Deduplicator(extractor).dedupWARCs(filepaths, '/path/to/copies/')
+ * ```
+ */
+export class Deduplicator {
+  /**
+   * Extractor whose WARCs are deduplicated. Populated by the constructor.
+   * @type {BaseExtractor}
+   */
+  extractor = null
+
+  /**
+   * First capture of each payload, keyed by payload digest.
+   * @type {Map<string, {url: string, date: string}>}
+   */
+  captures = new Map()
+
+  /**
+   * @param {BaseExtractor} extractor
+   */
+  constructor (extractor) {
+    this.extractor = extractor
+  }
+
+  /**
+   * Writes copies of given WARC files in which payloads that were already captured are replaced by `revisit` records.
+   * Files are processed in the order they are given, and other records are copied as-is.
+   * Files in which nothing was deduplicated are not copied.
+   * @param {string[]} filepaths
+   * @param {string} folder - Where deduplicated copies are written. Replaced if it already exists.
+   * @returns {Promise<{paths: string[], summary: DedupSummary}>} - `paths`: files to package, in order.
+   */
+  dedupWARCs = async (filepaths, folder) => {
+    const { extractor } = this
+    const paths = []
+
+    /** @type {DedupSummary} */
+    const summary = { revisits: 0, savedBytes: 0, WARCs: [] }
+
+    await rm(folder, { recursive: true, force: true })
+    await mkdir(folder, { recursive: true })
+
+    for (const filepath of filepaths) {
+      const replacements = await this.findDuplicateRecords(filepath)
+
+      if (!replacements.length) {
+        paths.push(filepath)
+        continue
+      }
+
+      const filename = basename(filepath)
+      const destination = `${folder}${filename}`
+      await pipeline(Readable.from(replaceRanges(filepath, replacements)), createWriteStream(destination))
+
+      const original = { size: (await stat(filepath)).size, ...await extractor.computeChecksums(filepath, ['sha1', 'sha256']) }
+      const size = (await stat(destination)).size
+
+      summary.revisits += replacements.length
+      summary.savedBytes += original.size - size
+      summary.WARCs.push({ filename, revisits: replacements.length, size, original })
+      paths.push(destination)
+    }
+
+    return { paths, summary }
+  }
+
+  /**
+   * Reads a WARC file and lists the `response` records whose payload was already captured, alongside the `revisit` records replacing them (see `dedupWARCs()`).
+   * Payloads captured for the first time are added to `this.captures`. Truncated and segmented records are left as-is.
+   *
+   * Records are replaced byte range by byte range, which requires `.warc.gz` files to be compressed record by record (one gzip member per record).
+   * Files that are not (i.e: compressed as a single gzip stream) are left as-is: nothing is replaced.
+   * @param {string} filepath
+   * @returns {Promise<{offset: number, length: number, data: Uint8Array}[]>} - Byte ranges of the file to replace, in order.
+   */
+  findDuplicateRecords = async (filepath) => {
+    const { captures } = this
+    const replacements = []
+    const gzip = filepath.endsWith('.gz')
+    const stream = createReadStream(filepath)
+    const parser = new WARCParser(stream)
+
+    // Where the next gzip member should start, if records are compressed one by one
+    let position = 0
+    let perRecord = true
+
+    try {
+      for await (const record of parser) {
+        await record.skipFully()
+
+        if (gzip && parser.offset !== position) {
+          perRecord = false
+        }
+
+        position = parser.offset + parser.recordLength
+
+        const digest = record.warcPayloadDigest
+
+        if (record.warcType !== 'response' ||
+            !record.httpHeaders ||
+            !digest ||
+            record.warcHeader('WARC-Truncated') ||
+            record.warcHeader('WARC-Segment-Number')
+        ) {
+          continue
+        }
+
+        const original = captures.get(digest)
+
+        if (!original) {
+          captures.set(digest, { url: record.warcTargetURI, date: record.warcDate })
+          continue
+        }
+
+        let data = await WARCSerializer.serialize(createRevisitRecord(record, original), { gzip })
+
+        // Uncompressed records end with two line breaks, which `parser.recordLength` leaves out: those of the original record stay in place
+        if (!gzip) {
+          data = data.subarray(0, data.byteLength - 4)
+        }
+
+        // Not worth it for small payloads (i.e: empty responses)
+        if (data.byteLength < parser.recordLength) {
+          replacements.push({ offset: parser.offset, length: parser.recordLength, data })
+        }
+      }
+    } finally {
+      stream.destroy()
+    }
+
+    if (gzip && replacements.length && (!perRecord || position !== (await stat(filepath)).size)) {
+      this.extractor.log.warn(`${basename(filepath)}: not compressed record by record -- ${replacements.length} duplicate records will be packaged as-is`)
+      return []
+    }
+
+    return replacements
+  }
+}
+
+/**
+ * Creates a `revisit` record replacing a `response` record whose payload was already captured ("identical-payload-digest" profile).
+ * The revisit keeps the id, target, date and HTTP headers of the record it replaces, so other records referring to it remain valid.
+ * @param {WARCRecord} record
+ * @param {{url: string, date: string}} original - First capture of the payload.
+ * @returns {WARCRecord}
+ */
+function createRevisitRecord (record, original) {
+  const warcHeaders = {}
+  const httpHeaders = {}
+
+  for (const header of ['WARC-Record-ID', 'WARC-Payload-Digest', 'WARC-IP-Address', 'WARC-Concurrent-To', 'WARC-Warcinfo-ID']) {
+    const value = record.warcHeader(header)
+
+    if (value) {
+      warcHeaders[header] = value
+    }
+  }
+
+  // Repeated headers (i.e: "Set-Cookie") are merged
+  for (const [name, value] of record.httpHeaders.headers) {
+    httpHeaders[name] = name in httpHeaders ? `${httpHeaders[name]}, ${value}` : value
+  }
+
+  return WARCRecord.create({
+    url: record.warcTargetURI,
+    date: record.warcDate,
+    type: 'revisit',
+    warcVersion: record.warcHeaders.protocol,
+    warcHeaders,
+    statusline: record.httpHeaders.statusline,
+    httpHeaders,
+    refersToUrl: original.url,
+    refersToDate: original.date
+  })
+}
+
+/**
+ * Reads a file, replacing byte ranges with other contents.
+ * @param {string} filepath
+ * @param {{offset: number, length: number, data: Uint8Array}[]} replacements - In order, not overlapping.
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+async function * replaceRanges (filepath, replacements) {
+  let position = 0
+
+  for (const { offset, length, data } of replacements) {
+    if (offset > position) {
+      yield * createReadStream(filepath, { start: position, end: offset - 1 })
+    }
+
+    yield data
+    position = offset + length
+  }
+
+  yield * createReadStream(filepath, { start: position })
+}
@@ -0,0 +1,75 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { access, mkdir, readdir, writeFile } from 'fs/promises'
+
+import { BaseExtractor } from './BaseExtractor.js'
+import { Deduplicator } from './Deduplicator.js'
+import { createLogger, createTempFolder, removeTempFolder, writeWARC } from './fixtures/index.js'
+
+describe('Deduplicator', () => {
+  const body = `<html><head><title>Home</title></head><body>${'Lorem ipsum. '.repeat(200)}</body></html>`
+  let input = null
+
+  before(async () => {
+    input = await createTempFolder()
+    await writeWARC(`${input}a.warc.gz`, [{ url: 'https://example.com/', body }])
+    await writeWARC(`${input}b.warc.gz`, [{ url: 'https://example.org/', title: 'Other' }])
+    await writeWARC(`${input}c.warc.gz`, [{ url: 'https://example.com/?utm=1', body, date: '2022-01-01T00:00:00Z' }])
+    await writeWARC(`${input}empty.warc.gz`, [{ url: 'https://example.com/a', body: '' }, { url: 'https://example.com/b', body: '' }])
+  })
+
+  after(async () => {
+    await removeTempFolder(input)
+  })
+
+  /**
+   * @returns {Deduplicator}
+   */
+  const createDeduplicator = () => new Deduplicator(new BaseExtractor({ log: createLogger() }))
+
+  describe('dedupWARCs()', () => {
+    it('keeps the first capture of each payload, in the order files are given, and only copies files that were rewritten', async () => {
+      const folder = `${input}dedup/`
+
+      try {
+        await mkdir(folder)
+        await writeFile(`${folder}stale.warc.gz`, '')
+
+        const { paths, summary } = await createDeduplicator().dedupWARCs([`${input}a.warc.gz`, `${input}b.warc.gz`, `${input}c.warc.gz`], folder)
+
+        assert.deepEqual(paths, [`${input}a.warc.gz`, `${input}b.warc.gz`, `${folder}c.warc.gz`])
+        assert.deepEqual(await readdir(folder), ['c.warc.gz'])
+        assert.equal(summary.revisits, 1)
+        assert.deepEqual(summary.WARCs.map(entry => entry.filename), ['c.warc.gz'])
+        assert.equal(summary.savedBytes, summary.WARCs[0].original.size - summary.WARCs[0].size)
+
+        const reversed = await createDeduplicator().dedupWARCs([`${input}c.warc.gz`, `${input}a.warc.gz`], folder)
+        assert.deepEqual(reversed.paths, [`${input}c.warc.gz`, `${folder}a.warc.gz`])
+        await assert.rejects(access(`${folder}c.warc.gz`))
+      } finally {
+        await removeTempFolder(folder)
+      }
+    })
+  })
+
+  describe('findDuplicateRecords()', () => {
+    it('tracks captures across files', async () => {
+      const deduplicator = createDeduplicator()
+
+      assert.equal((await deduplicator.findDuplicateRecords(`${input}a.warc.gz`)).length, 0)
+      assert.equal(deduplicator.captures.size, 1)
+      assert.deepEqual([...deduplicator.captures.values()], [{ url: 'https://example.com/', date: '2021-04-30T20:04:57Z' }])
+
+      const [replacement] = await deduplicator.findDuplicateRecords(`${input}c.warc.gz`)
+      assert.equal(replacement.offset, 0)
+      assert.ok(replacement.data.byteLength < replacement.length)
+    })
+
+    it('leaves records that would not get any smaller as-is', async () => {
+      const deduplicator = createDeduplicator()
+
+      assert.deepEqual(await deduplicator.findDuplicateRecords(`${input}empty.warc.gz`), [])
+      assert.equal(deduplicator.captures.size, 1)
+    })
+  })
+})
@@ -0,0 +1,262 @@
+import { equal } from 'node:assert'
+import { setTimeout as sleep } from 'node:timers/promises'
+
+import * as CONSTANTS from './constants.js'
+
+/**
+ * HTTP layer shared by all wacz-preparator extractors.
+ * Wraps `fetch()` with:
+ * - Retries with exponential backoff and jitter on network errors and retryable HTTP statuses.
+ * - Support for `Retry-After` response headers.
+ * - Per-host request-rate limits.
+ * - A global bandwidth cap, shared by all downloads (see `throttle()`).
+ *
+ * Usage:
+ * ```
+ * const http = new HttpClient({ retries: 5, rateLimit: 10, maxBandwidth: 10_000_000 })
+ * const response = await http.fetch('https://example.com')
+ * ```
+ */
+export class HttpClient {
+  /** @type {Console} */
+  log = console
+
+  /**
+   * How many times a failed request should be retried.
+   * @type {number}
+   */
+  retries = CONSTANTS.DEFAULT_RETRIES
+
+  /**
+   * Base delay between retries, in milliseconds. Doubled on each attempt.
+   * @type {number}
+   */
+  retryDelay = CONSTANTS.DEFAULT_RETRY_DELAY
+
+  /**
+   * Upper bound for the delay between retries, in milliseconds.
+   * Also applies to delays requested via `Retry-After`.
+   * @type {number}
+   */
+  maxRetryDelay = CONSTANTS.DEFAULT_MAX_RETRY_DELAY
+
+  /**
+   * Maximum number of requests per second, per host. 0 means "no limit".
+   * @type {number}
+   */
+  rateLimit = CONSTANTS.DEFAULT_RATE_LIMIT
+
+  /**
+   * Maximum download speed, in bytes per second, across all downloads. 0 means "no limit".
+   * @type {number}
+   */
+  maxBandwidth = CONSTANTS.DEFAULT_MAX_BANDWIDTH
+
+  /**
+   * Timestamp (ms) at which the next request can be sent, for each host.
+   * @type {Object<string, number>}
+   */
+  nextSlots = {}
+
+  /**
+   * Timestamp (ms) at which the next chunk of data can be let through, based on `this.maxBandwidth`.
+   * @type {number}
+   */
+  nextBandwidthSlot = 0
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.retries=3] - How many times a failed request should be retried.
+   * @param {number} [options.retryDelay=1000] - Base delay between retries, in milliseconds.
+   * @param {number} [options.maxRetryDelay=60000] - Upper bound for the delay between retries, in milliseconds.
+   * @param {number} [options.rateLimit=0] - Maximum number of requests per second, per host. 0 means "no limit".
+   * @param {number} [options.maxBandwidth=0] - Maximum download speed, in bytes per second, across all downloads. 0 means "no limit".
+   * @param {?Console} [options.log=null] - Will be used instead of the Console API for logging, if compatible (i.e: loglevel).
+   */
+  constructor (options) {
+    if (options?.log) {
+      this.log = options.log
+    }
+
+    for (const key of ['retries', 'retryDelay', 'maxRetryDelay', 'rateLimit', 'maxBandwidth']) {
+      if (options?.[key] === undefined || options?.[key] === null) {
+        continue
+      }
+
+      try {
+        const value = Number(options[key])
+        equal(isNaN(value), false)
+        equal(value >= 0, true)
+        this[key] = value
+      } catch (err) {
+        this.log.trace(err)
+        this.log.warn(`"${key}" must be a positive number. Using ${this[key]} instead`)
+      }
+    }
+  }
+
+  /**
+   * Drop-in replacement for `fetch()`.
+   * Retries on network errors and on `CONSTANTS.RETRYABLE_HTTP_STATUSES`, up to `this.retries` times.
+   * Once retries are exhausted, the last response is returned as is (or the last network error is thrown).
+   *
+   * @param {string|URL} url
+   * @param {object} [options] - Options for `fetch()`.
+   * @returns {Promise<Response>}
+   */
+  fetch = async (url, options = {}) => {
+    const { log, retries } = this
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForSlot(url)
+
+      /** @type {?Response} */
+      let response = null
+
+      try {
+        response = await fetch(url, options)
+      } catch (err) {
+        if (attempt >= retries) {
+          throw err
+        }
+
+        const delay = this.getRetryDelay(attempt)
+        log.trace(err)
+        log.warn(`Request to ${url} failed (${err?.cause?.code || err.message}) -- retrying in ${delay}ms`)
+        await sleep(delay)
+        continue
+      }
+
+      if (!CONSTANTS.RETRYABLE_HTTP_STATUSES.includes(response.status) || attempt >= retries) {
+        return response
+      }
+
+      const delay = this.getRetryDelay(attempt, response)
+      log.warn(`${url} responded with ${response.status} -- retrying in ${delay}ms`)
+      await response.body?.cancel()
+      await sleep(delay)
+    }
+  }
+
+  /**
+   * Runs an async function, retrying with exponential backoff if it throws an error flagged as retryable (`err.retryable === true`).
+   * Used for operations that go beyond a single request, such as streaming a download to disk.
+   *
+   * @param {function(): Promise<any>} fn
+   * @param {string} [description="Operation"] - Used for logging.
+   * @returns {Promise<any>}
+   */
+  retry = async (fn, description = 'Operation') => {
+    const { log, retries } = this
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn()
+      } catch (err) {
+        if (err?.retryable !== true || attempt >= retries) {
+          throw err
+        }
+
+        const delay = this.getRetryDelay(attempt)
+        log.trace(err)
+        log.warn(`${description} failed -- retrying in ${delay}ms`)
+        await sleep(delay)
+      }
+    }
+  }
+
+  /**
+   * Computes how long to wait before the next attempt.
+   * Uses `Retry-After` if provided, exponential backoff with jitter otherwise.
+   * @param {number} attempt - Starts at 0.
+   * @param {?Response} [response=null]
+   * @returns {number} - Delay in milliseconds.
+   */
+  getRetryDelay = (attempt, response = null) => {
+    const { retryDelay, maxRetryDelay } = this
+    const retryAfter = response?.headers?.get('retry-after')
+
+    if (retryAfter) {
+      let delay = Number(retryAfter) * 1000 // Delay in seconds
+
+      if (isNaN(delay)) {
+        delay = new Date(retryAfter).getTime() - Date.now() // HTTP date
+      }
+
+      if (!isNaN(delay)) {
+        return Math.min(Math.max(delay, 0), maxRetryDelay)
+      }
+    }
+
+    // "Equal jitter": half of the delay is fixed, the other half is random.
+    const delay = Math.min(retryDelay * (2 ** attempt), maxRetryDelay)
+    return Math.round((delay / 2) + (Math.random() * delay / 2))
+  }
+
+  /**
+   * Waits until a request can be sent to the host of `url`, based on `this.rateLimit`.
+   * @param {string|URL} url
+   * @returns {Promise<void>}
+   */
+  waitForSlot = async (url) => {
+    const { rateLimit, nextSlots } = this
+
+    if (!rateLimit) {
+      return
+    }
+
+    const host = new URL(url).host
+    const now = Date.now()
+    const slot = Math.max(now, nextSlots[host] || 0)
+    nextSlots[host] = slot + (1000 / rateLimit)
+
+    if (slot > now) {
+      await sleep(slot - now)
+    }
+  }
+
+  /**
+   * Waits until a chunk of `bytes` bytes can be let through, based on `this.maxBandwidth`.
+   * Meant to be called for each chunk of data read from a response body: the cap is shared by all concurrent downloads.
+   * @param {number} bytes
+   * @returns {Promise<void>}
+   */
+  throttle = async (bytes) => {
+    const { maxBandwidth } = this
+
+    if (!maxBandwidth) {
+      return
+    }
+
+    const now = Date.now()
+    const slot = Math.max(now, this.nextBandwidthSlot)
+    this.nextBandwidthSlot = slot + (bytes / maxBandwidth * 1000)
+
+    if (slot > now) {
+      await sleep(slot - now)
+    }
+  }
+
+  /**
+   * Returns a client that logs to `log`, but shares retry settings, rate limits and bandwidth cap with this one.
+   * i.e: to attribute retries to the collection that triggered them, when several collections share a client.
+   * @param {Console} log
+   * @returns {HttpClient}
+   */
+  withLog = (log) => {
+    const client = new HttpClient({
+      retries: this.retries,
+      retryDelay: this.retryDelay,
+      maxRetryDelay: this.maxRetryDelay,
+      rateLimit: this.rateLimit,
+      maxBandwidth: this.maxBandwidth,
+      log
+    })
+
+    // Bound to this client: slots are tracked in one place.
+    client.waitForSlot = this.waitForSlot
+    client.throttle = this.throttle
+
+    return client
+  }
+}
@@ -0,0 +1,294 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { HttpClient } from './HttpClient.js'
+import { createLogger, startServer } from './fixtures/index.js'
+
+/**
+ * Starts a server answering each request with the next handler of a list (the last one is reused).
+ * @param {function(http.IncomingMessage, http.ServerResponse): void[]} handlers
+ * @returns {Promise<{url: string, close: function(): Promise<void>, times: number[]}>} - `times`: when each request was received (ms).
+ */
+async function startSequenceServer (handlers) {
+  const times = []
+
+  const server = await startServer((request, response) => {
+    times.push(Date.now())
+    handlers[Math.min(times.length, handlers.length) - 1](request, response)
+  })
+
+  return { ...server, times }
+}
+
+/**
+ * @param {number} status
+ * @param {Object<string, string>} [headers={}]
+ * @returns {function(http.IncomingMessage, http.ServerResponse): void}
+ */
+function respondWith (status, headers = {}) {
+  return (_request, response) => {
+    response.writeHead(status, headers)
+    response.end(`${status}`)
+  }
+}
+
+/**
+ * Closes the connection without responding.
+ * @param {http.IncomingMessage} request
+ */
+function resetSocket (request) {
+  request.socket.destroy()
+}
+
+describe('HttpClient', () => {
+  describe('fetch()', () => {
+    for (const status of [429, 502]) {
+      it(`retries on HTTP ${status}`, async () => {
+        const server = await startSequenceServer([respondWith(status), respondWith(status), respondWith(200)])
+
+        try {
+          const http = new HttpClient({ retries: 3, retryDelay: 10, log: createLogger() })
+          const response = await http.fetch(server.url)
+
+          assert.equal(response.status, 200)
+          assert.equal(await response.text(), '200')
+          assert.equal(server.times.length, 3)
+        } finally {
+          await server.close()
+        }
+      })
+    }
+
+    it('retries when the connection is reset', async () => {
+      const server = await startSequenceServer([resetSocket, respondWith(200)])
+
+      try {
+        const http = new HttpClient({ retries: 3, retryDelay: 10, log: createLogger() })
+        const response = await http.fetch(server.url)
+
+        assert.equal(response.status, 200)
+        assert.equal(server.times.length, 2)
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('returns the last response once retries are exhausted', async () => {
+      const server = await startSequenceServer([respondWith(503)])
+
+      try {
+        const http = new HttpClient({ retries: 2, retryDelay: 10, log: createLogger() })
+        const response = await http.fetch(server.url)
+
+        assert.equal(response.status, 503)
+        assert.equal(server.times.length, 3)
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('throws the last network error once retries are exhausted', async () => {
+      const server = await startSequenceServer([resetSocket])
+
+      try {
+        const http = new HttpClient({ retries: 1, retryDelay: 10, log: createLogger() })
+        await assert.rejects(http.fetch(server.url), TypeError)
+        assert.equal(server.times.length, 2)
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('does not retry on other HTTP statuses', async () => {
+      const server = await startSequenceServer([respondWith(404)])
+
+      try {
+        const http = new HttpClient({ retries: 3, retryDelay: 10, log: createLogger() })
+        const response = await http.fetch(server.url)
+
+        assert.equal(response.status, 404)
+        assert.equal(server.times.length, 1)
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('waits for as long as "Retry-After" asks', async () => {
+      const server = await startSequenceServer([respondWith(429, { 'Retry-After': '1' }), respondWith(200)])
+
+      try {
+        const http = new HttpClient({ retries: 1, retryDelay: 10, log: createLogger() })
+        const response = await http.fetch(server.url)
+
+        assert.equal(response.status, 200)
+        assert.ok(server.times[1] - server.times[0] >= 950)
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('sends requests to a given host at "rateLimit" requests per second at most', async () => {
+      const server = await startSequenceServer([respondWith(200)])
+
+      try {
+        const http = new HttpClient({ rateLimit: 20, log: createLogger() })
+        await Promise.all([...Array(5)].map(() => http.fetch(server.url).then(response => response.text())))
+
+        assert.equal(server.times.length, 5)
+        assert.ok(server.times[4] - server.times[0] >= 4 * 50 - 10)
+      } finally {
+        await server.close()
+      }
+    })
+  })
+
+  describe('getRetryDelay()', () => {
+    it('uses exponential backoff with "equal jitter", up to "maxRetryDelay"', (t) => {
+      const http = new HttpClient({ retryDelay: 100, maxRetryDelay: 1000 })
+
+      const random = t.mock.method(Math, 'random', () => 0)
+      assert.deepEqual([0, 1, 2, 3, 4, 5].map(attempt => http.getRetryDelay(attempt)), [50, 100, 200, 400, 500, 500])
+
+      random.mock.mockImplementation(() => 0.999999)
+      assert.deepEqual([0, 1, 2, 3, 4, 5].map(attempt => http.getRetryDelay(attempt)), [100, 200, 400, 800, 1000, 1000])
+    })
+
+    it('spreads delays between attempts of the same rank', () => {
+      const http = new HttpClient({ retryDelay: 1000 })
+      const delays = new Set([...Array(20)].map(() => http.getRetryDelay(2)))
+
+      assert.ok(delays.size > 1)
+
+      for (const delay of delays) {
+        assert.ok(delay >= 2000 && delay <= 4000)
+      }
+    })
+
+    it('honors "Retry-After" as a number of seconds', () => {
+      const http = new HttpClient({ retryDelay: 10, maxRetryDelay: 60000 })
+      const response = new Response(null, { status: 429, headers: { 'Retry-After': '30' } })
+
+      assert.equal(http.getRetryDelay(0, response), 30000)
+    })
+
+    it('honors "Retry-After" as an HTTP date', () => {
+      const http = new HttpClient({ retryDelay: 10, maxRetryDelay: 60000 })
+      const response = new Response(null, { status: 503, headers: { 'Retry-After': new Date(Date.now() + 30000).toUTCString() } })
+      const delay = http.getRetryDelay(0, response)
+
+      assert.ok(delay > 28000 && delay <= 30000)
+
+      const past = new Response(null, { status: 503, headers: { 'Retry-After': new Date(Date.now() - 30000).toUTCString() } })
+      assert.equal(http.getRetryDelay(0, past), 0)
+    })
+
+    it('caps "Retry-After" at "maxRetryDelay"', () => {
+      const http = new HttpClient({ maxRetryDelay: 5000 })
+      const response = new Response(null, { status: 429, headers: { 'Retry-After': '3600' } })
+
+      assert.equal(http.getRetryDelay(0, response), 5000)
+    })
+
+    it('falls back to exponential backoff if "Retry-After" cannot be parsed', () => {
+      const http = new HttpClient({ retryDelay: 100 })
+      const response = new Response(null, { status: 429, headers: { 'Retry-After': 'later' } })
+      const delay = http.getRetryDelay(1, response)
+
+      assert.ok(delay >= 100 && delay <= 200)
+    })
+  })
+
+  describe('waitForSlot()', () => {
+    it('applies "rateLimit" per host', async () => {
+      const http = new HttpClient({ rateLimit: 10 })
+      const start = Date.now()
+
+      await Promise.all([
+        http.waitForSlot('https://a.example/1'),
+        http.waitForSlot('https://b.example/1'),
+        http.waitForSlot('https://c.example/1')
+      ])
+
+      assert.ok(Date.now() - start < 50)
+
+      await http.waitForSlot('https://a.example/2')
+      assert.ok(Date.now() - start >= 90)
+    })
+  })
+
+  describe('throttle()', () => {
+    it('does not wait if "maxBandwidth" is not set', async () => {
+      const http = new HttpClient()
+      const start = Date.now()
+
+      for (let i = 0; i < 10; i++) {
+        await http.throttle(10_000_000)
+      }
+
+      assert.ok(Date.now() - start < 50)
+    })
+
+    it('caps the download speed of response bodies to "maxBandwidth", across downloads', async () => {
+      const body = Buffer.alloc(100_000)
+
+      const server = await startSequenceServer([(_request, response) => {
+        response.writeHead(200, { 'Content-Length': body.length })
+        response.end(body)
+      }])
+
+      /**
+       * Reads a response body chunk by chunk, the way downloads do (see `BaseExtractor.fetchWARCs()`).
+       * @param {HttpClient} http
+       * @returns {Promise<number>} - Bytes read.
+       */
+      const download = async (http) => {
+        let bytes = 0
+
+        for await (const chunk of (await http.fetch(server.url)).body) {
+          bytes += chunk.length
+          await http.throttle(chunk.length)
+        }
+
+        return bytes
+      }
+
+      try {
+        const http = new HttpClient({ maxBandwidth: 400_000 })
+        const start = Date.now()
+        const bytes = await Promise.all([download(http), download(http)])
+
+        // 200 KB at 400 KB/s: the last chunk goes through without waiting, which leaves ~0.5s minus one chunk.
+        assert.deepEqual(bytes, [100_000, 100_000])
+        assert.ok(Date.now() - start >= 300)
+      } finally {
+        await server.close()
+      }
+    })
+  })
+
+  describe('withLog()', () => {
+    it('logs retries to another logger, sharing rate limits and bandwidth cap', async () => {
+      const server = await startSequenceServer([respondWith(503), respondWith(200)])
+
+      try {
+        const log = createLogger()
+        const other = createLogger()
+        const http = new HttpClient({ retries: 1, retryDelay: 10, rateLimit: 10, maxBandwidth: 100_000, log })
+        const view = http.withLog(other)
+
+        assert.equal((await view.fetch(server.url)).status, 200)
+        assert.equal(log.messages.warn.length, 0)
+        assert.equal(other.messages.warn.length, 1)
+        assert.equal(view.retries, 1)
+
+        const { host } = new URL(server.url)
+        assert.ok(http.nextSlots[host] > Date.now())
+
+        await view.throttle(10_000)
+        assert.ok(http.nextBandwidthSlot > Date.now())
+      } finally {
+        await server.close()
+      }
+    })
+  })
+})
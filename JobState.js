@@ -0,0 +1,165 @@
+import { readFile, writeFile, rename } from 'fs/promises'
+
+import * as CONSTANTS from './constants.js'
+
+/**
+ * Persistent state of a wacz-preparator job, stored as JSON in the collection folder.
+ * Allows for resuming processing where a previous run stopped:
+ * - Keeps track of which pipeline steps were completed, and when.
+ * - Keeps a copy of the WARC references (and associated crawl / seed / title information) that were pulled.
+ * - Caches locally-computed checksums, keyed by filename, size and modification time.
+ * - Keeps track of the latest crawl time and of the contents of the last package that was generated (see "sync" mode).
+ *
+ * Usage:
+ * ```
+ * const state = await JobState.load('/path/to/collection/')
+ * state.markStepDone('fetchWARCsList')
+ * await state.save()
+ * ```
+ */
+export class JobState {
+  /**
+   * Path of the state file.
+   * @type {?string}
+   */
+  filepath = null
+
+  /** @type {JobStateData} */
+  data = {
+    version: 1,
+    createdAt: null,
+    updatedAt: null,
+    steps: {},
+    collection: {},
+    WARCs: {},
+    hashes: {},
+    highWaterMark: null,
+    lastPackage: null
+  }
+
+  /**
+   * Pending write operations, chained to prevent concurrent writes.
+   * @type {Promise<void>}
+   */
+  writing = Promise.resolve()
+
+  /**
+   * @param {string} collectionPath - Folder in which the state file is (or will be) stored.
+   */
+  constructor (collectionPath) {
+    this.filepath = `${collectionPath}${CONSTANTS.JOB_STATE_FILENAME}`
+    this.data.createdAt = new Date().toISOString()
+  }
+
+  /**
+   * Loads the state file of a given collection folder, if any.
+   * Returns a blank state if the file does not exist or cannot be parsed.
+   * @param {string} collectionPath
+   * @param {?Console} [log=console]
+   * @returns {Promise<JobState>}
+   */
+  static load = async (collectionPath, log = console) => {
+    const state = new JobState(collectionPath)
+
+    try {
+      const data = JSON.parse(await readFile(state.filepath, 'utf-8'))
+
+      if (data?.version !== state.data.version) {
+        throw new Error(`Unsupported state file version: ${data?.version}`)
+      }
+
+      state.data = { ...state.data, ...data }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        log.trace(err)
+        log.warn(`${state.filepath} could not be read -- starting from a blank state`)
+      }
+    }
+
+    return state
+  }
+
+  /**
+   * Writes state to disk.
+   * Writes to a temporary file first, which is then renamed into place.
+   * A failed write does not prevent the next ones from being attempted.
+   * @returns {Promise<void>}
+   */
+  save = async () => {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      this.data.updatedAt = new Date().toISOString()
+      await writeFile(`${this.filepath}.tmp`, JSON.stringify(this.data, null, 2))
+      await rename(`${this.filepath}.tmp`, this.filepath)
+    })
+
+    return this.writing
+  }
+
+  /**
+   * @param {string} step
+   * @returns {boolean}
+   */
+  isStepDone = (step) => {
+    return Boolean(this.data.steps[step])
+  }
+
+  /**
+   * @param {string} step
+   * @returns {void}
+   */
+  markStepDone = (step) => {
+    this.data.steps[step] = new Date().toISOString()
+  }
+
+  /**
+   * Returns the cached checksums of a file, if that file hasn't changed since it was hashed.
+   * @param {string} filename
+   * @param {import('fs').Stats} stats - Current stats of the file.
+   * @param {string[]} algorithms - Checksums that must be present in cache.
+   * @returns {?Object<string, string>}
+   */
+  getChecksums = (filename, stats, algorithms) => {
+    const cached = this.data.hashes[filename]
+
+    if (!cached?.checksums || cached.size !== stats.size || cached.mtimeMs !== stats.mtimeMs) {
+      return null
+    }
+
+    if (!algorithms.every(algorithm => algorithm in cached.checksums)) {
+      return null
+    }
+
+    return { ...cached.checksums }
+  }
+
+  /**
+   * @param {string} filename
+   * @param {import('fs').Stats} stats - Stats of the file at the time it was hashed.
+   * @param {Object<string, string>} checksums - Keyed by algorithm.
+   * @returns {void}
+   */
+  setChecksums = (filename, stats, checksums) => {
+    this.data.hashes[filename] = { checksums: { ...checksums }, size: stats.size, mtimeMs: stats.mtimeMs }
+  }
+
+  /**
+   * Stores a serialized copy of WARC references, keyed by filename.
+   * @param {WARCReference[]} WARCs
+   * @returns {void}
+   */
+  setWARCs = (WARCs) => {
+    this.data.WARCs = {}
+
+    for (const ref of WARCs) {
+      this.data.WARCs[ref.filename] = JSON.parse(JSON.stringify(ref))
+    }
+  }
+
+  /**
+   * @param {string} filename
+   * @returns {?object} - Serialized WARC reference.
+   */
+  getWARC = (filename) => {
+    return this.data.WARCs[filename] || null
+  }
+}
@@ -0,0 +1,54 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdir, readFile } from 'fs/promises'
+
+import { JobState } from './JobState.js'
+import { createTempFolder, removeTempFolder } from './fixtures/index.js'
+
+describe('JobState', () => {
+  let collectionPath = null
+
+  before(async () => {
+    collectionPath = await createTempFolder()
+  })
+
+  after(async () => {
+    await removeTempFolder(collectionPath)
+  })
+
+  describe('save()', () => {
+    it('writes state that can be loaded back', async () => {
+      const state = new JobState(collectionPath)
+      state.markStepDone('fetchWARCsList')
+      await state.save()
+
+      const loaded = await JobState.load(collectionPath)
+      assert.equal(loaded.isStepDone('fetchWARCsList'), true)
+      assert.equal(loaded.isStepDone('pullWARCs'), false)
+    })
+
+    it('still writes after a failed write', async () => {
+      const path = `${collectionPath}missing/`
+      const state = new JobState(path)
+
+      await assert.rejects(state.save(), { code: 'ENOENT' })
+
+      await mkdir(path)
+      state.markStepDone('fetchWARCsList')
+      await state.save()
+
+      const data = JSON.parse(await readFile(state.filepath, 'utf-8'))
+      assert.ok(data.steps.fetchWARCsList)
+    })
+
+    it('does not overlap concurrent writes', async () => {
+      const state = new JobState(collectionPath)
+      state.markStepDone('fetchWARCsList')
+
+      await Promise.all([state.save(), state.save(), state.save()])
+
+      const loaded = await JobState.load(collectionPath)
+      assert.equal(loaded.isStepDone('fetchWARCsList'), true)
+    })
+  })
+})
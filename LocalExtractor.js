@@ -0,0 +1,434 @@
+import { readFile, copyFile, link, stat, readdir, access, rm } from 'fs/promises'
+import { lstatSync } from 'fs'
+import { equal } from 'node:assert'
+import { sep, basename, dirname, resolve } from 'path'
+
+import { globSync } from 'glob'
+
+import { BaseExtractor, WARCReference } from './BaseExtractor.js'
+
+/**
+ * Packages WARC files that are already available on disk into an indexed WACZ file.
+ * Pages are either read from a user-supplied pages file, or detected from the WARCs themselves.
+ *
+ * Usage:
+ * ```
+ * const collection = new LocalExtractor({ input: '/path/to/warcs/', transfer: 'hardlink' })
+ * await collection.process()
+ * ```
+ */
+export class LocalExtractor extends BaseExtractor {
+  /**
+   * Folder, glob pattern or list file (one path per line) pointing to the WARCs to package.
+   * @type {string[]}
+   */
+  input = []
+
+  /**
+   * How WARCs should be brought into `this.collectionPath`:
+   * - "none": WARCs are packaged from where they are.
+   * - "copy": WARCs are copied into `this.collectionPath`.
+   * - "hardlink": WARCs are hardlinked into `this.collectionPath` (falls back to copying across devices).
+   * @type {('none'|'copy'|'hardlink')}
+   */
+  transfer = 'none'
+
+  /**
+   * Path to a pages.jsonl-like file to read pages from.
+   * If not provided, pages will be detected from the WARCs.
+   * @type {?string}
+   */
+  pagesFile = null
+
+  /** @type {string} */
+  platform = 'local'
+
+  /**
+   * WARC files to package.
+   * @type {LocalWARCReference[]}
+   */
+  WARCs = []
+
+  /**
+   * @param {object} options
+   * @param {string|string[]} options.input - Folder, glob pattern or list file (one path per line) pointing to .warc / .warc.gz files.
+   * @param {string} [options.transfer="none"] - "none", "copy" or "hardlink".
+   * @param {string} [options.pagesFile] - Path to a pages.jsonl-like file to read pages from.
+   * @param {string} [options.name] - Name of the collection, used for the collection folder and WACZ filename. Defaults to the input folder name, or "local".
+   */
+  constructor (options) {
+    super(options)
+
+    try {
+      this.input = (Array.isArray(options.input) ? options.input : [options.input])
+        .map(entry => `${entry}`.trim())
+        .filter(entry => entry.length > 0)
+
+      if (this.input.length < 1) {
+        throw new Error('No input')
+      }
+    } catch (err) {
+      this.log.trace(err)
+      throw new Error('"input" must be provided')
+    }
+
+    if (options?.transfer) {
+      if (!['none', 'copy', 'hardlink'].includes(options.transfer)) {
+        throw new Error('"transfer" must be either "none", "copy" or "hardlink"')
+      }
+
+      this.transfer = options.transfer
+    }
+
+    if (options?.pagesFile) {
+      this.pagesFile = `${options.pagesFile}`.trim()
+    }
+
+    this.collectionId = options?.name || 'local'
+
+    if (!options?.name) {
+      try {
+        equal(lstatSync(this.input[0]).isDirectory(), true)
+        this.collectionId = basename(resolve(this.input[0]))
+      } catch (_err) {}
+    }
+
+    this.collectionTitle = `${this.collectionId}`
+  }
+
+  /**
+   * Runs the steps of the preparation process, in order. Called by `process()`.
+   * Will stop and throw if a step fails (see errors.js).
+   * @returns {Promise<RunReport>} - See `buildReport()`.
+   */
+  runPipeline = async () => {
+    const log = this.log
+
+    // List WARCs
+    try {
+      log.info('Listing local WARC files')
+      await this.runStep('listInputFiles', this.listInputFiles)
+      log.info(`${this.WARCs.length} entries found in total`)
+
+      const filteredOut = this.filterWARCs()
+
+      if (filteredOut) {
+        log.info(`${filteredOut} entries left out by filters`)
+      }
+    } catch (err) {
+      log.trace(err)
+      log.error('An error occurred while listing local WARC files')
+      throw err
+    }
+
+    // Copy or hardlink WARCs into collection folder, if requested
+    if (this.transfer !== 'none') {
+      try {
+        log.info('Creating local collection folder (if not already present)')
+        await this.runStep('createCollectionFolder', this.createCollectionFolder)
+      } catch (err) {
+        log.trace(err)
+        log.error(`Collections folder could not be accessed, created or locked (${err.message})`)
+        throw err
+      }
+
+      try {
+        log.info(`Bringing WARCs into collection folder (${this.transfer})`)
+        await this.runStep('transferWARCs', this.transferWARCs)
+      } catch (err) {
+        log.trace(err)
+        log.error('An error occurred while bringing WARCs into collection folder')
+        throw err
+      }
+    }
+
+    // List pages
+    if (this.pagesFile) {
+      try {
+        log.info(`Reading pages list from ${this.pagesFile}`)
+        await this.runStep('loadPagesFile', this.loadPagesFile)
+      } catch (err) {
+        log.trace(err)
+        log.error('An error occurred while reading pages list')
+        throw err
+      }
+    } else {
+      log.info('No pages file provided: pages will be detected from the WARCs')
+    }
+
+    try {
+      await this.runStep('detectPages', this.detectPages)
+    } catch (err) {
+      log.trace(err)
+      log.error('An error occurred while detecting pages from WARCs')
+      throw err
+    }
+
+    // Extract text from pages, for full-text search
+    if (this.extractText) {
+      try {
+        log.info('Extracting text from pages')
+        await this.runStep('extractPagesText', this.extractPagesText)
+      } catch (err) { // Non-blocking
+        log.trace(err)
+        log.error('An error occurred while extracting text from pages')
+      }
+    }
+
+    // Prepare WACZ
+    try {
+      log.info('Preparing WACZ file')
+      this.WACZPath = `${this.outputPath}${sep}${this.collectionId}.wacz`
+
+      if (this.shouldSplitWACZ()) {
+        await this.runStep('generateWACZ', this.generateWACZParts)
+      } else {
+        await this.runStep('generateWACZ', () => this.generateWACZ(null, this.WARCs.map(ref => this.getWARCPath(ref))))
+      }
+    } catch (err) {
+      log.error('An error occurred while preparing WACZ file')
+      log.trace(err)
+      throw err
+    }
+
+    // Report
+    this.printReport()
+    return this.buildReport()
+  }
+
+  /**
+   * Resolves `this.input` into a list of .warc / .warc.gz files.
+   * Each input entry can be a folder, a WARC file, a list file (one path per line) or a glob pattern.
+   * Populates `this.WARCs`.
+   * @returns {Promise<void>}
+   */
+  listInputFiles = async () => {
+    const isWARC = (filepath) => /\.warc(\.gz)?$/i.test(filepath)
+    const found = new Set()
+
+    for (const entry of this.input) {
+      /** @type {?import('fs').Stats} */
+      let stats = null
+
+      try {
+        stats = await stat(entry)
+      } catch (_err) {}
+
+      // Folder
+      if (stats?.isDirectory()) {
+        for (const filename of await readdir(entry)) {
+          if (isWARC(filename)) {
+            found.add(resolve(entry, filename))
+          }
+        }
+      // Single WARC
+      } else if (stats?.isFile() && isWARC(entry)) {
+        found.add(resolve(entry))
+      // List file: one path per line, relative to the list file's folder.
+      } else if (stats?.isFile()) {
+        for (let line of (await readFile(entry, 'utf-8')).split('\n')) {
+          line = line.trim()
+
+          if (!line || line.startsWith('#')) {
+            continue
+          }
+
+          if (!isWARC(line)) {
+            this.log.warn(`${line}: not a .warc or .warc.gz file -- skipping`)
+            continue
+          }
+
+          found.add(resolve(dirname(entry), line))
+        }
+      // Glob pattern
+      } else {
+        for (const filepath of globSync(entry)) {
+          if (isWARC(filepath)) {
+            found.add(resolve(filepath))
+          }
+        }
+      }
+    }
+
+    this.WARCs = []
+    const filenames = {}
+
+    for (const filepath of [...found].sort()) {
+      await access(filepath)
+
+      const ref = new LocalWARCReference()
+      ref.sourcePath = filepath
+      ref.filename = basename(filepath)
+      ref.size = (await stat(filepath)).size
+      ref.downloaded = true
+      ref.status = 'present'
+
+      // WARCs are stored by filename in the WACZ: names must be unique
+      if (ref.filename in filenames) {
+        throw new Error(`${ref.filename} is present more than once in input`)
+      }
+
+      filenames[ref.filename] = true
+      this.WARCs.push(ref)
+    }
+
+    if (this.WARCs.length < 1) {
+      throw new Error('No .warc or .warc.gz file found in input')
+    }
+  }
+
+  /**
+   * Copies or hardlinks every entry of `this.WARCs` into `this.collectionPath`.
+   * Files that are already present are left untouched if they are the same as the input file (see `isSameFile()`), and replaced otherwise.
+   * @returns {Promise<void>}
+   */
+  transferWARCs = async () => {
+    const log = this.log
+
+    for (const ref of this.WARCs) {
+      const destination = `${this.collectionPath}${ref.filename}`
+
+      if (await this.isSameFile(ref.sourcePath, destination)) {
+        log.info(`${ref.filename}: already present in collection folder`)
+        continue
+      }
+
+      try {
+        await access(destination)
+        log.warn(`${ref.filename}: a different file with that name is present in collection folder -- replacing it`)
+        await rm(destination)
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err
+        }
+      }
+
+      if (this.transfer === 'hardlink') {
+        try {
+          await link(ref.sourcePath, destination)
+          continue
+        } catch (err) {
+          log.trace(err)
+          log.warn(`${ref.filename}: could not be hardlinked -- copying instead`)
+        }
+      }
+
+      await copyFile(ref.sourcePath, destination)
+    }
+  }
+
+  /**
+   * Checks whether a file of the collection folder is the same as a given input file:
+   * either a hardlink to it, or a file of the same size and SHA-256 checksum.
+   * @param {string} source
+   * @param {string} destination
+   * @returns {Promise<boolean>} - `false` if `destination` does not exist.
+   */
+  isSameFile = async (source, destination) => {
+    /** @type {import('fs').Stats[]} */
+    let stats = []
+
+    try {
+      stats = await Promise.all([stat(source), stat(destination)])
+    } catch (_err) {
+      return false
+    }
+
+    if (stats[0].dev === stats[1].dev && stats[0].ino === stats[1].ino) {
+      return true
+    }
+
+    if (stats[0].size !== stats[1].size) {
+      return false
+    }
+
+    const checksums = await Promise.all([source, destination].map(filepath => this.computeChecksums(filepath, ['sha256'])))
+    return checksums[0].sha256 === checksums[1].sha256
+  }
+
+  /**
+   * Reads `this.pagesFile` and populates `this.pages`.
+   * Expects one JSON object per line, with at least a `url` property (pages.jsonl format).
+   * Header lines (with a `format` property) are skipped.
+   * @returns {Promise<void>}
+   */
+  loadPagesFile = async () => {
+    this.pages = []
+    const lines = (await readFile(this.pagesFile, 'utf-8')).split('\n')
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim()
+
+      if (!line) {
+        continue
+      }
+
+      let page = null
+
+      try {
+        page = JSON.parse(line)
+      } catch (err) {
+        this.log.trace(err)
+        this.log.warn(`${this.pagesFile}: line ${i + 1} is not valid JSON -- skipping`)
+        continue
+      }
+
+      if (page?.format) {
+        continue
+      }
+
+      if (!page?.url) {
+        this.log.warn(`${this.pagesFile}: line ${i + 1} has no "url" -- skipping`)
+        continue
+      }
+
+      this.pages.push({
+        url: page.url,
+        title: page?.title || page.url,
+        ts: page?.ts || null,
+        titleSource: page?.title ? 'pages-file' : 'url',
+        size: page?.size ?? null,
+        status: page?.status ?? null,
+        mime: page?.mime ?? null,
+        text: page?.text ?? null
+      })
+    }
+  }
+
+  /**
+   * Prints processing report.
+   * @returns {void}
+   */
+  printReport = () => {
+    const log = this.log
+
+    log.info('📚 Collection is ready')
+    log.info(`${this.WARCs.length} WARC files were packaged`)
+    this.printWACZReport()
+  }
+
+  /**
+   * Returns the local path of a given WARC.
+   * Files are used from where they are unless they were brought into `this.collectionPath`.
+   * @param {LocalWARCReference} ref
+   * @returns {string}
+   */
+  getWARCPath = (ref) => {
+    if (this.transfer === 'none') {
+      return ref.sourcePath
+    }
+
+    return `${this.collectionPath}${ref.filename}`
+  }
+}
+
+/**
+ * Reference to a WARC file already available on disk.
+ */
+export class LocalWARCReference extends WARCReference {
+  /**
+   * Where the file was found.
+   * @type {?string}
+   */
+  sourcePath = null
+}
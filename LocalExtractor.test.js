@@ -0,0 +1,168 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fsPromises, { mkdir, readFile, writeFile, stat, link } from 'fs/promises'
+import { syncBuiltinESMExports } from 'module'
+
+import { LocalExtractor } from './LocalExtractor.js'
+import { createLogger, createTempFolder, removeTempFolder } from './fixtures/index.js'
+
+describe('LocalExtractor', () => {
+  let input = null
+
+  before(async () => {
+    input = await createTempFolder()
+    await mkdir(`${input}folder`)
+    await mkdir(`${input}other`)
+
+    for (const path of ['folder/a.warc.gz', 'folder/b.warc', 'folder/notes.txt', 'other/c.warc.gz', 'other/a.warc.gz']) {
+      await writeFile(`${input}${path}`, `WARC/1.1 ${path}`)
+    }
+  })
+
+  after(async () => {
+    await removeTempFolder(input)
+  })
+
+  describe('listInputFiles()', () => {
+    /**
+     * @param {string|string[]} entries
+     * @returns {Promise<LocalExtractor>}
+     */
+    const list = async (entries) => {
+      const extractor = new LocalExtractor({ input: entries, log: createLogger() })
+      await extractor.listInputFiles()
+      return extractor
+    }
+
+    it('lists the .warc and .warc.gz files of a folder', async () => {
+      const extractor = await list(`${input}folder`)
+
+      assert.deepEqual(extractor.WARCs.map(ref => ref.sourcePath), [`${input}folder/a.warc.gz`, `${input}folder/b.warc`])
+      assert.deepEqual(extractor.WARCs.map(ref => ref.size), ['WARC/1.1 folder/a.warc.gz'.length, 'WARC/1.1 folder/b.warc'.length])
+      assert.equal(extractor.collectionId, 'folder')
+    })
+
+    it('resolves glob patterns', async () => {
+      const extractor = await list(`${input}*/c.warc*`)
+      assert.deepEqual(extractor.WARCs.map(ref => ref.sourcePath), [`${input}other/c.warc.gz`])
+    })
+
+    it('reads list files, relative to their own folder, skipping comments and other files', async () => {
+      await writeFile(`${input}list.txt`, '# WARCs to package\nfolder/b.warc\n\nother/c.warc.gz\nfolder/notes.txt\n')
+
+      const log = createLogger()
+      const extractor = new LocalExtractor({ input: `${input}list.txt`, log })
+      await extractor.listInputFiles()
+
+      assert.deepEqual(extractor.WARCs.map(ref => ref.sourcePath), [`${input}folder/b.warc`, `${input}other/c.warc.gz`])
+      assert.deepEqual(log.messages.warn, ['folder/notes.txt: not a .warc or .warc.gz file -- skipping'])
+    })
+
+    it('combines several inputs, listing each file once', async () => {
+      const extractor = await list([`${input}folder`, `${input}folder/a.warc.gz`, `${input}other/c.warc.gz`])
+      assert.deepEqual(extractor.WARCs.map(ref => ref.filename), ['a.warc.gz', 'b.warc', 'c.warc.gz'])
+    })
+
+    it('rejects different files with the same name', async () => {
+      await assert.rejects(list([`${input}folder`, `${input}other`]), /a\.warc\.gz is present more than once in input/)
+    })
+
+    it('fails if no WARC was found', async () => {
+      await assert.rejects(list(`${input}*.none`), /No \.warc or \.warc\.gz file found/)
+    })
+  })
+
+  describe('transferWARCs()', () => {
+    /**
+     * Creates an extractor for `folder/a.warc.gz`, with an empty collection folder.
+     * @param {string} transfer
+     * @returns {Promise<{extractor: LocalExtractor, log: object, destination: string}>}
+     */
+    const createExtractor = async (transfer) => {
+      const log = createLogger()
+      const extractor = new LocalExtractor({ input: `${input}folder/a.warc.gz`, transfer, log })
+      extractor.collectionPath = await createTempFolder()
+      await extractor.listInputFiles()
+
+      return { extractor, log, destination: `${extractor.collectionPath}a.warc.gz` }
+    }
+
+    it('hardlinks files if "transfer" is "hardlink"', async () => {
+      const { extractor, destination } = await createExtractor('hardlink')
+
+      try {
+        await extractor.transferWARCs()
+        assert.equal((await stat(destination)).ino, (await stat(`${input}folder/a.warc.gz`)).ino)
+      } finally {
+        await removeTempFolder(extractor.collectionPath)
+      }
+    })
+
+    it('copies files that cannot be hardlinked instead', async (t) => {
+      const { extractor, log, destination } = await createExtractor('hardlink')
+
+      t.mock.method(fsPromises, 'link', async () => {
+        throw Object.assign(new Error('Cross-device link'), { code: 'EXDEV' })
+      })
+      syncBuiltinESMExports()
+
+      try {
+        await extractor.transferWARCs()
+
+        assert.notEqual((await stat(destination)).ino, (await stat(`${input}folder/a.warc.gz`)).ino)
+        assert.equal(await readFile(destination, 'utf-8'), 'WARC/1.1 folder/a.warc.gz')
+        assert.deepEqual(log.messages.warn, ['a.warc.gz: could not be hardlinked -- copying instead'])
+      } finally {
+        t.mock.restoreAll()
+        syncBuiltinESMExports()
+        await removeTempFolder(extractor.collectionPath)
+      }
+    })
+
+    it('leaves files already transferred untouched', async () => {
+      for (const transfer of ['copy', 'hardlink']) {
+        const { extractor, log, destination } = await createExtractor(transfer)
+
+        try {
+          await extractor.transferWARCs()
+          const { ino } = await stat(destination)
+
+          await extractor.transferWARCs()
+          assert.equal((await stat(destination)).ino, ino)
+          assert.deepEqual(log.messages.info, ['a.warc.gz: already present in collection folder'])
+        } finally {
+          await removeTempFolder(extractor.collectionPath)
+        }
+      }
+    })
+
+    it('replaces a different file with the same name and size', async () => {
+      const { extractor, log, destination } = await createExtractor('copy')
+
+      try {
+        // Same size as "WARC/1.1 folder/a.warc.gz", different contents
+        await writeFile(destination, 'WARC/1.1 folder/z.warc.gz')
+        await extractor.transferWARCs()
+
+        assert.equal(await readFile(destination, 'utf-8'), 'WARC/1.1 folder/a.warc.gz')
+        assert.deepEqual(log.messages.warn, ['a.warc.gz: a different file with that name is present in collection folder -- replacing it'])
+      } finally {
+        await removeTempFolder(extractor.collectionPath)
+      }
+    })
+
+    it('replaces a hardlink to another file', async () => {
+      const { extractor, destination } = await createExtractor('hardlink')
+
+      try {
+        await link(`${input}other/a.warc.gz`, destination)
+        await extractor.transferWARCs()
+
+        assert.equal((await stat(destination)).ino, (await stat(`${input}folder/a.warc.gz`)).ino)
+        assert.equal(await readFile(`${input}other/a.warc.gz`, 'utf-8'), 'WARC/1.1 other/a.warc.gz')
+      } finally {
+        await removeTempFolder(extractor.collectionPath)
+      }
+    })
+  })
+})
@@ -0,0 +1,773 @@
+import { createHash, createPublicKey, verify, X509Certificate } from 'crypto'
+import { rootCertificates } from 'tls'
+import { gunzipSync } from 'zlib'
+import { equal } from 'node:assert'
+
+import yauzl from 'yauzl'
+import { getSurt } from 'warcio'
+import { assertValidWACZSignatureFormat } from '@harvard-lil/js-wacz/utils/assertions.js'
+
+import { ArchiveItExtractor } from './ArchiveItExtractor.js'
+import { WasapiExtractor } from './WasapiExtractor.js'
+import { ApiError } from './errors.js'
+import * as CONSTANTS from './constants.js'
+
+/**
+ * Checks an existing WACZ file, and compares it with the collection it was pulled from, without downloading any WARC:
+ * - `integrity`: files listed in datapackage.json are present, with matching sizes and hashes, and datapackage-digest.json matches datapackage.json.
+ * - `index`: every WARC is covered by the CDXJ index, which only points to WARCs of the WACZ file.
+ * - `source`: every WARC of the source collection (see `BaseExtractor.listSourceWARCs()`) is embedded, with a matching SHA-1 hash.
+ *   If the collection was split into several WACZ files, only the WARCs of the part being verified are expected (see `BaseExtractor.generateWACZParts()`).
+ * - `pages`: every entry of the pages files resolves to a record of the index.
+ * - `signature`: if the WACZ file was signed, the signature matches datapackage.json and the key or certificate chain that comes with it.
+ *
+ * The source collection is identified from the provenance information of datapackage.json (see `BaseExtractor.getProvenance()`),
+ * and pulled using the options passed to the constructor (credentials, filters ...).
+ * The `source` check is skipped for local collections, or if the credentials needed to reach the source collection are missing.
+ *
+ * Usage:
+ * ```
+ * const verifier = new Verifier({ WACZPath: './12345.wacz', username, password })
+ * const report = await verifier.verify()
+ * ```
+ */
+export class Verifier {
+  /**
+   * Path of the WACZ file to verify.
+   * @type {?string}
+   */
+  WACZPath = null
+
+  /**
+   * Options passed to the extractor used to list the WARCs of the source collection.
+   * @type {object}
+   */
+  options = {}
+
+  /** @type {Console} */
+  log = console
+
+  /**
+   * Entries of the WACZ file, keyed by path.
+   * @type {Object<string, yauzl.Entry>}
+   */
+  entries = {}
+
+  /** @type {?yauzl.ZipFile} */
+  zipFile = null
+
+  /**
+   * Parsed contents of datapackage.json.
+   * @type {?object}
+   */
+  datapackage = null
+
+  /**
+   * Parsed contents of datapackage-digest.json.
+   * @type {?object}
+   */
+  digest = null
+
+  /**
+   * Checksums of the files of the WACZ, keyed by path. Populated by `checkIntegrity()`.
+   * WARCs are hashed using both SHA-256 (datapackage.json) and SHA-1 (source collection).
+   * @type {Object<string, Object<string, string>>}
+   */
+  checksums = {}
+
+  /**
+   * Entries of the CDXJ index. Populated by `checkIndex()`.
+   * @type {?{urlkey: string, timestamp: string, url: ?string, filename: ?string, offset: number, length: number}[]}
+   */
+  index = null
+
+  /**
+   * Extractor used to list the WARCs of the source collection, if any. Populated by `checkSource()`.
+   * @type {?BaseExtractor}
+   */
+  extractor = null
+
+  /**
+   * Report of the last verification. Populated by `verify()`.
+   * @type {?VerificationReport}
+   */
+  report = null
+
+  /**
+   * @param {object} options - Also passed to the extractor used to list the WARCs of the source collection (see `ArchiveItExtractor` and `WasapiExtractor`).
+   * @param {string} options.WACZPath - Path of the WACZ file to verify.
+   * @param {?string} [options.extractor=null] - Platform the WACZ file was pulled from ("archive-it" or "wasapi"). Defaults to the one found in datapackage.json.
+   * @param {?number|string} [options.collectionId=null] - Archive-It collection the WACZ file was pulled from. Defaults to the one found in datapackage.json.
+   * @param {function(string, object): BaseExtractor} [options.createExtractor] - Creates the extractor of the source collection, from a platform and options.
+   * @param {?Console} [options.log=null] - Will be used instead of the Console API for logging, if compatible (i.e: loglevel).
+   */
+  constructor (options) {
+    const { WACZPath, createExtractor, log, ...extractorOptions } = options || {}
+
+    if (log) {
+      this.log = log
+    }
+
+    try {
+      equal(typeof WACZPath, 'string')
+      equal(WACZPath.trim().length > 0, true)
+      this.WACZPath = WACZPath.trim()
+    } catch (err) {
+      this.log.trace(err)
+      throw new Error('"WACZPath" must be provided')
+    }
+
+    if (typeof createExtractor === 'function') {
+      this.createExtractor = createExtractor
+    }
+
+    this.options = extractorOptions
+  }
+
+  /**
+   * Creates the extractor of the source collection.
+   * @param {string} platform - "archive-it" or "wasapi".
+   * @param {object} options
+   * @returns {BaseExtractor}
+   */
+  createExtractor = (platform, options) => {
+    return platform === 'wasapi' ? new WasapiExtractor(options) : new ArchiveItExtractor(options)
+  }
+
+  /**
+   * Runs every check, in order, and builds a report.
+   * Checks do not stop at the first problem: everything that could be checked is.
+   * @throws {ApiError} - If the source collection could not be listed.
+   * @returns {Promise<VerificationReport>}
+   */
+  verify = async () => {
+    const startedAt = new Date()
+    const checks = {}
+
+    await this.openArchive()
+
+    try {
+      checks.integrity = await this.runCheck(this.checkIntegrity)
+      checks.index = await this.runCheck(this.checkIndex)
+      checks.source = await this.runCheck(this.checkSource)
+      checks.pages = await this.runCheck(this.checkPages)
+      checks.signature = await this.runCheck(this.checkSignature)
+    } finally {
+      this.zipFile.close()
+    }
+
+    this.report = {
+      version: CONSTANTS.PACKAGE_INFO.version,
+      file: this.WACZPath,
+      success: Object.values(checks).every(check => check.status !== 'failed'),
+      startedAt: startedAt.toISOString(),
+      endedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      checks
+    }
+
+    return this.report
+  }
+
+  /**
+   * Runs a check and determines its outcome: "failed" if it found problems, "skipped" if it could not be run, "passed" otherwise.
+   * Unexpected errors are reported as problems, with the exception of API errors, which are thrown.
+   * @param {function(VerificationCheck): Promise<void>} fn - Populates the check it is given.
+   * @returns {Promise<VerificationCheck>}
+   */
+  runCheck = async (fn) => {
+    /** @type {VerificationCheck} */
+    const check = { status: 'passed', errors: [], notes: [], details: {} }
+
+    try {
+      await fn(check)
+    } catch (err) {
+      if (err instanceof ApiError) {
+        throw err
+      }
+
+      this.log.trace(err)
+      check.errors.push(err.message)
+    }
+
+    if (check.errors.length) {
+      check.status = 'failed'
+    }
+
+    return check
+  }
+
+  /**
+   * Opens `this.WACZPath` and lists its entries.
+   * Populates `this.zipFile` and `this.entries`.
+   * @returns {Promise<void>}
+   */
+  openArchive = async () => {
+    this.entries = {}
+
+    this.zipFile = await new Promise((resolve, reject) => {
+      yauzl.open(this.WACZPath, { lazyEntries: true, autoClose: false }, (err, zipFile) => err ? reject(err) : resolve(zipFile))
+    })
+
+    await new Promise((resolve, reject) => {
+      this.zipFile.on('entry', entry => {
+        if (!entry.fileName.endsWith('/')) {
+          this.entries[entry.fileName] = entry
+        }
+
+        this.zipFile.readEntry()
+      })
+      this.zipFile.on('end', resolve)
+      this.zipFile.on('error', reject)
+      this.zipFile.readEntry()
+    })
+  }
+
+  /**
+   * Returns a readable stream for a given entry of the WACZ file.
+   * @param {string} path
+   * @returns {Promise<import('stream').Readable>}
+   */
+  openEntry = async (path) => {
+    if (!(path in this.entries)) {
+      throw new Error(`${path} is missing`)
+    }
+
+    return new Promise((resolve, reject) => {
+      this.zipFile.openReadStream(this.entries[path], (err, stream) => err ? reject(err) : resolve(stream))
+    })
+  }
+
+  /**
+   * Reads a given entry of the WACZ file in memory.
+   * @param {string} path
+   * @returns {Promise<Buffer>}
+   */
+  readEntry = async (path) => {
+    const chunks = []
+
+    for await (const chunk of await this.openEntry(path)) {
+      chunks.push(chunk)
+    }
+
+    return Buffer.concat(chunks)
+  }
+
+  /**
+   * Computes checksums of a given entry of the WACZ file, reading it as a stream.
+   * @param {string} path
+   * @param {string[]} algorithms - See `createEntryHash()`.
+   * @returns {Promise<Object<string, string>>} - Hex digests, keyed by algorithm.
+   */
+  hashEntry = async (path, algorithms) => {
+    const hashes = algorithms.map(createEntryHash)
+
+    for await (const chunk of await this.openEntry(path)) {
+      for (const hash of hashes) {
+        hash.update(chunk)
+      }
+    }
+
+    return Object.fromEntries(algorithms.map((algorithm, i) => [algorithm, hashes[i].digest('hex')]))
+  }
+
+  /**
+   * Checks that datapackage-digest.json matches datapackage.json, and that every file listed in datapackage.json is present with matching size and hash.
+   * Files of the WACZ that are not listed in datapackage.json are reported as well.
+   * Populates `this.datapackage`, `this.digest` and `this.checksums`.
+   * @param {VerificationCheck} check
+   * @returns {Promise<void>}
+   */
+  checkIntegrity = async (check) => {
+    const datapackageRaw = await this.readEntry('datapackage.json')
+    this.datapackage = JSON.parse(datapackageRaw)
+    this.digest = JSON.parse(await this.readEntry('datapackage-digest.json'))
+
+    if (this.digest?.hash !== `sha256:${createHash('sha256').update(datapackageRaw).digest('hex')}`) {
+      check.errors.push('datapackage-digest.json does not match datapackage.json')
+    }
+
+    const resources = this.datapackage?.resources || []
+    check.details.resources = resources.length
+    let legacyHashes = 0
+
+    for (const resource of resources) {
+      if (!(resource.path in this.entries)) {
+        check.errors.push(`${resource.path} is listed in datapackage.json but missing`)
+        continue
+      }
+
+      if (this.entries[resource.path].uncompressedSize !== resource.bytes) {
+        check.errors.push(`${resource.path}: size does not match datapackage.json`)
+      }
+
+      const algorithms = resource.path.startsWith('archive/') ? ['sha256', 'sha1'] : ['sha256']
+      this.checksums[resource.path] = await this.hashEntry(resource.path, algorithms)
+
+      if (resource.hash === `sha256:${this.checksums[resource.path].sha256}`) {
+        continue
+      }
+
+      // WACZ files generated with js-wacz 0.1 hold wrong hashes for files that were read from disk (see `createEntryHash()`)
+      if (resource.hash === `sha256:${(await this.hashEntry(resource.path, ['sha256-js-wacz']))['sha256-js-wacz']}`) {
+        legacyHashes += 1
+        continue
+      }
+
+      check.errors.push(`${resource.path}: hash does not match datapackage.json`)
+    }
+
+    if (legacyHashes) {
+      check.notes.push(`${legacyHashes} files were hashed the way js-wacz 0.1 does (each chunk twice) in datapackage.json: their contents match`)
+    }
+
+    for (const path of Object.keys(this.entries)) {
+      if (['datapackage.json', 'datapackage-digest.json'].includes(path)) {
+        continue
+      }
+
+      if (!resources.some(resource => resource.path === path)) {
+        check.errors.push(`${path} is not listed in datapackage.json`)
+      }
+    }
+  }
+
+  /**
+   * Reads the CDXJ index (indexes/index.cdx, or indexes/index.cdx.gz and its ZipNum index.idx),
+   * and checks that every WARC of the WACZ file is covered by it, and that it only points to WARCs of the WACZ file.
+   * Populates `this.index`.
+   * @param {VerificationCheck} check
+   * @returns {Promise<void>}
+   */
+  checkIndex = async (check) => {
+    const WARCs = Object.keys(this.entries).filter(path => path.startsWith('archive/'))
+    let lines = []
+
+    if ('indexes/index.cdx' in this.entries) {
+      lines = (await this.readEntry('indexes/index.cdx')).toString('utf-8').split('\n')
+    } else if ('indexes/index.cdx.gz' in this.entries) {
+      const cdx = await this.readEntry('indexes/index.cdx.gz')
+
+      // Each block of index.cdx.gz is referenced by index.idx, with its own digest
+      for (const line of (await this.readEntry('indexes/index.idx')).toString('utf-8').split('\n')) {
+        if (!line.trim() || line.startsWith('!')) {
+          continue
+        }
+
+        const block = JSON.parse(line.substring(line.indexOf('{')))
+        const digest = `sha256:${createHash('sha256').update(cdx.subarray(block.offset, block.offset + block.length)).digest('hex')}`
+
+        if (digest !== block.digest) {
+          check.errors.push(`indexes/index.cdx.gz: block at offset ${block.offset} does not match indexes/index.idx`)
+        }
+      }
+
+      lines = gunzipSync(cdx).toString('utf-8').split('\n')
+    } else {
+      throw new Error('No CDXJ index found (indexes/index.cdx or indexes/index.cdx.gz)')
+    }
+
+    this.index = []
+
+    for (const line of lines) {
+      if (!line.trim() || line.startsWith('!')) {
+        continue
+      }
+
+      const [urlkey, timestamp] = line.split(' ', 2)
+      const data = JSON.parse(line.substring(line.indexOf('{')))
+
+      this.index.push({
+        urlkey,
+        timestamp,
+        url: data?.url || null,
+        filename: data?.filename || null,
+        offset: Number(data?.offset),
+        length: Number(data?.length)
+      })
+    }
+
+    check.details.entries = this.index.length
+    check.details.WARCs = WARCs.length
+
+    /** @type {Object<string, number>} */
+    const perFile = {}
+    const outOfBounds = {}
+
+    for (const entry of this.index) {
+      const path = `archive/${entry.filename}`
+      perFile[path] = (perFile[path] || 0) + 1
+
+      if (path in this.entries && entry.offset + entry.length > this.entries[path].uncompressedSize) {
+        outOfBounds[path] = (outOfBounds[path] || 0) + 1
+      }
+    }
+
+    for (const path of WARCs) {
+      if (!perFile[path]) {
+        check.errors.push(`${path} is not covered by the index`)
+      }
+    }
+
+    for (const [path, count] of Object.entries(perFile)) {
+      if (!WARCs.includes(path)) {
+        check.errors.push(`${count} index entries point to ${path}, which is missing`)
+      }
+    }
+
+    for (const [path, count] of Object.entries(outOfBounds)) {
+      check.errors.push(`${count} index entries point past the end of ${path}`)
+    }
+  }
+
+  /**
+   * Lists the WARCs of the source collection (see `BaseExtractor.listSourceWARCs()`) and checks that each of them is embedded in the WACZ file,
+   * with a SHA-1 hash matching the one provided by the source. Falls back to comparing sizes if the source did not provide a SHA-1 hash.
+   * WARCs that were deduplicated (see `Deduplicator`) are compared using the hash and size of the original file, as recorded in datapackage.json.
+   * WACZ files that are one part of a split collection are only expected to hold the WARCs listed in datapackage.json (`extras.part`).
+   * Embedded WARCs the source does not list are noted, but do not fail the check.
+   * @param {VerificationCheck} check
+   * @returns {Promise<void>}
+   */
+  checkSource = async (check) => {
+    const { options } = this
+    const provenance = this.datapackage?.extras?.provenance || {}
+    const platform = options?.extractor || provenance?.platform || null
+
+    check.details.platform = platform
+
+    if (!['archive-it', 'wasapi'].includes(platform)) {
+      check.status = 'skipped'
+      check.notes.push('WACZ file was not pulled from a remote collection')
+      return
+    }
+
+    if (platform === 'archive-it' && (!options?.username || !options?.password)) {
+      check.status = 'skipped'
+      check.notes.push('Archive-It credentials are needed to list the source collection')
+      return
+    }
+
+    if (platform === 'wasapi' && !options?.wasapiUrl) {
+      check.status = 'skipped'
+      check.notes.push('"wasapiUrl" is needed to list the source collection')
+      return
+    }
+
+    const extractorOptions = { ...options, log: this.log }
+
+    if (platform === 'archive-it') {
+      extractorOptions.collectionId = options?.collectionId || provenance?.collectionId
+    }
+
+    this.extractor = this.createExtractor(platform, extractorOptions)
+    check.details.collectionId = this.extractor.collectionId
+
+    await this.extractor.listSourceWARCs()
+    check.details.listed = this.extractor.WARCs.length
+
+    let expected = this.extractor.WARCs
+    const part = this.datapackage?.extras?.part
+
+    if (Array.isArray(part?.WARCs)) {
+      expected = expected.filter(ref => part.WARCs.includes(ref.filename))
+      check.details.part = part.id
+      check.notes.push(`WACZ file is part ${part.index} of ${part.total} of a split collection: only the ${expected.length} source WARCs it holds were checked`)
+    }
+
+    /** @type {Object<string, {size: number, sha1: string, sha256: string}>} */
+    const originals = {}
+
+    for (const entry of this.datapackage?.extras?.deduplication?.WARCs || []) {
+      originals[entry.filename] = entry.original
+    }
+
+    for (const ref of expected) {
+      const path = `archive/${ref.filename}`
+      const original = originals[ref.filename]
+
+      if (!(path in this.entries)) {
+        check.errors.push(`${ref.filename} is missing`)
+        continue
+      }
+
+      if (ref.remoteSHA1Hash) {
+        const sha1 = original?.sha1 || this.checksums[path]?.sha1 || (await this.hashEntry(path, ['sha1'])).sha1
+
+        if (sha1 !== ref.remoteSHA1Hash) {
+          check.errors.push(`${ref.filename}: SHA-1 hash does not match the source (${sha1} instead of ${ref.remoteSHA1Hash})`)
+        }
+      } else if (ref.size && (original?.size ?? this.entries[path].uncompressedSize) !== ref.size) {
+        check.errors.push(`${ref.filename}: size does not match the source`)
+      }
+    }
+
+    if (Object.keys(originals).length) {
+      check.notes.push(`${Object.keys(originals).length} embedded WARCs were deduplicated: they were compared with the source using the hashes of the original files, as recorded in datapackage.json`)
+    }
+
+    const listed = new Set(this.extractor.WARCs.map(ref => `archive/${ref.filename}`))
+    const unlisted = Object.keys(this.entries).filter(path => path.startsWith('archive/') && !listed.has(path))
+
+    if (unlisted.length) {
+      check.notes.push(`${unlisted.length} embedded WARCs are not listed by the source (with the current filters): ${unlisted.map(path => path.replace('archive/', '')).join(', ')}`)
+    }
+  }
+
+  /**
+   * Checks that every entry of the pages files (pages/*.jsonl) resolves to a record of the index, by url or SURT.
+   * Must be called after `checkIndex()`.
+   * @param {VerificationCheck} check
+   * @returns {Promise<void>}
+   */
+  checkPages = async (check) => {
+    if (!this.index) {
+      throw new Error('Pages could not be checked: the index could not be read')
+    }
+
+    const urls = new Set(this.index.map(entry => entry.url))
+    const urlkeys = new Set(this.index.map(entry => entry.urlkey))
+    const pagesFiles = Object.keys(this.entries).filter(path => /^pages\/[^/]+\.jsonl$/.test(path))
+
+    check.details.pages = 0
+    check.details.unresolved = 0
+
+    for (const path of pagesFiles) {
+      for (const line of (await this.readEntry(path)).toString('utf-8').split('\n')) {
+        if (!line.trim()) {
+          continue
+        }
+
+        const page = JSON.parse(line)
+
+        if (page?.format) { // Header line
+          continue
+        }
+
+        check.details.pages += 1
+
+        if (urls.has(page?.url) || urlkeys.has(getSurtOrNull(page?.url))) {
+          continue
+        }
+
+        check.details.unresolved += 1
+        check.errors.push(`${path}: ${page?.url} does not resolve to any record of the index`)
+      }
+    }
+  }
+
+  /**
+   * Checks the signature of the WACZ file, if any (see: https://specs.webrecorder.net/wacz-auth/0.1.0/).
+   * - The signed hash and creation date must match datapackage-digest.json and datapackage.json.
+   * - Anonymous signatures: `signature` must be valid for `publicKey`.
+   * - Domain signatures: `signature` must be valid for `domainCert`, which must be issued for `domain`, valid at creation date, and chain up to a trusted certificate authority.
+   *
+   * Note: The timestamp signature of domain signatures (`timeSignature`) is not checked.
+   * @param {VerificationCheck} check
+   * @returns {Promise<void>}
+   */
+  checkSignature = async (check) => {
+    const signedData = this.digest?.signedData
+
+    if (!signedData) {
+      check.status = 'skipped'
+      check.notes.push('WACZ file is not signed')
+      return
+    }
+
+    try {
+      assertValidWACZSignatureFormat(signedData)
+    } catch (err) {
+      this.log.trace(err)
+      throw new Error('Signature data is not in a valid format')
+    }
+
+    check.details.software = signedData.software
+
+    if (signedData.hash !== this.digest?.hash) {
+      check.errors.push('Signature was made for a different datapackage.json')
+    }
+
+    if (signedData.created !== this.datapackage?.created) {
+      check.errors.push('Signature creation date does not match datapackage.json')
+    }
+
+    // Anonymous signature
+    if (signedData.publicKey) {
+      const key = createPublicKey({ key: Buffer.from(signedData.publicKey, 'base64'), format: 'der', type: 'spki' })
+      check.details.signedBy = `anonymous key ${createHash('sha256').update(Buffer.from(signedData.publicKey, 'base64')).digest('hex').substring(0, 16)}`
+
+      if (!isValidSignature(signedData, key)) {
+        check.errors.push('Signature does not match its public key')
+      }
+
+      check.notes.push('Anonymous signature: the identity of the signer cannot be established')
+      return
+    }
+
+    // Domain signature
+    const certificates = splitPEMChain(signedData.domainCert)
+    const [certificate] = certificates
+    const created = new Date(signedData.created)
+    check.details.signedBy = signedData.domain
+
+    if (!isValidSignature(signedData, certificate.publicKey)) {
+      check.errors.push('Signature does not match its domain certificate')
+    }
+
+    if (!certificate.checkHost(signedData.domain)) {
+      check.errors.push(`Domain certificate was not issued for ${signedData.domain}`)
+    }
+
+    if (created < new Date(certificate.validFrom) || created > new Date(certificate.validTo)) {
+      check.errors.push('Domain certificate was not valid when the WACZ file was signed')
+    }
+
+    if (!isTrustedChain(certificates)) {
+      check.errors.push('Domain certificate does not chain up to a trusted certificate authority')
+    }
+
+    check.notes.push('Timestamp signature ("timeSignature") was not checked')
+  }
+
+  /**
+   * Prints a summary of `this.report`: outcome of each check, and the problems it found.
+   * @param {number} [maxErrors=10] - Maximum number of problems listed per check.
+   * @returns {void}
+   */
+  printReport = (maxErrors = 10) => {
+    const { log, report } = this
+
+    if (!report) {
+      return
+    }
+
+    log.info(`Verification of ${report.file}`)
+
+    for (const [name, check] of Object.entries(report.checks)) {
+      if (check.status === 'passed') {
+        log.info(`- ${name}: passed`)
+      } else if (check.status === 'skipped') {
+        log.warn(`- ${name}: skipped`)
+      } else {
+        log.error(`- ${name}: failed (${check.errors.length} problems)`)
+      }
+
+      for (const error of check.errors.slice(0, maxErrors)) {
+        log.error(`  ${error}`)
+      }
+
+      if (check.errors.length > maxErrors) {
+        log.error(`  ... and ${check.errors.length - maxErrors} more`)
+      }
+
+      for (const note of check.notes) {
+        log.info(`  ${note}`)
+      }
+    }
+
+    const skipped = Object.values(report.checks).filter(check => check.status === 'skipped').length
+
+    if (!report.success) {
+      log.error('📚 WACZ file failed verification')
+    } else if (skipped) {
+      log.warn(`📚 WACZ file passed verification (${skipped} checks skipped)`)
+    } else {
+      log.info('📚 WACZ file passed verification')
+    }
+  }
+}
+
+/**
+ * Creates a hash for a given algorithm.
+ * "sha256-js-wacz" reproduces how js-wacz 0.1 hashes files read from disk: each 64 KiB chunk is fed to the hash twice.
+ * @param {string} algorithm - "sha1", "sha256" or "sha256-js-wacz".
+ * @returns {{update: function(Buffer): void, digest: function(string): string}}
+ */
+function createEntryHash (algorithm) {
+  if (algorithm !== 'sha256-js-wacz') {
+    return createHash(algorithm)
+  }
+
+  const hash = createHash('sha256')
+  const chunkSize = 64 * 1024 // Default `highWaterMark` of `fs.createReadStream()`
+  let pending = Buffer.alloc(0)
+
+  return {
+    update: (chunk) => {
+      pending = Buffer.concat([pending, chunk])
+
+      while (pending.length >= chunkSize) {
+        hash.update(pending.subarray(0, chunkSize)).update(pending.subarray(0, chunkSize))
+        pending = pending.subarray(chunkSize)
+      }
+    },
+    digest: (encoding) => {
+      if (pending.length) {
+        hash.update(pending).update(pending)
+      }
+
+      return hash.digest(encoding)
+    }
+  }
+}
+
+/**
+ * Checks the signature of a WACZ file against a public key.
+ * Signatures are expected to be made over the datapackage hash, using SHA-256 (DER or IEEE P1363-encoded ECDSA signatures are accepted).
+ * @param {object} signedData
+ * @param {import('crypto').KeyObject} key
+ * @returns {boolean}
+ */
+function isValidSignature (signedData, key) {
+  const data = Buffer.from(signedData.hash)
+  const signature = Buffer.from(signedData.signature, 'base64')
+
+  return ['der', 'ieee-p1363'].some(dsaEncoding => {
+    try {
+      return verify('sha256', data, { key, dsaEncoding }, signature)
+    } catch (_err) {
+      return false
+    }
+  })
+}
+
+/**
+ * @param {string} pem - One or more PEM-encoded certificates.
+ * @returns {X509Certificate[]}
+ */
+function splitPEMChain (pem) {
+  return pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g).map(cert => new X509Certificate(cert))
+}
+
+/**
+ * Checks that each certificate of a chain was issued by the next one, and that the last one was issued by (or is) a trusted root certificate.
+ * @param {X509Certificate[]} certificates
+ * @returns {boolean}
+ */
+function isTrustedChain (certificates) {
+  for (let i = 0; i < certificates.length - 1; i++) {
+    if (!certificates[i].checkIssued(certificates[i + 1]) || !certificates[i].verify(certificates[i + 1].publicKey)) {
+      return false
+    }
+  }
+
+  const last = certificates[certificates.length - 1]
+
+  return rootCertificates.some(pem => {
+    const root = new X509Certificate(pem)
+    return root.fingerprint256 === last.fingerprint256 || (last.checkIssued(root) && last.verify(root.publicKey))
+  })
+}
+
+/**
+ * @param {?string} url
+ * @returns {?string} - SURT of `url`, or `null` if it could not be computed.
+ */
+function getSurtOrNull (url) {
+  try {
+    return getSurt(url)
+  } catch (_err) {
+    return null
+  }
+}
@@ -0,0 +1,288 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { Readable } from 'node:stream'
+import { gzipSync } from 'zlib'
+import crypto from 'crypto'
+
+import { Verifier } from './Verifier.js'
+import { LocalExtractor } from './LocalExtractor.js'
+import { ArchiveItExtractor } from './ArchiveItExtractor.js'
+import { createLogger, createTempFolder, removeTempFolder, startAuthsignServer, startArchiveItServer, redirectArchiveIt, createWARC, writeWARC } from './fixtures/index.js'
+
+/**
+ * Creates a Verifier reading entries from memory instead of a WACZ file.
+ * @param {import('node:test').TestContext} t
+ * @param {Object<string, Buffer>} files - Contents of the WACZ file, keyed by path.
+ * @returns {Verifier}
+ */
+function createVerifier (t, files) {
+  const verifier = new Verifier({ WACZPath: 'test.wacz', log: createLogger() })
+  verifier.entries = Object.fromEntries(Object.entries(files).map(([path, data]) => [path, { fileName: path, uncompressedSize: data.length }]))
+
+  // Entries are read in small chunks, the way yauzl streams them
+  t.mock.method(verifier, 'openEntry', async (path) => {
+    const chunks = []
+
+    for (let i = 0; i < files[path].length; i += 10000) {
+      chunks.push(files[path].subarray(i, i + 10000))
+    }
+
+    return Readable.from(chunks)
+  })
+
+  return verifier
+}
+
+/**
+ * @param {Buffer|string} data
+ * @returns {string} - "sha256:<hex digest>"
+ */
+function sha256 (data) {
+  return `sha256:${crypto.createHash('sha256').update(data).digest('hex')}`
+}
+
+describe('Verifier', () => {
+  describe('verify()', () => {
+    let input = null
+    let outputPath = null
+
+    before(async () => {
+      input = await createTempFolder()
+      outputPath = await createTempFolder()
+      await writeWARC(`${input}a.warc.gz`, [
+        { url: 'https://example.com/', title: 'Home' },
+        { url: 'https://example.com/about', title: 'About' }
+      ])
+    })
+
+    after(async () => {
+      await removeTempFolder(input)
+      await removeTempFolder(outputPath)
+    })
+
+    it('passes for a WACZ file signed by an authsign server', async () => {
+      const authsign = await startAuthsignServer()
+
+      try {
+        await new LocalExtractor({ input, outputPath, name: 'signed', signingUrl: `${authsign.url}/sign`, signingToken: 'secret', log: createLogger() }).process()
+
+        const verifier = new Verifier({ WACZPath: `${outputPath}signed.wacz`, log: createLogger() })
+        const report = await verifier.verify()
+
+        assert.equal(report.success, true)
+        assert.deepEqual(Object.fromEntries(Object.entries(report.checks).map(([name, check]) => [name, check.status])), {
+          integrity: 'passed',
+          index: 'passed',
+          source: 'skipped',
+          pages: 'passed',
+          signature: 'passed'
+        })
+        assert.match(report.checks.signature.details.signedBy, /^anonymous key [0-9a-f]{16}$/)
+      } finally {
+        await authsign.close()
+      }
+    })
+
+    it('only expects the WARCs of the part being verified, if the collection was split', async (t) => {
+      const files = []
+
+      for (const [filename, crawl, crawlTime, url] of [
+        ['ARCHIVEIT-1-CRAWL-100-a.warc.gz', 100, '2020-01-01T00:00:00Z', 'https://example.com/'],
+        ['ARCHIVEIT-1-CRAWL-200-b.warc.gz', 200, '2021-01-01T00:00:00Z', 'https://example.org/']
+      ]) {
+        files.push({ filename, crawl, crawlTime, seeds: [{ id: crawl, url }], data: await createWARC([{ url, title: filename }]) })
+      }
+
+      const server = await startArchiveItServer({ id: 1, title: 'Test', files })
+      redirectArchiveIt(t, server.url)
+
+      try {
+        const extractor = new ArchiveItExtractor({ username: 'user', password: 'pass', collectionId: 1, outputPath, splitBy: 'crawl', retries: 0, log: createLogger() })
+        const report = await extractor.process()
+        assert.equal(report.WACZParts.length, 2)
+
+        for (const [i, part] of report.WACZParts.entries()) {
+          const verifier = new Verifier({ WACZPath: part.path, username: 'user', password: 'pass', retries: 0, log: createLogger() })
+          const { checks } = await verifier.verify()
+
+          assert.deepEqual(checks.source.errors, [])
+          assert.equal(checks.source.status, 'passed')
+          assert.equal(checks.source.details.part, part.path.includes('crawl-100') ? 'crawl-100' : 'crawl-200')
+          assert.ok(checks.source.notes.some(note => note.includes(`part ${i + 1} of 2`)))
+        }
+
+        // A WARC missing from a part is still reported
+        const verifier = new Verifier({ WACZPath: report.WACZParts[0].path, username: 'user', password: 'pass', retries: 0, log: createLogger() })
+        verifier.datapackage = { extras: { provenance: { platform: 'archive-it', collectionId: 1 }, part: { id: 'test', index: 1, total: 1, WARCs: files.map(file => file.filename) } } }
+        await verifier.openArchive()
+
+        const check = await verifier.runCheck(verifier.checkSource)
+        verifier.zipFile.close()
+
+        assert.equal(check.status, 'failed')
+        assert.equal(check.errors.length, 1)
+        assert.match(check.errors[0], /is missing$/)
+      } finally {
+        await server.close()
+      }
+    })
+  })
+
+  describe('checkIntegrity()', () => {
+    const WARC = crypto.randomBytes(150 * 1024)
+
+    /**
+     * Hashes data the way js-wacz 0.1 does for files read from disk: each 64 KiB chunk twice.
+     * @param {Buffer} data
+     * @returns {string}
+     */
+    const legacySHA256 = (data) => {
+      const hash = crypto.createHash('sha256')
+
+      for (let i = 0; i < data.length; i += 64 * 1024) {
+        const chunk = data.subarray(i, i + 64 * 1024)
+        hash.update(chunk).update(chunk)
+      }
+
+      return `sha256:${hash.digest('hex')}`
+    }
+
+    /**
+     * @param {string} hash - Hash of archive/a.warc.gz, as listed in datapackage.json.
+     * @returns {Object<string, Buffer>}
+     */
+    const createFiles = (hash) => {
+      const datapackage = Buffer.from(JSON.stringify({ resources: [{ path: 'archive/a.warc.gz', hash, bytes: WARC.length }] }))
+
+      return {
+        'archive/a.warc.gz': WARC,
+        'datapackage.json': datapackage,
+        'datapackage-digest.json': Buffer.from(JSON.stringify({ hash: sha256(datapackage) }))
+      }
+    }
+
+    it('accepts WARC hashes computed the way js-wacz 0.1 does, with a note', async (t) => {
+      assert.notEqual(legacySHA256(WARC), sha256(WARC))
+
+      const verifier = createVerifier(t, createFiles(legacySHA256(WARC)))
+      const check = await verifier.runCheck(verifier.checkIntegrity)
+
+      assert.equal(check.status, 'passed')
+      assert.ok(check.notes.some(note => note.includes('js-wacz 0.1')))
+    })
+
+    it('fails if a hash matches neither way of hashing', async (t) => {
+      const verifier = createVerifier(t, createFiles(sha256('other')))
+      const check = await verifier.runCheck(verifier.checkIntegrity)
+
+      assert.equal(check.status, 'failed')
+      assert.deepEqual(check.errors, ['archive/a.warc.gz: hash does not match datapackage.json'])
+    })
+  })
+
+  describe('checkIndex()', () => {
+    /**
+     * Builds a ZipNum index (index.cdx.gz and index.idx) of one block per group of CDXJ lines, the way js-wacz does.
+     * @param {string[][]} blocks
+     * @returns {{cdx: Buffer, idx: string[]}}
+     */
+    const createZipNumIndex = (blocks) => {
+      const gzipped = blocks.map(lines => gzipSync(lines.join('')))
+      const idx = ['!meta 0 {"format": "cdxj-gzip-1.0", "filename": "index.cdx.gz"}\n']
+      let offset = 0
+
+      for (const [i, block] of gzipped.entries()) {
+        idx.push(`${blocks[i][0].split(' ')[0]} ${JSON.stringify({ offset, length: block.length, digest: sha256(block), filename: 'index.cdx.gz' })}\n`)
+        offset += block.length
+      }
+
+      return { cdx: Buffer.concat(gzipped), idx }
+    }
+
+    const blocks = [
+      ['com,example)/ 20210430200457 {"url":"https://example.com/","filename":"a.warc.gz","offset":0,"length":100}\n'],
+      ['org,example)/ 20210430200457 {"url":"https://example.org/","filename":"a.warc.gz","offset":100,"length":100}\n']
+    ]
+
+    it('reads ZipNum indexes, checking the digest of each block', async (t) => {
+      const { cdx, idx } = createZipNumIndex(blocks)
+      const verifier = createVerifier(t, { 'archive/a.warc.gz': Buffer.alloc(200), 'indexes/index.cdx.gz': cdx, 'indexes/index.idx': Buffer.from(idx.join('')) })
+      const check = await verifier.runCheck(verifier.checkIndex)
+
+      assert.equal(check.status, 'passed')
+      assert.deepEqual(verifier.index.map(entry => entry.url), ['https://example.com/', 'https://example.org/'])
+    })
+
+    it('fails if a block does not match its digest', async (t) => {
+      const { cdx, idx } = createZipNumIndex(blocks)
+      const block = JSON.parse(idx[2].substring(idx[2].indexOf('{')))
+      idx[2] = idx[2].replace(block.digest, sha256('other'))
+
+      const verifier = createVerifier(t, { 'archive/a.warc.gz': Buffer.alloc(200), 'indexes/index.cdx.gz': cdx, 'indexes/index.idx': Buffer.from(idx.join('')) })
+      const check = await verifier.runCheck(verifier.checkIndex)
+
+      assert.equal(check.status, 'failed')
+      assert.deepEqual(check.errors, [`indexes/index.cdx.gz: block at offset ${block.offset} does not match indexes/index.idx`])
+    })
+  })
+
+  describe('checkSignature()', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    const created = '2024-01-01T00:00:00.000Z'
+    const datapackage = JSON.stringify({ created, resources: [] })
+
+    /**
+     * Creates a verifier for a datapackage signed with a throwaway key, altered by `tamper`.
+     * @param {import('node:test').TestContext} t
+     * @param {function(object): object} [tamper]
+     * @returns {Verifier}
+     */
+    const createSignedVerifier = (t, tamper = signedData => signedData) => {
+      const hash = sha256(datapackage)
+
+      const signedData = tamper({
+        hash,
+        created,
+        software: 'authsign 0.5.2',
+        signature: crypto.sign('sha256', Buffer.from(hash), { key: privateKey, dsaEncoding: 'der' }).toString('base64'),
+        publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+      })
+
+      const verifier = createVerifier(t, {})
+      verifier.datapackage = JSON.parse(datapackage)
+      verifier.digest = { hash, signedData }
+      return verifier
+    }
+
+    it('passes for a valid anonymous signature', async (t) => {
+      const verifier = createSignedVerifier(t)
+      const check = await verifier.runCheck(verifier.checkSignature)
+
+      assert.equal(check.status, 'passed')
+      assert.equal(check.details.software, 'authsign 0.5.2')
+    })
+
+    for (const [label, tamper, error] of [
+      ['the signature was made by another key', signedData => ({ ...signedData, publicKey: crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).publicKey.export({ type: 'spki', format: 'der' }).toString('base64') }), 'Signature does not match its public key'],
+      ['the signature is for another datapackage', signedData => ({ ...signedData, hash: sha256('other'), signature: crypto.sign('sha256', Buffer.from(sha256('other')), { key: privateKey, dsaEncoding: 'der' }).toString('base64') }), 'Signature was made for a different datapackage.json'],
+      ['the creation dates do not match', signedData => ({ ...signedData, created: '2024-01-02T00:00:00.000Z' }), 'Signature creation date does not match datapackage.json']
+    ]) {
+      it(`fails if ${label}`, async (t) => {
+        const verifier = createSignedVerifier(t, tamper)
+        const check = await verifier.runCheck(verifier.checkSignature)
+
+        assert.equal(check.status, 'failed')
+        assert.deepEqual(check.errors, [error])
+      })
+    }
+
+    it('fails if the signature data has an invalid format, and is skipped if there is no signature', async (t) => {
+      const invalid = createSignedVerifier(t, signedData => ({ ...signedData, signature: undefined }))
+      assert.deepEqual((await invalid.runCheck(invalid.checkSignature)).errors, ['Signature data is not in a valid format'])
+
+      const unsigned = createSignedVerifier(t)
+      unsigned.digest.signedData = undefined
+      assert.equal((await unsigned.runCheck(unsigned.checkSignature)).status, 'skipped')
+    })
+  })
+})
@@ -0,0 +1,284 @@
+import { access, readFile, rm, stat, writeFile } from 'fs/promises'
+import { sep, basename } from 'path'
+
+import { WACZBuildError } from './errors.js'
+import * as CONSTANTS from './constants.js'
+
+/**
+ * Splits the collection of an extractor into several WACZ files, based on its "splitBy" and "maxWACZSize" options:
+ * - WARCs that were downloaded are grouped, alongside the pages they hold (see `planParts()`).
+ * - Each group is packaged by the extractor (see `BaseExtractor.generateWACZ()`).
+ * - A multi-WACZ manifest ties the resulting files together (see `writeManifest()`).
+ *
+ * WACZ files left by a previous run with different split settings are removed along the way (see `removeStaleFiles()`).
+ *
+ * Usage:
+ * ```
+ * const splitter = new WACZSplitter(extractor)
+ * await splitter.generateParts()
+ * console.log(extractor.WACZParts, extractor.manifestPath)
+ * ```
+ */
+export class WACZSplitter {
+  /**
+   * Extractor whose collection is packaged. Populated by the constructor.
+   * @type {BaseExtractor}
+   */
+  extractor = null
+
+  /**
+   * @param {BaseExtractor} extractor
+   */
+  constructor (extractor) {
+    this.extractor = extractor
+  }
+
+  /**
+   * Generates one WACZ file per group of WARCs (see `planParts()`), each with its own pages list,
+   * and a multi-WACZ manifest tying them together (see `writeManifest()`).
+   * Populates `extractor.WACZParts`.
+   * @throws {WACZBuildError}
+   * @returns {Promise<void>}
+   */
+  generateParts = async () => {
+    const { extractor } = this
+    extractor.WACZParts = this.planParts()
+
+    if (!extractor.WACZParts.length) {
+      throw new WACZBuildError('No WARC files available to package')
+    }
+
+    for (let i = 0; i < extractor.WACZParts.length; i++) {
+      const part = extractor.WACZParts[i]
+      extractor.log.info(`Preparing WACZ file ${i + 1} of ${extractor.WACZParts.length}: ${part.name} (${part.WARCs.length} WARCs, ${part.pages.length} pages)`)
+
+      await extractor.generateWACZ(null, part.WARCs.map(ref => extractor.getWARCPath(ref)), {
+        output: part.path,
+        pages: part.pages,
+        title: part.id ? `${extractor.collectionTitle || extractor.collectionId} (${part.id})` : extractor.collectionTitle,
+        part: { id: part.id, index: i + 1, total: extractor.WACZParts.length, WARCs: part.WARCs.map(ref => ref.filename) }
+      })
+
+      part.signedBy = extractor.signedData ? extractor.getSignerIdentity() : null
+    }
+
+    await this.removeStaleFiles(extractor.WACZParts.map(part => part.path))
+    await this.writeManifest()
+  }
+
+  /**
+   * Groups the WARCs that were downloaded into WACZ files, based on `extractor.splitBy` and `extractor.maxWACZSize`.
+   * WARCs that cannot be grouped (i.e: unknown crawl time) are packaged together, as "other".
+   *
+   * Each page goes to the WACZ file holding its capture if known (see `BaseExtractor.detectPages()`), or its crawl otherwise.
+   * Pages that cannot be located are listed in the first WACZ file.
+   * @returns {WACZPart[]}
+   */
+  planParts = () => {
+    const { extractor } = this
+    const { log, splitBy, maxWACZSize } = extractor
+    const baseName = extractor.collectionId || 'archive'
+
+    /** @type {Map<string, WARCReference[]>} */
+    const groups = new Map()
+    let ungrouped = 0
+
+    for (const ref of extractor.WARCs.filter(ref => ref.downloaded)) {
+      let group = ''
+
+      if (splitBy) {
+        group = this.getWARCGroup(ref)
+
+        if (!group) {
+          group = 'other'
+          ungrouped += 1
+        }
+      }
+
+      if (!groups.has(group)) {
+        groups.set(group, [])
+      }
+
+      groups.get(group).push(ref)
+    }
+
+    if (ungrouped) {
+      log.warn(`${ungrouped} WARC files could not be grouped by ${splitBy} -- packaged together as "other"`)
+    }
+
+    /** @type {WACZPart[]} */
+    const parts = []
+
+    for (const [group, refs] of groups) {
+      // Size limit: WARCs of a group are spread across as many WACZ files as needed
+      const chunks = [[]]
+      let size = 0
+
+      for (const ref of refs) {
+        if (maxWACZSize && ref.size > maxWACZSize) {
+          log.warn(`${ref.filename}: larger than "maxWACZSize" -- packaged on its own`)
+        }
+
+        if (maxWACZSize && chunks.at(-1).length && size + (ref.size || 0) > maxWACZSize) {
+          chunks.push([])
+          size = 0
+        }
+
+        chunks.at(-1).push(ref)
+        size += ref.size || 0
+      }
+
+      for (let i = 0; i < chunks.length; i++) {
+        const index = chunks.length > 1 ? `${i + 1}`.padStart(`${chunks.length}`.length, '0') : ''
+        const id = [group, index].filter(Boolean).join('-').replaceAll(/[^\w.-]+/g, '_')
+        const name = `${[baseName, id].filter(Boolean).join('-')}.wacz`
+
+        parts.push({ id, name, path: `${extractor.outputPath}${sep}${name}`, WARCs: chunks[i], pages: [], size: null, sha256: null, signedBy: null })
+      }
+    }
+
+    if (!parts.length) {
+      return parts
+    }
+
+    /** @type {Map<string, WACZPart>} */
+    const byFilename = new Map()
+
+    /** @type {Map<string, WACZPart>} */
+    const byCrawl = new Map()
+
+    for (const part of parts) {
+      for (const ref of part.WARCs) {
+        byFilename.set(ref.filename, part)
+
+        if (ref.crawlId && !byCrawl.has(`${ref.crawlId}`)) {
+          byCrawl.set(`${ref.crawlId}`, part)
+        }
+      }
+    }
+
+    for (const page of extractor.pages) {
+      const part = byFilename.get(page.WARC) || byCrawl.get(`${page.crawlId}`) || parts[0]
+      part.pages.push(page)
+    }
+
+    return parts
+  }
+
+  /**
+   * Returns the name of the group a given WARC belongs to, based on `extractor.splitBy`. See `planParts()`.
+   * WARCs from crawls that covered several seeds are grouped by that set of seeds (see `BaseExtractor.getWARCSeeds()`), as they cannot be split further.
+   * @param {WARCReference} ref
+   * @returns {?string} - `null` if the WARC cannot be grouped.
+   */
+  getWARCGroup = (ref) => {
+    switch (this.extractor.splitBy) {
+      case 'crawl': {
+        return ref.crawlId ? `crawl-${ref.crawlId}` : null
+      }
+
+      case 'year': {
+        const year = ref.crawlTime ? new Date(ref.crawlTime).getUTCFullYear() : NaN
+        return isNaN(year) ? null : `${year}`
+      }
+
+      case 'seed': {
+        const seeds = this.extractor.getWARCSeeds(ref)
+
+        if (seeds.length > 1) {
+          return `seeds-${seeds[0]}-and-${seeds.length - 1}-more`
+        }
+
+        return seeds.length ? `seed-${seeds[0]}` : null
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Removes WACZ files left in `extractor.outputPath` by a previous run with different split settings:
+   * the single WACZ file (`extractor.WACZPath`), and the parts listed in the multi-WACZ manifest (see `writeManifest()`).
+   * Files listed in `keep` are left as-is. The manifest itself is removed: split runs write a new one once this is done.
+   * @param {string[]} keep - Paths of the WACZ files generated during this run.
+   * @returns {Promise<void>}
+   */
+  removeStaleFiles = async (keep) => {
+    const { extractor } = this
+    const { log } = extractor
+    const manifestPath = this.getManifestPath()
+    const candidates = new Set(extractor.WACZPath ? [extractor.WACZPath] : [])
+
+    try {
+      const manifest = JSON.parse(await readFile(manifestPath, 'utf-8'))
+
+      for (const resource of manifest?.resources || []) {
+        // Only files next to the manifest
+        if (resource?.path && basename(resource.path) === resource.path) {
+          candidates.add(`${extractor.outputPath}${sep}${resource.path}`)
+        }
+      }
+    } catch (err) {
+      if (err?.code !== 'ENOENT') {
+        log.trace(err)
+        log.warn(`${manifestPath} could not be read -- WACZ files it lists will not be cleaned up`)
+      }
+    }
+
+    for (const path of candidates) {
+      if (keep.includes(path)) {
+        continue
+      }
+
+      try {
+        await access(path)
+        await rm(path, { force: true })
+        log.info(`${basename(path)}: left by a previous run with different split settings -- removed`)
+      } catch (err) {
+        if (err?.code !== 'ENOENT') {
+          log.trace(err)
+          log.warn(`${path} could not be removed`)
+        }
+      }
+    }
+
+    await rm(manifestPath, { force: true })
+  }
+
+  /**
+   * @returns {string} - Path of the multi-WACZ manifest of the collection (see `writeManifest()`).
+   */
+  getManifestPath = () => {
+    const { extractor } = this
+    return `${extractor.outputPath}${sep}${extractor.collectionId || 'archive'}${CONSTANTS.MULTI_WACZ_MANIFEST_SUFFIX}`
+  }
+
+  /**
+   * Writes a multi-WACZ manifest listing `extractor.WACZParts` next to them, so they can be loaded together for replay (i.e: in ReplayWeb.page).
+   * Computes the size and SHA-256 hash of each WACZ file.
+   * Populates `extractor.manifestPath`.
+   * @returns {Promise<void>}
+   */
+  writeManifest = async () => {
+    const { extractor } = this
+    const resources = []
+
+    for (const part of extractor.WACZParts) {
+      part.size = (await stat(part.path)).size
+      part.sha256 = (await extractor.computeChecksums(part.path, ['sha256'])).sha256
+      resources.push({ name: part.name, path: part.name, hash: `sha256:${part.sha256}`, bytes: part.size })
+    }
+
+    const manifest = {
+      profile: 'multi-wacz-package',
+      title: extractor.collectionTitle,
+      description: extractor.collectionDescription,
+      created: new Date().toISOString(),
+      software: `${CONSTANTS.PACKAGE_INFO.name} ${CONSTANTS.PACKAGE_INFO.version}`,
+      resources
+    }
+
+    extractor.manifestPath = this.getManifestPath()
+    await writeFile(extractor.manifestPath, JSON.stringify(manifest, null, 2))
+  }
+}
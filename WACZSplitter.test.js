@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { BaseExtractor, WARCReference } from './BaseExtractor.js'
+import { WACZSplitter } from './WACZSplitter.js'
+import { createLogger } from './fixtures/index.js'
+
+/**
+ * Creates a splitter for an extractor holding given WARCs (all downloaded) and pages.
+ * @param {object} options - Extractor options.
+ * @param {object[]} WARCs - Fields of each WARC reference.
+ * @param {object[]} [pages=[]]
+ * @returns {WACZSplitter}
+ */
+function createSplitter (options, WARCs, pages = []) {
+  const extractor = new BaseExtractor({ log: createLogger(), ...options })
+  extractor.outputPath = '/archives'
+  extractor.collectionId = 'test'
+  extractor.WARCs = WARCs.map(fields => Object.assign(new WARCReference(), { downloaded: true, ...fields }))
+  extractor.pages = pages
+
+  return new WACZSplitter(extractor)
+}
+
+describe('WACZSplitter', () => {
+  describe('planParts()', () => {
+    it('groups WARCs by crawl or by year, and packages those that cannot be grouped as "other"', () => {
+      const WARCs = [
+        { filename: 'a.warc.gz', crawlId: 1, crawlTime: '2020-01-01T00:00:00Z' },
+        { filename: 'b.warc.gz', crawlId: 2, crawlTime: '2020-06-01T00:00:00Z' },
+        { filename: 'c.warc.gz', crawlId: 1, crawlTime: '2020-01-01T00:00:00Z' },
+        { filename: 'd.warc.gz' },
+        { filename: 'e.warc.gz', crawlId: 3, crawlTime: '2021-01-01T00:00:00Z', downloaded: false }
+      ]
+
+      const byCrawl = createSplitter({ splitBy: 'crawl' }, WARCs).planParts()
+      assert.deepEqual(byCrawl.map(part => [part.name, part.WARCs.map(ref => ref.filename)]), [
+        ['test-crawl-1.wacz', ['a.warc.gz', 'c.warc.gz']],
+        ['test-crawl-2.wacz', ['b.warc.gz']],
+        ['test-other.wacz', ['d.warc.gz']]
+      ])
+      assert.equal(byCrawl[0].path, '/archives/test-crawl-1.wacz')
+
+      const splitter = createSplitter({ splitBy: 'year' }, WARCs)
+      const byYear = splitter.planParts()
+      assert.deepEqual(byYear.map(part => part.id), ['2020', 'other'])
+      assert.deepEqual(splitter.extractor.log.messages.warn, ['1 WARC files could not be grouped by year -- packaged together as "other"'])
+    })
+
+    it('spreads WARCs across as many WACZ files as needed to stay under "maxWACZSize"', () => {
+      const sizes = [400, 500, 300, 1500, 100, 100, 100, 100, 100, 100]
+      const splitter = createSplitter({ maxWACZSize: 1000 }, sizes.map((size, i) => ({ filename: `${i}.warc.gz`, size })))
+      const parts = splitter.planParts()
+
+      assert.deepEqual(parts.map(part => [part.id, part.WARCs.map(ref => ref.size)]), [
+        ['1', [400, 500]],
+        ['2', [300]],
+        ['3', [1500]],
+        ['4', [100, 100, 100, 100, 100, 100]]
+      ])
+      assert.deepEqual(splitter.extractor.log.messages.warn, ['3.warc.gz: larger than "maxWACZSize" -- packaged on its own'])
+    })
+
+    it('pads part numbers, and combines them with groups', () => {
+      const WARCs = Array.from({ length: 10 }, (_, i) => ({ filename: `${i}.warc.gz`, size: 100, crawlId: 1 }))
+      const parts = createSplitter({ splitBy: 'crawl', maxWACZSize: 100 }, WARCs).planParts()
+
+      assert.deepEqual([parts[0].name, parts[9].name], ['test-crawl-1-01.wacz', 'test-crawl-1-10.wacz'])
+    })
+
+    it('lists pages in the WACZ file holding their capture, or their crawl, or the first one', () => {
+      const WARCs = [
+        { filename: 'a.warc.gz', crawlId: 1 },
+        { filename: 'b.warc.gz', crawlId: 2 }
+      ]
+
+      const pages = [
+        { url: 'https://example.com/', WARC: 'b.warc.gz', crawlId: 1 },
+        { url: 'https://example.org/', crawlId: 2 },
+        { url: 'https://example.net/' }
+      ]
+
+      const parts = createSplitter({ splitBy: 'crawl' }, WARCs, pages).planParts()
+
+      assert.deepEqual(parts.map(part => part.pages.map(page => page.url)), [
+        ['https://example.net/'],
+        ['https://example.com/', 'https://example.org/']
+      ])
+    })
+  })
+
+  describe('getWARCGroup()', () => {
+    it('groups WARCs by seed, or by set of seeds crawled together', () => {
+      const splitter = createSplitter({ splitBy: 'seed' }, [])
+      splitter.extractor.getWARCSeeds = (ref) => ref.seeds
+
+      assert.equal(splitter.getWARCGroup({ seeds: [12] }), 'seed-12')
+      assert.equal(splitter.getWARCGroup({ seeds: [12, 13, 14] }), 'seeds-12-and-2-more')
+      assert.equal(splitter.getWARCGroup({ seeds: [] }), null)
+    })
+  })
+})
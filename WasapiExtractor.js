@@ -0,0 +1,527 @@
+import { notEqual } from 'node:assert'
+import { sep } from 'path'
+
+import { BaseExtractor, WARCReference } from './BaseExtractor.js'
+import { ApiError } from './errors.js'
+
+/**
+ * Downloads the WARCs listed by any WASAPI-compliant endpoint and puts them into an indexed WACZ file.
+ * Pages are detected from the WARCs themselves (see `detectPages()`).
+ *
+ * See: https://github.com/WASAPI-Community/data-transfer-apis
+ *
+ * Usage:
+ * ```
+ * const collection = new WasapiExtractor({
+ *   wasapiUrl: 'https://example.com/wasapi/v1',
+ *   authType: 'bearer',
+ *   token: 'abcdef',
+ *   collection: 12345
+ * })
+ * await collection.process()
+ * ```
+ */
+export class WasapiExtractor extends BaseExtractor {
+  /**
+   * Base URL of the WASAPI endpoint (i.e: "https://partner.archive-it.org/wasapi/v1").
+   * @type {?string}
+   */
+  wasapiUrl = null
+
+  /** @type {string} */
+  platform = 'wasapi'
+
+  /**
+   * How requests should be authenticated.
+   * @type {('none'|'basic'|'bearer'|'token')}
+   */
+  authType = 'none'
+
+  /** @type {?string} */
+  username = null
+
+  /** @type {?string} */
+  password = null
+
+  /** @type {?string} */
+  token = null
+
+  /**
+   * Query filters sent to the WASAPI `/webdata` endpoint.
+   * @type {WasapiFilters}
+   */
+  filters = {
+    collection: null,
+    crawl: null,
+    crawlTimeAfter: null,
+    crawlTimeBefore: null,
+    filetype: 'warc'
+  }
+
+  /**
+   * Files to pull from the WASAPI endpoint.
+   * @type {WasapiWARCReference[]}
+   */
+  WARCs = []
+
+  /**
+   * @param {object} options
+   * @param {string} options.wasapiUrl - Base URL of the WASAPI endpoint.
+   * @param {string} [options.authType] - "none", "basic", "bearer" or "token". Inferred from the credentials provided if not set.
+   * @param {string} [options.username] - Required if `authType` is "basic".
+   * @param {string} [options.password] - Required if `authType` is "basic".
+   * @param {string} [options.token] - Required if `authType` is "bearer" or "token".
+   * @param {string} [options.name] - Name of the local collection, used for the collection folder and WACZ filename. Defaults to the `collection` filter, or to the endpoint's hostname.
+   * @param {string|number} [options.collection] - WASAPI "collection" filter.
+   * @param {string|string[]} [options.crawl] - WASAPI "crawl" filter. Several crawls can be provided, in which case files are filtered after being listed.
+   * @param {string} [options.crawlTimeAfter] - WASAPI "crawl-time-after" filter. Must be parsable by Date().
+   * @param {string} [options.crawlTimeBefore] - WASAPI "crawl-time-before" filter. Must be parsable by Date().
+   * @param {string} [options.filetype="warc"] - WASAPI "filetype" filter.
+   */
+  constructor (options) {
+    super(options)
+
+    try {
+      const url = new URL(options.wasapiUrl)
+      url.pathname = url.pathname.replace(/\/(webdata\/?)?$/, '')
+      this.wasapiUrl = url.href.replace(/\/$/, '')
+    } catch (err) {
+      this.log.trace(err)
+      throw new Error('"wasapiUrl" must be a valid url')
+    }
+
+    this.authType = options?.authType
+    if (!this.authType) {
+      if (options?.username) {
+        this.authType = 'basic'
+      } else if (options?.token) {
+        this.authType = 'bearer'
+      } else {
+        this.authType = 'none'
+      }
+    }
+
+    if (!['none', 'basic', 'bearer', 'token'].includes(this.authType)) {
+      throw new Error('"authType" must be either "none", "basic", "bearer" or "token"')
+    }
+
+    if (this.authType === 'basic') {
+      try {
+        this.username = options.username.trim()
+        notEqual(this.username.length, 0)
+        this.password = options.password.trim()
+        notEqual(this.password.length, 0)
+      } catch (err) {
+        this.log.trace(err)
+        throw new Error('"username" and "password" must be provided when "authType" is "basic"')
+      }
+    }
+
+    if (['bearer', 'token'].includes(this.authType)) {
+      try {
+        this.token = options.token.trim()
+        notEqual(this.token.length, 0)
+      } catch (err) {
+        this.log.trace(err)
+        throw new Error(`"token" must be provided when "authType" is "${this.authType}"`)
+      }
+    }
+
+    if (options?.collection) {
+      this.filters.collection = `${options.collection}`.trim()
+    }
+
+    // Crawl and crawl time filters are parsed by BaseExtractor (see `this.WARCFilters`).
+    // They are sent to the endpoint when possible, and applied to the files it lists either way.
+    if (this.WARCFilters.crawls.length === 1) {
+      this.filters.crawl = this.WARCFilters.crawls[0]
+    }
+
+    this.filters.crawlTimeAfter = this.WARCFilters.crawlTimeAfter
+    this.filters.crawlTimeBefore = this.WARCFilters.crawlTimeBefore
+
+    if (options?.filetype) {
+      this.filters.filetype = `${options.filetype}`.trim()
+    }
+
+    this.collectionId = options?.name || this.filters.collection || new URL(this.wasapiUrl).hostname
+    this.collectionTitle = `${this.collectionId}`
+  }
+
+  /**
+   * Runs the steps of the preparation process, in order. Called by `process()`.
+   * Will stop and throw if a step fails (see errors.js).
+   * @returns {Promise<RunReport>} - See `buildReport()`.
+   */
+  runPipeline = async () => {
+    const log = this.log
+
+    // Check endpoint and credentials
+    try {
+      log.info(`Checking access to ${this.wasapiUrl}`)
+      await this.runStep('checkEndpoint', this.checkEndpoint)
+    } catch (err) {
+      log.trace(err)
+      log.error(`Invalid credentials, or the WASAPI endpoint could not be reached (${err.message})`)
+      throw err
+    }
+
+    // Create collection-specific folder
+    try {
+      log.info('Creating local collection folder (if not already present)')
+      await this.runStep('createCollectionFolder', this.createCollectionFolder)
+    } catch (err) {
+      log.trace(err)
+      log.error(`Collections folder could not be accessed, created or locked (${err.message})`)
+      throw err
+    }
+
+    // Load state from previous run, if any
+    try {
+      await this.runStep('loadJobState', this.loadJobState)
+    } catch (err) {
+      log.trace(err)
+      log.error('Job state could not be loaded')
+      throw err
+    }
+
+    this.WACZPath = `${this.outputPath}${sep}${this.collectionId}.wacz`
+
+    // List WARCs
+    try {
+      log.info('Listing files from WASAPI endpoint')
+      await this.runStep('fetchWARCsList', this.fetchWARCsList)
+      log.info(`${this.WARCs.length} entries found in total`)
+
+      if (this.sync) {
+        const merged = await this.mergeWARCsFromJobState(data => Object.assign(new WasapiWARCReference(), data))
+        log.info(`${merged} entries kept from previous runs (sync)`)
+      }
+
+      const filteredOut = this.filterWARCs()
+
+      if (filteredOut) {
+        log.info(`${filteredOut} entries left out by filters`)
+      }
+
+      await this.saveJobState('fetchWARCsList')
+    } catch (err) {
+      log.trace(err)
+      log.error('An error occurred while listing files from WASAPI endpoint')
+      throw err
+    }
+
+    // Dry run: report what would be downloaded, and stop
+    if (this.dryRun) {
+      try {
+        log.info('Comparing listed files with local collection folder')
+        await this.runStep('planDownloads', this.planDownloads)
+      } catch (err) {
+        log.trace(err)
+        log.error('An error occurred while comparing listed files with local collection folder')
+        throw err
+      }
+
+      this.printPlan()
+      return this.buildReport()
+    }
+
+    // Handle WARCs that may be already present in collection folder,
+    // but are not (or no longer) part of the collection (removed only if "prune" is set).
+    try {
+      log.info('Checking for "loose" WARC files (present in folder, but not referenced in collection)')
+      await this.runStep('deleteLooseWARCs', this.deleteLooseWARCs)
+    } catch (err) {
+      log.error('An error occurred while handling loose WARC files')
+      log.trace(err)
+      throw err
+    }
+
+    // Checksum [1]
+    try {
+      log.info('Checking hashes of WARCs that may already be present in collection folder')
+      await this.runStep('checkWARCsHashes', this.checkWARCsHashes)
+      await this.saveJobState()
+    } catch (err) {
+      log.error(err)
+      throw err
+    }
+
+    // Pull WARCs that aren't already present
+    try {
+      log.info('Downloading WARCs')
+      await this.runStep('fetchWARCs', this.fetchWARCs)
+    } catch (err) {
+      log.error(err)
+      throw err
+    }
+
+    // Checksum [2]
+    try {
+      log.info('Checking hashes on downloaded WARC collection')
+      await this.runStep('verifyWARCsHashes', this.checkWARCsHashes)
+      await this.saveJobState('fetchWARCs')
+    } catch (err) {
+      log.error(err)
+      throw err
+    }
+
+    // Strict mode: incomplete collections are not packaged
+    if (this.strict) {
+      const error = this.getCollectionError()
+
+      if (error) {
+        log.error(`${error.message} -- WACZ file will not be generated (strict mode)`)
+        this.emitError(error)
+        throw error
+      }
+    }
+
+    // List pages (detected from the WARCs: WASAPI does not provide entry points)
+    try {
+      log.info('Detecting pages from WARCs')
+      await this.runStep('detectPages', this.detectPages)
+    } catch (err) {
+      log.error(err)
+      throw err
+    }
+
+    // Extract text from pages, for full-text search
+    if (this.extractText) {
+      try {
+        log.info('Extracting text from pages')
+        await this.runStep('extractPagesText', this.extractPagesText)
+      } catch (err) { // Non-blocking
+        log.trace(err)
+        log.error('An error occurred while extracting text from pages')
+      }
+    }
+
+    // Prepare WACZ
+    try {
+      log.info('Preparing WACZ file')
+
+      // WARCs left out by filters may be present in the collection folder: only the ones that were selected are packaged
+      if (this.shouldSplitWACZ()) {
+        await this.runStep('generateWACZ', this.generateWACZParts)
+      } else {
+        await this.runStep('generateWACZ', () => this.generateWACZ(null, this.WARCs.filter(ref => ref.downloaded).map(ref => this.getWARCPath(ref))))
+      }
+    } catch (err) {
+      log.error('An error occurred while preparing WACZ file')
+      log.trace(err)
+      throw err
+    }
+
+    await this.recordPackage()
+
+    // Report
+    this.printReport()
+    const report = await this.buildReport()
+
+    // Incomplete collections are packaged, but reported as such unless explicitly allowed
+    if (!this.allowPartial) {
+      const error = this.getCollectionError()
+
+      if (error) {
+        log.error(`${error.message} -- WACZ file was generated, but is incomplete`)
+        this.emitError(error)
+        throw error
+      }
+    }
+
+    return report
+  }
+
+  /**
+   * Checks that the WASAPI endpoint can be reached with the credentials that were provided.
+   * Throws if that is not the case.
+   * @returns {Promise<void>}
+   */
+  checkEndpoint = async () => {
+    const params = this.getWebdataParams()
+    params.set('page_size', 1)
+
+    /** @type {?Response} */
+    let response = null
+
+    try {
+      response = await this.http.fetch(`${this.wasapiUrl}/webdata?${params}`, {
+        headers: this.getAuthorizationHeader()
+      })
+    } catch (err) {
+      throw new ApiError('WASAPI endpoint could not be reached', { url: `${this.wasapiUrl}/webdata`, cause: err })
+    }
+
+    if (response.status !== 200) {
+      throw ApiError.fromResponse(response, 'WASAPI endpoint')
+    }
+  }
+
+  /**
+   * Pulls a list of all the files matching `this.filters`.
+   * Follows the `next` links of the WASAPI response until the last page.
+   * In "sync" mode, only lists files crawled after the high-water mark of the previous package (see `getSyncHighWaterMark()`).
+   * Populates `this.WARCs`. Files that are already listed are skipped.
+   * @param {object} [options]
+   * @param {boolean} [options.full=false] - If `true`, ignores the "sync" high-water mark (filters still apply).
+   * @returns {Promise<void>}
+   */
+  fetchWARCsList = async (options = {}) => {
+    const params = this.getWebdataParams(options?.full === true)
+    const listed = new Set(this.WARCs.map(ref => ref.filename))
+    params.set('page_size', 500)
+
+    if (!options?.full && params.has('crawl-time-after') && this.getSyncHighWaterMark()) {
+      this.log.info(`Sync: only listing files crawled after ${params.get('crawl-time-after')}`)
+    }
+
+    /** @type {?string} */
+    let url = `${this.wasapiUrl}/webdata?${params}`
+
+    while (url) {
+      const response = await this.http.fetch(url, { headers: this.getAuthorizationHeader() })
+
+      if (response.status !== 200) {
+        throw ApiError.fromResponse(response, 'WASAPI endpoint')
+      }
+
+      const parsed = await response.json()
+
+      for (const entry of parsed.files) {
+        if (listed.has(entry?.filename)) {
+          continue
+        }
+
+        listed.add(entry?.filename)
+
+        const ref = new WasapiWARCReference()
+        ref.downloadUrl = entry?.locations ? entry.locations[0] : null
+        ref.filename = entry?.filename
+        ref.size = entry?.size
+        ref.remoteChecksums = this.parseChecksums(entry?.checksums)
+        ref.remoteSHA1Hash = ref.remoteChecksums.sha1 || null
+        ref.collection = entry?.collection
+        ref.crawlId = entry?.crawl
+        ref.crawlTime = entry?.['crawl-time']
+        this.WARCs.push(ref)
+      }
+
+      // Is there a "next" results page?
+      url = parsed.next ? new URL(parsed.next, this.wasapiUrl).href : null
+    }
+  }
+
+  /**
+   * Lists the files that would be packaged with the current options: WASAPI filters, and crawl, date and filename filters, are applied.
+   * Populates `this.WARCs`.
+   * @returns {Promise<void>}
+   */
+  listSourceWARCs = async () => {
+    this.WARCs = []
+    await this.fetchWARCsList()
+    this.filterWARCs()
+  }
+
+  /**
+   * Prints processing report.
+   * @returns {void}
+   */
+  printReport = () => {
+    const log = this.log
+
+    log.info('📚 Collection is ready')
+
+    const notDownloaded = this.WARCs.filter(entry => entry.downloaded === false).length
+
+    if (notDownloaded) {
+      log.warn(`${notDownloaded} of ${this.WARCs.length} WARC files have not been downloaded`)
+    }
+
+    this.printWACZReport()
+
+    this.printPackageDiff()
+  }
+
+  /**
+   * Translates `this.filters` into WASAPI query parameters.
+   * In "sync" mode, the high-water mark of the previous package takes precedence over `crawlTimeAfter` if more recent.
+   * @param {boolean} [full=false] - If `true`, the "sync" high-water mark is ignored.
+   * @returns {URLSearchParams}
+   */
+  getWebdataParams = (full = false) => {
+    const filters = { ...this.filters }
+    const params = new URLSearchParams()
+    const highWaterMark = full ? null : this.getSyncHighWaterMark()
+
+    if (highWaterMark && (!filters.crawlTimeAfter || new Date(highWaterMark) > new Date(filters.crawlTimeAfter))) {
+      filters.crawlTimeAfter = highWaterMark
+    }
+
+    if (filters.collection) {
+      params.append('collection', filters.collection)
+    }
+
+    if (filters.crawl) {
+      params.append('crawl', filters.crawl)
+    }
+
+    if (filters.crawlTimeAfter) {
+      params.append('crawl-time-after', filters.crawlTimeAfter)
+    }
+
+    if (filters.crawlTimeBefore) {
+      params.append('crawl-time-before', filters.crawlTimeBefore)
+    }
+
+    if (filters.filetype) {
+      params.append('filetype', filters.filetype)
+    }
+
+    return params
+  }
+
+  /**
+   * @return {object}
+   */
+  getAuthorizationHeader = () => {
+    switch (this.authType) {
+      case 'basic': {
+        const payload = Buffer.from(this.username + ':' + this.password).toString('base64')
+        return { Authorization: `Basic ${payload}` }
+      }
+
+      case 'bearer':
+        return { Authorization: `Bearer ${this.token}` }
+
+      case 'token':
+        return { Authorization: `Token ${this.token}` }
+
+      default:
+        return {}
+    }
+  }
+}
+
+/**
+ * Reference to a file listed by a WASAPI endpoint.
+ */
+export class WasapiWARCReference extends WARCReference {
+  /**
+   * WASAPI collection this file belongs to.
+   * @type {?(number|string)}
+   */
+  collection = null
+
+  /**
+   * WASAPI crawl this file belongs to.
+   * @type {?(number|string)}
+   */
+  crawlId = null
+
+  /**
+   * Time at which this file was crawled, as provided by the WASAPI endpoint.
+   * @type {?string}
+   */
+  crawlTime = null
+}
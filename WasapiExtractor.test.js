@@ -0,0 +1,269 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { readdir, stat, writeFile } from 'fs/promises'
+
+import { WasapiExtractor } from './WasapiExtractor.js'
+import { ApiError, AuthError } from './errors.js'
+import { createLogger, createTempFolder, removeTempFolder, startWasapiServer, createWARC, readFromWACZ } from './fixtures/index.js'
+
+/**
+ * Lists the files of a folder and its subfolders, alongside their size and modification time.
+ * @param {string} path
+ * @returns {Promise<string[]>}
+ */
+async function snapshotFolder (path) {
+  const entries = await readdir(path, { recursive: true })
+  const snapshot = []
+
+  for (const entry of entries.sort()) {
+    const { size, mtimeMs } = await stat(`${path}${entry}`)
+    snapshot.push(`${entry} ${size} ${mtimeMs}`)
+  }
+
+  return snapshot
+}
+
+describe('WasapiExtractor', () => {
+  let outputPath = null
+  let files = null
+
+  before(async () => {
+    outputPath = await createTempFolder()
+    files = [
+      { filename: 'a.warc.gz', data: await createWARC([{ url: 'https://example.com/', title: 'Home' }]) },
+      { filename: 'b.warc.gz', data: await createWARC([{ url: 'https://example.com/about', title: 'About' }]) }
+    ]
+  })
+
+  after(async () => {
+    await removeTempFolder(outputPath)
+  })
+
+  describe('fetchWARCsList()', () => {
+    it('follows "next" links until the last results page', async () => {
+      const server = await startWasapiServer(files)
+
+      try {
+        const extractor = new WasapiExtractor({ wasapiUrl: `${server.url}/wasapi/v1/webdata`, collection: 12345, outputPath, retries: 0, log: createLogger() })
+        await extractor.fetchWARCsList()
+
+        assert.deepEqual(server.requests.map(request => request.params.get('page')), [null, '2'])
+        assert.deepEqual(extractor.WARCs.map(ref => ref.filename), ['a.warc.gz', 'b.warc.gz'])
+        assert.equal(extractor.WARCs[0].downloadUrl, `${server.url}/files/a.warc.gz`)
+        assert.deepEqual(Object.keys(extractor.WARCs[0].remoteChecksums), ['sha1', 'md5'])
+        assert.equal(extractor.WARCs[0].crawlTime, '2021-04-30T20:04:57Z')
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('sends collection, crawl, crawl time and filetype filters as query parameters', async () => {
+      const server = await startWasapiServer(files)
+
+      try {
+        const extractor = new WasapiExtractor({
+          wasapiUrl: `${server.url}/wasapi/v1`,
+          collection: 12345,
+          crawl: 678,
+          crawlTimeAfter: '2020-01-01T00:00:00Z',
+          crawlTimeBefore: '2021-12-31',
+          filetype: 'warc',
+          outputPath,
+          retries: 0,
+          log: createLogger()
+        })
+        await extractor.fetchWARCsList()
+
+        const { params } = server.requests[0]
+        assert.equal(params.get('collection'), '12345')
+        assert.equal(params.get('crawl'), '678')
+        assert.equal(params.get('crawl-time-after'), '2020-01-01T00:00:00.000Z')
+        assert.equal(params.get('crawl-time-before'), '2021-12-31T23:59:59.999Z')
+        assert.equal(params.get('filetype'), 'warc')
+        assert.equal(params.get('page_size'), '500')
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('does not send a crawl filter if several crawls are requested, and filters files once listed', async () => {
+      const server = await startWasapiServer([{ ...files[0], crawl: 1 }, { ...files[1], crawl: 2 }, { ...files[0], filename: 'c.warc.gz', crawl: 3 }])
+
+      try {
+        const extractor = new WasapiExtractor({ wasapiUrl: `${server.url}/wasapi/v1`, crawl: [1, 3], outputPath, retries: 0, log: createLogger() })
+        await extractor.listSourceWARCs()
+
+        assert.equal(server.requests[0].params.has('crawl'), false)
+        assert.deepEqual(extractor.WARCs.map(ref => ref.filename), ['a.warc.gz', 'c.warc.gz'])
+      } finally {
+        await server.close()
+      }
+    })
+  })
+
+  describe('checkEndpoint()', () => {
+    for (const [authType, credentials, expected] of [
+      ['none', {}, null],
+      ['basic', { username: 'user', password: 'pass' }, `Basic ${Buffer.from('user:pass').toString('base64')}`],
+      ['bearer', { token: 'abcdef' }, 'Bearer abcdef'],
+      ['token', { token: 'abcdef' }, 'Token abcdef']
+    ]) {
+      it(`sends the right "Authorization" header when "authType" is "${authType}"`, async () => {
+        const server = await startWasapiServer(files)
+
+        try {
+          const extractor = new WasapiExtractor({ wasapiUrl: `${server.url}/wasapi/v1`, authType, ...credentials, outputPath, retries: 0, log: createLogger() })
+          await extractor.checkEndpoint()
+
+          assert.equal(server.requests.length, 1)
+          assert.equal(server.requests[0].authorization, expected)
+          assert.equal(server.requests[0].params.get('page_size'), '1')
+        } finally {
+          await server.close()
+        }
+      })
+    }
+
+    it('infers "authType" from the credentials provided', () => {
+      const wasapiUrl = 'https://example.com/wasapi/v1'
+
+      assert.equal(new WasapiExtractor({ wasapiUrl, log: createLogger() }).authType, 'none')
+      assert.equal(new WasapiExtractor({ wasapiUrl, username: 'user', password: 'pass', log: createLogger() }).authType, 'basic')
+      assert.equal(new WasapiExtractor({ wasapiUrl, token: 'abcdef', log: createLogger() }).authType, 'bearer')
+      assert.throws(() => new WasapiExtractor({ wasapiUrl, authType: 'token', log: createLogger() }), /"token" must be provided/)
+    })
+
+    for (const status of [401, 403]) {
+      it(`throws an AuthError if the endpoint responds with HTTP ${status}`, async () => {
+        const server = await startWasapiServer(files, { failures: { '/wasapi/v1/webdata': status } })
+
+        try {
+          const extractor = new WasapiExtractor({ wasapiUrl: `${server.url}/wasapi/v1`, token: 'wrong', outputPath, retries: 0, log: createLogger() })
+          await assert.rejects(extractor.checkEndpoint(), (err) => err instanceof AuthError && err.status === status)
+        } finally {
+          await server.close()
+        }
+      })
+    }
+
+    it('throws an ApiError if the endpoint responds with an error', async () => {
+      const server = await startWasapiServer(files, { failures: { '/wasapi/v1/webdata': 404 } })
+
+      try {
+        const extractor = new WasapiExtractor({ wasapiUrl: `${server.url}/wasapi/v1`, outputPath, retries: 0, log: createLogger() })
+        await assert.rejects(extractor.checkEndpoint(), (err) => err instanceof ApiError && !(err instanceof AuthError) && err.status === 404)
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('throws an ApiError if the endpoint cannot be reached', async () => {
+      const server = await startWasapiServer(files)
+      await server.close()
+
+      const extractor = new WasapiExtractor({ wasapiUrl: `${server.url}/wasapi/v1`, outputPath, retries: 0, log: createLogger() })
+      await assert.rejects(extractor.checkEndpoint(), (err) => err instanceof ApiError && err.status === null)
+    })
+  })
+
+  describe('process()', () => {
+    it('downloads and packages the files listed, detecting pages from the WARCs', async () => {
+      const server = await startWasapiServer(files)
+
+      try {
+        const extractor = new WasapiExtractor({ wasapiUrl: `${server.url}/wasapi/v1`, collection: 12345, outputPath, retries: 0, log: createLogger() })
+        const report = await extractor.process()
+
+        assert.deepEqual(report.WARCs.map(ref => [ref.filename, ref.status]), [['a.warc.gz', 'downloaded'], ['b.warc.gz', 'downloaded']])
+
+        const pages = (await readFromWACZ(`${outputPath}12345.wacz`, 'pages/pages.jsonl')).trim().split('\n').map(line => JSON.parse(line))
+        assert.deepEqual(pages.slice(1).map(page => [page.url, page.title]), [['https://example.com/', 'Home'], ['https://example.com/about', 'About']])
+      } finally {
+        await server.close()
+      }
+    })
+  })
+
+  describe('"dryRun" mode', () => {
+    it('writes and deletes nothing, and reports what is present, valid, loose and needed', async () => {
+      const dryRunPath = await createTempFolder()
+      const served = [files[0]]
+      const server = await startWasapiServer(served)
+
+      try {
+        const collectionPath = `${dryRunPath}12345/`
+        const options = { wasapiUrl: `${server.url}/wasapi/v1`, collection: 12345, outputPath: dryRunPath, retries: 0, prune: true }
+
+        // "a" is downloaded and hashed by a first run
+        await new WasapiExtractor({ ...options, log: createLogger() }).process()
+
+        // "b" is present but was never hashed, "c" was partially downloaded, "d" is not part of the collection
+        const c = { filename: 'c.warc.gz', data: await createWARC([{ url: 'https://example.com/contact', title: 'Contact' }]) }
+        served.push(files[1], c)
+        await writeFile(`${collectionPath}b.warc.gz`, files[1].data)
+        await writeFile(`${collectionPath}c.warc.gz.part`, c.data.subarray(0, 10))
+        await writeFile(`${collectionPath}d.warc.gz`, 'WARC/1.1')
+
+        const before = await snapshotFolder(dryRunPath)
+        server.requests.length = 0
+
+        const log = createLogger()
+        const report = await new WasapiExtractor({ ...options, dryRun: true, log }).process()
+
+        assert.deepEqual(await snapshotFolder(dryRunPath), before)
+        assert.equal(server.requests.some(request => request.path.startsWith('/files/')), false)
+
+        const totalBytes = files[0].data.length + files[1].data.length + c.data.length
+        const bytesToDownload = c.data.length - 10
+        const WACZBytes = (await stat(`${dryRunPath}12345.wacz`)).size
+
+        assert.equal(report.success, true)
+        assert.equal(report.dryRun, true)
+        assert.equal(report.WACZ, null)
+        assert.deepEqual(
+          { ...report.plan, diskSpaceAvailable: null },
+          {
+            WARCs: 3,
+            totalBytes,
+            unknownSizes: 0,
+            valid: 1,
+            present: 1,
+            invalid: 0,
+            missing: 1,
+            partialBytes: 10,
+            bytesToDownload,
+            looseFiles: ['d.warc.gz'],
+            looseBytes: 8,
+            estimatedWACZBytes: totalBytes,
+            dedupBytes: 0,
+            diskSpaceNeeded: Math.max(bytesToDownload + totalBytes - 8 - WACZBytes, 0),
+            diskSpaceAvailable: null
+          }
+        )
+
+        assert.ok(log.messages.info.includes('📋 Dry run: nothing was downloaded or deleted'))
+        assert.ok(log.messages.info.includes('Loose files to be deleted: 1 (8 bytes)'))
+      } finally {
+        await server.close()
+        await removeTempFolder(dryRunPath)
+      }
+    })
+
+    it('does not create the collection folder', async () => {
+      const dryRunPath = await createTempFolder()
+      const server = await startWasapiServer(files)
+
+      try {
+        const report = await new WasapiExtractor({ wasapiUrl: `${server.url}/wasapi/v1`, collection: 12345, outputPath: dryRunPath, retries: 0, dryRun: true, log: createLogger() }).process()
+
+        assert.deepEqual(await readdir(dryRunPath), [])
+        assert.equal(report.plan.missing, 2)
+        assert.equal(report.plan.bytesToDownload, files[0].data.length + files[1].data.length)
+        assert.equal(report.plan.diskSpaceNeeded, report.plan.bytesToDownload + report.plan.estimatedWACZBytes)
+      } finally {
+        await server.close()
+        await removeTempFolder(dryRunPath)
+      }
+    })
+  })
+})
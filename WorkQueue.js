@@ -0,0 +1,80 @@
+/**
+ * Bounded work queue: runs up to `limit` tasks in parallel, and starts the next pending task as soon as a slot frees up.
+ * Prevents a single slow task (i.e: a large download) from holding back a whole batch.
+ *
+ * Usage:
+ * ```
+ * const queue = new WorkQueue(10)
+ * const results = await queue.map(urls, url => fetch(url))
+ * ```
+ */
+export class WorkQueue {
+  /**
+   * Maximum number of tasks running in parallel.
+   * @type {number}
+   */
+  limit = 1
+
+  /**
+   * Number of tasks currently running.
+   * @type {number}
+   */
+  running = 0
+
+  /**
+   * Tasks waiting for a slot, in order.
+   * @type {Array<function(): void>}
+   */
+  pending = []
+
+  /**
+   * @param {number} [limit=1] - Maximum number of tasks running in parallel.
+   */
+  constructor (limit = 1) {
+    this.limit = Math.max(1, Math.floor(Number(limit)) || 1)
+  }
+
+  /**
+   * Runs an async function as soon as a slot is available.
+   * @param {function(): Promise<any>} fn
+   * @returns {Promise<any>} - Settles with the outcome of `fn`.
+   */
+  run = (fn) => {
+    return new Promise((resolve, reject) => {
+      this.pending.push(() => {
+        this.running += 1
+
+        Promise.resolve()
+          .then(fn)
+          .then(resolve, reject)
+          .finally(() => {
+            this.running -= 1
+            this.next()
+          })
+      })
+
+      this.next()
+    })
+  }
+
+  /**
+   * Runs an async function for each item of a list, through the queue.
+   * Never rejects: outcomes are returned in the same format as `Promise.allSettled()`, in the order of `items`.
+   * @param {any[]} items
+   * @param {function(any): Promise<any>} fn
+   * @returns {Promise<PromiseSettledResult<any>[]>}
+   */
+  map = (items, fn) => {
+    return Promise.allSettled(items.map(item => this.run(() => fn(item))))
+  }
+
+  /**
+   * Starts pending tasks, up to `this.limit`.
+   * @returns {void}
+   */
+  next = () => {
+    while (this.running < this.limit && this.pending.length) {
+      this.pending.shift()()
+    }
+  }
+}
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'timers/promises'
+
+import { WorkQueue } from './WorkQueue.js'
+
+describe('WorkQueue', () => {
+  describe('run()', () => {
+    it('never runs more than "limit" tasks at once', async () => {
+      const queue = new WorkQueue(3)
+      let running = 0
+      let peak = 0
+
+      await Promise.all([...Array(10).keys()].map(i => queue.run(async () => {
+        running += 1
+        peak = Math.max(peak, running)
+        await sleep(i % 3)
+        running -= 1
+      })))
+
+      assert.equal(peak, 3)
+      assert.equal(queue.running, 0)
+      assert.equal(queue.pending.length, 0)
+    })
+
+    it('starts the next task as soon as a slot frees up, without waiting for the others', async () => {
+      const queue = new WorkQueue(2)
+      const started = []
+      let releaseSlow = null
+
+      const slow = queue.run(() => {
+        started.push('slow')
+        return new Promise(resolve => { releaseSlow = resolve })
+      })
+
+      const fast = queue.run(async () => { started.push('fast') })
+      const next = [1, 2, 3].map(i => queue.run(async () => { started.push(`next-${i}`) }))
+
+      await Promise.all([fast, ...next])
+      assert.deepEqual(started, ['slow', 'fast', 'next-1', 'next-2', 'next-3'])
+      assert.equal(queue.running, 1)
+
+      releaseSlow()
+      await slow
+    })
+
+    it('settles with the outcome of the task', async () => {
+      const queue = new WorkQueue(1)
+
+      assert.equal(await queue.run(async () => 42), 42)
+      await assert.rejects(queue.run(async () => { throw new Error('Failed') }), { message: 'Failed' })
+      await assert.rejects(queue.run(() => { throw new Error('Failed synchronously') }), { message: 'Failed synchronously' })
+    })
+  })
+
+  describe('map()', () => {
+    it('returns outcomes in the order of the items, regardless of completion order', async () => {
+      const queue = new WorkQueue(4)
+      const results = await queue.map([30, 10, 20, 0], async (delay) => {
+        await sleep(delay)
+        return delay
+      })
+
+      assert.deepEqual(results.map(result => result.value), [30, 10, 20, 0])
+    })
+
+    it('isolates failures: other items still run, and the queue keeps going', async () => {
+      const queue = new WorkQueue(1)
+      const ran = []
+
+      const results = await queue.map([1, 2, 3], async (item) => {
+        ran.push(item)
+
+        if (item === 2) {
+          throw new Error(`Item ${item} failed`)
+        }
+
+        return item
+      })
+
+      assert.deepEqual(ran, [1, 2, 3])
+      assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled'])
+      assert.equal(results[1].reason.message, 'Item 2 failed')
+      assert.equal(await queue.run(async () => 'still running'), 'still running')
+    })
+  })
+
+  describe('constructor()', () => {
+    it('falls back to a limit of 1 for invalid values', () => {
+      for (const limit of [0, -5, 'foo', null, 0.5]) {
+        assert.equal(new WorkQueue(limit).limit, 1)
+      }
+
+      assert.equal(new WorkQueue('4').limit, 4)
+    })
+  })
+})
@@ -0,0 +1,262 @@
+import { ArchiveItExtractor } from '../index.js'
+import { formatBytes } from '../BaseExtractor.js'
+import { HttpClient } from '../HttpClient.js'
+import { WorkQueue } from '../WorkQueue.js'
+import * as CONSTANTS from '../constants.js'
+
+/**
+ * Explores an Archive-It account without packaging anything.
+ * Backs the `collections`, `warcs`, `crawls` and `seeds` commands of the CLI.
+ *
+ * Relies on ArchiveItExtractor for API calls (see `fetchCollectionInfo()`, `fetchWARCsList()`, `fetchWARCsCrawlInfo()` and `fetchSeedsMetadata()`):
+ * nothing is written to disk.
+ *
+ * Usage:
+ * ```
+ * const inspector = new Inspector({ username, password })
+ * inspector.printTable(await inspector.getCollections(), Inspector.COLUMNS.collections)
+ * ```
+ */
+export class Inspector {
+  /**
+   * Columns of the tables printed by each command.
+   * @type {Object<string, {label: string, value: function(object): string}[]>}
+   */
+  static COLUMNS = {
+    collections: [
+      { label: 'ID', value: row => `${row.id}` },
+      { label: 'TITLE', value: row => row.title || '' },
+      { label: 'WARCS', value: row => row.WARCs === null ? '?' : `${row.WARCs}` },
+      { label: 'SIZE', value: row => row.size === null ? '?' : formatBytes(row.size) }
+    ],
+    WARCs: [
+      { label: 'FILENAME', value: row => row.filename },
+      { label: 'CRAWL', value: row => `${row.crawlId ?? ''}` },
+      { label: 'CRAWL TIME', value: row => row.crawlTime || '' },
+      { label: 'SIZE', value: row => row.size === null ? '?' : formatBytes(row.size) },
+      { label: 'CHECKSUMS', value: row => Object.entries(row.checksums).map(([algorithm, value]) => `${algorithm}:${value}`).join(' ') }
+    ],
+    crawls: [
+      { label: 'CRAWL', value: row => `${row.crawlId}` },
+      { label: 'CRAWL TIME', value: row => row.crawlTime || '' },
+      { label: 'WARCS', value: row => `${row.WARCs}` },
+      { label: 'SIZE', value: row => formatBytes(row.size) },
+      { label: 'SEEDS', value: row => row.seeds.map(seed => seed.url).join(' ') }
+    ],
+    seeds: [
+      { label: 'ID', value: row => `${row.id}` },
+      { label: 'URL', value: row => row.url || '' },
+      { label: 'TITLE', value: row => row.metadata?.title?.[0] || '' },
+      { label: 'METADATA', value: row => Object.keys(row.metadata).join(', ') }
+    ]
+  }
+
+  /**
+   * Options passed to the extractors used to pull information (credentials, retries, concurrency ...).
+   * @type {object}
+   */
+  options = {}
+
+  /** @type {Console} */
+  log = console
+
+  /**
+   * HTTP layer shared by all extractors.
+   * @type {?HttpClient}
+   */
+  http = null
+
+  /**
+   * Work queue for API requests, shared by all extractors.
+   * @type {?WorkQueue}
+   */
+  metadataQueue = null
+
+  /**
+   * Where tables and JSON are written.
+   * @type {import('stream').Writable}
+   */
+  stream = process.stdout
+
+  /**
+   * @param {object} options - See `ArchiveItExtractor`. `collectionId` is ignored.
+   * @param {import('stream').Writable} [stream=process.stdout]
+   */
+  constructor (options, stream = process.stdout) {
+    this.options = options
+    this.stream = stream
+
+    if (options?.log) {
+      this.log = options.log
+    }
+
+    this.http = new HttpClient({
+      retries: options?.retries,
+      retryDelay: options?.retryDelay,
+      maxRetryDelay: options?.maxRetryDelay,
+      rateLimit: options?.rateLimit,
+      log: this.log
+    })
+
+    this.metadataQueue = new WorkQueue(Number(options?.concurrency) || CONSTANTS.DEFAULT_CONCURRENCY)
+  }
+
+  /**
+   * Creates an extractor for a given collection, sharing `this.http` and `this.metadataQueue`.
+   * @param {number|string} collectionId
+   * @returns {ArchiveItExtractor}
+   */
+  createExtractor = (collectionId) => {
+    return new ArchiveItExtractor({
+      ...this.options,
+      collectionId,
+      log: this.log,
+      http: this.http,
+      metadataQueue: this.metadataQueue
+    })
+  }
+
+  /**
+   * Lists the collections the account has access to, with their number of WARC files and total size.
+   * Counts are `null` for collections whose WARC files could not be listed.
+   * @returns {Promise<{id: number, title: ?string, WARCs: ?number, size: ?number}[]>}
+   */
+  getCollections = async () => {
+    const collections = await ArchiveItExtractor.listCollections({ ...this.options, http: this.http })
+
+    const results = await this.metadataQueue.map(collections, async (collection) => {
+      const row = { ...collection, WARCs: null, size: null }
+
+      try {
+        const extractor = this.createExtractor(collection.id)
+        await extractor.fetchWARCsList()
+        row.WARCs = extractor.WARCs.length
+        row.size = extractor.WARCs.reduce((total, ref) => total + (ref.size || 0), 0)
+      } catch (err) {
+        this.log.trace(err)
+        this.log.warn(`Collection ${collection.id}: WARC files could not be listed (${err.message})`)
+      }
+
+      return row
+    })
+
+    return results.map(result => result.value)
+  }
+
+  /**
+   * Lists the WARC files of a collection, as returned by Archive-It's WASAPI endpoint.
+   * @param {number|string} collectionId
+   * @returns {Promise<{collection: object, WARCs: {filename: string, crawlId: ?number, crawlTime: ?string, size: ?number, checksums: Object<string, string>}[]}>}
+   */
+  getWARCs = async (collectionId) => {
+    const extractor = this.createExtractor(collectionId)
+    await extractor.fetchCollectionInfo()
+    await extractor.fetchWARCsList()
+
+    return {
+      collection: getCollectionSummary(extractor),
+      WARCs: extractor.WARCs.map(ref => ({
+        filename: ref.filename,
+        crawlId: ref.crawlId ?? null,
+        crawlTime: ref.crawlTime ?? null,
+        size: ref.size ?? null,
+        checksums: ref.remoteChecksums
+      }))
+    }
+  }
+
+  /**
+   * Lists the crawls of a collection, with the seeds they captured (from crawl reports), and their WARC files.
+   * @param {number|string} collectionId
+   * @returns {Promise<{collection: object, crawls: {crawlId: number, crawlTime: ?string, WARCs: number, size: number, seeds: {id: ?number, url: ?string}[]}[]}>}
+   */
+  getCrawls = async (collectionId) => {
+    const extractor = this.createExtractor(collectionId)
+    await extractor.fetchCollectionInfo()
+    await extractor.fetchWARCsList()
+    await extractor.fetchWARCsCrawlInfo()
+
+    const crawls = {}
+
+    for (const ref of extractor.WARCs) {
+      if (!ref.crawlId) {
+        continue // i.e: MISSING_URLS_PATCH files
+      }
+
+      const crawl = crawls[ref.crawlId] ??= { crawlId: ref.crawlId, crawlTime: null, WARCs: 0, size: 0, seeds: [] }
+      crawl.WARCs += 1
+      crawl.size += ref.size || 0
+
+      if (ref.crawlTime && (!crawl.crawlTime || ref.crawlTime < crawl.crawlTime)) {
+        crawl.crawlTime = ref.crawlTime
+      }
+
+      for (const crawledUrl of ref.crawledUrls) {
+        if (!crawl.seeds.some(seed => seed.id === crawledUrl.seedId)) {
+          crawl.seeds.push({ id: crawledUrl.seedId, url: crawledUrl.url })
+        }
+      }
+    }
+
+    return {
+      collection: getCollectionSummary(extractor),
+      crawls: Object.values(crawls).sort((a, b) => a.crawlId - b.crawlId)
+    }
+  }
+
+  /**
+   * Lists the seeds of a collection, with their metadata (mapped to Dublin Core elements).
+   * @param {number|string} collectionId
+   * @returns {Promise<{collection: object, seeds: {id: number, url: ?string, metadata: Object<string, string[]>}[]}>}
+   */
+  getSeeds = async (collectionId) => {
+    const extractor = this.createExtractor(collectionId)
+    await extractor.fetchCollectionInfo()
+    await extractor.fetchSeedsMetadata()
+
+    return {
+      collection: getCollectionSummary(extractor),
+      seeds: Object.values(extractor.seeds).sort((a, b) => a.id - b.id)
+    }
+  }
+
+  /**
+   * Writes a value as JSON.
+   * @param {any} value
+   * @returns {void}
+   */
+  printJSON = (value) => {
+    this.stream.write(`${JSON.stringify(value, null, 2)}\n`)
+  }
+
+  /**
+   * Writes rows as a table with aligned columns.
+   * @param {object[]} rows
+   * @param {{label: string, value: function(object): string}[]} columns
+   * @returns {void}
+   */
+  printTable = (rows, columns) => {
+    const cells = [
+      columns.map(column => column.label),
+      ...rows.map(row => columns.map(column => column.value(row)))
+    ]
+
+    const widths = columns.map((_column, i) => Math.max(...cells.map(line => line[i].length)))
+
+    for (const line of cells) {
+      this.stream.write(`${line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()}\n`)
+    }
+  }
+}
+
+/**
+ * @param {ArchiveItExtractor} extractor
+ * @returns {{id: number, title: ?string, description: ?string}}
+ */
+function getCollectionSummary (extractor) {
+  return {
+    id: extractor.collectionId,
+    title: extractor.collectionTitle,
+    description: extractor.collectionDescription
+  }
+}
@@ -0,0 +1,206 @@
+import { formatBytes } from '../BaseExtractor.js'
+
+/**
+ * Live progress display for the CLI, driven by the events emitted by extractors (see BaseExtractor).
+ * Draws a block of lines at the bottom of the terminal (on stderr), which is cleared and redrawn around log lines.
+ * Several extractors can be attached at once (i.e: collections processed in parallel): each gets its own section.
+ *
+ * Usage:
+ * ```
+ * const progress = new ProgressDisplay()
+ * progress.attach(collection)
+ * progress.wrap(() => console.log('Log line'))
+ * ```
+ */
+export class ProgressDisplay {
+  /**
+   * Where the progress block is drawn.
+   * @type {import('tty').WriteStream}
+   */
+  stream = process.stderr
+
+  /**
+   * Maximum number of downloads listed individually, shared between the extractors running a step.
+   * @type {number}
+   */
+  maxLines = 10
+
+  /**
+   * Minimum delay between two redraws, in milliseconds.
+   * @type {number}
+   */
+  interval = 100
+
+  /**
+   * Progress of the extractors currently running a step, keyed by extractor:
+   * - `step`: pipeline step running.
+   * - `downloads`: downloads in progress, keyed by filename.
+   * - `downloadsDone`: number of downloads that are complete (successfully or not) for that step.
+   * - `wacz`: latest `wacz:progress` event.
+   * @type {Map<BaseExtractor, {step: string, downloads: Object<string, {bytes: number, total: ?number}>, downloadsDone: number, wacz: ?WACZProgressEvent}>}
+   */
+  extractors = new Map()
+
+  /**
+   * Number of lines currently drawn.
+   * @type {number}
+   */
+  linesDrawn = 0
+
+  /**
+   * Timestamp (ms) of the last redraw.
+   * @type {number}
+   */
+  lastDraw = 0
+
+  /**
+   * @param {?import('tty').WriteStream} [stream=process.stderr]
+   */
+  constructor (stream = process.stderr) {
+    this.stream = stream
+  }
+
+  /**
+   * Subscribes to the events of a given extractor.
+   * @param {BaseExtractor} extractor
+   * @returns {void}
+   */
+  attach = (extractor) => {
+    extractor.on('step:start', ({ step }) => {
+      this.extractors.set(extractor, { step, downloads: {}, downloadsDone: 0, wacz: null })
+      this.draw(true)
+    })
+
+    extractor.on('step:end', () => {
+      this.extractors.delete(extractor)
+      this.draw(true)
+    })
+
+    extractor.on('warc:progress', ({ filename, bytes, total }) => {
+      const state = this.extractors.get(extractor)
+
+      if (state) {
+        state.downloads[filename] = { bytes, total }
+        this.draw()
+      }
+    })
+
+    extractor.on('warc:done', ({ filename }) => {
+      const state = this.extractors.get(extractor)
+
+      if (state) {
+        delete state.downloads[filename]
+        state.downloadsDone += 1
+        this.draw(true)
+      }
+    })
+
+    extractor.on('wacz:progress', (event) => {
+      const state = this.extractors.get(extractor)
+
+      if (state) {
+        state.wacz = event
+        this.draw(true)
+      }
+    })
+  }
+
+  /**
+   * Runs a function that writes to the terminal (i.e: a logging method) with the progress block out of the way.
+   * @param {function(): any} fn
+   * @returns {any}
+   */
+  wrap = (fn) => {
+    this.clear()
+    const result = fn()
+    this.draw(true)
+    return result
+  }
+
+  /**
+   * Erases the progress block.
+   * @returns {void}
+   */
+  clear = () => {
+    if (this.linesDrawn > 0) {
+      this.stream.write(`\x1b[${this.linesDrawn}F\x1b[0J`)
+      this.linesDrawn = 0
+    }
+  }
+
+  /**
+   * Redraws the progress block.
+   * @param {boolean} [force=false] - If `false`, redraws are throttled to one every `this.interval` ms.
+   * @returns {void}
+   */
+  draw = (force = false) => {
+    const now = Date.now()
+
+    if (!force && now - this.lastDraw < this.interval) {
+      return
+    }
+
+    this.lastDraw = now
+    this.clear()
+
+    const lines = this.getLines()
+
+    if (lines.length) {
+      const width = this.stream.columns || 80
+      this.stream.write(lines.map(line => `${line.substring(0, width - 1)}\n`).join(''))
+      this.linesDrawn = lines.length
+    }
+  }
+
+  /**
+   * Lines to be drawn, based on the step each extractor is running.
+   * Lines are prefixed with the collection id if more than one extractor is running a step.
+   * @returns {string[]}
+   */
+  getLines = () => {
+    const lines = []
+    const maxLines = Math.max(Math.floor(this.maxLines / (this.extractors.size || 1)), 1)
+
+    for (const [extractor, { step, downloads, downloadsDone, wacz }] of this.extractors) {
+      const label = this.extractors.size > 1 ? `[${extractor.collectionId}] ` : ''
+
+      if (step === 'fetchWARCs') {
+        const active = Object.entries(downloads)
+        lines.push(`⬇️  ${label}Downloading WARCs: ${downloadsDone} done, ${active.length} in progress`)
+
+        for (const [filename, { bytes, total }] of active.slice(0, maxLines)) {
+          lines.push(`   ${this.formatBar(bytes, total)} ${filename}`)
+        }
+
+        if (active.length > maxLines) {
+          lines.push(`   ... and ${active.length - maxLines} more`)
+        }
+      }
+
+      if (step === 'generateWACZ' && wacz) {
+        const { stage, done, total } = wacz
+        lines.push(`📦 ${label}Preparing WACZ: ${stage}${total ? ` (${done}/${total})` : ''}`)
+      }
+    }
+
+    return lines
+  }
+
+  /**
+   * @param {number} bytes
+   * @param {?number} total
+   * @returns {string} - I.E: "[#####-----]  50% 1.20 MB / 2.40 MB"
+   */
+  formatBar = (bytes, total) => {
+    const size = 20
+
+    if (!total) {
+      return `[${'?'.repeat(size)}]      ${formatBytes(bytes)}`
+    }
+
+    const ratio = Math.min(bytes / total, 1)
+    const filled = Math.round(ratio * size)
+    const percent = `${Math.floor(ratio * 100)}%`.padStart(4)
+    return `[${'#'.repeat(filled)}${'-'.repeat(size - filled)}] ${percent} ${formatBytes(bytes)} / ${formatBytes(total)}`
+  }
+}
@@ -7,12 +7,70 @@ import { Command, Option } from 'commander'
 import log from 'loglevel'
 import logPrefix from 'loglevel-plugin-prefix'
 
-import { ArchiveItExtractor } from '../index.js'
-import { PACKAGE_INFO, LOGGING_COLORS, DEFAULT_CONCURRENCY } from '../constants.js'
+import {
+  ArchiveItExtractor,
+  WasapiExtractor,
+  LocalExtractor,
+  Config,
+  Batch,
+  Verifier,
+  AuthError,
+  ApiError,
+  IntegrityError,
+  PartialCollectionError,
+  WACZBuildError,
+  CollectionLockedError
+} from '../index.js'
+import { ProgressDisplay } from './ProgressDisplay.js'
+import { Inspector } from './Inspector.js'
+import {
+  PACKAGE_INFO,
+  LOGGING_COLORS,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_DOWNLOAD_CONCURRENCY,
+  DEFAULT_RETRIES,
+  DEFAULT_RETRY_DELAY,
+  DEFAULT_RATE_LIMIT,
+  DEFAULT_MAX_BANDWIDTH,
+  DEFAULT_PAGES_MODE,
+  DEFAULT_MAX_TEXT_LENGTH,
+  DEFAULT_MAX_WACZ_SIZE,
+  DEFAULT_PARALLEL_COLLECTIONS,
+  PAGES_MODES,
+  SPLIT_MODES,
+  EXIT_CODES
+} from '../constants.js'
 
 /** @type {Command} */
 const program = new Command()
 
+/**
+ * Config file settings whose name differs from that of the matching CLI option.
+ * @type {Object<string, string>}
+ */
+const CONFIG_CLI_OPTIONS = {
+  maxWACZSize: 'maxWaczSize',
+  quarantinePath: 'quarantine',
+  collection: 'collectionId'
+}
+
+/**
+ * Config file settings that have no matching CLI option.
+ * @type {string[]}
+ */
+const CONFIG_ONLY_OPTIONS = ['maxRetryDelay']
+
+/**
+ * CLI options that are not valid config file settings, and what to use instead.
+ * @type {Object<string, string>}
+ */
+const CLI_ONLY_OPTIONS = {
+  maxWaczSize: 'use "maxWACZSize", in bytes',
+  quarantine: 'use "quarantinePath"',
+  config: 'config files cannot point to other config files',
+  profile: 'use "profiles"'
+}
+
 //
 // Program info
 //
@@ -27,37 +85,217 @@ program
 //
 program.addOption(
   new Option('-e, --extractor <string>', 'Web Archiving platform to extract the collection from.')
-    .choices(['archive-it'])
+    .choices(['archive-it', 'wasapi', 'local'])
     .default('archive-it')
 )
 
+program.addOption(
+  new Option('--config <path>', 'Path to a config file (JSON or YAML). Defaults to wacz-preparator.json, .yaml or .yml in the current folder, if any. Options passed on the command line take precedence.')
+)
+
+program.addOption(
+  new Option('--profile <name>', 'Profile of the config file to use. Its settings override those shared by all profiles.')
+)
+
 program.addOption(
   new Option('-u, --username <string>', 'API username (required for Archive-it).')
+    .env('WACZ_PREPARATOR_USERNAME')
     .default(null)
 )
 
 program.addOption(
-  new Option('-p, --password <string>', 'API password (required for Archive-it).')
+  new Option('-p, --password <string>', 'API password (required for Archive-it). Visible to other users and kept in shell history: prefer the environment variable, --password-file, a config file or the prompt.')
+    .env('WACZ_PREPARATOR_PASSWORD')
     .default(null)
 )
 
 program.addOption(
-  new Option('-i, --collection-id <string>', 'Id of the collection to process (required for Archive-it).')
+  new Option('--password-file <path>', 'Path to a file containing the API password. Takes precedence over WACZ_PREPARATOR_PASSWORD.')
+)
+
+program.addOption(
+  new Option('-i, --collection-id <string>', 'Id of the collection to process (required for Archive-it, used as "collection" filter for WASAPI). Archive-It: several ids can be given, separated by commas.')
     .default(null)
 )
 
+program.addOption(
+  new Option('--all-collections', 'Process every collection the Archive-It account has access to.')
+    .conflicts('collectionId')
+)
+
+program.addOption(
+  new Option('--parallel <number>', 'Maximum number of collections processed at the same time, when processing several collections. API requests, downloads, rate limit and bandwidth limits are shared across collections.')
+    .default(DEFAULT_PARALLEL_COLLECTIONS)
+)
+
+program.addOption(
+  new Option('--wasapi-url <string>', 'Base URL of the WASAPI endpoint to pull files from (required for WASAPI).')
+)
+
+program.addOption(
+  new Option('--auth-type <string>', 'How requests to the WASAPI endpoint should be authenticated. Inferred from credentials if not set.')
+    .choices(['none', 'basic', 'bearer', 'token'])
+)
+
+program.addOption(
+  new Option('--token <string>', 'API token (WASAPI "bearer" or "token" authentication).')
+    .env('WACZ_PREPARATOR_TOKEN')
+)
+
+program.addOption(
+  new Option('--name <string>', 'Name of the local collection folder and WACZ file (WASAPI and local only). Defaults to --collection-id (WASAPI) or input folder name (local).')
+)
+
+program.addOption(
+  new Option('--crawl <ids...>', 'Only package WARCs from these crawls (Archive-It and WASAPI).')
+)
+
+program.addOption(
+  new Option('--crawl-time-after <date>', 'Only package WARCs crawled on or after this date (Archive-It and WASAPI).')
+)
+
+program.addOption(
+  new Option('--crawl-time-before <date>', 'Only package WARCs crawled on or before this date (Archive-It and WASAPI). A date without a time includes that whole day (UTC).')
+)
+
+program.addOption(
+  new Option('--filetype <string>', 'WASAPI "filetype" filter.')
+    .default('warc')
+)
+
+program.addOption(
+  new Option('--seed <values...>', 'Only package WARCs, and list pages, for these seeds: seed ids, or url patterns such as "https://example.com/*" (Archive-It only).')
+)
+
+program.addOption(
+  new Option('--include <patterns...>', 'Only package WARCs whose filename matches one of these patterns ("*" and "?" wildcards).')
+)
+
+program.addOption(
+  new Option('--exclude <patterns...>', 'Do not package WARCs whose filename matches one of these patterns ("*" and "?" wildcards).')
+)
+
+program.addOption(
+  new Option('--no-missing-urls-patch', 'Leave out MISSING_URLS_PATCH files, which hold captures added to the collection after the fact by patch crawls (Archive-It only).')
+)
+
+program.addOption(
+  new Option('--input <string...>', 'Folder, glob pattern or list file (one path per line) pointing to existing .warc / .warc.gz files (required for local).')
+)
+
+program.addOption(
+  new Option('--transfer <string>', 'How existing WARCs should be brought into the collection folder (local only).')
+    .choices(['none', 'copy', 'hardlink'])
+    .default('none')
+)
+
+program.addOption(
+  new Option('--pages-file <string>', 'pages.jsonl-like file to read pages from (local only). Pages are detected from the WARCs if not provided.')
+)
+
+program.addOption(
+  new Option('--pages-mode <string>', 'Which pages to list in pages.jsonl: entry points only (seeds, or --pages-file), entry points and every other HTML page captured in the WARCs, or every HTML page. Extractors without entry points list every HTML page.')
+    .choices(PAGES_MODES)
+    .default(DEFAULT_PAGES_MODE)
+)
+
+program.addOption(
+  new Option('--extract-text', 'Extract the text of each page from the WARCs and add it to pages.jsonl, so it can be searched in replay (i.e: ReplayWeb.page).')
+)
+
+program.addOption(
+  new Option('--max-text-length <number>', 'Maximum number of characters of text extracted per page (see --extract-text).')
+    .default(DEFAULT_MAX_TEXT_LENGTH)
+)
+
+program.addOption(
+  new Option('--split-by <string>', 'Split the collection into several WACZ files, tied together by a multi-WACZ manifest (i.e: for ReplayWeb.page): one per crawl, year of crawl, or seed (Archive-It only: seeds crawled together stay together).')
+    .choices(SPLIT_MODES)
+)
+
+program.addOption(
+  new Option('--max-wacz-size <number>', 'Maximum size of each WACZ file, in gigabytes. Larger collections are split into several WACZ files, tied together by a multi-WACZ manifest. Can be combined with --split-by. 0 means "no limit".')
+    .default(DEFAULT_MAX_WACZ_SIZE)
+)
+
+program.addOption(
+  new Option('--dedup', 'Store payloads captured more than once across the WARCs of a WACZ file only once: duplicates become "revisit" records pointing at the first capture. Downloaded WARCs are left untouched, and their original hashes are recorded in datapackage.json.')
+)
+
 program.addOption(
   new Option('-o, --output-path <string>', 'Path in which wacz-preparator will work.')
     .default(process.env.PWD)
 )
 
 program.addOption(
-  new Option('-c, --concurrency <number>', 'Sets a limit for parallel requests to the Archive-It API.')
+  new Option('-c, --concurrency <number>', 'Sets a limit for parallel requests to the Archive-It / WASAPI API (crawl info, page titles ...) and for checksum checks of WARCs already on disk.')
     .default(DEFAULT_CONCURRENCY)
 )
 
 program.addOption(
-  new Option('--auto-clear <bool>', 'Automatically delete the collection-specific folder that was created?')
+  new Option('--download-concurrency <number>', 'Sets a limit for parallel WARC downloads. A new download starts as soon as another one completes.')
+    .default(DEFAULT_DOWNLOAD_CONCURRENCY)
+)
+
+program.addOption(
+  new Option('--max-bandwidth <number>', 'Maximum download speed, in megabytes per second, across all downloads. 0 means "no limit".')
+    .default(DEFAULT_MAX_BANDWIDTH)
+)
+
+program.addOption(
+  new Option('--retries <number>', 'How many times failed requests (network errors, HTTP 429, 5XX) should be retried.')
+    .default(DEFAULT_RETRIES)
+)
+
+program.addOption(
+  new Option('--retry-delay <ms>', 'Base delay between retries, in milliseconds. Doubled on each attempt, with jitter. "Retry-After" headers take precedence.')
+    .default(DEFAULT_RETRY_DELAY)
+)
+
+program.addOption(
+  new Option('--rate-limit <number>', 'Maximum number of requests per second, per host. 0 means "no limit".')
+    .default(DEFAULT_RATE_LIMIT)
+)
+
+program.addOption(
+  new Option('--no-resume', 'Ignore the state persisted in the collection folder by a previous run, and start from scratch.')
+)
+
+program.addOption(
+  new Option('--sync', 'Only download files crawled since the previous package, and keep the files from previous runs that are still part of the collection. Requires a previous run in the same output path. Not available with the "local" extractor.')
+)
+
+program.addOption(
+  new Option('--strict', 'Do not generate a WACZ file if some of the WARCs could not be downloaded or verified.')
+    .conflicts('allowPartial')
+)
+
+program.addOption(
+  new Option('--allow-partial', 'Exit with code 0 even if some of the WARCs could not be downloaded or verified. By default, the WACZ file is generated but the CLI exits with a non-zero code.')
+)
+
+program.addOption(
+  new Option('--dry-run', 'List the files of the collection and report what would be downloaded or deleted, and how much disk space is needed. Nothing is downloaded or deleted. Not available with the "local" extractor.')
+)
+
+program.addOption(
+  new Option('--prune', 'Remove WARC files that are present in the collection folder but not part of the collection ("loose" files). By default, they are kept and reported. Other files are never removed.')
+)
+
+program.addOption(
+  new Option('--quarantine <path>', 'With --prune, move loose WARC files to this folder (under a sub-folder named after the collection) instead of deleting them.')
+)
+
+program.addOption(
+  new Option('--adopt-folder', 'Mark an existing collection folder that was not created by wacz-preparator (i.e: by an earlier version) as created by it, so --prune and --auto-clear can remove files from it.')
+)
+
+program.addOption(
+  new Option('--report <string>', 'Path of a JSON file to write a machine-readable report of the run to (WARCs, pages, timings, WACZ file).')
+)
+
+program.addOption(
+  new Option('--auto-clear <bool>', 'Automatically delete the collection-specific folder that was created? Only WARC files and files created by wacz-preparator are removed, and only from folders it created (see --adopt-folder): exits with an error otherwise.')
     .choices(['true', 'false'])
     .default('false')
 )
@@ -67,7 +305,17 @@ program.addOption(
 )
 
 program.addOption(
-  new Option('--signing-token <string>', 'Authentication token to --signing-url, if needed.')
+  new Option('--signing-token <string>', 'Authentication token to --signing-url, if needed. Sent as "bearer <token>".')
+    .env('WACZ_PREPARATOR_SIGNING_TOKEN')
+)
+
+program.addOption(
+  new Option('--allow-unsigned', 'Keep the WACZ file, unsigned, if --signing-url could not sign it.')
+    .default(false)
+)
+
+program.addOption(
+  new Option('--no-progress', 'Do not display live download and packaging progress (only displayed in interactive terminals).')
 )
 
 program.addOption(
@@ -77,7 +325,108 @@ program.addOption(
 )
 
 //
-// Run
+// Commands: exploring an Archive-It account before packaging
+//
+program
+  .command('collections')
+  .description('List the collections the Archive-It account has access to, with their number of WARC files and total size.')
+  .option('--json', 'Output as JSON.')
+  .action(async (_options, command) => {
+    await runInspectCommand(command, async (inspector, options) => {
+      const collections = await inspector.getCollections()
+      options.json ? inspector.printJSON(collections) : inspector.printTable(collections, Inspector.COLUMNS.collections)
+    })
+  })
+
+program
+  .command('warcs')
+  .description('List the WARC files of an Archive-It collection, with their crawl, size and checksums.')
+  .argument('<collection-id>')
+  .option('--json', 'Output as JSON.')
+  .action(async (collectionId, _options, command) => {
+    await runInspectCommand(command, async (inspector, options) => {
+      const { collection, WARCs } = await inspector.getWARCs(collectionId)
+      options.json ? inspector.printJSON({ collection, WARCs }) : inspector.printTable(WARCs, Inspector.COLUMNS.WARCs)
+    })
+  })
+
+program
+  .command('crawls')
+  .description('List the crawls of an Archive-It collection, with the seeds they captured (from crawl reports), their number of WARC files and total size.')
+  .argument('<collection-id>')
+  .option('--json', 'Output as JSON.')
+  .action(async (collectionId, _options, command) => {
+    await runInspectCommand(command, async (inspector, options) => {
+      const { collection, crawls } = await inspector.getCrawls(collectionId)
+      options.json ? inspector.printJSON({ collection, crawls }) : inspector.printTable(crawls, Inspector.COLUMNS.crawls)
+    })
+  })
+
+program
+  .command('seeds')
+  .description('List the seeds of an Archive-It collection, with their metadata.')
+  .argument('<collection-id>')
+  .option('--json', 'Output as JSON.')
+  .action(async (collectionId, _options, command) => {
+    await runInspectCommand(command, async (inspector, options) => {
+      const { collection, seeds } = await inspector.getSeeds(collectionId)
+      options.json ? inspector.printJSON({ collection, seeds }) : inspector.printTable(seeds, Inspector.COLUMNS.seeds)
+    })
+  })
+
+//
+// Commands: checking a WACZ file after packaging
+//
+program
+  .command('verify')
+  .description('Check a WACZ file (hashes, index, pages, signature) and compare it with the collection it was pulled from, without downloading anything. Credentials and filters are the same as for packaging.')
+  .argument('<file>', 'Path of the WACZ file.')
+  .option('--json', 'Output the report as JSON.')
+  .action(async (file, _options, command) => {
+    const options = await resolveOptions(command.optsWithGlobals())
+    setupLogging(options.json && program.getOptionValueSource('logLevel') === 'default' ? 'warn' : options.logLevel)
+
+    // Unless specified, the platform the WACZ file was pulled from is read from the file itself
+    if (program.getOptionValueSource('extractor') === 'default') {
+      delete options.extractor
+    }
+
+    /** @type {?Verifier} */
+    let verifier = null
+
+    /** @type {?VerificationReport} */
+    let report = null
+
+    try {
+      verifier = new Verifier({ ...options, WACZPath: file, log })
+      report = await verifier.verify()
+    } catch (err) {
+      log.trace(err)
+      log.error(`${file} could not be verified (${err.message})`)
+      process.exit(getExitCode(err))
+    }
+
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(report, null, 2)}\n`)
+    } else {
+      verifier.printReport()
+    }
+
+    if (options.report) {
+      try {
+        await fs.writeFile(options.report, JSON.stringify(report, null, 2))
+        log.info(`Report written to ${options.report}`)
+      } catch (err) {
+        log.trace(err)
+        log.error(`Report could not be written to ${options.report}`)
+      }
+    }
+
+    process.exit(report.success ? EXIT_CODES.SUCCESS : EXIT_CODES.VERIFICATION_FAILED)
+  })
+
+//
+// Run (default command: packaging)
 //
 program.action(async (name, options, command) => {
   /** @type {?Preparator} */
@@ -88,6 +437,8 @@ program.action(async (name, options, command) => {
   //
   options = options._optionValues
 
+  options = await resolveOptions(options)
+
   // `options.username`, `options.password` and `options.collectionId` must be present if extractor is "archive it"
   if (options.extractor === 'archive-it') {
     if (!options?.username) {
@@ -100,12 +451,77 @@ program.action(async (name, options, command) => {
       process.exit(1)
     }
 
-    if (!options?.collectionId) {
+    if (!options?.collectionId && !options?.allCollections) {
       console.error('No collection Id provided.')
       process.exit(1)
     }
   }
 
+  // Several collections can only be processed at once with the "archive-it" extractor
+  const collectionIds = (Array.isArray(options.collectionId) ? options.collectionId : `${options.collectionId || ''}`.split(','))
+    .map(id => `${id}`.trim())
+    .filter(id => id.length > 0)
+
+  if ((options?.allCollections || collectionIds.length > 1) && options.extractor !== 'archive-it') {
+    console.error('Several collections can only be processed at once with the "archive-it" extractor.')
+    process.exit(1)
+  }
+
+  // `options.wasapiUrl` must be present if extractor is "wasapi"
+  if (options.extractor === 'wasapi') {
+    if (!options?.wasapiUrl) {
+      console.error('No WASAPI url provided.')
+      process.exit(1)
+    }
+  }
+
+  // `options.input` must be present if extractor is "local"
+  if (options.extractor === 'local') {
+    if (!options?.input) {
+      console.error('No input provided.')
+      process.exit(1)
+    }
+  }
+
+  // `--sync` relies on job state from a previous run
+  if (options?.sync) {
+    if (options.extractor === 'local') {
+      console.error('--sync is not available with the "local" extractor.')
+      process.exit(1)
+    }
+
+    if (options.resume === false) {
+      console.error('--sync cannot be used with --no-resume.')
+      process.exit(1)
+    }
+  }
+
+  // Local WARCs have no crawl information to filter on
+  if (options.extractor === 'local' && (options?.crawl || options?.crawlTimeAfter || options?.crawlTimeBefore)) {
+    console.error('--crawl, --crawl-time-after and --crawl-time-before are not available with the "local" extractor.')
+    process.exit(1)
+  }
+
+  if (options?.seed && options.extractor !== 'archive-it') {
+    console.error('--seed is only available with the "archive-it" extractor.')
+    process.exit(1)
+  }
+
+  if (options?.dryRun && options.extractor === 'local') {
+    console.error('--dry-run is not available with the "local" extractor.')
+    process.exit(1)
+  }
+
+  if (options?.prune && options.extractor === 'local') {
+    console.error('--prune is not available with the "local" extractor.')
+    process.exit(1)
+  }
+
+  if (options?.quarantinePath && !options.prune) {
+    console.error('--quarantine can only be used with --prune.')
+    process.exit(1)
+  }
+
   // `options.outputPath` must be a folder and must be accessible.
   try {
     await fs.access(options.outputPath)
@@ -117,63 +533,434 @@ program.action(async (name, options, command) => {
     process.exit(1)
   }
 
-  // Type conversions
-  options.autoClear = options.autoClear === 'true'
-  options.concurrency = Number(options.concurrency)
-
   //
   // Set log output level and formatting
   //
-  logPrefix.reg(log)
-  logPrefix.apply(log, {
-    format (level, _name, timestamp) {
-      const timestampColor = LOGGING_COLORS.DEFAULT
-      const msgColor = LOGGING_COLORS[level.toUpperCase()]
-      return `${timestampColor(`[${timestamp}]`)} ${msgColor(level)}`
-    }
-  })
-
-  let level = 'info'
+  // Live progress display (interactive terminals only): log lines are written "around" it.
+  /** @type {?ProgressDisplay} */
+  let progress = null
 
-  if (['silent', 'trace', 'debug', 'info', 'warn', 'error'].includes(options.logLevel)) {
-    level = options.logLevel
+  if (options.progress && process.stderr.isTTY && options.logLevel !== 'silent') {
+    progress = new ProgressDisplay(process.stderr)
   }
 
-  log.setLevel(level)
+  const level = setupLogging(options.logLevel, progress)
   log.info(`Log output level as been set to ${level}.`)
 
+  if (program.getOptionValueSource('password') === 'cli') {
+    log.warn('--password is visible to other users and kept in shell history. Consider using WACZ_PREPARATOR_PASSWORD, --password-file, a config file or the prompt instead.')
+  }
+
+  //
+  // Several collections: batch mode
+  //
+  if (options.allCollections || collectionIds.length > 1) {
+    process.exit(await runBatch(options, collectionIds, progress))
+  }
+
   //
   // Initialize
   //
   try {
     switch (options.extractor) {
+      case 'wasapi':
+        collection = new WasapiExtractor({ ...options, collection: options.collection || options.collectionId, log })
+        break
+
+      case 'local':
+        collection = new LocalExtractor({ ...options, log })
+        break
+
       case 'archive-it':
       default:
         collection = new ArchiveItExtractor({ ...options, log })
         break
     }
-  } catch (_err) {
-    process.exit(1) // Logging handled by Preparator
+  } catch (err) {
+    log.trace(err)
+    log.error(err.message)
+    process.exit(EXIT_CODES.ERROR)
   }
 
   //
   // Start assembling
   //
+  progress?.attach(collection)
+
+  let exitCode = EXIT_CODES.SUCCESS
+
   try {
     await collection.process()
   } catch (err) {
-    process.exit(1) // Logging handled by Preparator
+    exitCode = getExitCode(err) // Logging handled by Preparator
+  }
+
+  progress?.clear()
+
+  //
+  // Handle --report option
+  //
+  if (options.report) {
+    try {
+      const report = collection.report || await collection.buildReport()
+      await fs.writeFile(options.report, JSON.stringify(report, null, 2))
+      collection.log.info(`Report written to ${options.report}`)
+    } catch (err) {
+      collection.log.trace(err)
+      collection.log.error(`Report could not be written to ${options.report}`)
+    }
   }
 
   //
   // Handle --auto-clear option
+  // (Collection folder is kept if processing failed, so the next run can pick up where this one stopped)
   //
-  if (options.autoClear === true) {
+  if (options.autoClear === true && !options.dryRun && exitCode === EXIT_CODES.SUCCESS) {
     collection.log.info('Clearing collection folder.')
-    await collection.clear()
+
+    try {
+      await collection.clear()
+    } catch (err) {
+      collection.log.trace(err)
+      collection.log.error(`Collection folder could not be cleared: ${err?.message}`)
+      exitCode = EXIT_CODES.ERROR
+    }
   }
 
-  process.exit(0)
+  process.exit(exitCode)
 })
 
+/**
+ * Resolves the options of a command: type conversions, config file, password file and prompt.
+ * Exits if the config file or the password file could not be read.
+ * @param {object} options - As parsed by commander.
+ * @returns {Promise<object>}
+ */
+async function resolveOptions (options) {
+  if (options.passwordFile && program.getOptionValueSource('password') === 'cli') {
+    console.error('--password and --password-file cannot be used together.')
+    process.exit(1)
+  }
+
+  // Type conversions: CLI units -> extractors' units. Config file settings already use the latter (see below).
+  options.autoClear = options.autoClear === 'true'
+  options.concurrency = Number(options.concurrency)
+  options.retries = Number(options.retries)
+  options.retryDelay = Number(options.retryDelay)
+  options.rateLimit = Number(options.rateLimit)
+  options.downloadConcurrency = Number(options.downloadConcurrency)
+  options.maxTextLength = Number(options.maxTextLength)
+  options.maxBandwidth = Number(options.maxBandwidth) * 1000 * 1000 // MB/s -> bytes/s
+  options.maxWACZSize = Number(options.maxWaczSize) * 1000 * 1000 * 1000 // GB -> bytes
+  options.parallel = Number(options.parallel)
+  options.quarantinePath = options.quarantine
+
+  // Config file: settings apply unless set on the command line or via environment variables.
+  // Settings use the names and units of the extractors' options (i.e: "maxWACZSize", in bytes).
+  try {
+    const configPath = options.config || await Config.find()
+
+    if (options.profile && !configPath) {
+      throw new Error('--profile requires a config file (see --config).')
+    }
+
+    if (configPath) {
+      const config = await Config.load(configPath, options.profile)
+      const settings = getConfigSettings()
+
+      for (const key of Object.keys(config.options)) {
+        if (CLI_ONLY_OPTIONS[key]) {
+          throw new Error(`"${key}" is not a valid setting in ${config.filepath}: ${CLI_ONLY_OPTIONS[key]}.`)
+        }
+
+        if (!settings.has(key)) {
+          throw new Error(`Unknown setting "${key}" in ${config.filepath}.`)
+        }
+      }
+
+      if (config.options.maxBandwidth > 0 && config.options.maxBandwidth < 1000) {
+        console.warn(`"maxBandwidth" is in bytes per second in config files: ${config.options.maxBandwidth} bytes/s will be used.`)
+      }
+
+      for (const [key, value] of Object.entries(config.options)) {
+        const source = program.getOptionValueSource(CONFIG_CLI_OPTIONS[key] || key)
+
+        if (source === undefined || source === 'default') {
+          options[key] = value
+        }
+      }
+    }
+  } catch (err) {
+    console.error(err.message)
+    process.exit(1)
+  }
+
+  // Password: --password-file (over WACZ_PREPARATOR_PASSWORD), or interactive prompt if there is none
+  if (options.passwordFile) {
+    try {
+      options.password = (await fs.readFile(options.passwordFile, 'utf-8')).trim()
+    } catch (err) {
+      console.error(`Password file could not be read: "${options.passwordFile}"`)
+      process.exit(1)
+    }
+  }
+
+  if (options.extractor !== 'local' && options.username && !options.password && process.stdin.isTTY) {
+    try {
+      options.password = await promptSecret(`Password for ${options.username}: `)
+    } catch (err) {
+      process.exit(1)
+    }
+  }
+
+  return options
+}
+
+/**
+ * Lists the settings a config file can contain: the options of the CLI and its commands, under the names of the extractors' options (see `CONFIG_CLI_OPTIONS`),
+ * and the extractors' options that have no matching CLI option.
+ * @returns {Set<string>}
+ */
+function getConfigSettings () {
+  const settings = new Set([...Object.keys(CONFIG_CLI_OPTIONS), ...CONFIG_ONLY_OPTIONS])
+
+  for (const command of [program, ...program.commands]) {
+    for (const option of command.options) {
+      settings.add(option.attributeName())
+    }
+  }
+
+  for (const key of Object.keys(CLI_ONLY_OPTIONS)) {
+    settings.delete(key)
+  }
+
+  return settings
+}
+
+/**
+ * Sets log output level and formatting.
+ * @param {string} logLevel
+ * @param {?ProgressDisplay} [progress=null] - If set, log lines are written "around" the progress block.
+ * @returns {string} - Level that was set.
+ */
+function setupLogging (logLevel, progress = null) {
+  logPrefix.reg(log)
+  logPrefix.apply(log, {
+    format (level, _name, timestamp) {
+      const timestampColor = LOGGING_COLORS.DEFAULT
+      const msgColor = LOGGING_COLORS[level.toUpperCase()]
+      return `${timestampColor(`[${timestamp}]`)} ${msgColor(level)}`
+    }
+  })
+
+  if (progress) {
+    const methodFactory = log.methodFactory
+
+    log.methodFactory = (methodName, logLevel, loggerName) => {
+      const method = methodFactory(methodName, logLevel, loggerName)
+      return (...args) => progress.wrap(() => method(...args))
+    }
+  }
+
+  let level = 'info'
+
+  if (['silent', 'trace', 'debug', 'info', 'warn', 'error'].includes(logLevel)) {
+    level = logLevel
+  }
+
+  log.setLevel(level)
+  return level
+}
+
+/**
+ * Runs one of the commands exploring an Archive-It account (see `Inspector`), and exits.
+ * Logs are limited to warnings and errors unless --log-level is set, so they do not get in the way of the output.
+ * @param {Command} command
+ * @param {function(Inspector, object): Promise<void>} fn - Pulls and prints information.
+ * @returns {Promise<void>}
+ */
+async function runInspectCommand (command, fn) {
+  const options = await resolveOptions(command.optsWithGlobals())
+  setupLogging(program.getOptionValueSource('logLevel') === 'default' ? 'warn' : options.logLevel)
+
+  if (!options?.username || !options?.password) {
+    console.error('No username or password provided.')
+    process.exit(1)
+  }
+
+  try {
+    await fn(new Inspector({ ...options, log }), options)
+  } catch (err) {
+    log.trace(err)
+    log.error(err.message)
+    process.exit(getExitCode(err))
+  }
+
+  process.exit(EXIT_CODES.SUCCESS)
+}
+
+/**
+ * Processes several Archive-It collections (see `Batch`), and handles --report and --auto-clear for each of them.
+ * Exits with the code matching the first collection that failed, if any.
+ * @param {object} options - CLI options.
+ * @param {string[]} collectionIds - Ignored if `options.allCollections` is set.
+ * @param {?ProgressDisplay} progress
+ * @returns {Promise<number>} - Exit code.
+ */
+async function runBatch (options, collectionIds, progress) {
+  if (options.allCollections) {
+    try {
+      log.info('Listing collections the account has access to')
+      const collections = await ArchiveItExtractor.listCollections(options)
+      collectionIds = collections.map(collection => collection.id)
+      log.info(`${collectionIds.length} collections found`)
+    } catch (err) {
+      log.trace(err)
+      log.error(`Collections could not be listed (${err.message})`)
+      return getExitCode(err)
+    }
+
+    if (!collectionIds.length) {
+      log.warn('There is no collection to process')
+      return EXIT_CODES.SUCCESS
+    }
+  }
+
+  /** @type {?Batch} */
+  let batch = null
+
+  try {
+    batch = new Batch({ ...options, collectionIds, log })
+  } catch (err) {
+    log.trace(err)
+    log.error(err.message)
+    return EXIT_CODES.ERROR
+  }
+
+  batch.on('collection:start', ({ extractor }) => progress?.attach(extractor))
+
+  const report = await batch.run()
+  progress?.clear()
+  batch.printReport()
+
+  if (options.report) {
+    try {
+      await fs.writeFile(options.report, JSON.stringify(report, null, 2))
+      log.info(`Report written to ${options.report}`)
+    } catch (err) {
+      log.trace(err)
+      log.error(`Report could not be written to ${options.report}`)
+    }
+  }
+
+  // Collection folders are kept for the collections that failed, so the next run can pick up where this one stopped
+  let cleared = true
+
+  if (options.autoClear === true && !options.dryRun) {
+    for (const result of report.collections.filter(result => result.success)) {
+      const extractor = batch.extractors[result.collectionId]
+      extractor.log.info('Clearing collection folder.')
+
+      try {
+        await extractor.clear()
+      } catch (err) {
+        extractor.log.trace(err)
+        extractor.log.error(`Collection folder could not be cleared: ${err?.message}`)
+        cleared = false
+      }
+    }
+  }
+
+  const failed = report.collections.find(result => !result.success)
+
+  if (failed) {
+    return getExitCode(batch.errors[failed.collectionId])
+  }
+
+  return cleared ? EXIT_CODES.SUCCESS : EXIT_CODES.ERROR
+}
+
+/**
+ * Maps errors thrown by extractors to CLI exit codes.
+ * @param {Error} err
+ * @returns {number}
+ */
+function getExitCode (err) {
+  if (err instanceof AuthError) {
+    return EXIT_CODES.AUTH_ERROR
+  }
+
+  if (err instanceof ApiError) {
+    return EXIT_CODES.API_ERROR
+  }
+
+  if (err instanceof IntegrityError) {
+    return EXIT_CODES.INTEGRITY_ERROR
+  }
+
+  if (err instanceof PartialCollectionError) {
+    return EXIT_CODES.PARTIAL_COLLECTION
+  }
+
+  if (err instanceof WACZBuildError) {
+    return EXIT_CODES.WACZ_BUILD_ERROR
+  }
+
+  if (err instanceof CollectionLockedError) {
+    return EXIT_CODES.COLLECTION_LOCKED
+  }
+
+  return EXIT_CODES.ERROR
+}
+
 program.parse()
+
+/**
+ * Prompts for a secret on the terminal, without echoing it.
+ * Rejects if the prompt is interrupted (Ctrl+C).
+ * @param {string} question
+ * @returns {Promise<string>}
+ */
+function promptSecret (question) {
+  const { stdin, stderr } = process
+
+  return new Promise((resolve, reject) => {
+    let value = ''
+
+    const done = (err = null) => {
+      stdin.off('data', onData)
+      stdin.setRawMode(false)
+      stdin.pause()
+      stderr.write('\n')
+      err ? reject(err) : resolve(value)
+    }
+
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        switch (char) {
+          case '\r':
+          case '\n':
+          case '\u0004': // Ctrl+D
+            return done()
+
+          case '\u0003': // Ctrl+C
+            return done(new Error('Prompt was interrupted'))
+
+          case '\u007f': // Backspace
+          case '\b':
+            value = value.slice(0, -1)
+            break
+
+          default:
+            value += char
+        }
+      }
+    }
+
+    stderr.write(question)
+    stdin.setRawMode(true)
+    stdin.setEncoding('utf-8')
+    stdin.on('data', onData)
+    stdin.resume()
+  })
+}
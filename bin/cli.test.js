@@ -0,0 +1,325 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFile } from 'child_process'
+import { access, mkdir, readFile, stat, writeFile } from 'fs/promises'
+import { createHash } from 'crypto'
+import { hostname } from 'os'
+import { resolve } from 'path'
+import { fileURLToPath } from 'url'
+
+import { EXIT_CODES, LOCK_FILENAME } from '../constants.js'
+import { createTempFolder, removeTempFolder, startWasapiServer, createWARC, writeWARC } from '../fixtures/index.js'
+
+const CLI_PATH = fileURLToPath(new URL('./cli.js', import.meta.url))
+
+/**
+ * Runs the CLI in a child process, and waits for it to exit.
+ * Environment variables read by the CLI are left out, unless provided in `options.env`.
+ * @param {string[]} args
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Defaults to the current folder.
+ * @param {Object<string, string>} [options.env={}]
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function runCLI (args, options = {}) {
+  const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('WACZ_PREPARATOR_')))
+
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI_PATH, ...args], { cwd: options.cwd, env: { ...env, ...options.env }, timeout: 60000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr })
+    })
+  })
+}
+
+describe('cli', () => {
+  let files = null
+
+  before(async () => {
+    files = [
+      { filename: 'a.warc.gz', data: await createWARC([{ url: 'https://example.com/', title: 'Home' }]) },
+      { filename: 'b.warc.gz', data: await createWARC([{ url: 'https://example.com/about', title: 'About' }]) }
+    ]
+  })
+
+  describe('exit codes', () => {
+    let outputPath = null
+
+    before(async () => {
+      outputPath = await createTempFolder()
+    })
+
+    after(async () => {
+      await removeTempFolder(outputPath)
+    })
+
+    /**
+     * Packages the files of a WASAPI server with the CLI, in a collection of its own.
+     * @param {{url: string}} server
+     * @param {string} name - Name of the collection.
+     * @param {string[]} [args=[]] - Additional arguments.
+     * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+     */
+    const runWasapi = (server, name, args = []) => {
+      return runCLI([
+        '--extractor', 'wasapi',
+        '--wasapi-url', `${server.url}/wasapi/v1`,
+        '--name', name,
+        '--output-path', outputPath,
+        '--retries', '0',
+        ...args
+      ])
+    }
+
+    it('exits with 0 when the collection was packaged', async () => {
+      const server = await startWasapiServer(files)
+
+      try {
+        const { code } = await runWasapi(server, 'success')
+        assert.equal(code, EXIT_CODES.SUCCESS)
+        await access(`${outputPath}success.wacz`)
+      } finally {
+        await server.close()
+      }
+    })
+
+    it('exits with 1 when options are invalid', async () => {
+      const { code, stderr } = await runCLI(['--extractor', 'wasapi', '--output-path', outputPath])
+      assert.equal(code, EXIT_CODES.ERROR)
+      assert.match(stderr, /No WASAPI url provided/)
+    })
+
+    for (const [status, exitCode, label] of [[401, EXIT_CODES.AUTH_ERROR, 'AUTH_ERROR'], [500, EXIT_CODES.API_ERROR, 'API_ERROR']]) {
+      it(`exits with ${exitCode} (${label}) when the endpoint responds with HTTP ${status}`, async () => {
+        const server = await startWasapiServer(files, { failures: { '/wasapi/v1/webdata': status } })
+
+        try {
+          const { code } = await runWasapi(server, `http-${status}`)
+          assert.equal(code, exitCode)
+        } finally {
+          await server.close()
+        }
+      })
+    }
+
+    it(`exits with ${EXIT_CODES.INTEGRITY_ERROR} (INTEGRITY_ERROR) when a WARC does not match its checksum`, async () => {
+      const server = await startWasapiServer([files[0], { ...files[1], checksums: { sha1: '0'.repeat(40) } }])
+
+      try {
+        const { code } = await runWasapi(server, 'mismatch')
+        assert.equal(code, EXIT_CODES.INTEGRITY_ERROR)
+      } finally {
+        await server.close()
+      }
+    })
+
+    describe('when a WARC could not be downloaded', () => {
+      let server = null
+
+      before(async () => {
+        server = await startWasapiServer(files, { failures: { '/files/b.warc.gz': 404 } })
+      })
+
+      after(async () => {
+        await server.close()
+      })
+
+      it(`packages the other WARCs, and exits with ${EXIT_CODES.PARTIAL_COLLECTION} (PARTIAL_COLLECTION)`, async () => {
+        const { code } = await runWasapi(server, 'partial')
+        assert.equal(code, EXIT_CODES.PARTIAL_COLLECTION)
+        await access(`${outputPath}partial.wacz`)
+      })
+
+      it('exits with 0 if --allow-partial is set', async () => {
+        const { code } = await runWasapi(server, 'allow-partial', ['--allow-partial'])
+        assert.equal(code, EXIT_CODES.SUCCESS)
+        await access(`${outputPath}allow-partial.wacz`)
+      })
+
+      it(`does not package anything if --strict is set, and exits with ${EXIT_CODES.PARTIAL_COLLECTION} (PARTIAL_COLLECTION)`, async () => {
+        const { code } = await runWasapi(server, 'strict', ['--strict'])
+        assert.equal(code, EXIT_CODES.PARTIAL_COLLECTION)
+        await assert.rejects(access(`${outputPath}strict.wacz`))
+      })
+    })
+
+    it('writes a report of the run with --report: WARCs, pages, steps and WACZ file', async () => {
+      const untitled = { filename: 'c.warc.gz', data: await createWARC([{ url: 'https://example.com/contact', body: '<html><body>Contact</body></html>' }]) }
+      const server = await startWasapiServer([...files, untitled], { failures: { '/files/b.warc.gz': 404 } })
+      const reportPath = `${outputPath}report.json`
+
+      try {
+        const { code } = await runWasapi(server, 'report', ['--allow-partial', '--report', reportPath])
+        assert.equal(code, EXIT_CODES.SUCCESS)
+
+        const report = JSON.parse(await readFile(reportPath, 'utf-8'))
+
+        assert.equal(report.extractor, 'WasapiExtractor')
+        assert.equal(report.success, true)
+        assert.equal(report.complete, false)
+        assert.deepEqual(report.WARCs.map(ref => [ref.filename, ref.status]), [['a.warc.gz', 'downloaded'], ['b.warc.gz', 'failed'], ['c.warc.gz', 'downloaded']])
+        assert.ok(report.WARCs[1].error)
+
+        assert.deepEqual(
+          report.pages.map(page => [page.url, page.title, page.titleSource]),
+          [['https://example.com/', 'Home', 'warc'], ['https://example.com/contact', 'https://example.com/contact', 'url']]
+        )
+
+        for (const step of ['fetchWARCsList', 'fetchWARCs', 'detectPages', 'generateWACZ']) {
+          assert.equal(report.steps[step].status, 'done', step)
+          assert.equal(typeof report.steps[step].durationMs, 'number', step)
+          assert.ok(report.steps[step].startedAt <= report.steps[step].endedAt, step)
+        }
+
+        const WACZPath = `${outputPath}report.wacz`
+        assert.equal(resolve(report.WACZ.path), resolve(WACZPath))
+        assert.equal(report.WACZ.size, (await stat(WACZPath)).size)
+        assert.equal(report.WACZ.sha256, createHash('sha256').update(await readFile(WACZPath)).digest('hex'))
+
+        // Files already on disk are reported as such by the next run
+        await runWasapi(server, 'report', ['--allow-partial', '--report', reportPath])
+        const next = JSON.parse(await readFile(reportPath, 'utf-8'))
+        assert.deepEqual(next.WARCs.map(ref => [ref.filename, ref.status]), [['a.warc.gz', 'present'], ['b.warc.gz', 'failed'], ['c.warc.gz', 'present']])
+      } finally {
+        await server.close()
+      }
+    })
+
+    describe('local extractor', () => {
+      let input = null
+
+      before(async () => {
+        input = await createTempFolder()
+        await writeWARC(`${input}a.warc.gz`, [{ url: 'https://example.com/', title: 'Home' }])
+      })
+
+      after(async () => {
+        await removeTempFolder(input)
+      })
+
+      it(`exits with ${EXIT_CODES.WACZ_BUILD_ERROR} (WACZ_BUILD_ERROR) when the WACZ file could not be signed`, async () => {
+        const server = await startWasapiServer([])
+        await server.close()
+
+        const { code } = await runCLI(['--extractor', 'local', '--input', input, '--name', 'unsigned', '--output-path', outputPath, '--retries', '0', '--signing-url', `${server.url}/sign`])
+        assert.equal(code, EXIT_CODES.WACZ_BUILD_ERROR)
+        await assert.rejects(access(`${outputPath}unsigned.wacz`))
+      })
+
+      it(`exits with ${EXIT_CODES.COLLECTION_LOCKED} (COLLECTION_LOCKED) when the collection folder is used by another run`, async () => {
+        await mkdir(`${outputPath}locked`)
+        await writeFile(`${outputPath}locked/${LOCK_FILENAME}`, JSON.stringify({ pid: process.pid, hostname: hostname(), startedAt: new Date().toISOString() }))
+
+        const { code } = await runCLI(['--extractor', 'local', '--input', input, '--name', 'locked', '--transfer', 'copy', '--output-path', outputPath])
+        assert.equal(code, EXIT_CODES.COLLECTION_LOCKED)
+      })
+    })
+  })
+
+  describe('config files and credentials', () => {
+    let server = null
+
+    before(async () => {
+      server = await startWasapiServer(files)
+    })
+
+    after(async () => {
+      await server.close()
+    })
+
+    /**
+     * Runs the CLI against the WASAPI server ("basic" authentication, --dry-run), from a folder holding a given config file.
+     * @param {object} options
+     * @param {string[]} [options.args=[]] - Additional arguments.
+     * @param {Object<string, string>} [options.env={}]
+     * @param {?object} [options.config=null] - Contents of wacz-preparator.json, if any.
+     * @returns {Promise<{code: number, stderr: string, password: ?string}>} - `password`: sent to the WASAPI server, if any.
+     */
+    const runWithCredentials = async ({ args = [], env = {}, config = null }) => {
+      const cwd = await createTempFolder()
+      server.requests.length = 0
+
+      try {
+        await writeFile(`${cwd}password`, 'from-password-file\n')
+
+        if (config) {
+          await writeFile(`${cwd}wacz-preparator.json`, JSON.stringify(config), { mode: 0o600 })
+        }
+
+        const { code, stderr } = await runCLI([
+          '--extractor', 'wasapi',
+          '--wasapi-url', `${server.url}/wasapi/v1`,
+          '--auth-type', 'basic',
+          '--username', 'user',
+          '--output-path', cwd,
+          '--retries', '0',
+          '--dry-run',
+          ...args
+        ], { cwd, env })
+
+        const authorization = server.requests[0]?.authorization
+        const password = authorization ? Buffer.from(authorization.replace('Basic ', ''), 'base64').toString().replace('user:', '') : null
+
+        return { code, stderr, password }
+      } finally {
+        await removeTempFolder(cwd)
+      }
+    }
+
+    const env = { WACZ_PREPARATOR_PASSWORD: 'from-env' }
+    const config = { password: 'from-config' }
+
+    it('uses --password over any other source', async () => {
+      const { code, password } = await runWithCredentials({ args: ['--password', 'from-cli'], env, config })
+      assert.equal(code, EXIT_CODES.SUCCESS)
+      assert.equal(password, 'from-cli')
+    })
+
+    it('uses --password-file over WACZ_PREPARATOR_PASSWORD and config files', async () => {
+      const { code, password } = await runWithCredentials({ args: ['--password-file', 'password'], env, config })
+      assert.equal(code, EXIT_CODES.SUCCESS)
+      assert.equal(password, 'from-password-file')
+    })
+
+    it('uses WACZ_PREPARATOR_PASSWORD over config files', async () => {
+      const { code, password } = await runWithCredentials({ env, config })
+      assert.equal(code, EXIT_CODES.SUCCESS)
+      assert.equal(password, 'from-env')
+    })
+
+    it('uses the password of the config file if there is no other source', async () => {
+      const { code, password } = await runWithCredentials({ config })
+      assert.equal(code, EXIT_CODES.SUCCESS)
+      assert.equal(password, 'from-config')
+    })
+
+    it('rejects --password and --password-file used together', async () => {
+      const { code, stderr } = await runWithCredentials({ args: ['--password', 'from-cli', '--password-file', 'password'] })
+      assert.equal(code, EXIT_CODES.ERROR)
+      assert.match(stderr, /--password and --password-file cannot be used together/)
+    })
+
+    it('applies the settings of the profile selected with --profile', async () => {
+      const profiles = { password: 'from-shared-settings', profiles: { partner: { password: 'from-profile' } } }
+
+      assert.equal((await runWithCredentials({ config: profiles })).password, 'from-shared-settings')
+      assert.equal((await runWithCredentials({ args: ['--profile', 'partner'], config: profiles })).password, 'from-profile')
+
+      const { code, stderr } = await runWithCredentials({ args: ['--profile', 'missing'], config: profiles })
+      assert.equal(code, EXIT_CODES.ERROR)
+      assert.match(stderr, /No profile named "missing"/)
+    })
+
+    it('rejects unknown settings, and CLI options that are not valid settings', async () => {
+      for (const [settings, message] of [
+        [{ foo: 1 }, /Unknown setting "foo"/],
+        [{ maxWaczSize: 1 }, /"maxWaczSize" is not a valid setting .*: use "maxWACZSize", in bytes/],
+        [{ quarantine: './quarantine' }, /"quarantine" is not a valid setting .*: use "quarantinePath"/]
+      ]) {
+        const { code, stderr, password } = await runWithCredentials({ config: settings })
+        assert.equal(code, EXIT_CODES.ERROR)
+        assert.match(stderr, message)
+        assert.equal(password, null)
+      }
+    })
+  })
+})
@@ -20,11 +20,170 @@ export const ARCHIVE_IT_API_URL = 'https://partner.archive-it.org'
  */
 export const ARCHIVE_IT_PLAYBACK_URL = 'https://wayback.archive-it.org'
 
+/**
+ * Dublin Core metadata elements.
+ * See: https://www.dublincore.org/specifications/dublin-core/dces/
+ */
+export const DUBLIN_CORE_ELEMENTS = [
+  'title',
+  'creator',
+  'subject',
+  'description',
+  'publisher',
+  'contributor',
+  'date',
+  'type',
+  'format',
+  'identifier',
+  'source',
+  'language',
+  'relation',
+  'coverage',
+  'rights'
+]
+
 /**
  * Default value for Preparator.concurrency.
  */
 export const DEFAULT_CONCURRENCY = 50
 
+/**
+ * Default value for Preparator.downloadConcurrency.
+ */
+export const DEFAULT_DOWNLOAD_CONCURRENCY = 10
+
+/**
+ * Page-detection policies for pages.jsonl (see Preparator.pagesMode).
+ */
+export const PAGES_MODES = ['seeds', 'seeds+html', 'all-html']
+
+/**
+ * Default value for Preparator.pagesMode.
+ */
+export const DEFAULT_PAGES_MODE = 'seeds'
+
+/**
+ * Default value for Preparator.maxTextLength (characters of text extracted per page).
+ */
+export const DEFAULT_MAX_TEXT_LENGTH = 50000
+
+/**
+ * How WARCs can be grouped into several WACZ files (see Preparator.splitBy).
+ */
+export const SPLIT_MODES = ['crawl', 'year', 'seed']
+
+/**
+ * Default value for Preparator.maxWACZSize (bytes). 0 means "no limit".
+ */
+export const DEFAULT_MAX_WACZ_SIZE = 0
+
+/**
+ * Suffix of the multi-WACZ manifest written alongside split WACZ files (i.e: "123.multi-wacz.json").
+ */
+export const MULTI_WACZ_MANIFEST_SUFFIX = '.multi-wacz.json'
+
+/**
+ * Suffix of the temporary folder holding deduplicated copies of WARCs while a WACZ file is being generated (i.e: "123.wacz.dedup").
+ */
+export const DEDUP_FOLDER_SUFFIX = '.dedup'
+
+/**
+ * Default value for Batch.parallel (collections processed at the same time).
+ */
+export const DEFAULT_PARALLEL_COLLECTIONS = 1
+
+/**
+ * HTML payloads larger than this (in bytes) are not parsed when looking for page titles or text.
+ */
+export const MAX_HTML_SIZE = 10 * 1000 * 1000
+
+/**
+ * Default value for HttpClient.retries.
+ */
+export const DEFAULT_RETRIES = 3
+
+/**
+ * Default value for HttpClient.retryDelay, in milliseconds.
+ * Used as the base for exponential backoff.
+ */
+export const DEFAULT_RETRY_DELAY = 1000
+
+/**
+ * Default value for HttpClient.maxRetryDelay, in milliseconds.
+ */
+export const DEFAULT_MAX_RETRY_DELAY = 60000
+
+/**
+ * Default value for HttpClient.rateLimit (requests per second, per host). 0 means "no limit".
+ */
+export const DEFAULT_RATE_LIMIT = 0
+
+/**
+ * Default value for HttpClient.maxBandwidth (bytes per second, across all downloads). 0 means "no limit".
+ */
+export const DEFAULT_MAX_BANDWIDTH = 0
+
+/**
+ * Minimum delay between two `warc:progress` events for a given download, in milliseconds.
+ */
+export const WARC_PROGRESS_INTERVAL = 100
+
+/**
+ * Exit codes of the CLI, by outcome.
+ */
+export const EXIT_CODES = Object.freeze({
+  SUCCESS: 0,
+  ERROR: 1, // Invalid options, or unexpected error
+  AUTH_ERROR: 2,
+  API_ERROR: 3,
+  INTEGRITY_ERROR: 4,
+  PARTIAL_COLLECTION: 5,
+  WACZ_BUILD_ERROR: 6,
+  COLLECTION_LOCKED: 7,
+  VERIFICATION_FAILED: 8
+})
+
+/**
+ * Checksum algorithms that can be used to verify WARC files, as named in WASAPI's `checksums` object.
+ */
+export const SUPPORTED_CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5']
+
+/**
+ * HTTP statuses for which a request will be retried.
+ */
+export const RETRYABLE_HTTP_STATUSES = [408, 425, 429, 500, 502, 503, 504]
+
+/**
+ * Name of the file in which job state is persisted, in the collection folder.
+ */
+export const JOB_STATE_FILENAME = 'wacz-preparator-state.json'
+
+/**
+ * Name of the file marking a collection folder as created by wacz-preparator.
+ * Files are never removed from folders without it.
+ */
+export const COLLECTION_MARKER_FILENAME = '.wacz-preparator'
+
+/**
+ * Name of the file preventing concurrent runs on the same collection folder.
+ */
+export const LOCK_FILENAME = 'wacz-preparator.lock'
+
+/**
+ * Names of the config files wacz-preparator looks for in the current folder, in order (see Config.find()).
+ */
+export const CONFIG_FILENAMES = ['wacz-preparator.json', 'wacz-preparator.yaml', 'wacz-preparator.yml']
+
+/**
+ * Config options holding paths, which are resolved relative to the config file (see Config.load()).
+ */
+export const CONFIG_PATH_OPTIONS = ['outputPath', 'passwordFile', 'input', 'pagesFile', 'quarantinePath', 'report']
+
+/**
+ * Config options holding credentials. Config files containing them should not be readable by other users.
+ */
+export const CONFIG_SECRET_OPTIONS = ['password', 'token', 'signingToken']
+
 /**
  * Colors used by the logging function
  */
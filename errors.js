@@ -0,0 +1,138 @@
+/**
+ * Base class for errors thrown by wacz-preparator extractors.
+ * Allows library callers to tell wacz-preparator errors apart from unexpected ones.
+ */
+export class WACZPreparatorError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {?Error} [options.cause] - Underlying error, if any.
+   */
+  constructor (message, options = {}) {
+    super(message, { cause: options?.cause })
+    this.name = this.constructor.name
+  }
+}
+
+/**
+ * A remote API (Archive-It, WASAPI endpoint, download server) could not be reached or responded with an error.
+ */
+export class ApiError extends WACZPreparatorError {
+  /**
+   * HTTP status of the response, if any (`null` if the server could not be reached).
+   * @type {?number}
+   */
+  status = null
+
+  /**
+   * URL that was requested.
+   * @type {?string}
+   */
+  url = null
+
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {?number} [options.status]
+   * @param {?string} [options.url]
+   * @param {?Error} [options.cause]
+   */
+  constructor (message, options = {}) {
+    super(message, options)
+    this.status = options?.status ?? null
+    this.url = options?.url ?? null
+  }
+
+  /**
+   * Creates an error out of an unexpected HTTP response.
+   * Returns an `AuthError` for 401 and 403 responses.
+   * @param {Response} response
+   * @param {string} [label="API"] - Name of the remote API, for the error message (i.e: "Archive-It API").
+   * @returns {ApiError|AuthError}
+   */
+  static fromResponse = (response, label = 'API') => {
+    const options = { status: response.status, url: response.url || null }
+
+    if ([401, 403].includes(response.status)) {
+      return new AuthError(`${label} rejected the provided credentials (HTTP ${response.status})`, options)
+    }
+
+    return new ApiError(`${label} responded with ${response.status}`, options)
+  }
+}
+
+/**
+ * Credentials were rejected by a remote API.
+ */
+export class AuthError extends ApiError {}
+
+/**
+ * One or more WARC files failed integrity checks (checksum or size mismatch), even after being downloaded again.
+ */
+export class IntegrityError extends WACZPreparatorError {
+  /**
+   * Filenames of the WARCs that failed integrity checks.
+   * @type {string[]}
+   */
+  filenames = []
+
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {string[]} [options.filenames]
+   * @param {?Error} [options.cause]
+   */
+  constructor (message, options = {}) {
+    super(message, options)
+    this.filenames = options?.filenames || []
+  }
+}
+
+/**
+ * One or more WARC files of the collection could not be downloaded.
+ */
+export class PartialCollectionError extends WACZPreparatorError {
+  /**
+   * Filenames of the WARCs that are missing.
+   * @type {string[]}
+   */
+  filenames = []
+
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {string[]} [options.filenames]
+   * @param {?Error} [options.cause]
+   */
+  constructor (message, options = {}) {
+    super(message, options)
+    this.filenames = options?.filenames || []
+  }
+}
+
+/**
+ * The WACZ file could not be generated (or signed).
+ */
+export class WACZBuildError extends WACZPreparatorError {}
+
+/**
+ * The collection folder is locked by another run (see `CollectionFolder.acquireLock()`).
+ */
+export class CollectionLockedError extends WACZPreparatorError {
+  /**
+   * Path to the lockfile.
+   * @type {?string}
+   */
+  lockPath = null
+
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {?string} [options.lockPath]
+   * @param {?Error} [options.cause]
+   */
+  constructor (message, options = {}) {
+    super(message, options)
+    this.lockPath = options?.lockPath ?? null
+  }
+}
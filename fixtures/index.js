@@ -0,0 +1,393 @@
+import http from 'http'
+import crypto from 'crypto'
+import { mkdtemp, writeFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { sep } from 'path'
+
+import { WARCRecord, WARCSerializer } from 'warcio'
+import yauzl from 'yauzl'
+
+import * as CONSTANTS from '../constants.js'
+
+/**
+ * Helpers shared by tests (*.test.js): local servers, temporary folders, WARC files and a silent logger.
+ * Nothing in here talks to the outside world.
+ */
+
+/**
+ * Creates a Console-compatible logger that keeps messages instead of printing them.
+ * @returns {{trace: function, debug: function, info: function, warn: function, error: function, messages: Object<string, string[]>}}
+ */
+export function createLogger () {
+  const messages = { trace: [], debug: [], info: [], warn: [], error: [] }
+  const log = { messages }
+
+  for (const level of Object.keys(messages)) {
+    log[level] = (...args) => { messages[level].push(args.map(arg => `${arg?.message ?? arg}`).join(' ')) }
+  }
+
+  return log
+}
+
+/**
+ * Creates a temporary folder. Path ends with a separator.
+ * @returns {Promise<string>}
+ */
+export async function createTempFolder () {
+  return `${await mkdtemp(`${tmpdir()}${sep}wacz-preparator-`)}${sep}`
+}
+
+/**
+ * Removes a folder created with `createTempFolder()`.
+ * @param {string} path
+ * @returns {Promise<void>}
+ */
+export async function removeTempFolder (path) {
+  await rm(path, { recursive: true, force: true })
+}
+
+/**
+ * Starts a local HTTP server on a random port.
+ * @param {function(http.IncomingMessage, http.ServerResponse): void} handler
+ * @returns {Promise<{url: string, server: http.Server, close: function(): Promise<void>}>} - `url` has no trailing slash.
+ */
+export async function startServer (handler) {
+  const server = http.createServer(handler)
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    server,
+    close: async () => {
+      server.closeAllConnections()
+      await new Promise(resolve => server.close(resolve))
+    }
+  }
+}
+
+/**
+ * Reads the body of a request.
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<string>}
+ */
+export async function readBody (request) {
+  const chunks = []
+
+  for await (const chunk of request) {
+    chunks.push(chunk)
+  }
+
+  return Buffer.concat(chunks).toString()
+}
+
+/**
+ * Starts an authsign-compatible signing server (https://github.com/webrecorder/authsign), signing with a throwaway key ("anonymous" signatures).
+ * Requests are kept in `requests`.
+ * @param {object} [options]
+ * @param {?string} [options.token="secret"] - Expected token. Requests without "Authorization: bearer <token>" are rejected with HTTP 403. `null` accepts any request.
+ * @param {?function(object): object} [options.tamper=null] - Alters signed data before it is returned.
+ * @returns {Promise<{url: string, close: function(): Promise<void>, requests: {authorization: ?string, body: object}[], publicKey: string}>}
+ */
+export async function startAuthsignServer (options = {}) {
+  const token = 'token' in options ? options.token : 'secret'
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+  const publicKeyBase64 = publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+  const requests = []
+
+  const server = await startServer(async (request, response) => {
+    const body = JSON.parse(await readBody(request))
+    requests.push({ authorization: request.headers.authorization ?? null, body })
+
+    if (token && request.headers.authorization !== `bearer ${token}`) {
+      response.writeHead(403, { 'Content-Type': 'application/json' })
+      return response.end('{"detail": "Invalid token"}')
+    }
+
+    let signedData = {
+      hash: body.hash,
+      created: body.created,
+      software: 'authsign 0.5.2',
+      signature: crypto.sign('sha256', Buffer.from(body.hash), { key: privateKey, dsaEncoding: 'der' }).toString('base64'),
+      publicKey: publicKeyBase64
+    }
+
+    if (options.tamper) {
+      signedData = options.tamper(signedData)
+    }
+
+    response.writeHead(200, { 'Content-Type': 'application/json' })
+    response.end(JSON.stringify(signedData))
+  })
+
+  return { ...server, requests, publicKey: publicKeyBase64 }
+}
+
+/**
+ * Starts a stand-in for the Archive-It API (collection, seeds and crawl reports), WASAPI endpoint and Wayback, serving a single collection.
+ * `collection` can be edited between requests, i.e: to add or remove files. See `redirectArchiveIt()`.
+ * @param {object} collection
+ * @param {number} collection.id
+ * @param {?string} [collection.title=null]
+ * @param {?string} [collection.description=null]
+ * @param {{filename: string, crawl: number, crawlTime: string, data: Buffer, seeds?: {id: number, url: string}[]}[]} collection.files
+ * @param {Object<string, number>} [collection.failures={}] - HTTP status to respond with, keyed by path (i.e: "/api/collection").
+ * @param {Object<string, string>} [collection.wayback={}] - HTML served by Wayback, keyed by captured URL. Other captures are not found.
+ * @returns {Promise<{url: string, close: function(): Promise<void>, collection: object, requests: URL[]}>}
+ */
+export async function startArchiveItServer (collection) {
+  collection.failures ??= {}
+  collection.wayback ??= {}
+  const requests = []
+
+  const server = await startServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost')
+    requests.push(url)
+
+    /**
+     * @param {any} data
+     */
+    const json = (data) => {
+      response.writeHead(200, { 'Content-Type': 'application/json' })
+      response.end(JSON.stringify(data))
+    }
+
+    if (collection.failures[url.pathname]) {
+      response.writeHead(collection.failures[url.pathname])
+      return response.end()
+    }
+
+    if (url.pathname === '/api/collection') {
+      const metadata = {}
+
+      if (collection.title) {
+        metadata.Title = [{ value: collection.title }]
+      }
+
+      if (collection.description) {
+        metadata.Description = [{ value: collection.description }]
+      }
+
+      return json([{ id: collection.id, metadata }])
+    }
+
+    if (url.pathname === '/wasapi/v1/webdata') {
+      const after = url.searchParams.get('crawl-time-after')
+      const files = collection.files.filter(file => !after || new Date(file.crawlTime) > new Date(after))
+      const pageSize = Number(url.searchParams.get('page_size') || 100)
+      const page = Number(url.searchParams.get('page') || 1)
+
+      return json({
+        count: files.length,
+        next: page * pageSize < files.length ? `${url.pathname}?page=${page + 1}` : null,
+        files: files.slice((page - 1) * pageSize, page * pageSize).map(file => ({
+          filename: file.filename,
+          filetype: 'warc',
+          size: file.data.length,
+          crawl: file.crawl,
+          'crawl-time': file.crawlTime,
+          collection: collection.id,
+          checksums: { sha1: crypto.createHash('sha1').update(file.data).digest('hex') },
+          locations: [`${server.url}/files/${file.filename}`]
+        }))
+      })
+    }
+
+    if (url.pathname.startsWith('/files/')) {
+      const file = collection.files.find(file => `/files/${file.filename}` === url.pathname)
+
+      if (!file) {
+        response.writeHead(404)
+        return response.end()
+      }
+
+      response.writeHead(200, { 'Content-Length': file.data.length })
+      return response.end(file.data)
+    }
+
+    if (url.pathname.startsWith('/api/reports/seed/')) {
+      const crawl = Number(url.pathname.split('/').pop())
+      const seeds = collection.files.filter(file => file.crawl === crawl).flatMap(file => file.seeds || [])
+      return json(seeds.map(seed => ({ seed_id: seed.id, seed: seed.url, timestamp: '2021-04-30 20:04:57.635000' })))
+    }
+
+    if (url.pathname === '/api/seed') {
+      const seeds = Object.values(Object.fromEntries(collection.files.flatMap(file => file.seeds || []).map(seed => [seed.id, seed])))
+      return json(seeds.map(seed => ({ id: seed.id, url: seed.url, metadata: {} })))
+    }
+
+    // /wayback/<collection id>/<timestamp>/<encoded url>
+    if (url.pathname.startsWith('/wayback/')) {
+      const html = collection.wayback[decodeURIComponent(url.pathname.split('/').pop())]
+
+      if (html) {
+        response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+        return response.end(html)
+      }
+    }
+
+    response.writeHead(404)
+    response.end()
+  })
+
+  return { ...server, collection, requests }
+}
+
+/**
+ * Starts a WASAPI endpoint at `/wasapi/v1`, listing one file per results page, and serving these files at `/files/<filename>`.
+ * Requests are kept in `requests`.
+ * @param {{filename: string, data: Buffer, crawl?: number, crawlTime?: string, checksums?: Object<string, string>}[]} files - `checksums` defaults to the actual SHA-1 and MD5 of `data`.
+ * @param {object} [options]
+ * @param {Object<string, number>} [options.failures={}] - HTTP status to respond with, keyed by path (i.e: "/wasapi/v1/webdata").
+ * @returns {Promise<{url: string, close: function(): Promise<void>, requests: {path: string, params: URLSearchParams, authorization: ?string}[]}>}
+ */
+export async function startWasapiServer (files, options = {}) {
+  const failures = options?.failures || {}
+  const requests = []
+
+  const server = await startServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost')
+    requests.push({ path: url.pathname, params: url.searchParams, authorization: request.headers.authorization ?? null })
+
+    if (failures[url.pathname]) {
+      response.writeHead(failures[url.pathname])
+      return response.end()
+    }
+
+    if (url.pathname === '/wasapi/v1/webdata') {
+      const page = Number(url.searchParams.get('page') || 1)
+      const file = files[page - 1]
+      const next = new URL(url)
+      next.searchParams.set('page', page + 1)
+
+      response.writeHead(200, { 'Content-Type': 'application/json' })
+      return response.end(JSON.stringify({
+        count: files.length,
+        next: page < files.length ? `${next.pathname}${next.search}` : null,
+        files: file
+          ? [{
+              filename: file.filename,
+              filetype: 'warc',
+              size: file.data.length,
+              crawl: file.crawl ?? 1,
+              'crawl-time': file.crawlTime ?? '2021-04-30T20:04:57Z',
+              collection: 12345,
+              checksums: file.checksums ?? {
+                sha1: crypto.createHash('sha1').update(file.data).digest('hex'),
+                md5: crypto.createHash('md5').update(file.data).digest('hex')
+              },
+              locations: [`${server.url}/files/${file.filename}`]
+            }]
+          : []
+      }))
+    }
+
+    const file = files.find(file => url.pathname === `/files/${file.filename}`)
+
+    if (!file) {
+      response.writeHead(404)
+      return response.end()
+    }
+
+    response.writeHead(200, { 'Content-Length': file.data.length })
+    response.end(file.data)
+  })
+
+  return { ...server, requests }
+}
+
+/**
+ * Sends requests made to the Archive-It API and Wayback to a server started with `startArchiveItServer()`, for the duration of a test.
+ * @param {import('node:test').TestContext} t
+ * @param {string} url - Base url of the stand-in server.
+ * @returns {void}
+ */
+export function redirectArchiveIt (t, url) {
+  const original = globalThis.fetch
+
+  t.mock.method(globalThis, 'fetch', (resource, options) => original(
+    `${resource}`
+      .replace(CONSTANTS.ARCHIVE_IT_API_URL, url)
+      .replace(CONSTANTS.ARCHIVE_IT_PLAYBACK_URL, `${url}/wayback`),
+    options
+  ))
+}
+
+/**
+ * Creates a WARC file made of HTML "response" records.
+ * Pages with a `location` are captured as redirects (HTTP 301) instead.
+ * @param {{url: string, title?: string, body?: string, date?: string, location?: string}[]} pages
+ * @param {object} [options]
+ * @param {boolean} [options.gzip=true] - If `true`, each record is compressed as a separate gzip member.
+ * @returns {Promise<Buffer>}
+ */
+export async function createWARC (pages, options = {}) {
+  const gzip = options.gzip ?? true
+  const chunks = []
+
+  for (const page of pages) {
+    const body = page.body ?? `<html><head><title>${page.title}</title></head><body><p>${page.title}</p></body></html>`
+
+    const record = await WARCRecord.create({
+      url: page.url,
+      date: page.date || '2021-04-30T20:04:57Z',
+      type: 'response',
+      warcVersion: 'WARC/1.1',
+      httpHeaders: page.location ? { Location: page.location } : { 'Content-Type': 'text/html; charset=utf-8' },
+      statusline: page.location ? 'HTTP/1.1 301 Moved Permanently' : 'HTTP/1.1 200 OK'
+    }, (async function * () { yield new TextEncoder().encode(page.location ? '' : body) })())
+
+    chunks.push(Buffer.from(await WARCSerializer.serialize(record, { gzip })))
+  }
+
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Writes a WARC file made of HTML "response" records. See `createWARC()`.
+ * @param {string} path
+ * @param {{url: string, title?: string, body?: string, date?: string, location?: string}[]} pages
+ * @param {object} [options]
+ * @returns {Promise<void>}
+ */
+export async function writeWARC (path, pages, options = {}) {
+  await writeFile(path, await createWARC(pages, options))
+}
+
+/**
+ * Reads a file from a WACZ (zip) archive.
+ * @param {string} WACZPath
+ * @param {string} filename
+ * @param {?string} [encoding="utf-8"] - `null` returns a Buffer.
+ * @returns {Promise<string|Buffer>}
+ */
+export async function readFromWACZ (WACZPath, filename, encoding = 'utf-8') {
+  const zipFile = await new Promise((resolve, reject) => {
+    yauzl.open(WACZPath, { lazyEntries: true }, (err, zipFile) => err ? reject(err) : resolve(zipFile))
+  })
+
+  return await new Promise((resolve, reject) => {
+    zipFile.on('entry', entry => {
+      if (entry.fileName !== filename) {
+        return zipFile.readEntry()
+      }
+
+      zipFile.openReadStream(entry, async (err, stream) => {
+        if (err) {
+          return reject(err)
+        }
+
+        const chunks = []
+
+        for await (const chunk of stream) {
+          chunks.push(chunk)
+        }
+
+        zipFile.close()
+        resolve(encoding ? Buffer.concat(chunks).toString(encoding) : Buffer.concat(chunks))
+      })
+    })
+    zipFile.on('end', () => reject(new Error(`${filename} not found in ${WACZPath}`)))
+    zipFile.on('error', reject)
+    zipFile.readEntry()
+  })
+}
@@ -1,9 +1,38 @@
-import { BaseExtractor } from './BaseExtractor.js'
+import { BaseExtractor, WARCReference } from './BaseExtractor.js'
 import { ArchiveItExtractor, ArchiveItCrawledUrl, ArchiveItWARCReference } from './ArchiveItExtractor.js'
+import { WasapiExtractor, WasapiWARCReference } from './WasapiExtractor.js'
+import { LocalExtractor, LocalWARCReference } from './LocalExtractor.js'
+import { Config } from './Config.js'
+import { Batch } from './Batch.js'
+import { Verifier } from './Verifier.js'
+import {
+  WACZPreparatorError,
+  ApiError,
+  AuthError,
+  IntegrityError,
+  PartialCollectionError,
+  WACZBuildError,
+  CollectionLockedError
+} from './errors.js'
 
 export {
   BaseExtractor,
+  WARCReference,
   ArchiveItExtractor,
   ArchiveItCrawledUrl,
-  ArchiveItWARCReference
+  ArchiveItWARCReference,
+  WasapiExtractor,
+  WasapiWARCReference,
+  LocalExtractor,
+  LocalWARCReference,
+  Config,
+  Batch,
+  Verifier,
+  WACZPreparatorError,
+  ApiError,
+  AuthError,
+  IntegrityError,
+  PartialCollectionError,
+  WACZBuildError,
+  CollectionLockedError
 }
@@ -1,10 +1,10 @@
 /**
- * Reference to a WARC file to be downloaded from Archive-It.
+ * Reference to a remote WARC file to be downloaded.
  */
-export class ArchiveItWARCReference {
+export class WARCReference {
   /**
    * URL that can be used to download the WARC file.
-   * @type {boolean}
+   * @type {?string}
    */
   downloadUrl = null
 
@@ -21,7 +21,13 @@ export class ArchiveItWARCReference {
   filename = null
 
   /**
-   * SHA1 hash for that file, as provided by the Archive-It API.
+   * Size of the file in bytes, as provided by the remote source.
+   * @type {?number}
+   */
+  size = null
+
+  /**
+   * SHA1 hash for that file, as provided by the remote source.
    * @type {?string}
    */
   remoteSHA1Hash = null
@@ -32,12 +38,54 @@ export class ArchiveItWARCReference {
    */
   localSHA1Hash = null
 
+  /**
+   * Checksums for that file, as provided by the remote source, keyed by algorithm ("sha1", "sha256" or "md5").
+   * @type {Object<string, string>}
+   */
+  remoteChecksums = {}
+
+  /**
+   * Checksums for that file, as computed locally, keyed by algorithm.
+   * @type {Object<string, string>}
+   */
+  localChecksums = {}
+
+  /**
+   * Outcome of the current run for that file:
+   * "present" (already on disk and valid), "downloaded", "skipped" (no download location), "mismatch" (checksum or size) or "failed".
+   * @type {('pending'|'present'|'downloaded'|'skipped'|'mismatch'|'failed')}
+   */
+  status = 'pending'
+
+  /**
+   * Why that file could not be downloaded or verified, if applicable.
+   * @type {?string}
+   */
+  error = null
+}
+
+/**
+ * Reference to a WARC file to be downloaded from Archive-It.
+ */
+export class ArchiveItWARCReference extends WARCReference {
   /**
    * Identifier used to pull crawl and seed information for a given WARC.
    * @type {?number}
    */
   crawlId = null
 
+  /**
+   * Time at which this file was crawled, as provided by the WASAPI endpoint.
+   * @type {?string}
+   */
+  crawlTime = null
+
+  /**
+   * Was crawl and seed information pulled for this WARC?
+   * @type {boolean}
+   */
+  crawlInfoFetched = false
+
   /** @type {ArchiveItCrawledUrl[]} */
   crawledUrls = []
 }
@@ -57,4 +105,305 @@ export class ArchiveItCrawledUrl {
 
   /** @type {?string} */
   title = null
+
+  /**
+   * Where the title was found: the downloaded WARCs, seed metadata, or the archived page itself (Wayback).
+   * @type {?('warc'|'metadata'|'wayback')}
+   */
+  titleSource = null
+
+  /**
+   * Was a title lookup completed for this url?
+   * @type {boolean}
+   */
+  titleChecked = false
 }
+
+/**
+ * Reference to a file listed by a WASAPI endpoint.
+ */
+export class WasapiWARCReference extends WARCReference {
+  /**
+   * WASAPI collection this file belongs to.
+   * @type {?(number|string)}
+   */
+  collection = null
+
+  /**
+   * WASAPI crawl this file belongs to.
+   * @type {?(number|string)}
+   */
+  crawlId = null
+
+  /**
+   * Time at which this file was crawled, as provided by the WASAPI endpoint.
+   * @type {?string}
+   */
+  crawlTime = null
+}
+
+/**
+ * Reference to a WARC file already available on disk.
+ */
+export class LocalWARCReference extends WARCReference {
+  /**
+   * Where the file was found.
+   * @type {?string}
+   */
+  sourcePath = null
+}
+
+/**
+ * Query filters for the WASAPI `/webdata` endpoint.
+ * @typedef {Object} WasapiFilters
+ * @property {?string} collection - "collection" filter.
+ * @property {?string} crawl - "crawl" filter.
+ * @property {?string} crawlTimeAfter - "crawl-time-after" filter, as ISO date.
+ * @property {?string} crawlTimeBefore - "crawl-time-before" filter, as ISO date.
+ * @property {?string} filetype - "filetype" filter. Defaults to "warc".
+ */
+
+/**
+ * Which WARCs of a collection should be pulled and packaged. See `BaseExtractor.matchesWARCFilters()`.
+ * @typedef {Object} WARCFilters
+ * @property {string[]} crawls - Crawl ids.
+ * @property {?string} crawlTimeAfter - ISO date.
+ * @property {?string} crawlTimeBefore - ISO date.
+ * @property {string[]} include - Filename patterns ("*" and "?" wildcards).
+ * @property {string[]} exclude - Filename patterns ("*" and "?" wildcards).
+ */
+
+/**
+ * Contents of a job state file (see JobState).
+ * @typedef {Object} JobStateData
+ * @property {number} version - Format version.
+ * @property {?string} createdAt - ISO date.
+ * @property {?string} updatedAt - ISO date.
+ * @property {Object<string, string>} steps - Completed steps, and when they were completed (ISO date).
+ * @property {{title: ?string, description: ?string}} collection - Collection information.
+ * @property {Object<string, object>} WARCs - Serialized WARC references, keyed by filename.
+ * @property {Object<string, {checksums: Object<string, string>, size: number, mtimeMs: number}>} hashes - Locally-computed checksums, keyed by filename.
+ * @property {?string} highWaterMark - Latest crawl time of the WARCs that were packaged. Used by "sync" mode.
+ * @property {?{createdAt: string, WARCs: string[], pages: string[]}} lastPackage - Contents of the last package that was generated.
+ */
+
+/**
+ * Differences between the package that was just generated and the previous one.
+ * @typedef {Object} PackageDiff
+ * @property {?string} previousCreatedAt - When the previous package was generated (ISO date).
+ * @property {string[]} addedWARCs - Filenames.
+ * @property {string[]} removedWARCs - Filenames.
+ * @property {string[]} addedPages - Urls.
+ * @property {string[]} removedPages - Urls.
+ */
+
+/**
+ * Outcome of the deduplication of the WARCs of a WACZ file. See `Deduplicator.dedupWARCs()`.
+ * Stored as `extras.deduplication` in the WACZ's datapackage.json.
+ * @typedef {Object} DedupSummary
+ * @property {number} revisits - Number of records that were turned into revisit records.
+ * @property {number} savedBytes
+ * @property {{filename: string, revisits: number, size: number, original: {size: number, sha1: string, sha256: string}}[]} WARCs - WARCs that were rewritten, with the size and hashes of the original file.
+ */
+
+/**
+ * Which part of a split collection a WACZ file is, and which WARCs it holds. See `BaseExtractor.generateWACZParts()`.
+ * Stored as `extras.part` in the WACZ's datapackage.json.
+ * @typedef {Object} WACZPartInfo
+ * @property {string} id - See `WACZPart.id`.
+ * @property {number} index - Position of this part, starting from 1.
+ * @property {number} total - Number of WACZ files the collection was split into.
+ * @property {string[]} WARCs - Filenames of the WARCs this part holds.
+ */
+
+/**
+ * What a run would download, and how much disk space it would need. See `BaseExtractor.planDownloads()`.
+ * @typedef {Object} DownloadPlan
+ * @property {number} WARCs - Number of WARC files in the collection.
+ * @property {number} totalBytes - Total size of the WARC files in the collection.
+ * @property {number} unknownSizes - Number of WARC files with no known size.
+ * @property {number} valid - Present on disk, with checksums matching (from cache).
+ * @property {number} present - Present on disk with the expected size, not verified yet.
+ * @property {number} invalid - Present on disk, but with a size or checksum mismatch.
+ * @property {number} missing - Not present on disk.
+ * @property {number} partialBytes - Bytes already downloaded in `.part` files.
+ * @property {number} bytesToDownload
+ * @property {string[]} looseFiles - WARC files present in the collection folder but not referenced in the collection. Only removed if "prune" is set.
+ * @property {number} looseBytes
+ * @property {number} estimatedWACZBytes
+ * @property {number} dedupBytes - Upper bound of the space taken by deduplicated copies of WARCs while a WACZ file is generated, if "dedup" is set.
+ * @property {number} diskSpaceNeeded - Estimated free disk space needed to process the collection.
+ * @property {?number} diskSpaceAvailable - Free disk space available in the output path.
+ */
+
+/**
+ * Timing and outcome of a pipeline step. See `BaseExtractor.runStep()`.
+ * @typedef {Object} StepTiming
+ * @property {('running'|'done'|'failed')} status
+ * @property {string} startedAt - ISO date.
+ * @property {?string} endedAt - ISO date.
+ * @property {?number} durationMs
+ * @property {?string} error - Error message, if the step failed.
+ */
+
+/**
+ * Entry of `RunReport.pages`.
+ * @typedef {Object} RunReportPage
+ * @property {string} url
+ * @property {?string} ts
+ * @property {?string} title
+ * @property {('warc'|'metadata'|'wayback'|'pages-file'|'url'|'none')} titleSource - Where the title was found.
+ * @property {boolean} inPages - Is this page part of the WACZ's pages list?
+ */
+
+/**
+ * Description of the WACZ file generated during a run.
+ * @typedef {Object} RunReportWACZ
+ * @property {string} path
+ * @property {number} size - In bytes.
+ * @property {string} sha256 - Hex digest.
+ * @property {?string} signedBy - Identity of the signer, if the WACZ was signed.
+ */
+
+/**
+ * Description of one of the WACZ files generated during a run, if the collection was split. See `BaseExtractor.generateWACZParts()`.
+ * @typedef {Object} RunReportWACZPart
+ * @property {string} path
+ * @property {number} size - In bytes.
+ * @property {string} sha256 - Hex digest.
+ * @property {?string} signedBy - Identity of the signer, if the WACZ was signed.
+ * @property {string[]} WARCs - Filenames of the WARCs packaged in this WACZ file.
+ * @property {number} pages - Number of pages listed in this WACZ file.
+ */
+
+/**
+ * One of the WACZ files a collection is split into. See `WACZSplitter.planParts()`.
+ * @typedef {Object} WACZPart
+ * @property {string} id - Group and / or index of this part (i.e: "crawl-123", "2021-2"). Empty if the collection fits in a single WACZ file.
+ * @property {string} name - Filename of the WACZ file.
+ * @property {string} path
+ * @property {WARCReference[]} WARCs
+ * @property {WACZPage[]} pages
+ * @property {?number} size - In bytes. Populated by `WACZSplitter.writeManifest()`.
+ * @property {?string} sha256 - Hex digest. Populated by `WACZSplitter.writeManifest()`.
+ * @property {?string} signedBy - Identity of the signer, if the WACZ was signed.
+ */
+
+/**
+ * Machine-readable report of a run. See `BaseExtractor.buildReport()`.
+ * @typedef {Object} RunReport
+ * @property {string} extractor - Name of the extractor class (i.e: "ArchiveItExtractor").
+ * @property {string} version - Version of wacz-preparator.
+ * @property {{id: ?(number|string), title: ?string, description: ?string, metadata: Object<string, string[]>}} collection
+ * @property {boolean} success - Was a WACZ file (or a set of WACZ files) generated? In dry-run mode: was a plan made?
+ * @property {boolean} complete - Were all the WARCs of the collection downloaded and verified?
+ * @property {boolean} dryRun
+ * @property {boolean} sync
+ * @property {?string} startedAt - ISO date.
+ * @property {string} endedAt - ISO date.
+ * @property {?number} durationMs
+ * @property {Object<string, StepTiming>} steps - Keyed by step name.
+ * @property {string[]} filteredOutWARCs - Filenames of the WARCs of the collection that were left out by filters.
+ * @property {{filename: string, size: ?number, status: string, error: ?string, remoteChecksums: Object<string, string>, localChecksums: Object<string, string>}[]} WARCs
+ * @property {RunReportPage[]} pages - Pages detected by js-wacz are not listed.
+ * @property {?RunReportWACZ} WACZ - `null` if the collection was split into several WACZ files.
+ * @property {RunReportWACZPart[]} WACZParts - WACZ files generated if the collection was split (see `splitBy` and `maxWACZSize`).
+ * @property {?string} manifest - Path of the multi-WACZ manifest, if the collection was split.
+ * @property {?PackageDiff} packageDiff
+ * @property {DedupSummary[]} deduplication - One entry per WACZ file generated, if "dedup" is set.
+ * @property {?DownloadPlan} plan - Only in dry-run mode.
+ */
+
+/**
+ * Outcome of one of the collections of a batch. See `Batch.processCollection()`.
+ * @typedef {Object} BatchCollectionResult
+ * @property {number|string} collectionId
+ * @property {boolean} success - Did processing complete without errors?
+ * @property {?{name: string, message: string}} error - Error that stopped processing, if any.
+ * @property {?RunReport} report - `null` if the extractor could not be created.
+ */
+
+/**
+ * Machine-readable report of a batch. See `Batch.run()`.
+ * @typedef {Object} BatchReport
+ * @property {string} version - Version of wacz-preparator.
+ * @property {boolean} success - Were all collections processed without errors?
+ * @property {number} succeeded - Number of collections processed without errors.
+ * @property {number} failed
+ * @property {string} startedAt - ISO date.
+ * @property {string} endedAt - ISO date.
+ * @property {number} durationMs
+ * @property {BatchCollectionResult[]} collections - In the order they were given.
+ */
+
+/**
+ * Outcome of one of the checks run by `Verifier`.
+ * @typedef {Object} VerificationCheck
+ * @property {('passed'|'failed'|'skipped')} status
+ * @property {string[]} errors - Problems that were found. The check failed if there is any.
+ * @property {string[]} notes - Additional information (i.e: why the check was skipped).
+ * @property {object} details - Check-specific figures (i.e: number of index entries).
+ */
+
+/**
+ * Machine-readable report of a WACZ file verification (see `Verifier`).
+ * @typedef {Object} VerificationReport
+ * @property {string} version - Version of wacz-preparator.
+ * @property {string} file - Path of the WACZ file.
+ * @property {boolean} success - Did no check fail? Skipped checks do not count as failures.
+ * @property {string} startedAt - ISO date.
+ * @property {string} endedAt - ISO date.
+ * @property {number} durationMs
+ * @property {{integrity: VerificationCheck, index: VerificationCheck, source: VerificationCheck, pages: VerificationCheck, signature: VerificationCheck}} checks
+ */
+
+/**
+ * Payload of `step:start` events.
+ * @typedef {Object} StepStartEvent
+ * @property {string} step
+ */
+
+/**
+ * Payload of `step:end` events.
+ * @typedef {StepTiming & {step: string}} StepEndEvent
+ */
+
+/**
+ * Payload of `warc:progress` events, emitted as WARCs are being downloaded: when a download starts, every `WARC_PROGRESS_INTERVAL` ms at most, and once it completes.
+ * @typedef {Object} WARCProgressEvent
+ * @property {string} filename
+ * @property {number} bytes - Bytes downloaded so far, including the ones from a previous, interrupted, download.
+ * @property {?number} total - Size of the file, if known.
+ */
+
+/**
+ * Payload of `warc:done` events, emitted when a download succeeded, failed or was skipped.
+ * @typedef {Object} WARCDoneEvent
+ * @property {string} filename
+ * @property {('downloaded'|'skipped'|'mismatch'|'failed')} status
+ * @property {?string} error
+ */
+
+/**
+ * Payload of `title:resolved` events, emitted once a page title lookup is complete.
+ * @typedef {Object} TitleResolvedEvent
+ * @property {string} url
+ * @property {?string} title
+ * @property {('warc'|'metadata'|'wayback'|'none')} source
+ */
+
+/**
+ * Payload of `wacz:progress` events, emitted as the WACZ file is being built.
+ * `done` and `total` are only provided for stages that process WARCs one by one ("indexWARCs" and "writeWARCsToZip").
+ * @typedef {Object} WACZProgressEvent
+ * @property {string} stage - Name of the js-wacz processing stage (i.e: "indexWARCs").
+ * @property {?number} done
+ * @property {?number} total
+ */
+
+/**
+ * Payload of `error` events, emitted when a pipeline step fails.
+ * @typedef {Object} ErrorEvent
+ * @property {?string} step
+ * @property {Error} error
+ */